@@ -1,10 +1,36 @@
+// Hosts that serve media kept off-site (MEDIA_STORAGE=s3 or cloudinary; see
+// src/lib/mediaStorage.js), so next/image can optimize those images too.
+// Only our own bucket and Cloudinary account, or the optimizer would resize
+// images from anyone's.
+const mediaHosts = [];
+if (process.env.CLOUDINARY_CLOUD_NAME) {
+  mediaHosts.push({
+    protocol: "https",
+    hostname: "res.cloudinary.com",
+    pathname: `/${process.env.CLOUDINARY_CLOUD_NAME}/**`,
+  });
+}
+// The same addresses s3Url in mediaStorage.js builds
+for (const url of [process.env.S3_PUBLIC_URL, process.env.S3_ENDPOINT]) {
+  if (url) {
+    const { protocol, hostname, port } = new URL(url);
+    mediaHosts.push({ protocol: protocol.replace(":", ""), hostname, port });
+  }
+}
+if (process.env.S3_BUCKET && !process.env.S3_PUBLIC_URL && !process.env.S3_ENDPOINT) {
+  mediaHosts.push({
+    protocol: "https",
+    hostname: `${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+  });
+}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   /* config options here */
   images: {
-    domains: [], // Remove cloudinary domain if present
+    remotePatterns: mediaHosts,
   },
-  
+
 };
 
 export default nextConfig;
@@ -0,0 +1,91 @@
+// Adds images uploaded before the media library existed (files in
+// public/uploads/blogs) to it as locally stored media, and records which
+// blog posts use each one. Safe to re-run: files already in the library
+// are skipped, and usage is recomputed for all of them.
+//
+// Usage: node --env-file=.env.local scripts/import-media.mjs [--dry-run]
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import { imageInfo } from "../src/lib/imageInfo.js";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI is not set");
+  process.exit(1);
+}
+
+const dryRun = process.argv.includes("--dry-run");
+const UPLOAD_DIR = path.join(process.cwd(), "public", "uploads", "blogs");
+
+// Mirrors blogMediaUrls in src/lib/mediaUsage.js
+const IMG_SRC_PATTERN = /<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+function blogMediaUrls(blog) {
+  const urls = new Set();
+  if (blog.image) urls.add(blog.image);
+  for (const [, src] of String(blog.content || "").matchAll(IMG_SRC_PATTERN)) urls.add(src);
+  return [...urls];
+}
+
+await mongoose.connect(MONGODB_URI);
+const db = mongoose.connection;
+const mediaCollection = db.collection("media");
+
+// Which posts (trashed ones too; they can come back) show each URL
+const usageByUrl = new Map();
+for (const blog of await db.collection("blogs").find({}, { projection: { title: 1, image: 1, content: 1 } }).toArray()) {
+  for (const url of blogMediaUrls(blog)) {
+    if (!usageByUrl.has(url)) usageByUrl.set(url, []);
+    usageByUrl.get(url).push({ targetType: "Blog", targetId: String(blog._id), label: blog.title });
+  }
+}
+
+let added = 0;
+let skipped = 0;
+const files = (await fs.readdir(UPLOAD_DIR, { withFileTypes: true })).filter(
+  (entry) => entry.isFile() && !entry.name.startsWith(".")
+);
+
+for (const { name } of files) {
+  const url = `/uploads/blogs/${name}`;
+  if (await mediaCollection.findOne({ url })) {
+    skipped++;
+    continue;
+  }
+
+  const file = path.join(UPLOAD_DIR, name);
+  const [buffer, stats] = await Promise.all([fs.readFile(file), fs.stat(file)]);
+  const info = imageInfo(buffer);
+  const doc = {
+    storage: "local",
+    key: `blogs/${name}`,
+    url,
+    filename: name,
+    mimeType: info?.mimeType || "application/octet-stream",
+    size: buffer.length,
+    width: info?.width || null,
+    height: info?.height || null,
+    alt: "",
+    sourceUrl: null,
+    uploadedBy: { id: null, email: null },
+    usage: [],
+    createdAt: stats.mtime,
+    updatedAt: new Date(),
+  };
+  if (!dryRun) await mediaCollection.insertOne(doc);
+  added++;
+}
+
+let used = 0;
+for (const [url, usage] of usageByUrl) {
+  const media = await mediaCollection.findOne({ url });
+  if (!media) continue;
+  used++;
+  if (!dryRun) await mediaCollection.updateOne({ _id: media._id }, { $set: { usage } });
+}
+
+console.log(
+  `${dryRun ? "[dry run] " : ""}${files.length} files: ${added} added, ${skipped} already in the library; ` +
+    `${used} used by blog posts`
+);
+await mongoose.disconnect();
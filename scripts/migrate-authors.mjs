@@ -0,0 +1,93 @@
+// Credits posts saved before author profiles existed to an Author, one per
+// distinct `writtenby` name (compared ignoring case and extra spaces, and
+// named after the most common spelling). Safe to re-run: posts that already
+// have an author are skipped, and a name that already has a profile reuses
+// it. Trashed posts are migrated too. Bios, photos and admin links are left
+// for the Authors tab in the panel.
+//
+// Usage: node --env-file=.env.local scripts/migrate-authors.mjs [--dry-run]
+import mongoose from "mongoose";
+import { authorSlug, normalizeAuthorName } from "../src/lib/authors.js";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI is not set");
+  process.exit(1);
+}
+
+const dryRun = process.argv.includes("--dry-run");
+
+await mongoose.connect(MONGODB_URI);
+const db = mongoose.connection;
+const blogs = db.collection("blogs");
+const authors = db.collection("authors");
+
+const existing = await authors.find({}, { projection: { name: 1, slug: 1 } }).toArray();
+const takenSlugs = new Set(existing.map((author) => author.slug));
+
+// Lowercased name → { spellings: Map(spelling → count), blogIds }
+const groups = new Map();
+let unnamed = 0;
+for await (const blog of blogs.find({ author: null }, { projection: { writtenby: 1 } })) {
+  const name = normalizeAuthorName(blog.writtenby);
+  if (!name) {
+    unnamed++;
+    continue;
+  }
+  const key = name.toLowerCase();
+  const group = groups.get(key) || { spellings: new Map(), blogIds: [] };
+  group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+  group.blogIds.push(blog._id);
+  groups.set(key, group);
+}
+
+function uniqueSlug(name) {
+  const base = authorSlug(name);
+  let slug = base;
+  for (let n = 2; takenSlugs.has(slug); n++) slug = `${base}-${n}`;
+  takenSlugs.add(slug);
+  return slug;
+}
+
+let created = 0;
+let reused = 0;
+let credited = 0;
+for (const [key, group] of groups) {
+  const [name] = [...group.spellings].sort((a, b) => b[1] - a[1])[0];
+  let author = existing.find(
+    (candidate) => candidate.name.toLowerCase() === key || candidate.slug === authorSlug(name)
+  );
+  if (author) {
+    reused++;
+  } else {
+    const now = new Date();
+    author = {
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      slug: uniqueSlug(name),
+      jobTitle: "",
+      bio: "",
+      avatar: "",
+      socials: { website: "", linkedin: "", twitter: "", github: "" },
+      admin: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    if (!dryRun) await authors.insertOne(author);
+    created++;
+  }
+
+  if (!dryRun) {
+    await blogs.updateMany(
+      { _id: { $in: group.blogIds } },
+      { $set: { author: author._id, writtenby: author.name } }
+    );
+  }
+  credited += group.blogIds.length;
+}
+
+console.log(
+  `${dryRun ? "[dry run] " : ""}${credited} posts credited: ` +
+    `${created} new authors, ${reused} existing authors reused, ${unnamed} posts without a name skipped`
+);
+await mongoose.disconnect();
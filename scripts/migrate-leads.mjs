@@ -0,0 +1,155 @@
+// Moves contact and trial submissions into the unified leads collection,
+// deduplicating them by email and company domain the same way new
+// submissions are (src/lib/leadIdentity.js). Safe to re-run: documents
+// already migrated are skipped. The old collections are left in place;
+// drop them once the result looks right.
+//
+// Trashed submissions become trashed leads of their own, so they can
+// still be restored or purged without dragging a live lead with them.
+//
+// Usage: node --env-file=.env.local scripts/migrate-leads.mjs [--dry-run]
+import mongoose from "mongoose";
+import { companyDomainOf, leadMatchFilters, normalizeEmail } from "../src/lib/leadIdentity.js";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI is not set");
+  process.exit(1);
+}
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Old collection → lead source (src/lib/leadSources.js)
+const LEGACY_COLLECTIONS = { contacts: "contact_form", trials: "demo_request" };
+
+// Mirrors SUBMISSION_FIELDS in src/models/Lead.js
+const SUBMISSION_FIELDS = ["firstName", "lastName", "email", "phone", "company", "jobTitle", "country", "message"];
+
+await mongoose.connect(MONGODB_URI);
+const db = mongoose.connection;
+const leads = db.collection("leads");
+
+const legacyDocs = [];
+for (const [name, source] of Object.entries(LEGACY_COLLECTIONS)) {
+  for (const doc of await db.collection(name).find().toArray()) {
+    legacyDocs.push({ doc, source, submittedAt: doc.createdAt || doc._id.getTimestamp() });
+  }
+}
+// Oldest first, so each lead ends up with its latest contact details
+legacyDocs.sort((a, b) => a.submittedAt - b.submittedAt);
+
+// Leads touched by this run, whether new or loaded from the database
+const pending = [];
+
+function matchesFilter(lead, filter) {
+  if (filter.emails) return lead.emails.includes(filter.emails);
+  return lead.companyDomain === filter.companyDomain;
+}
+
+async function findLead(email) {
+  for (const filter of leadMatchFilters(email)) {
+    const touched = pending.find((lead) => !lead.deletedAt && matchesFilter(lead, filter));
+    if (touched) return touched;
+    const stored = await leads.findOne({ ...filter, deletedAt: null }, { sort: { lastSubmittedAt: -1 } });
+    if (stored) {
+      pending.push(stored);
+      return stored;
+    }
+  }
+  return null;
+}
+
+function newLead(submittedAt) {
+  const lead = {
+    _id: new mongoose.Types.ObjectId(),
+    emails: [],
+    companyDomain: null,
+    sources: [],
+    submissions: [],
+    createdAt: submittedAt,
+    lastSubmittedAt: submittedAt,
+    deletedAt: null,
+    deletedBy: { id: null, email: null },
+    stage: "new",
+    assignedTo: null,
+    nextFollowUpAt: null,
+    notes: [],
+    stageHistory: [],
+    __v: 0,
+    isNew: true,
+  };
+  pending.push(lead);
+  return lead;
+}
+
+let skipped = 0;
+let created = 0;
+let merged = 0;
+
+for (const { doc, source, submittedAt } of legacyDocs) {
+  const legacyId = String(doc._id);
+  const alreadyMigrated =
+    pending.some((lead) => lead.submissions.some((submission) => submission.legacyId === legacyId)) ||
+    (await leads.findOne({ "submissions.legacyId": legacyId }, { projection: { _id: 1 } }));
+  if (alreadyMigrated || !doc.email) {
+    skipped++;
+    continue;
+  }
+
+  const submission = { _id: new mongoose.Types.ObjectId(), source, submittedAt, legacyId };
+  for (const field of SUBMISSION_FIELDS) {
+    if (doc[field] !== undefined && doc[field] !== null) submission[field] = doc[field];
+  }
+
+  let lead = doc.deletedAt ? null : await findLead(doc.email);
+  if (lead) {
+    merged++;
+  } else {
+    lead = newLead(submittedAt);
+    created++;
+    if (doc.deletedAt) {
+      lead.deletedAt = doc.deletedAt;
+      lead.deletedBy = doc.deletedBy || { id: null, email: null };
+    }
+  }
+
+  // As in applySubmission (src/lib/leads.js): the newest submission's
+  // contact details win, whatever order they are migrated in
+  if (submittedAt >= lead.lastSubmittedAt) {
+    for (const field of SUBMISSION_FIELDS) {
+      if (doc[field]) lead[field] = doc[field];
+    }
+    lead.lastSubmittedAt = submittedAt;
+  }
+  if (submittedAt < lead.createdAt) lead.createdAt = submittedAt;
+  const email = normalizeEmail(doc.email);
+  if (!lead.emails.includes(email)) lead.emails.push(email);
+  if (!lead.sources.includes(source)) lead.sources.push(source);
+  lead.companyDomain = lead.companyDomain || companyDomainOf(doc.email);
+  lead.submissions.push(submission);
+
+  // Carry over pipeline work done on the old documents
+  if ((lead.stage || "new") === "new" && doc.stage) lead.stage = doc.stage;
+  lead.assignedTo = lead.assignedTo || doc.assignedTo || null;
+  if (doc.nextFollowUpAt && (!lead.nextFollowUpAt || doc.nextFollowUpAt < lead.nextFollowUpAt)) {
+    lead.nextFollowUpAt = doc.nextFollowUpAt;
+  }
+  lead.notes = [...(lead.notes || []), ...(doc.notes || [])];
+  lead.stageHistory = [...(lead.stageHistory || []), ...(doc.stageHistory || [])];
+}
+
+if (!dryRun) {
+  for (const { isNew, ...lead } of pending) {
+    if (isNew) {
+      await leads.insertOne(lead);
+    } else {
+      await leads.replaceOne({ _id: lead._id }, lead);
+    }
+  }
+}
+
+console.log(
+  `${dryRun ? "[dry run] " : ""}${legacyDocs.length} submissions: ` +
+    `${created} new leads, ${merged} merged into existing leads, ${skipped} skipped`
+);
+await mongoose.disconnect();
@@ -0,0 +1,41 @@
+// Lowercases admin emails stored before they were normalised on write.
+// Logins look accounts up by the lowercased email, so until this has run an
+// admin saved as "Jane@Example.com" can't sign in. Accounts whose lowercased
+// email another account already has are reported and left alone; merge or
+// delete one of them by hand. Safe to re-run.
+//
+// Usage: node --env-file=.env.local scripts/normalize-admin-emails.mjs [--dry-run]
+import mongoose from "mongoose";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI is not set");
+  process.exit(1);
+}
+
+const dryRun = process.argv.includes("--dry-run");
+
+await mongoose.connect(MONGODB_URI);
+const admins = mongoose.connection.collection("admins");
+
+const all = await admins.find({}, { projection: { email: 1 } }).toArray();
+const taken = new Set(all.map((admin) => admin.email));
+
+let updated = 0;
+let conflicts = 0;
+for (const admin of all) {
+  const email = String(admin.email || "").trim().toLowerCase();
+  if (email === admin.email) continue;
+  if (taken.has(email)) {
+    console.warn(`Skipped ${admin.email}: another account is ${email}`);
+    conflicts++;
+    continue;
+  }
+  if (!dryRun) await admins.updateOne({ _id: admin._id }, { $set: { email } });
+  taken.delete(admin.email);
+  taken.add(email);
+  updated++;
+}
+
+console.log(`${dryRun ? "[dry run] " : ""}${updated} admin emails lowercased, ${conflicts} conflicts skipped`);
+await mongoose.disconnect();
@@ -0,0 +1,51 @@
+// Backfills the fields derived from Blog.content for posts saved before
+// they existed: plainText (used by the full-text search index), autoExcerpt
+// and readingTime. Also makes sure the text index is built.
+//
+// Usage: node --env-file=.env.local scripts/reindex-blog-search.mjs
+import mongoose from "mongoose";
+import sanitizeHtml from "sanitize-html";
+import { excerptOf, readingTimeOf } from "../src/lib/blogMeta.js";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+if (!MONGODB_URI) {
+  console.error("MONGODB_URI is not set");
+  process.exit(1);
+}
+
+// Mirrors htmlToText in src/lib/htmlText.js
+function htmlToText(html) {
+  if (!html) return "";
+  const spaced = String(html).replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/td|\/blockquote)\b[^>]*>/gi, "$& ");
+  return sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+await mongoose.connect(MONGODB_URI);
+const blogs = mongoose.connection.collection("blogs");
+
+let updated = 0;
+for await (const blog of blogs.find({}, { projection: { content: 1 } })) {
+  const plainText = htmlToText(blog.content);
+  await blogs.updateOne(
+    { _id: blog._id },
+    { $set: { plainText, autoExcerpt: excerptOf(plainText), readingTime: readingTimeOf(plainText) } }
+  );
+  updated++;
+}
+
+await blogs.createIndex(
+  { title: "text", tags: "text", category: "text", plainText: "text" },
+  { name: "BlogTextIndex", weights: { title: 10, tags: 5, category: 3, plainText: 1 } }
+);
+
+console.log(`Reindexed ${updated} blog posts`);
+await mongoose.disconnect();
@@ -0,0 +1,56 @@
+// Checks src/lib/totp.js against the RFC 4226 (HOTP) and RFC 6238 (TOTP)
+// test vectors. Needs no database or network.
+//
+// Usage: node scripts/verify-totp.mjs
+import { hotp, totp, base32Encode, base32Decode } from "../src/lib/totp.js";
+
+const SECRETS = {
+  sha1: Buffer.from("12345678901234567890"),
+  sha256: Buffer.from("12345678901234567890123456789012"),
+  sha512: Buffer.from("1234567890123456789012345678901234567890123456789012345678901234"),
+};
+
+// RFC 4226 Appendix D
+const HOTP_VECTORS = [
+  "755224", "287082", "359152", "969429", "338314",
+  "254676", "287922", "162583", "399871", "520489",
+];
+
+// RFC 6238 Appendix B: [unix time, sha1, sha256, sha512]
+const TOTP_VECTORS = [
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"],
+];
+
+let failures = 0;
+function check(label, actual, expected) {
+  if (actual !== expected) {
+    failures++;
+    console.error(`✗ ${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+HOTP_VECTORS.forEach((expected, counter) => {
+  check(`HOTP counter ${counter}`, hotp(SECRETS.sha1, counter), expected);
+});
+
+for (const [seconds, ...expected] of TOTP_VECTORS) {
+  ["sha1", "sha256", "sha512"].forEach((algorithm, i) => {
+    const actual = totp(SECRETS[algorithm], { time: seconds * 1000, digits: 8, algorithm });
+    check(`TOTP ${algorithm} T=${seconds}`, actual, expected[i]);
+  });
+}
+
+const encoded = base32Encode(SECRETS.sha1);
+check("base32 encode", encoded, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+check("base32 round trip", base32Decode(encoded).toString(), SECRETS.sha1.toString());
+
+if (failures > 0) {
+  console.error(`${failures} vector(s) failed`);
+  process.exit(1);
+}
+console.log(`✅ All ${HOTP_VECTORS.length + TOTP_VECTORS.length * 3 + 2} RFC vectors passed`);
@@ -1,31 +1,72 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { signIn } from "next-auth/react";
 import { useRouter } from "next/navigation";
+import PasswordChecklist from "@/components/PasswordChecklist";
+import { passwordProblems } from "@/lib/passwordPolicy";
 
 export default function AdminAuth() {
   const [isLogin, setIsLogin] = useState(true);
+  const [forgot, setForgot] = useState(false);
+  // Signup only exists to create the first owner; later admins are invited
+  const [bootstrapOpen, setBootstrapOpen] = useState(false);
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  // Second login step for admins with two-factor authentication
+  const [needsCode, setNeedsCode] = useState(false);
+  const [code, setCode] = useState("");
   const router = useRouter();
 
+  useEffect(() => {
+    fetch("/api/auth/signup")
+      .then((res) => (res.ok ? res.json() : { bootstrapOpen: false }))
+      .then((data) => {
+        setBootstrapOpen(Boolean(data.bootstrapOpen));
+        if (data.bootstrapOpen) setIsLogin(false);
+      })
+      .catch(() => setBootstrapOpen(false));
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (isLogin) {
+    if (forgot) {
+      const res = await fetch("/api/auth/forgot-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+      alert(data.message || data.error || "Failed to request password reset");
+      if (res.ok) setForgot(false);
+    } else if (isLogin) {
       const res = await signIn("credentials", {
         redirect: false,
         email,
         password,
+        ...(needsCode && { code }),
       });
 
       if (!res.error) {
         router.push("/admin/panel");
+      } else if (res.error === "TWO_FACTOR_REQUIRED") {
+        // Thrown by authorize() in lib/auth.js once the password is correct
+        setNeedsCode(true);
+      } else if (res.error.startsWith("Too many failed attempts")) {
+        alert(res.error);
+      } else if (needsCode) {
+        setCode("");
+        alert("Invalid authentication code");
       } else {
         alert("Invalid credentials");
       }
     } else {
+      if (passwordProblems(password, { email }).length > 0) {
+        alert("Please choose a stronger password.");
+        return;
+      }
+
       const res = await fetch("/api/auth/signup", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
@@ -33,7 +74,8 @@ export default function AdminAuth() {
       });
 
       if (res.ok) {
-        alert("Signup successful! You can now log in.");
+        alert("Owner account created! You can now log in.");
+        setBootstrapOpen(false);
         setIsLogin(true);
       } else {
         const data = await res.json();
@@ -52,7 +94,7 @@ export default function AdminAuth() {
 
       <div className="relative z-10 bg-gray-900/70 backdrop-blur-xl p-8 rounded-2xl shadow-2xl border border-gray-800 w-full max-w-md">
         <h2 className="text-3xl font-bold text-center mb-6 bg-gradient-to-r from-zinc-700 to-zinc-200 text-transparent bg-clip-text">
-          {isLogin ? "Admin Login" : "Admin Signup"}
+          {forgot ? "Reset Password" : isLogin ? "Admin Login" : "Create Owner Account"}
         </h2>
 
         <form onSubmit={handleSubmit} className="space-y-5">
@@ -61,36 +103,80 @@ export default function AdminAuth() {
             placeholder="Email"
             required
             className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition"
+            readOnly={needsCode}
             value={email}
             onChange={(e) => setEmail(e.target.value)}
           />
 
-          <input
-            type="password"
-            placeholder="Password"
-            required
-            className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-          />
+          {needsCode && (
+            <>
+              <p className="text-sm text-gray-400">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="Authentication code"
+                required
+                autoFocus
+                className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition tracking-widest"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </>
+          )}
+
+          {!forgot && !needsCode && (
+            <input
+              type="password"
+              placeholder="Password"
+              required
+              className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          )}
+
+          {!isLogin && <PasswordChecklist password={password} email={email} />}
 
           <button
             type="submit"
             className="w-full bg-gradient-to-r from-zinc-900 to-zinc-300 hover:from-zinc-300 hover:to-zinc-900 text-white py-3 rounded-lg font-semibold transition-transform duration-200 hover:scale-[1.02]"
           >
-            {isLogin ? "Login" : "Signup"}
+            {forgot ? "Send Reset Link" : needsCode ? "Verify" : isLogin ? "Login" : "Create Account"}
           </button>
         </form>
 
+        {isLogin && (
+          <p className="text-center mt-4">
+            <button
+              onClick={() => {
+                if (needsCode) {
+                  setNeedsCode(false);
+                  setCode("");
+                } else {
+                  setForgot(!forgot);
+                }
+              }}
+              className="text-sm text-gray-400 hover:text-cyan-300 transition"
+            >
+              {forgot || needsCode ? "Back to login" : "Forgot password?"}
+            </button>
+          </p>
+        )}
+
         <p className="text-center text-gray-400 mt-5">
-          {isLogin ? (
+          {!bootstrapOpen ? (
+            <>Need access? Ask a site owner for an invitation.</>
+          ) : isLogin ? (
             <>
-              Don’t have an account?{" "}
+              First time here?{" "}
               <button
                 onClick={() => setIsLogin(false)}
                 className="text-zinc-100 hover:text-cyan-300 transition"
               >
-                Sign up
+                Create the owner account
               </button>
             </>
           ) : (
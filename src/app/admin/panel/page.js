@@ -3,7 +3,23 @@
 import React, { useEffect, useState } from "react";
 import axios from "axios";
 import BlogForm from "@/components/BlogForm";
-import { signOut } from "next-auth/react";
+import BlogRevisions from "@/components/BlogRevisions";
+import AdminTeam from "@/components/AdminTeam";
+import ChangePassword from "@/components/ChangePassword";
+import TwoFactorSettings from "@/components/TwoFactorSettings";
+import LoginSecurity from "@/components/LoginSecurity";
+import ActivityLog from "@/components/ActivityLog";
+import TrashBin from "@/components/TrashBin";
+import LeadDetail from "@/components/LeadDetail";
+import LeadExport from "@/components/LeadExport";
+import LeadImport from "@/components/LeadImport";
+import LeadQuarantine from "@/components/LeadQuarantine";
+import LeadRouting from "@/components/LeadRouting";
+import MediaLibrary from "@/components/MediaLibrary";
+import AuthorManager from "@/components/AuthorManager";
+import EmailOutbox from "@/components/EmailOutbox";
+import EmailTemplates from "@/components/EmailTemplates";
+import { getSession, signOut } from "next-auth/react";
 import {
   Edit2,
   Trash2,
@@ -18,44 +34,85 @@ import {
   TrendingUp,
   Inbox,
   UserCheck,
+  Eye,
+  EyeOff,
+  Clock,
+  History,
+  Users,
+  KeyRound,
+  Activity,
+  FolderOpen,
+  Download,
+  Upload,
+  ShieldAlert,
+  Route,
+  Images,
+  UserPen,
 } from "lucide-react";
+import { blogStatusOf } from "@/lib/blogStatus";
+import { can } from "@/lib/permissions";
+import { LEAD_STAGE_LABELS, leadStageOf } from "@/lib/leadStages";
+import { LEAD_SOURCES, LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+
+const BLOG_PAGE_SIZE = 20;
 
 const AdminPanel = () => {
   const [blogs, setBlogs] = useState([]);
-  const [contacts, setContacts] = useState([]);
-  const [trials, setTrials] = useState([]);
+  const [blogPage, setBlogPage] = useState(1);
+  const [blogPagination, setBlogPagination] = useState(null);
+  const [blogStatusCounts, setBlogStatusCounts] = useState({});
+  const [leads, setLeads] = useState([]);
   const [editingBlog, setEditingBlog] = useState(null);
+  const [historyBlog, setHistoryBlog] = useState(null);
+  const [openLead, setOpenLead] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const [activeTab, setActiveTab] = useState("blogs");
+  const [activeTab, setActiveTab] = useState(null);
+  const [role, setRole] = useState(null);
+  const [adminEmail, setAdminEmail] = useState("");
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false);
+  const [blogStatusFilter, setBlogStatusFilter] = useState("all");
+  const [leadSourceFilter, setLeadSourceFilter] = useState("all");
+  const [leadTool, setLeadTool] = useState(null);
 
   const themeColor = "#3c0366";
 
+  // What the signed-in admin's role allows; tabs and actions follow from this.
+  // Until required 2FA is set up, the API refuses everything but the account tab.
+  const allowed = (permission) => !twoFactorSetupRequired && can(role, permission);
+  const tabs = [
+    allowed("blogs:read") && "blogs",
+    allowed("leads:read") && "leads",
+    allowed("media:upload") && "media",
+    allowed("blogs:read") && "authors",
+    allowed("admins:manage") && "team",
+    (allowed("blogs:read") || allowed("leads:read")) && "trash",
+    allowed("audit:read") && "activity",
+    allowed("emails:manage") && "emails",
+    role && "account",
+  ].filter(Boolean);
+  const currentTab = tabs.includes(activeTab) ? activeTab : tabs[0];
+
   // 🚀 Fetch only specific data type
-  const fetchBlogs = async () => {
+  const fetchBlogs = async (page = blogPage, status = blogStatusFilter) => {
     try {
-      const res = await axios.get("/api/blogs");
+      const params = new URLSearchParams({ scope: "admin", page: String(page), limit: String(BLOG_PAGE_SIZE) });
+      if (status !== "all") params.set("status", status);
+      const res = await axios.get(`/api/blogs?${params}`);
       setBlogs(res.data.blogs || []);
+      setBlogPagination(res.data.pagination || null);
+      setBlogStatusCounts(res.data.statusCounts || {});
     } catch (err) {
       console.error("Error fetching blogs:", err);
     }
   };
 
-  const fetchContacts = async () => {
-    try {
-      const res = await axios.get("/api/contact");
-      setContacts(res.data.contacts || []);
-    } catch (err) {
-      console.error("Error fetching contacts:", err);
-    }
-  };
-
-  const fetchTrials = async () => {
+  const fetchLeads = async () => {
     try {
-      const res = await axios.get("/api/trial");
-      setTrials(res.data.trials || []);
+      const res = await axios.get("/api/leads");
+      setLeads(res.data.leads || []);
     } catch (err) {
-      console.error("Error fetching trials:", err);
+      console.error("Error fetching leads:", err);
     }
   };
 
@@ -64,7 +121,10 @@ const AdminPanel = () => {
     try {
       setLoading(true);
       setError("");
-      await Promise.all([fetchBlogs(), fetchContacts(), fetchTrials()]);
+      await Promise.all([
+        allowed("blogs:read") && fetchBlogs(),
+        allowed("leads:read") && fetchLeads(),
+      ]);
     } catch (err) {
       console.error("Error fetching data:", err);
       setError("Failed to fetch dashboard data. Please try again.");
@@ -73,10 +133,26 @@ const AdminPanel = () => {
     }
   };
 
+  const loadSession = () =>
+    getSession().then((session) => {
+      // No session here means it was revoked, e.g. by a password change elsewhere
+      if (!session) {
+        signOut({ callbackUrl: "/admin/auth" });
+        return;
+      }
+      setRole(session.user?.role || null);
+      setAdminEmail(session.user?.email || "");
+      setTwoFactorSetupRequired(Boolean(session.user?.twoFactorSetupRequired));
+    });
+
   useEffect(() => {
-    fetchAllData();
+    loadSession();
   }, []);
 
+  useEffect(() => {
+    if (role) fetchAllData();
+  }, [role, twoFactorSetupRequired]);
+
   // ------------------- Blog Handlers with Optimistic Updates -------------------
   const handleCreate = async (blogData) => {
     try {
@@ -126,13 +202,13 @@ const AdminPanel = () => {
   const handleCancelEdit = () => setEditingBlog(null);
 
   const handleDeleteBlog = async (id) => {
-    if (!confirm("Are you sure you want to delete this blog?")) return;
+    if (!confirm("Move this blog to the trash? You can restore it from the Trash tab.")) return;
     try {
       // Optimistic update - remove immediately
       setBlogs(prev => prev.filter(blog => blog._id !== id));
       
       await axios.delete(`/api/blogs/${id}`);
-      alert("Blog deleted successfully!");
+      alert("Blog moved to trash!");
     } catch (err) {
       console.error("Error deleting blog:", err);
       setError(err.response?.data?.message || "Failed to delete blog.");
@@ -141,31 +217,51 @@ const AdminPanel = () => {
     }
   };
 
-  const handleDeleteContact = async (id) => {
-    if (!confirm("Are you sure you want to delete this contact form?")) return;
+  const handleBlogStatus = async (id, action) => {
     try {
-      // Optimistic update
-      setContacts(prev => prev.filter(contact => contact._id !== id));
-      
-      await axios.delete(`/api/contact/${id}`);
-      alert("Contact form deleted successfully!");
+      setError("");
+      const response = await axios.patch(`/api/blogs/${id}`, { action });
+      setBlogs(prev => prev.map(blog =>
+        blog._id === id ? response.data.blog : blog
+      ));
     } catch (err) {
-      console.error("Error deleting contact form:", err);
-      await fetchContacts();
+      console.error("Error updating blog status:", err);
+      setError(err.response?.data?.message || "Failed to update blog status.");
+      await fetchBlogs();
     }
   };
 
-  const handleDeleteTrial = async (id) => {
-    if (!confirm("Are you sure you want to delete this trial form?")) return;
+  // The list is paged and filtered by status on the server
+  const showBlogs = (page, status = blogStatusFilter) => {
+    setBlogPage(page);
+    setBlogStatusFilter(status);
+    fetchBlogs(page, status);
+  };
+
+  const totalBlogs = Object.values(blogStatusCounts).reduce((sum, count) => sum + count, 0);
+
+  const leadSourceCounts = leads.reduce((counts, lead) => {
+    for (const source of lead.sources || []) {
+      counts[source] = (counts[source] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+  const visibleLeads = leadSourceFilter === "all"
+    ? leads
+    : leads.filter(lead => (lead.sources || []).includes(leadSourceFilter));
+
+  const handleDeleteLead = async (id) => {
+    if (!confirm("Move this lead to the trash? You can restore it from the Trash tab.")) return;
     try {
       // Optimistic update
-      setTrials(prev => prev.filter(trial => trial._id !== id));
+      setLeads(prev => prev.filter(lead => lead._id !== id));
       
-      await axios.delete(`/api/trial/${id}`);
-      alert("Trial form deleted successfully!");
+      await axios.delete(`/api/leads/${id}`);
+      alert("Lead moved to trash!");
     } catch (err) {
-      console.error("Error deleting trial form:", err);
-      await fetchTrials();
+      console.error("Error deleting lead:", err);
+      await fetchLeads();
     }
   };
 
@@ -212,61 +308,71 @@ const AdminPanel = () => {
 
           {/* Stats Cards */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-8">
-            <StatCard
-              icon={<FileText size={24} />}
-              title="Total Blogs"
-              value={blogs.length}
-              color="from-purple-950 to-purple-800"
-            />
-            <StatCard
-              icon={<Mail size={24} />}
-              title="Contact Forms"
-              value={contacts.length}
-              color="from-blue-900 to-blue-600"
-            />
-            <StatCard
-              icon={<UserCheck size={24} />}
-              title="Trial Requests"
-              value={trials.length}
-              color="from-orange-900 to-orange-500"
-            />
+            {allowed("blogs:read") && (
+              <StatCard
+                icon={<FileText size={24} />}
+                title="Total Blogs"
+                value={totalBlogs}
+                color="from-purple-950 to-purple-800"
+              />
+            )}
+            {allowed("leads:read") && (
+              <>
+                <StatCard
+                  icon={<Mail size={24} />}
+                  title="Contact Form Leads"
+                  value={leadSourceCounts.contact_form || 0}
+                  color="from-blue-900 to-blue-600"
+                />
+                <StatCard
+                  icon={<UserCheck size={24} />}
+                  title="Demo Request Leads"
+                  value={leadSourceCounts.demo_request || 0}
+                  color="from-orange-900 to-orange-500"
+                />
+              </>
+            )}
           </div>
         </div>
 
         {/* Blog Form Section */}
-        <div className="bg-white rounded-3xl shadow-xl border border-purple-100 p-8 mb-8">
-          <div className="flex justify-between items-center mb-6">
-            <h2
-              className="text-3xl font-bold flex items-center gap-3"
-              style={{ color: themeColor }}
-            >
-              {editingBlog ? (
-                <>
-                  <Edit2 size={28} className="text-purple-900" />
-                  Edit Blog
-                </>
-              ) : (
-                <>
-                  <PlusCircle size={28} className="text-purple-900" />
-                  Create New Blog
-                </>
-              )}
-            </h2>
-            {editingBlog && (
-              <button
-                onClick={handleCancelEdit}
-                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-5 py-3 rounded-xl transition font-semibold flex items-center gap-2"
+        {allowed("blogs:write") && (
+          <div className="bg-white rounded-3xl shadow-xl border border-purple-100 p-8 mb-8">
+            <div className="flex justify-between items-center mb-6">
+              <h2
+                className="text-3xl font-bold flex items-center gap-3"
+                style={{ color: themeColor }}
               >
-                <X size={18} />
-                Cancel
-              </button>
-            )}
+                {editingBlog ? (
+                  <>
+                    <Edit2 size={28} className="text-purple-900" />
+                    Edit Blog
+                  </>
+                ) : (
+                  <>
+                    <PlusCircle size={28} className="text-purple-900" />
+                    Create New Blog
+                  </>
+                )}
+              </h2>
+              {editingBlog && (
+                <button
+                  onClick={handleCancelEdit}
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-5 py-3 rounded-xl transition font-semibold flex items-center gap-2"
+                >
+                  <X size={18} />
+                  Cancel
+                </button>
+              )}
+            </div>
+            <BlogForm
+              onSubmit={editingBlog ? handleEdit : handleCreate}
+              existingData={editingBlog}
+              canPublish={allowed("blogs:publish")}
+              adminEmail={adminEmail}
+            />
           </div>
-          <BlogForm
-            onSubmit={editingBlog ? handleEdit : handleCreate}
-            existingData={editingBlog}
-          />
-        </div>
+        )}
 
         {/* Error Message */}
         {error && (
@@ -287,36 +393,104 @@ const AdminPanel = () => {
         {/* Tabs Navigation */}
         <div className="bg-white rounded-3xl shadow-xl border border-purple-100 overflow-hidden mb-8">
           <div className="flex border-b border-gray-200">
-            <TabButton
-              active={activeTab === "blogs"}
-              onClick={() => setActiveTab("blogs")}
-              icon={<FileText size={20} />}
-              label="Blogs"
-              count={blogs.length}
-            />
-            <TabButton
-              active={activeTab === "contacts"}
-              onClick={() => setActiveTab("contacts")}
-              icon={<Mail size={20} />}
-              label="Contacts"
-              count={contacts.length}
-            />
-            <TabButton
-              active={activeTab === "trials"}
-              onClick={() => setActiveTab("trials")}
-              icon={<UserCheck size={20} />}
-              label="Trials"
-              count={trials.length}
-            />
+            {tabs.includes("blogs") && (
+              <TabButton
+                active={currentTab === "blogs"}
+                onClick={() => setActiveTab("blogs")}
+                icon={<FileText size={20} />}
+                label="Blogs"
+                count={totalBlogs}
+              />
+            )}
+            {tabs.includes("leads") && (
+              <TabButton
+                active={currentTab === "leads"}
+                onClick={() => setActiveTab("leads")}
+                icon={<Inbox size={20} />}
+                label="Leads"
+                count={leads.length}
+              />
+            )}
+            {tabs.includes("media") && (
+              <TabButton
+                active={currentTab === "media"}
+                onClick={() => setActiveTab("media")}
+                icon={<Images size={20} />}
+                label="Media"
+              />
+            )}
+            {tabs.includes("authors") && (
+              <TabButton
+                active={currentTab === "authors"}
+                onClick={() => setActiveTab("authors")}
+                icon={<UserPen size={20} />}
+                label="Authors"
+              />
+            )}
+            {tabs.includes("team") && (
+              <TabButton
+                active={currentTab === "team"}
+                onClick={() => setActiveTab("team")}
+                icon={<Users size={20} />}
+                label="Team"
+              />
+            )}
+            {tabs.includes("trash") && (
+              <TabButton
+                active={currentTab === "trash"}
+                onClick={() => setActiveTab("trash")}
+                icon={<Trash2 size={20} />}
+                label="Trash"
+              />
+            )}
+            {tabs.includes("activity") && (
+              <TabButton
+                active={currentTab === "activity"}
+                onClick={() => setActiveTab("activity")}
+                icon={<Activity size={20} />}
+                label="Activity"
+              />
+            )}
+            {tabs.includes("emails") && (
+              <TabButton
+                active={currentTab === "emails"}
+                onClick={() => setActiveTab("emails")}
+                icon={<Mail size={20} />}
+                label="Emails"
+              />
+            )}
+            {tabs.includes("account") && (
+              <TabButton
+                active={currentTab === "account"}
+                onClick={() => setActiveTab("account")}
+                icon={<KeyRound size={20} />}
+                label="Account"
+              />
+            )}
           </div>
 
           <div className="p-8">
-            {activeTab === "blogs" && (
+            {currentTab === "blogs" && (
               <div className="space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  {["all", "published", "scheduled", "draft"].map((status) => (
+                    <FilterChip
+                      key={status}
+                      active={blogStatusFilter === status}
+                      onClick={() => showBlogs(1, status)}
+                      label={status.charAt(0).toUpperCase() + status.slice(1)}
+                      count={status === "all" ? totalBlogs : blogStatusCounts[status] || 0}
+                    />
+                  ))}
+                </div>
                 {blogs.length === 0 ? (
                   <EmptyState
                     icon={<FileText size={48} />}
-                    message="No blogs found. Create your first blog above!"
+                    message={
+                      totalBlogs === 0
+                        ? "No blogs found. Create your first blog above!"
+                        : `No ${blogStatusFilter} blogs.`
+                    }
                   />
                 ) : (
                   blogs.map((blog) => (
@@ -325,52 +499,171 @@ const AdminPanel = () => {
                       blog={blog}
                       onEdit={() => setEditingBlog(blog)}
                       onDelete={() => handleDeleteBlog(blog._id)}
+                      onPublish={() => handleBlogStatus(blog._id, "publish")}
+                      onUnpublish={() => handleBlogStatus(blog._id, "unpublish")}
+                      onHistory={() => setHistoryBlog(blog)}
+                      allowed={allowed}
                     />
                   ))
                 )}
+                {blogPagination && blogPagination.totalPages > 1 && (
+                  <div className="flex items-center justify-center gap-4 pt-2">
+                    <button
+                      onClick={() => showBlogs(blogPage - 1)}
+                      disabled={!blogPagination.prev}
+                      className="px-4 py-2 rounded-xl border-2 border-gray-200 font-semibold disabled:opacity-40"
+                    >
+                      Prev
+                    </button>
+                    <span className="text-sm text-gray-600">
+                      Page {blogPagination.page} of {blogPagination.totalPages} ({blogPagination.total} blogs)
+                    </span>
+                    <button
+                      onClick={() => showBlogs(blogPage + 1)}
+                      disabled={!blogPagination.next}
+                      className="px-4 py-2 rounded-xl border-2 border-gray-200 font-semibold disabled:opacity-40"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
-            {activeTab === "contacts" && (
+            {currentTab === "leads" && (
               <div className="space-y-4">
-                {contacts.length === 0 ? (
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                  <div className="flex flex-wrap gap-2">
+                    {["all", ...LEAD_SOURCES].map((source) => (
+                      <FilterChip
+                        key={source}
+                        active={leadSourceFilter === source}
+                        onClick={() => setLeadSourceFilter(source)}
+                        label={source === "all" ? "All" : LEAD_SOURCE_LABELS[source]}
+                        count={source === "all" ? leads.length : leadSourceCounts[source] || 0}
+                      />
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <IconButton
+                      onClick={() => setLeadTool(leadTool === "export" ? null : "export")}
+                      color="blue"
+                      icon={<Download size={16} />}
+                    >
+                      Export
+                    </IconButton>
+                    {allowed("leads:write") && (
+                      <IconButton
+                        onClick={() => setLeadTool(leadTool === "import" ? null : "import")}
+                        color="green"
+                        icon={<Upload size={16} />}
+                      >
+                        Import
+                      </IconButton>
+                    )}
+                    <IconButton
+                      onClick={() => setLeadTool(leadTool === "quarantine" ? null : "quarantine")}
+                      color="yellow"
+                      icon={<ShieldAlert size={16} />}
+                    >
+                      Quarantine
+                    </IconButton>
+                    <IconButton
+                      onClick={() => setLeadTool(leadTool === "routing" ? null : "routing")}
+                      color="blue"
+                      icon={<Route size={16} />}
+                    >
+                      Routing
+                    </IconButton>
+                  </div>
+                </div>
+                {leadTool === "export" && <LeadExport />}
+                {leadTool === "import" && allowed("leads:write") && <LeadImport onImported={fetchLeads} />}
+                {leadTool === "quarantine" && (
+                  <LeadQuarantine
+                    canRelease={allowed("leads:write")}
+                    canDiscard={allowed("leads:delete")}
+                    onReleased={fetchLeads}
+                  />
+                )}
+                {leadTool === "routing" && <LeadRouting canEdit={allowed("leads:write")} />}
+                {visibleLeads.length === 0 ? (
                   <EmptyState
                     icon={<Inbox size={48} />}
-                    message="No contact submissions yet."
+                    message={leads.length === 0 ? "No leads yet." : `No ${LEAD_SOURCE_LABELS[leadSourceFilter]} leads.`}
                   />
                 ) : (
-                  contacts.map((contact) => (
-                    <ContactCard
-                      key={contact._id}
-                      contact={contact}
-                      onDelete={() => handleDeleteContact(contact._id)}
+                  visibleLeads.map((lead) => (
+                    <LeadCard
+                      key={lead._id}
+                      lead={lead}
+                      onOpen={() => setOpenLead(lead)}
+                      onDelete={allowed("leads:delete") ? () => handleDeleteLead(lead._id) : null}
                     />
                   ))
                 )}
               </div>
             )}
 
-            {activeTab === "trials" && (
-              <div className="space-y-4">
-                {trials.length === 0 ? (
-                  <EmptyState
-                    icon={<UserCheck size={48} />}
-                    message="No trial submissions yet."
-                  />
-                ) : (
-                  trials.map((trial) => (
-                    <TrialCard
-                      key={trial._id}
-                      trial={trial}
-                      onDelete={() => handleDeleteTrial(trial._id)}
-                    />
-                  ))
+            {currentTab === "media" && <MediaLibrary canDelete={allowed("media:delete")} />}
+
+            {currentTab === "authors" && <AuthorManager canEdit={allowed("authors:write")} />}
+
+            {currentTab === "team" && (
+              <div className="space-y-10">
+                <AdminTeam />
+                <LoginSecurity />
+              </div>
+            )}
+
+            {currentTab === "trash" && (
+              <TrashBin role={role} canEditRetention={allowed("settings:manage")} onRestored={fetchAllData} />
+            )}
+
+            {currentTab === "activity" && <ActivityLog />}
+
+            {currentTab === "emails" && (
+              <div className="space-y-10">
+                <EmailOutbox />
+                <EmailTemplates />
+              </div>
+            )}
+
+            {currentTab === "account" && (
+              <div className="space-y-10">
+                {twoFactorSetupRequired && (
+                  <div className="bg-yellow-50 border-2 border-yellow-200 text-yellow-900 px-6 py-3 rounded-2xl font-semibold">
+                    The site owner requires two-factor authentication. Set it up below to use the dashboard.
+                  </div>
                 )}
+                <TwoFactorSettings onEnabled={loadSession} />
+                <ChangePassword email={adminEmail} />
               </div>
             )}
           </div>
         </div>
       </div>
+
+      {historyBlog && (
+        <BlogRevisions
+          blog={historyBlog}
+          onClose={() => setHistoryBlog(null)}
+          onRestored={(restored) =>
+            setBlogs(prev => prev.map(blog => (blog._id === restored._id ? restored : blog)))
+          }
+        />
+      )}
+
+      {openLead && (
+        <LeadDetail
+          lead={openLead}
+          canEdit={allowed("leads:write")}
+          onClose={() => setOpenLead(null)}
+          onUpdated={(updated) =>
+            setLeads(prev => prev.map(lead => (lead._id === updated._id ? { ...lead, ...updated } : lead)))
+          }
+        />
+      )}
     </div>
   );
 };
@@ -402,17 +695,49 @@ const TabButton = ({ active, onClick, icon, label, count }) => (
   >
     {icon}
     {label}
-    <span
-      className={`ml-2 px-2.5 py-1 rounded-full text-xs font-bold ${
-        active ? "bg-purple-200 text-purple-800" : "bg-gray-200 text-gray-700"
-      }`}
-    >
-      {count}
-    </span>
+    {count !== undefined && (
+      <span
+        className={`ml-2 px-2.5 py-1 rounded-full text-xs font-bold ${
+          active ? "bg-purple-200 text-purple-800" : "bg-gray-200 text-gray-700"
+        }`}
+      >
+        {count}
+      </span>
+    )}
   </button>
 );
 
-const BlogCard = ({ blog, onEdit, onDelete }) => (
+const FilterChip = ({ active, onClick, label, count }) => (
+  <button
+    onClick={onClick}
+    className={`px-4 py-2 rounded-full text-sm font-semibold transition ${
+      active
+        ? "bg-purple-900 text-white shadow-lg"
+        : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+    }`}
+  >
+    {label} <span className="ml-1 opacity-75">{count}</span>
+  </button>
+);
+
+const StatusBadge = ({ blog }) => {
+  const status = blogStatusOf(blog);
+  const styles = {
+    published: "bg-green-100 text-green-800",
+    scheduled: "bg-blue-100 text-blue-800",
+    draft: "bg-gray-200 text-gray-700",
+  };
+  return (
+    <span className={`flex items-center gap-1 px-3 py-1 rounded-full font-semibold ${styles[status]}`}>
+      {status === "scheduled" && <Clock size={14} />}
+      {status === "scheduled"
+        ? `Scheduled · ${new Date(blog.publishAt).toLocaleString()}`
+        : status.charAt(0).toUpperCase() + status.slice(1)}
+    </span>
+  );
+};
+
+const BlogCard = ({ blog, onEdit, onDelete, onPublish, onUnpublish, onHistory, allowed }) => (
   <div className="border-2 border-gray-200 p-6 rounded-2xl bg-gradient-to-r from-white to-purple-50 hover:shadow-2xl hover:border-purple-300 transition group">
     <div className="flex justify-between items-start gap-4">
       <div className="flex-1">
@@ -420,6 +745,7 @@ const BlogCard = ({ blog, onEdit, onDelete }) => (
           {blog.title}
         </h3>
         <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 mb-3">
+          <StatusBadge blog={blog} />
           <span className="flex items-center gap-1 bg-purple-950 text-white px-3 py-1 rounded-full font-semibold">
             <Tag size={14} />
             {blog.category}
@@ -435,18 +761,72 @@ const BlogCard = ({ blog, onEdit, onDelete }) => (
         </div>
       </div>
       <div className="flex gap-2">
-        <IconButton onClick={onEdit} color="yellow" icon={<Edit2 size={16} />}>
-          Edit
-        </IconButton>
-        <IconButton onClick={onDelete} color="red" icon={<Trash2 size={16} />}>
-          Delete
+        {allowed("blogs:publish") &&
+          (blogStatusOf(blog) === "draft" ? (
+            <IconButton onClick={onPublish} color="green" icon={<Eye size={16} />}>
+              Publish
+            </IconButton>
+          ) : (
+            <IconButton onClick={onUnpublish} color="blue" icon={<EyeOff size={16} />}>
+              Unpublish
+            </IconButton>
+          ))}
+        <IconButton onClick={onHistory} color="blue" icon={<History size={16} />}>
+          History
         </IconButton>
+        {allowed("blogs:write") && (
+          <IconButton onClick={onEdit} color="yellow" icon={<Edit2 size={16} />}>
+            Edit
+          </IconButton>
+        )}
+        {allowed("blogs:delete") && (
+          <IconButton onClick={onDelete} color="red" icon={<Trash2 size={16} />}>
+            Delete
+          </IconButton>
+        )}
       </div>
     </div>
   </div>
 );
 
-const ContactCard = ({ contact, onDelete }) => (
+const leadStageStyles = {
+  new: "bg-gray-200 text-gray-700",
+  contacted: "bg-blue-100 text-blue-800",
+  qualified: "bg-purple-100 text-purple-800",
+  demo_scheduled: "bg-yellow-100 text-yellow-800",
+  won: "bg-green-100 text-green-800",
+  lost: "bg-red-100 text-red-700",
+};
+
+const LeadMeta = ({ lead }) => {
+  const stage = leadStageOf(lead);
+  const overdue = lead.nextFollowUpAt && new Date(lead.nextFollowUpAt) < new Date();
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 mb-3">
+      <span className={`px-3 py-1 rounded-full font-semibold ${leadStageStyles[stage]}`}>
+        {LEAD_STAGE_LABELS[stage]}
+      </span>
+      <span className="flex items-center gap-1">
+        <User size={14} />
+        {lead.assignedTo?.email || "Unassigned"}
+      </span>
+      {lead.nextFollowUpAt && (
+        <span className={`flex items-center gap-1 ${overdue ? "text-red-600 font-semibold" : ""}`}>
+          <Calendar size={14} />
+          Follow up {new Date(lead.nextFollowUpAt).toLocaleDateString()}
+        </span>
+      )}
+      {(lead.tags || []).map((tag) => (
+        <span key={tag} className="flex items-center gap-1 bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs font-semibold">
+          <Tag size={12} />
+          {tag}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const LeadCard = ({ lead, onOpen, onDelete }) => (
   <div className="border-2 border-gray-200 p-6 rounded-2xl bg-gradient-to-r from-white to-blue-50 hover:shadow-2xl hover:border-blue-300 transition">
     <div className="flex justify-between items-start gap-4">
       <div className="flex-1">
@@ -456,48 +836,42 @@ const ContactCard = ({ contact, onDelete }) => (
           </div>
           <div>
             <p className="font-bold text-lg text-gray-900">
-              {contact.firstName} {contact.lastName}
+              {lead.firstName} {lead.lastName}
+            </p>
+            <p className="text-sm text-gray-600">
+              {[lead.email, lead.company].filter(Boolean).join(" · ")}
             </p>
-            <p className="text-sm text-gray-600">{contact.email}</p>
           </div>
         </div>
-        <div className="bg-white p-4 rounded-xl border border-gray-200">
-          <p className="text-gray-700 text-sm leading-relaxed">
-            {contact.message}
-          </p>
+        <LeadMeta lead={lead} />
+        <div className="flex flex-wrap items-center gap-2 text-xs mb-3">
+          {(lead.sources || []).map((source) => (
+            <span key={source} className="bg-purple-950 text-white px-2.5 py-1 rounded-full font-semibold">
+              {LEAD_SOURCE_LABELS[source] || source}
+            </span>
+          ))}
+          {lead.submissionCount > 1 && (
+            <span className="text-gray-600 font-semibold">{lead.submissionCount} submissions</span>
+          )}
         </div>
-      </div>
-      <IconButton onClick={onDelete} color="red" icon={<Trash2 size={16} />}>
-        Delete
-      </IconButton>
-    </div>
-  </div>
-);
-
-const TrialCard = ({ trial, onDelete }) => (
-  <div className="border-2 border-gray-200 p-6 rounded-2xl bg-gradient-to-r from-white to-orange-50 hover:shadow-2xl hover:border-orange-300 transition">
-    <div className="flex justify-between items-start gap-4">
-      <div className="flex-1">
-        <div className="flex items-center gap-2 mb-3">
-          <div className="bg-orange-100 p-2 rounded-lg">
-            <UserCheck size={20} className="text-orange-600" />
-          </div>
-          <div>
-            <p className="font-bold text-lg text-gray-900">
-              {trial.firstName} {trial.lastName}
+        {lead.message && (
+          <div className="bg-white p-4 rounded-xl border border-gray-200">
+            <p className="text-gray-700 text-sm leading-relaxed">
+              {lead.message}
             </p>
-            <p className="text-sm text-gray-600">{trial.email}</p>
           </div>
-        </div>
-        <div className="bg-white p-4 rounded-xl border border-gray-200">
-          <p className="text-gray-700 text-sm leading-relaxed">
-            {trial.message}
-          </p>
-        </div>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <IconButton onClick={onOpen} color="blue" icon={<FolderOpen size={16} />}>
+          Open
+        </IconButton>
+        {onDelete && (
+          <IconButton onClick={onDelete} color="red" icon={<Trash2 size={16} />}>
+            Delete
+          </IconButton>
+        )}
       </div>
-      <IconButton onClick={onDelete} color="red" icon={<Trash2 size={16} />}>
-        Delete
-      </IconButton>
     </div>
   </div>
 );
@@ -0,0 +1,101 @@
+"use client";
+
+import { Suspense, useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import PasswordChecklist from "@/components/PasswordChecklist";
+import { passwordProblems } from "@/lib/passwordPolicy";
+
+function ResetPasswordForm() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const router = useRouter();
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      alert("Passwords do not match");
+      return;
+    }
+    if (passwordProblems(password).length > 0) {
+      alert("Please choose a stronger password.");
+      return;
+    }
+
+    setSubmitting(true);
+    const res = await fetch("/api/auth/reset-password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, password }),
+    });
+    setSubmitting(false);
+
+    const data = await res.json();
+    if (res.ok) {
+      alert(data.message || "Password updated. You can now log in.");
+      router.push("/admin/auth");
+    } else {
+      alert(data.error || "Failed to reset password");
+    }
+  };
+
+  if (!token) {
+    return <p className="text-center text-red-400">This reset link is invalid or has expired</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <input
+        type="password"
+        placeholder="New password"
+        required
+        className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+
+      <input
+        type="password"
+        placeholder="Confirm new password"
+        required
+        className="w-full bg-gray-800 border border-gray-700 text-white p-3 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 outline-none placeholder-gray-400 transition"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+      />
+
+      <PasswordChecklist password={password} />
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full bg-gradient-to-r from-zinc-900 to-zinc-300 hover:from-zinc-300 hover:to-zinc-900 text-white py-3 rounded-lg font-semibold transition-transform duration-200 hover:scale-[1.02] disabled:opacity-60"
+      >
+        {submitting ? "Saving..." : "Set New Password"}
+      </button>
+    </form>
+  );
+}
+
+export default function ResetPassword() {
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-800 relative overflow-hidden">
+      <div className="absolute inset-0 overflow-hidden">
+        <div className="absolute -top-32 -left-32 w-[500px] h-[500px] bg-blue-500/10 rounded-full blur-3xl animate-pulse"></div>
+        <div className="absolute bottom-0 right-0 w-[400px] h-[400px] bg-cyan-500/10 rounded-full blur-3xl animate-ping"></div>
+      </div>
+
+      <div className="relative z-10 bg-gray-900/70 backdrop-blur-xl p-8 rounded-2xl shadow-2xl border border-gray-800 w-full max-w-md">
+        <h2 className="text-3xl font-bold text-center mb-6 bg-gradient-to-r from-zinc-700 to-zinc-200 text-transparent bg-clip-text">
+          Choose a New Password
+        </h2>
+        <Suspense fallback={<p className="text-center text-gray-400">Loading...</p>}>
+          <ResetPasswordForm />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
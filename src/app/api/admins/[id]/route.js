@@ -0,0 +1,69 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { requirePermission } from "@/lib/adminSession";
+import { ROLES, roleOf } from "@/lib/permissions";
+import { recordAudit } from "@/lib/audit";
+
+// PATCH → change an admin's role: { role }
+export async function PATCH(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    const { id } = await params;
+    const { role } = await req.json();
+    if (!ROLES.includes(role)) {
+      return NextResponse.json(
+        { success: false, message: `Invalid role. Must be one of: ${ROLES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const admin = await Admin.findById(id);
+    if (!admin) return NextResponse.json({ success: false, message: "Admin not found" }, { status: 404 });
+
+    // Never leave the site without an owner
+    if (roleOf(admin) === "owner" && role !== "owner") {
+      const owners = await Admin.countDocuments({
+        $or: [{ role: "owner" }, { role: { $exists: false } }],
+      });
+      if (owners <= 1) {
+        return NextResponse.json(
+          { success: false, message: "Cannot demote the last owner" },
+          { status: 400 }
+        );
+      }
+    }
+
+    const previousRole = roleOf(admin);
+    admin.role = role;
+    await admin.save();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "admin.role_change",
+      targetType: "Admin",
+      targetId: admin._id,
+      before: { email: admin.email, role: previousRole },
+      after: { email: admin.email, role },
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        admin: {
+          _id: admin._id,
+          email: admin.email,
+          role: admin.role,
+          twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+        },
+      },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error updating admin role:", err);
+    return NextResponse.json({ success: false, message: "Error updating admin" }, { status: 500 });
+  }
+}
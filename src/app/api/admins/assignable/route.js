@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { assignableAdmins } from "@/lib/leads";
+
+// GET → admins a lead can be assigned to
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    await dbConnect();
+    return NextResponse.json({ success: true, admins: await assignableAdmins() }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching assignable admins:", err);
+    return NextResponse.json({ success: false, message: "Error fetching admins" }, { status: 500 });
+  }
+}
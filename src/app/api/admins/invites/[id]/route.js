@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Invitation from "@/models/Invitation";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+
+// DELETE → revoke a pending invitation
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    const { id } = await params;
+    await dbConnect();
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return NextResponse.json(
+        { success: false, message: "Invitation not found or no longer pending" },
+        { status: 404 }
+      );
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: "invite.revoke",
+      targetType: "Invitation",
+      targetId: invitation._id,
+      before: { email: invitation.email, role: invitation.role },
+    });
+
+    return NextResponse.json({ success: true, message: "Invitation revoked" }, { status: 200 });
+  } catch (err) {
+    console.error("Error revoking invitation:", err);
+    return NextResponse.json({ success: false, message: "Error revoking invitation" }, { status: 500 });
+  }
+}
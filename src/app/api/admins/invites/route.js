@@ -0,0 +1,101 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import Invitation from "@/models/Invitation";
+import { requirePermission } from "@/lib/adminSession";
+import { ROLES } from "@/lib/permissions";
+import { createInviteToken, inviteStatusOf, inviteTtlMs } from "@/lib/invitations";
+import { recordAudit } from "@/lib/audit";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function toInviteJson(invitation) {
+  return {
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+    invitedBy: invitation.invitedBy,
+    acceptedAt: invitation.acceptedAt,
+    createdAt: invitation.createdAt,
+    status: inviteStatusOf(invitation),
+  };
+}
+
+// GET → recent invitations with their status (owners only)
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const invitations = await Invitation.find().sort({ createdAt: -1 }).limit(50).lean();
+    return NextResponse.json(
+      { success: true, invitations: invitations.map(toInviteJson) },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching invitations:", err);
+    return NextResponse.json({ success: false, message: "Error fetching invitations" }, { status: 500 });
+  }
+}
+
+// POST → issue a one-time invite link: { email, role }
+export async function POST(req) {
+  try {
+    const { token, error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    const { email, role } = await req.json();
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return NextResponse.json({ success: false, message: "A valid email is required" }, { status: 400 });
+    }
+    if (!ROLES.includes(role)) {
+      return NextResponse.json(
+        { success: false, message: `Invalid role. Must be one of: ${ROLES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    if (await Admin.exists({ email: normalizedEmail })) {
+      return NextResponse.json({ success: false, message: "Admin already exists" }, { status: 400 });
+    }
+
+    // A fresh invite replaces any still-pending one for the same address
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const { token: inviteToken, tokenHash } = createInviteToken();
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      tokenHash,
+      expiresAt: new Date(Date.now() + inviteTtlMs()),
+      invitedBy: { id: token.sub || token.id || null, email: token.email || null },
+    });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "invite.issue",
+      targetType: "Invitation",
+      targetId: invitation._id,
+      after: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt },
+    });
+
+    // The raw token is only ever returned here
+    const origin = process.env.NEXTAUTH_URL || new URL(req.url).origin;
+    const inviteUrl = `${origin}/admin/accept-invite?token=${inviteToken}`;
+
+    return NextResponse.json(
+      { success: true, invitation: toInviteJson(invitation), inviteUrl },
+      { status: 201 }
+    );
+  } catch (err) {
+    console.error("Error creating invitation:", err);
+    return NextResponse.json({ success: false, message: "Error creating invitation" }, { status: 500 });
+  }
+}
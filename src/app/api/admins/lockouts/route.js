@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import LoginAttempt from "@/models/LoginAttempt";
+import LoginThrottle from "@/models/LoginThrottle";
+import { requirePermission } from "@/lib/adminSession";
+import { unlockThrottle } from "@/lib/loginThrottle";
+import { recordAudit } from "@/lib/audit";
+
+// GET → recent failed logins and currently locked accounts/IPs (owners only)
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const [failedLogins, lockouts] = await Promise.all([
+      LoginAttempt.find().sort({ createdAt: -1 }).limit(50).lean(),
+      LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+        .select("key kind failures lastFailureAt lockedUntil")
+        .sort({ lockedUntil: -1 })
+        .lean(),
+    ]);
+
+    return NextResponse.json({ success: true, failedLogins, lockouts }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching lockouts:", err);
+    return NextResponse.json({ success: false, message: "Error fetching lockouts" }, { status: 500 });
+  }
+}
+
+// DELETE ?key=account:someone@example.com → unlock an account or IP
+export async function DELETE(req) {
+  try {
+    const { token, error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    const key = new URL(req.url).searchParams.get("key");
+    if (!key || !/^(account|ip):/.test(key)) {
+      return NextResponse.json({ success: false, message: "A lockout key is required" }, { status: 400 });
+    }
+
+    await dbConnect();
+    if (!(await unlockThrottle(key))) {
+      return NextResponse.json({ success: false, message: "Lockout not found" }, { status: 404 });
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: "auth.unlock",
+      targetType: "LoginThrottle",
+      targetId: key,
+    });
+
+    return NextResponse.json({ success: true, message: "Unlocked" }, { status: 200 });
+  } catch (err) {
+    console.error("Error unlocking:", err);
+    return NextResponse.json({ success: false, message: "Error unlocking" }, { status: 500 });
+  }
+}
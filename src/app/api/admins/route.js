@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { requirePermission } from "@/lib/adminSession";
+import { roleOf } from "@/lib/permissions";
+
+// GET → list admin accounts and their roles (owners only)
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "admins:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const admins = await Admin.find().select("email role twoFactor.enabled").sort({ email: 1 }).lean();
+    return NextResponse.json(
+      {
+        success: true,
+        admins: admins.map(({ twoFactor, ...admin }) => ({
+          ...admin,
+          role: roleOf(admin),
+          twoFactorEnabled: Boolean(twoFactor?.enabled),
+        })),
+      },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching admins:", err);
+    return NextResponse.json({ success: false, message: "Error fetching admins" }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import AuditLog from "@/models/AuditLog";
+import { requirePermission } from "@/lib/adminSession";
+import { parseAuditQuery } from "@/lib/auditQuery";
+import { csvRow } from "@/lib/csv";
+
+const COLUMNS = [
+  ["Timestamp", (entry) => entry.createdAt],
+  ["Actor", (entry) => entry.actor?.email],
+  ["Actor ID", (entry) => entry.actor?.id],
+  ["Action", (entry) => entry.action],
+  ["Entity", (entry) => entry.targetType],
+  ["Entity ID", (entry) => entry.targetId],
+  ["IP", (entry) => entry.ip],
+  ["User Agent", (entry) => entry.userAgent],
+  ["Before", (entry) => entry.before],
+  ["After", (entry) => entry.after],
+];
+
+// GET → the filtered audit log as CSV, streamed so large exports stay cheap
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "audit:read");
+    if (error) return error;
+
+    let filter;
+    try {
+      ({ filter } = parseAuditQuery(new URL(req.url).searchParams));
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+
+    await dbConnect();
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode(csvRow(COLUMNS.map(([header]) => header))));
+      },
+      async pull(controller) {
+        try {
+          const entry = await cursor.next();
+          if (!entry) {
+            controller.close();
+            return;
+          }
+          controller.enqueue(encoder.encode(csvRow(COLUMNS.map(([, value]) => value(entry)))));
+        } catch (err) {
+          console.error("Error streaming audit export:", err);
+          controller.error(err);
+        }
+      },
+      cancel() {
+        cursor.close();
+      },
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (err) {
+    console.error("Error exporting audit log:", err);
+    return NextResponse.json({ success: false, message: "Error exporting audit log" }, { status: 500 });
+  }
+}
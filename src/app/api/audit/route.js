@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import AuditLog from "@/models/AuditLog";
+import { requirePermission } from "@/lib/adminSession";
+import { parseAuditQuery } from "@/lib/auditQuery";
+import { buildPagination } from "@/lib/blogQuery";
+
+// GET → audit entries, newest first, filtered by actor, entity and date (owners only)
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "audit:read");
+    if (error) return error;
+
+    let query;
+    try {
+      query = parseAuditQuery(new URL(req.url).searchParams);
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+    const { filter, page, limit } = query;
+
+    await dbConnect();
+    const [entries, total, entities] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct("targetType"),
+    ]);
+
+    return NextResponse.json(
+      {
+        success: true,
+        entries,
+        entities: entities.sort(),
+        pagination: buildPagination(req.url, { page, limit, total }),
+      },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching audit log:", err);
+    return NextResponse.json({ success: false, message: "Error fetching audit log" }, { status: 500 });
+  }
+}
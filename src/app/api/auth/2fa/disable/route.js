@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcrypt";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { consumeSecondFactor, isTwoFactorRequired } from "@/lib/twoFactor";
+import { recordAudit } from "@/lib/audit";
+
+// POST → turn 2FA off: { password, code }
+export async function POST(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+
+    if (await isTwoFactorRequired()) {
+      return NextResponse.json(
+        { error: "Two-factor authentication is required for all admins" },
+        { status: 400 }
+      );
+    }
+
+    const { password, code } = await req.json();
+    const admin = await Admin.findById(token.id);
+    if (!admin?.twoFactor?.enabled) {
+      return NextResponse.json({ error: "Two-factor authentication is not enabled" }, { status: 400 });
+    }
+    if (!password || !(await bcrypt.compare(password, admin.password))) {
+      return NextResponse.json({ error: "Password is incorrect" }, { status: 400 });
+    }
+    if (!(await consumeSecondFactor(admin, code))) {
+      return NextResponse.json({ error: "Invalid authentication code" }, { status: 400 });
+    }
+
+    await Admin.updateOne(
+      { _id: admin._id },
+      {
+        $set: {
+          "twoFactor.enabled": false,
+          "twoFactor.secret": null,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": [],
+          "twoFactor.lastUsedStep": null,
+        },
+      }
+    );
+
+    await recordAudit(req, {
+      actor: token,
+      action: "2fa.disable",
+      targetType: "Admin",
+      targetId: admin._id,
+    });
+
+    return NextResponse.json({ enabled: false }, { status: 200 });
+  } catch (error) {
+    console.error("2FA Disable Error:", error);
+    return NextResponse.json({ error: "Failed to disable two-factor authentication" }, { status: 500 });
+  }
+}
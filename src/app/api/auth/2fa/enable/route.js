@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { generateRecoveryCodes, verifyEncryptedTotp } from "@/lib/twoFactor";
+import { recordAudit } from "@/lib/audit";
+
+// POST → confirm enrollment with a code from the app: { code }
+// Returns the recovery codes, which are never shown again.
+export async function POST(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+
+    const { code } = await req.json();
+    const admin = await Admin.findById(token.id);
+    if (!admin?.twoFactor?.pendingSecret) {
+      return NextResponse.json({ error: "Start two-factor setup first" }, { status: 400 });
+    }
+
+    const step = verifyEncryptedTotp(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return NextResponse.json({ error: "Invalid authentication code" }, { status: 400 });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = null;
+    admin.twoFactor.recoveryCodes = hashes;
+    admin.twoFactor.lastUsedStep = step;
+    await admin.save();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "2fa.enable",
+      targetType: "Admin",
+      targetId: admin._id,
+    });
+
+    return NextResponse.json({ enabled: true, recoveryCodes: codes }, { status: 200 });
+  } catch (error) {
+    console.error("2FA Enable Error:", error);
+    return NextResponse.json({ error: "Failed to enable two-factor authentication" }, { status: 500 });
+  }
+}
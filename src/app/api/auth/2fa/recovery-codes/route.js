@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { consumeSecondFactor, generateRecoveryCodes } from "@/lib/twoFactor";
+import { recordAudit } from "@/lib/audit";
+
+// POST → replace all recovery codes: { code }
+export async function POST(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+
+    const { code } = await req.json();
+    const admin = await Admin.findById(token.id);
+    if (!admin?.twoFactor?.enabled) {
+      return NextResponse.json({ error: "Two-factor authentication is not enabled" }, { status: 400 });
+    }
+    if (!(await consumeSecondFactor(admin, code))) {
+      return NextResponse.json({ error: "Invalid authentication code" }, { status: 400 });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await Admin.updateOne({ _id: admin._id }, { $set: { "twoFactor.recoveryCodes": hashes } });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "2fa.recovery_codes",
+      targetType: "Admin",
+      targetId: admin._id,
+    });
+
+    return NextResponse.json({ recoveryCodes: codes }, { status: 200 });
+  } catch (error) {
+    console.error("2FA Recovery Codes Error:", error);
+    return NextResponse.json({ error: "Failed to regenerate recovery codes" }, { status: 500 });
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { isTwoFactorRequired } from "@/lib/twoFactor";
+
+// GET → the signed-in admin's 2FA status
+export async function GET(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+
+    const admin = await Admin.findById(token.id).select("twoFactor").lean();
+    return NextResponse.json(
+      {
+        enabled: Boolean(admin?.twoFactor?.enabled),
+        recoveryCodesRemaining: admin?.twoFactor?.recoveryCodes?.length || 0,
+        required: await isTwoFactorRequired(),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error("2FA Status Error:", error);
+    return NextResponse.json({ error: "Failed to load two-factor status" }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import QRCode from "qrcode";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { generateTotpSecret, otpauthUri } from "@/lib/totp";
+import { encryptSecret, TOTP_ISSUER } from "@/lib/twoFactor";
+import { recordAudit } from "@/lib/audit";
+
+// POST → start enrollment: a new secret with its otpauth URI and QR code.
+// Nothing changes for login until the secret is confirmed via /enable.
+export async function POST(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+
+    const admin = await Admin.findById(token.id);
+    if (!admin) return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    if (admin.twoFactor?.enabled) {
+      return NextResponse.json({ error: "Two-factor authentication is already enabled" }, { status: 400 });
+    }
+
+    const secret = generateTotpSecret();
+    admin.twoFactor.pendingSecret = encryptSecret(secret);
+    await admin.save();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "2fa.setup_started",
+      targetType: "Admin",
+      targetId: admin._id,
+    });
+
+    const uri = otpauthUri({ secret, account: admin.email, issuer: TOTP_ISSUER });
+    const qrCode = await QRCode.toDataURL(uri, { margin: 1, width: 220 });
+
+    return NextResponse.json({ secret, otpauthUri: uri, qrCode }, { status: 200 });
+  } catch (error) {
+    console.error("2FA Setup Error:", error);
+    return NextResponse.json({ error: "Failed to start two-factor setup" }, { status: 500 });
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcrypt";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { getAdminToken } from "@/lib/adminSession";
+import { passwordProblems } from "@/lib/passwordPolicy";
+import { recordAudit } from "@/lib/audit";
+
+// POST → change the signed-in admin's password: { currentPassword, newPassword }
+// Every existing session, including this one, is signed out.
+export async function POST(req) {
+  try {
+    const token = await getAdminToken(req);
+    if (!token) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { currentPassword, newPassword } = await req.json();
+    await dbConnect();
+    const admin = await Admin.findById(token.id);
+    if (!admin) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, admin.password))) {
+      return NextResponse.json({ error: "Current password is incorrect" }, { status: 400 });
+    }
+    if (await bcrypt.compare(newPassword || "", admin.password)) {
+      return NextResponse.json(
+        { error: "New password must differ from the current one" },
+        { status: 400 }
+      );
+    }
+
+    const problems = passwordProblems(newPassword, { email: admin.email });
+    if (problems.length > 0) {
+      return NextResponse.json({ error: problems.join(". "), problems }, { status: 400 });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 10);
+    admin.passwordChangedAt = new Date();
+    admin.sessionVersion = (admin.sessionVersion || 0) + 1;
+    await admin.save();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "password.change",
+      targetType: "Admin",
+      targetId: admin._id,
+    });
+
+    return NextResponse.json({ message: "Password changed" }, { status: 200 });
+  } catch (error) {
+    console.error("Change Password Error:", error);
+    return NextResponse.json({ error: "Failed to change password" }, { status: 500 });
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { createResetToken, resetLinkOrigin, resetTtlMs } from "@/lib/passwordReset";
+import { sendPasswordResetEmail } from "@/lib/accountEmails";
+import { clientIp, recordAudit } from "@/lib/audit";
+import { rateLimit } from "@/lib/rateLimit";
+
+// Same answer whether or not the account exists, so emails can't be probed
+const GENERIC_MESSAGE = "If that email belongs to an admin, a reset link is on its way.";
+
+// POST → email a reset link: { email }
+export async function POST(req) {
+  try {
+    const { email } = await req.json();
+    if (!email || typeof email !== "string") {
+      return NextResponse.json({ error: "Email is required" }, { status: 400 });
+    }
+
+    const origin = resetLinkOrigin();
+    if (!origin) {
+      console.error("Forgot Password Error: set NEXTAUTH_URL or NEXT_PUBLIC_BASE_URL to send reset links");
+      return NextResponse.json({ error: "Password reset is not available right now" }, { status: 503 });
+    }
+
+    await dbConnect();
+    const limit = await rateLimit(`forgot-password:${clientIp(req)}`, { limit: 5, windowMs: 60 * 60 * 1000 });
+    if (!limit.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please try again later." },
+        { status: 429, headers: { "Retry-After": String(limit.retryAfter) } }
+      );
+    }
+
+    const admin = await Admin.findOne({ email: email.trim().toLowerCase() });
+    // A quieter per-account limit stops the endpoint being used to flood an inbox
+    const perAccount = admin
+      ? await rateLimit(`forgot-password:${admin._id}`, { limit: 3, windowMs: 60 * 60 * 1000 })
+      : null;
+    if (admin && perAccount.allowed) {
+      const resetUrl = `${origin}/admin/reset-password?token=${createResetToken(admin)}`;
+
+      try {
+        await sendPasswordResetEmail({
+          to: admin.email,
+          resetUrl,
+          expiresInMinutes: Math.round(resetTtlMs() / 60000),
+        });
+      } catch (emailError) {
+        console.error("Password Reset Email Error:", emailError);
+      }
+
+      await recordAudit(req, {
+        actor: { id: admin._id.toString(), email: admin.email },
+        action: "password.reset_request",
+        targetType: "Admin",
+        targetId: admin._id,
+      });
+    }
+
+    return NextResponse.json({ message: GENERIC_MESSAGE }, { status: 200 });
+  } catch (error) {
+    console.error("Forgot Password Error:", error);
+    return NextResponse.json({ error: "Failed to request password reset" }, { status: 500 });
+  }
+}
@@ -0,0 +1,95 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcrypt";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import Invitation from "@/models/Invitation";
+import { findPendingInvitation, hashInviteToken } from "@/lib/invitations";
+import { passwordProblems } from "@/lib/passwordPolicy";
+import { clientIp, recordAudit } from "@/lib/audit";
+import { rateLimit } from "@/lib/rateLimit";
+
+const INVALID_INVITE = "This invitation link is invalid or has expired";
+
+// GET ?token= → the email and role an invite is for, so the page can show them
+export async function GET(req) {
+  try {
+    const token = new URL(req.url).searchParams.get("token");
+    await dbConnect();
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return NextResponse.json({ error: INVALID_INVITE }, { status: 404 });
+    }
+    return NextResponse.json(
+      { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error("Invite Lookup Error:", error);
+    return NextResponse.json({ error: "Failed to check invitation" }, { status: 500 });
+  }
+}
+
+// POST → accept an invite and set a password: { token, password }
+export async function POST(req) {
+  try {
+    const { token, password } = await req.json();
+    await dbConnect();
+
+    const limit = await rateLimit(`accept-invite:${clientIp(req)}`, { limit: 10, windowMs: 60 * 60 * 1000 });
+    if (!limit.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please try again later." },
+        { status: 429, headers: { "Retry-After": String(limit.retryAfter) } }
+      );
+    }
+
+    const pending = await findPendingInvitation(token);
+    if (!pending) {
+      return NextResponse.json({ error: INVALID_INVITE }, { status: 404 });
+    }
+
+    const problems = passwordProblems(password, { email: pending.email });
+    if (problems.length > 0) {
+      return NextResponse.json({ error: problems.join(". "), problems }, { status: 400 });
+    }
+
+    if (await Admin.exists({ email: pending.email })) {
+      return NextResponse.json({ error: "Admin already exists" }, { status: 400 });
+    }
+
+    // Claim the invite atomically so a link can only ever be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashInviteToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return NextResponse.json({ error: INVALID_INVITE }, { status: 404 });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const admin = await Admin.create({
+      email: invitation.email,
+      password: hashedPassword,
+      role: invitation.role,
+    });
+
+    await recordAudit(req, {
+      actor: { id: admin._id.toString(), email: admin.email },
+      action: "invite.accept",
+      targetType: "Invitation",
+      targetId: invitation._id,
+      after: { adminId: admin._id.toString(), email: admin.email, role: admin.role },
+    });
+
+    return NextResponse.json({ message: "Account created. You can now log in." }, { status: 201 });
+  } catch (error) {
+    console.error("Invite Accept Error:", error);
+    return NextResponse.json({ error: "Failed to accept invitation" }, { status: 500 });
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcrypt";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { verifyResetToken } from "@/lib/passwordReset";
+import { passwordProblems } from "@/lib/passwordPolicy";
+import { recordAudit } from "@/lib/audit";
+
+const INVALID_LINK = "This reset link is invalid or has expired";
+
+// POST → set a new password from a reset link: { token, password }
+export async function POST(req) {
+  try {
+    const { token, password } = await req.json();
+    const payload = verifyResetToken(token);
+    if (!payload) {
+      return NextResponse.json({ error: INVALID_LINK }, { status: 400 });
+    }
+
+    await dbConnect();
+    const admin = await Admin.findById(payload.sub);
+    if (!admin) {
+      return NextResponse.json({ error: INVALID_LINK }, { status: 400 });
+    }
+
+    const problems = passwordProblems(password, { email: admin.email });
+    if (problems.length > 0) {
+      return NextResponse.json({ error: problems.join(". "), problems }, { status: 400 });
+    }
+
+    // Matching the version and bumping it in one update makes the link single-use
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const updated = await Admin.findOneAndUpdate(
+      // null also matches accounts created before sessionVersion existed
+      { _id: admin._id, sessionVersion: payload.sv || { $in: [0, null] } },
+      {
+        $set: { password: hashedPassword, passwordChangedAt: new Date() },
+        $inc: { sessionVersion: 1 },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return NextResponse.json({ error: INVALID_LINK }, { status: 400 });
+    }
+
+    await recordAudit(req, {
+      actor: { id: updated._id.toString(), email: updated.email },
+      action: "password.reset",
+      targetType: "Admin",
+      targetId: updated._id,
+    });
+
+    return NextResponse.json({ message: "Password updated. You can now log in." }, { status: 200 });
+  } catch (error) {
+    console.error("Reset Password Error:", error);
+    return NextResponse.json({ error: "Failed to reset password" }, { status: 500 });
+  }
+}
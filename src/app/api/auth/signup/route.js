@@ -2,22 +2,87 @@ import { NextResponse } from "next/server";
 import bcrypt from "bcrypt";
 import dbConnect from "@/lib/dbConnect";
 import Admin from "@/models/Admin";
+import Setting from "@/models/Setting";
+import { passwordProblems } from "@/lib/passwordPolicy";
+import { clientIp, recordAudit } from "@/lib/audit";
+import { rateLimit } from "@/lib/rateLimit";
+
+// Signup is closed: new admins join through invitations. This route only
+// creates the first owner account, while no admin exists yet.
+
+// Claimed (settings keys are unique) before the owner is created, so two
+// simultaneous requests can't both bootstrap an account
+const BOOTSTRAP_KEY = "auth.bootstrapOwner";
+
+const closed = () =>
+  NextResponse.json({ error: "Signup is closed. Ask an owner for an invitation." }, { status: 403 });
+
+// GET → { bootstrapOpen } so the login page knows whether to offer setup
+export async function GET() {
+  try {
+    await dbConnect();
+    const bootstrapOpen = !(await Admin.exists({})) && !(await Setting.exists({ key: BOOTSTRAP_KEY }));
+    return NextResponse.json({ bootstrapOpen }, { status: 200 });
+  } catch (error) {
+    console.error("Signup Status Error:", error);
+    return NextResponse.json({ error: "Failed to check signup status" }, { status: 500 });
+  }
+}
 
 export async function POST(req) {
   try {
     await dbConnect();
-    const { email, password } = await req.json();
 
-    const existing = await Admin.findOne({ email });
-    if (existing) {
-      return NextResponse.json({ error: "Admin already exists" }, { status: 400 });
+    const limit = await rateLimit(`signup:${clientIp(req)}`, { limit: 5, windowMs: 60 * 60 * 1000 });
+    if (!limit.allowed) {
+      return NextResponse.json(
+        { error: "Too many requests. Please try again later." },
+        { status: 429, headers: { "Retry-After": String(limit.retryAfter) } }
+      );
+    }
+
+    if (await Admin.exists({})) return closed();
+
+    const body = await req.json();
+    const email = String(body.email || "").trim().toLowerCase();
+    const { password } = body;
+    if (!email || !password) {
+      return NextResponse.json({ error: "Email and password are required" }, { status: 400 });
+    }
+
+    const problems = passwordProblems(password, { email });
+    if (problems.length > 0) {
+      return NextResponse.json({ error: problems.join(". "), problems }, { status: 400 });
+    }
+
+    try {
+      await Setting.create({ key: BOOTSTRAP_KEY, value: email });
+    } catch (claimError) {
+      if (claimError.code === 11000) return closed();
+      throw claimError;
+    }
+
+    let admin;
+    try {
+      const hashedPassword = await bcrypt.hash(password, 10);
+      admin = await Admin.create({ email, password: hashedPassword, role: "owner" });
+    } catch (createError) {
+      // Reopen setup for another try
+      await Setting.deleteOne({ key: BOOTSTRAP_KEY });
+      throw createError;
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    await Admin.create({ email, password: hashedPassword });
+    await recordAudit(req, {
+      actor: { id: admin._id.toString(), email: admin.email },
+      action: "admin.bootstrap",
+      targetType: "Admin",
+      targetId: admin._id,
+      after: { email: admin.email, role: admin.role },
+    });
 
-    return NextResponse.json({ message: "Signup successful" }, { status: 201 });
+    return NextResponse.json({ message: "Owner account created" }, { status: 201 });
   } catch (error) {
-    return NextResponse.json({ error: error.message }, { status: 500 });
+    console.error("Signup Error:", error);
+    return NextResponse.json({ error: "Signup failed" }, { status: 500 });
   }
 }
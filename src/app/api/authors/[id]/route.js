@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Author from "@/models/Author";
+import Blog from "@/models/Blog";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { parseAuthor } from "@/lib/authors";
+import { findPublicAuthor, isLibraryImage, linkableAdmin, renameAuthorCredits } from "@/lib/blogAuthors";
+import { releaseMediaUsage, syncMediaUsage } from "@/lib/mediaUsage";
+
+function notFound() {
+  return NextResponse.json({ success: false, message: "Author not found" }, { status: 404 });
+}
+
+// The parts of an author worth keeping in the audit log
+function snapshot(author) {
+  return {
+    name: author.name,
+    slug: author.slug,
+    jobTitle: author.jobTitle,
+    bio: author.bio,
+    avatar: author.avatar,
+    socials: author.socials,
+    admin: author.admin ? String(author.admin) : null,
+  };
+}
+
+// GET → an author's public profile, by id or slug
+export async function GET(req, { params }) {
+  try {
+    const { id } = await params;
+    await dbConnect();
+
+    const author = await findPublicAuthor(id);
+    if (!author) return notFound();
+
+    return NextResponse.json({ success: true, author }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching author:", err);
+    return NextResponse.json({ success: false, message: "Error fetching author" }, { status: 500 });
+  }
+}
+
+// PUT → replace an author's profile; posts crediting them pick up a new name
+export async function PUT(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "authors:write");
+    if (error) return error;
+
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+
+    const { author, error: invalid } = parseAuthor(await req.json());
+    if (invalid) return NextResponse.json({ success: false, message: invalid }, { status: 400 });
+
+    await dbConnect();
+    const before = await Author.findById(id).lean();
+    if (!before) return notFound();
+
+    const { adminEmail, ...fields } = author;
+    const { admin, error: linkError } = await linkableAdmin(adminEmail, id);
+    if (linkError) return NextResponse.json({ success: false, message: linkError }, { status: 400 });
+    if (await Author.exists({ slug: fields.slug, _id: { $ne: id } })) {
+      return NextResponse.json({ success: false, message: "Another author already uses that URL" }, { status: 409 });
+    }
+    if (fields.avatar && fields.avatar !== before.avatar && !(await isLibraryImage(fields.avatar))) {
+      return NextResponse.json({ success: false, message: "Pick the avatar from the media library" }, { status: 400 });
+    }
+
+    const updated = await Author.findByIdAndUpdate(id, { $set: { ...fields, admin } }, { new: true })
+      .populate("admin", "email")
+      .lean();
+    if (updated.name !== before.name) await renameAuthorCredits(id, updated.name);
+    await syncMediaUsage("Author", id, updated.name, updated.avatar ? [updated.avatar] : []);
+
+    await recordAudit(req, {
+      actor: token,
+      action: "author.update",
+      targetType: "Author",
+      targetId: id,
+      before: snapshot(before),
+      after: snapshot({ ...fields, admin }),
+    });
+
+    return NextResponse.json({ success: true, author: updated }, { status: 200 });
+  } catch (err) {
+    console.error("Error updating author:", err);
+    return NextResponse.json({ success: false, message: "Error updating author" }, { status: 500 });
+  }
+}
+
+// DELETE → remove an author no post (trashed ones included) is credited to
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "authors:write");
+    if (error) return error;
+
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+
+    await dbConnect();
+    const postCount = await Blog.countDocuments({ author: id });
+    if (postCount > 0) {
+      return NextResponse.json(
+        { success: false, message: `${postCount} post${postCount === 1 ? " is" : "s are"} still credited to this author` },
+        { status: 409 }
+      );
+    }
+
+    const deleted = await Author.findByIdAndDelete(id).lean();
+    if (!deleted) return notFound();
+    await releaseMediaUsage("Author", [id]);
+
+    await recordAudit(req, {
+      actor: token,
+      action: "author.delete",
+      targetType: "Author",
+      targetId: id,
+      before: snapshot(deleted),
+    });
+
+    return NextResponse.json({ success: true, message: "Author deleted" }, { status: 200 });
+  } catch (err) {
+    console.error("Error deleting author:", err);
+    return NextResponse.json({ success: false, message: "Error deleting author" }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Author from "@/models/Author";
+import Blog from "@/models/Blog";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { parseAuthor } from "@/lib/authors";
+import { isLibraryImage, linkableAdmin } from "@/lib/blogAuthors";
+import { syncMediaUsage } from "@/lib/mediaUsage";
+
+function badRequest(message, status = 400) {
+  return NextResponse.json({ success: false, message }, { status });
+}
+
+// GET → every author by name, with the linked account's email and how many posts credit them
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "blogs:read");
+    if (error) return error;
+
+    await dbConnect();
+    const [authors, counts] = await Promise.all([
+      Author.find().sort({ name: 1 }).populate("admin", "email").lean(),
+      Blog.aggregate([{ $match: { author: { $ne: null }, deletedAt: null } }, { $group: { _id: "$author", count: { $sum: 1 } } }]),
+    ]);
+    const postCounts = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    return NextResponse.json(
+      { success: true, authors: authors.map((author) => ({ ...author, postCount: postCounts.get(String(author._id)) || 0 })) },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching authors:", err);
+    return NextResponse.json({ success: false, message: "Error fetching authors" }, { status: 500 });
+  }
+}
+
+// POST → create an author: { name, slug?, jobTitle, bio, avatar, socials, adminEmail }
+export async function POST(req) {
+  try {
+    const { token, error } = await requirePermission(req, "authors:write");
+    if (error) return error;
+
+    const { author, error: invalid } = parseAuthor(await req.json());
+    if (invalid) return badRequest(invalid);
+
+    await dbConnect();
+    const { adminEmail, ...fields } = author;
+    const { admin, error: linkError } = await linkableAdmin(adminEmail);
+    if (linkError) return badRequest(linkError);
+    if (await Author.exists({ slug: fields.slug })) {
+      return badRequest("Another author already uses that URL", 409);
+    }
+    if (fields.avatar && !(await isLibraryImage(fields.avatar))) {
+      return badRequest("Pick the avatar from the media library");
+    }
+
+    const created = await Author.create({ ...fields, admin });
+    await syncMediaUsage("Author", created._id, created.name, fields.avatar ? [fields.avatar] : []);
+
+    await recordAudit(req, {
+      actor: token,
+      action: "author.create",
+      targetType: "Author",
+      targetId: created._id,
+      after: { ...fields, adminEmail },
+    });
+
+    return NextResponse.json({ success: true, author: created }, { status: 201 });
+  } catch (err) {
+    console.error("Error creating author:", err);
+    return NextResponse.json({ success: false, message: "Error creating author" }, { status: 500 });
+  }
+}
@@ -0,0 +1,101 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Blog from "@/models/Blog";
+import BlogRevision, { REVISION_FIELDS } from "@/models/BlogRevision";
+import { requirePermission } from "@/lib/adminSession";
+import { can, roleOf } from "@/lib/permissions";
+import { recordAudit } from "@/lib/audit";
+import { authorCredit } from "@/lib/blogAuthors";
+import { NOT_TRASHED } from "@/lib/trash";
+
+// ✅ POST restore: copies an older revision back onto the blog and records
+// the result as a new revision, leaving history untouched.
+export async function POST(req, { params }) {
+  try {
+    const { blogId, revision } = await params;
+    const { token, error } = await requirePermission(req, "blogs:write");
+    if (error) return error;
+    await dbConnect();
+
+    // Trashed posts have to be restored from the trash first
+    const before = await Blog.findOne({ _id: blogId, ...NOT_TRASHED });
+    if (!before)
+      return NextResponse.json({ success: false, message: "Blog not found" }, { status: 404 });
+
+    const source = await BlogRevision.findOne({ blog: blogId, number: Number(revision) });
+    if (!source)
+      return NextResponse.json({ success: false, message: "Revision not found" }, { status: 404 });
+
+    const restored = {};
+    for (const field of REVISION_FIELDS) {
+      if (source.snapshot[field] !== undefined) restored[field] = source.snapshot[field];
+    }
+    // Credit the author under their current name, or keep the post's
+    // current credit if they have been deleted since
+    if (restored.author) {
+      const credit = await authorCredit(restored.author);
+      if (credit) {
+        restored.writtenby = credit.writtenby;
+      } else {
+        delete restored.author;
+        delete restored.writtenby;
+      }
+    }
+    // Without publish rights, restore content only and keep the current status
+    if (!can(roleOf(token), "blogs:publish")) {
+      delete restored.status;
+      delete restored.publishAt;
+      delete restored.date;
+    }
+    // A schedule whose time has passed would publish the post on restore;
+    // bring it back as a draft to be rescheduled instead
+    if (restored.status === "scheduled" && (!restored.publishAt || new Date(restored.publishAt) <= new Date())) {
+      restored.status = "draft";
+      restored.publishAt = null;
+    }
+
+    // Slugs are unique across the trash too
+    if (
+      restored.slug &&
+      restored.slug !== before.slug &&
+      (await Blog.exists({ slug: restored.slug, _id: { $ne: before._id } }))
+    ) {
+      return NextResponse.json(
+        { success: false, message: "Another post now uses this revision's URL" },
+        { status: 409 }
+      );
+    }
+
+    // Snapshots hold null for fields the post didn't have then; clear them
+    // rather than storing nulls
+    const update = { $set: {}, $unset: {} };
+    for (const [field, value] of Object.entries(restored)) {
+      if (value === null) update.$unset[field] = "";
+      else update.$set[field] = value;
+    }
+    const blog = await Blog.findByIdAndUpdate(blogId, update, { new: true });
+
+    const newRevision = await BlogRevision.record(blog, {
+      action: "restore",
+      author: token,
+      restoredFrom: source.number,
+    });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "blog.restore",
+      targetType: "Blog",
+      targetId: blogId,
+      before,
+      after: blog,
+    });
+
+    return NextResponse.json({ success: true, blog, revision: newRevision }, { status: 200 });
+  } catch (error) {
+    console.error("Restore Revision Error:", error);
+    return NextResponse.json(
+      { success: false, message: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import BlogRevision from "@/models/BlogRevision";
+import { requirePermission } from "@/lib/adminSession";
+
+// ✅ GET a single revision with its full snapshot
+export async function GET(req, { params }) {
+  try {
+    const { blogId, revision } = await params;
+    const { error } = await requirePermission(req, "blogs:read");
+    if (error) return error;
+    await dbConnect();
+
+    const found = await BlogRevision.findOne({ blog: blogId, number: Number(revision) });
+    if (!found)
+      return NextResponse.json({ success: false, message: "Revision not found" }, { status: 404 });
+
+    return NextResponse.json({ success: true, revision: found }, { status: 200 });
+  } catch (error) {
+    console.error("GET Revision Error:", error);
+    return NextResponse.json(
+      { success: false, message: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import BlogRevision, { REVISION_FIELDS } from "@/models/BlogRevision";
+import { requirePermission } from "@/lib/adminSession";
+import { htmlToText } from "@/lib/htmlText";
+import { diffTokens, tokenizeHtml, tokenizeText } from "@/lib/textDiff";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// ✅ GET /api/blogs/:blogId/revisions/diff?from=1&to=3&mode=text|html
+export async function GET(req, { params }) {
+  try {
+    const { blogId } = await params;
+    const { error } = await requirePermission(req, "blogs:read");
+    if (error) return error;
+
+    const { searchParams } = new URL(req.url);
+    const from = Number(searchParams.get("from"));
+    const to = Number(searchParams.get("to"));
+    const mode = searchParams.get("mode") === "html" ? "html" : "text";
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return NextResponse.json(
+        { success: false, message: "Both from and to revision numbers are required" },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const [before, after] = await Promise.all([
+      BlogRevision.findOne({ blog: blogId, number: from }),
+      BlogRevision.findOne({ blog: blogId, number: to }),
+    ]);
+    if (!before || !after)
+      return NextResponse.json({ success: false, message: "Revision not found" }, { status: 404 });
+
+    const fields = REVISION_FIELDS.filter((field) => field !== "content").map((field) => {
+      const oldValue = formatValue(before.snapshot[field]);
+      const newValue = formatValue(after.snapshot[field]);
+      return { field, before: oldValue, after: newValue, changed: oldValue !== newValue };
+    });
+
+    const content =
+      mode === "html"
+        ? diffTokens(tokenizeHtml(before.snapshot.content), tokenizeHtml(after.snapshot.content))
+        : diffTokens(
+            tokenizeText(htmlToText(before.snapshot.content)),
+            tokenizeText(htmlToText(after.snapshot.content))
+          );
+
+    return NextResponse.json({ success: true, from, to, mode, fields, content }, { status: 200 });
+  } catch (error) {
+    console.error("Diff Revisions Error:", error);
+    return NextResponse.json(
+      { success: false, message: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
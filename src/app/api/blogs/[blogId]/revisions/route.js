@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import BlogRevision from "@/models/BlogRevision";
+import { requirePermission } from "@/lib/adminSession";
+
+// ✅ GET revision list for a blog (newest first, without content)
+export async function GET(req, { params }) {
+  try {
+    const { blogId } = await params;
+    const { error } = await requirePermission(req, "blogs:read");
+    if (error) return error;
+    await dbConnect();
+
+    const revisions = await BlogRevision.find({ blog: blogId })
+      .sort({ number: -1 })
+      .select("number action restoredFrom author createdAt snapshot.title snapshot.status");
+
+    return NextResponse.json({ success: true, revisions }, { status: 200 });
+  } catch (error) {
+    console.error("GET Revisions Error:", error);
+    return NextResponse.json(
+      { success: false, message: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
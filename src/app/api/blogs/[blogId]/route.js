@@ -1,7 +1,39 @@
 import { NextResponse } from "next/server";
 import dbConnect from "@/lib/dbConnect";
 import Blog from "@/models/Blog";
+import BlogRevision from "@/models/BlogRevision";
 import mongoose from "mongoose";
+import slugify from "slugify";
+import { getAdminToken, requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { NOT_TRASHED, moveToTrash } from "@/lib/trash";
+import { can, roleOf } from "@/lib/permissions";
+import { blogStatusOf, isBlogPublic, resolvePublishState } from "@/lib/blogStatus";
+import { withImageMedia } from "@/lib/media";
+import { parseBlogMeta } from "@/lib/blogMeta";
+import { PUBLIC_AUTHOR_FIELDS, authorCredit } from "@/lib/blogAuthors";
+
+// Body fields an edit may set directly; SEO fields, the author and the
+// publish state go through their own parsing below
+const EDITABLE_FIELDS = ["title", "content", "image", "category"];
+
+// Applies a status change from the request body, keeping the original
+// publish time when an already-live post is saved again.
+function publishUpdate(existing, body) {
+  if (!body.status) return {};
+
+  const sameStatus = blogStatusOf(existing) === body.status;
+  if (sameStatus && body.status === "published") return {};
+  if (
+    sameStatus &&
+    body.status === "scheduled" &&
+    (!body.publishAt || new Date(body.publishAt).getTime() === new Date(existing.publishAt).getTime())
+  ) {
+    return {};
+  }
+
+  return resolvePublishState(body);
+}
 
 // ✅ GET a single blog by ID or slug
 export async function GET(req, { params }) {
@@ -12,20 +44,23 @@ export async function GET(req, { params }) {
     let blog;
     if (mongoose.Types.ObjectId.isValid(blogId)) {
       blog = await Blog.findOne({
-        $or: [{ _id: blogId }, { slug: blogId }],
-      });
+        $or: [{ _id: blogId }, { slug: blogId, deletedAt: null }],
+      }).populate("author", PUBLIC_AUTHOR_FIELDS);
     } else {
-      blog = await Blog.findOne({ slug: blogId });
+      // Trashed posts are only reachable by ID
+      blog = await Blog.findOne({ slug: blogId, deletedAt: null }).populate("author", PUBLIC_AUTHOR_FIELDS);
     }
 
-    if (!blog) {
+    // Drafts and not-yet-due scheduled posts are only visible to admins
+    if (!blog || (!isBlogPublic(blog) && !can(roleOf(await getAdminToken(req)), "blogs:read"))) {
       return NextResponse.json(
         { success: false, message: "Blog not found" },
         { status: 404 }
       );
     }
 
-    return NextResponse.json({ success: true, blog }, { status: 200 });
+    const [withImage] = await withImageMedia([blog]);
+    return NextResponse.json({ success: true, blog: withImage }, { status: 200 });
   } catch (error) {
     console.error("GET Blog Error:", error);
     return NextResponse.json(
@@ -38,14 +73,83 @@ export async function GET(req, { params }) {
 // ✅ UPDATE blog by ID
 export async function PUT(req, { params }) {
   try {
+    const { token, error } = await requirePermission(req, "blogs:write");
+    if (error) return error;
+
     const { blogId } = await params; // ← MUST AWAIT
     const body = await req.json();
     await dbConnect();
 
-    const updatedBlog = await Blog.findByIdAndUpdate(blogId, body, { new: true });
-    if (!updatedBlog)
+    const existing = await Blog.findOne({ _id: blogId, ...NOT_TRASHED });
+    if (!existing)
       return NextResponse.json({ success: false, message: "Blog not found" }, { status: 404 });
 
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (!body[field]) {
+        return NextResponse.json({ success: false, message: "All fields are required" }, { status: 400 });
+      }
+      fields[field] = body[field];
+    }
+
+    // Slugged the same way as on create
+    if (body.slug !== undefined) {
+      const slug = slugify(String(body.slug), { lower: true, strict: true });
+      if (!slug) {
+        return NextResponse.json({ success: false, message: "The post needs a URL slug" }, { status: 400 });
+      }
+      // Slugs are unique across the trash too
+      const taken = slug !== existing.slug && (await Blog.findOne({ slug }).select("deletedAt").lean());
+      if (taken) {
+        const message = taken.deletedAt
+          ? "A post in the trash has the same title. Restore or permanently delete it first"
+          : "Another post already has this title";
+        return NextResponse.json({ success: false, message }, { status: 409 });
+      }
+      fields.slug = slug;
+    }
+
+    const { status, publishAt } = body;
+    const { meta, error: metaError } = parseBlogMeta(body);
+    if (metaError) {
+      return NextResponse.json({ success: false, message: metaError }, { status: 400 });
+    }
+
+    // The credited name always comes from the author record
+    let credit = {};
+    if (body.author !== undefined) {
+      credit = await authorCredit(body.author);
+      if (!credit) {
+        return NextResponse.json({ success: false, message: "Pick an existing author" }, { status: 400 });
+      }
+    }
+    if (status && status !== blogStatusOf(existing) && !can(roleOf(token), "blogs:publish")) {
+      return NextResponse.json({ success: false, message: "Forbidden" }, { status: 403 });
+    }
+    let publishState;
+    try {
+      publishState = publishUpdate(existing, { status, publishAt });
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+
+    await BlogRevision.recordBaseline(existing);
+    const updatedBlog = await Blog.findByIdAndUpdate(
+      blogId,
+      { ...fields, ...credit, ...meta, ...publishState },
+      { new: true }
+    );
+    await BlogRevision.record(updatedBlog, { action: "update", author: token });
+    await recordAudit(req, {
+      actor: token,
+      action: "blog.update",
+      targetType: "Blog",
+      targetId: blogId,
+      before: existing,
+      after: updatedBlog,
+    });
+
     return NextResponse.json({ success: true, blog: updatedBlog }, { status: 200 });
   } catch (error) {
     console.error("PUT Blog Error:", error);
@@ -56,17 +160,79 @@ export async function PUT(req, { params }) {
   }
 }
 
-// ✅ DELETE blog by ID
+// ✅ PATCH blog status: { action: "publish" | "unpublish" | "schedule", publishAt? }
+export async function PATCH(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "blogs:publish");
+    if (error) return error;
+
+    const { blogId } = await params;
+    const { action, publishAt } = await req.json();
+    await dbConnect();
+
+    const statusByAction = { publish: "published", unpublish: "draft", schedule: "scheduled" };
+    const status = statusByAction[action];
+    if (!status) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid action. Must be "publish", "unpublish" or "schedule"' },
+        { status: 400 }
+      );
+    }
+
+    let publishState;
+    try {
+      publishState = resolvePublishState({ status, publishAt });
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+
+    const existing = await Blog.findOne({ _id: blogId, ...NOT_TRASHED });
+    if (!existing)
+      return NextResponse.json({ success: false, message: "Blog not found" }, { status: 404 });
+
+    const updatedBlog = await Blog.findByIdAndUpdate(blogId, publishState, { new: true });
+    await BlogRevision.record(updatedBlog, { action: "status", author: token });
+    await recordAudit(req, {
+      actor: token,
+      action: `blog.${action}`,
+      targetType: "Blog",
+      targetId: blogId,
+      before: { status: blogStatusOf(existing), publishAt: existing.publishAt },
+      after: { status: updatedBlog.status, publishAt: updatedBlog.publishAt },
+    });
+
+    return NextResponse.json({ success: true, blog: updatedBlog }, { status: 200 });
+  } catch (error) {
+    console.error("PATCH Blog Error:", error);
+    return NextResponse.json(
+      { success: false, message: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+// ✅ DELETE blog by ID (moves it to the trash; see /api/trash)
 export async function DELETE(req, { params }) {
   try {
+    const { token, error } = await requirePermission(req, "blogs:delete");
+    if (error) return error;
+
     const { blogId } = await params; // ← MUST AWAIT
     await dbConnect();
 
-    const deletedBlog = await Blog.findByIdAndDelete(blogId);
-    if (!deletedBlog)
+    const trashedBlog = await moveToTrash(Blog, blogId, token);
+    if (!trashedBlog)
       return NextResponse.json({ success: false, message: "Blog not found" }, { status: 404 });
 
-    return NextResponse.json({ success: true, message: "Blog deleted" }, { status: 200 });
+    await recordAudit(req, {
+      actor: token,
+      action: "blog.trash",
+      targetType: "Blog",
+      targetId: blogId,
+      after: { deletedAt: trashedBlog.deletedAt },
+    });
+
+    return NextResponse.json({ success: true, message: "Blog moved to trash" }, { status: 200 });
   } catch (error) {
     console.error("DELETE Blog Error:", error);
     return NextResponse.json(
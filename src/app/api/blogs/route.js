@@ -1,14 +1,70 @@
 import { NextResponse } from "next/server";
 import dbConnect from "@/lib/dbConnect";
 import Blog from "@/models/Blog";
+import BlogRevision from "@/models/BlogRevision";
+import { recordAudit } from "@/lib/audit";
 import slugify from "slugify";
+import { getAdminToken, requirePermission } from "@/lib/adminSession";
+import { can, roleOf } from "@/lib/permissions";
+import { BLOG_STATUSES, publishedBlogFilter, resolvePublishState } from "@/lib/blogStatus";
+import { buildPagination, parseBlogListQuery } from "@/lib/blogQuery";
+import { withImageMedia } from "@/lib/media";
+import { parseBlogMeta } from "@/lib/blogMeta";
+import { authorCredit } from "@/lib/blogAuthors";
 
-// Connect to database before handling request
-export async function GET() {
+// Admin filter for one status; legacy posts without one count as published
+const statusFilter = (status) =>
+  status === "published" ? { $or: [{ status: "published" }, { status: null }] } : { status };
+
+// Public callers only see published posts; signed-in admins can pass
+// ?scope=admin (optionally with ?status=draft|scheduled|published) to see all
+// posts outside the trash, along with statusCounts for the other filters.
+// Supports page/limit, sort, category, author (name), authorId, from/to, q and fields — see lib/blogQuery.js.
+export async function GET(req) {
   try {
     await dbConnect();
-    const blogs = await Blog.find().sort({ createdAt: -1 });
-    return NextResponse.json({ success: true, blogs });
+    const { searchParams } = new URL(req.url);
+
+    let query;
+    try {
+      query = parseBlogListQuery(searchParams);
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+
+    let visibility = publishedBlogFilter();
+    const token = searchParams.get("scope") === "admin" ? await getAdminToken(req) : null;
+    const adminScope = Boolean(token && can(roleOf(token), "blogs:read"));
+    if (adminScope) {
+      const status = searchParams.get("status");
+      visibility = status ? statusFilter(status) : {};
+    }
+
+    const filter = { $and: [{ deletedAt: null }, visibility, ...query.conditions] };
+    const { page, limit } = query;
+
+    const [blogs, total, statusCounts] = await Promise.all([
+      Blog.find(filter, query.projection)
+        .sort(query.sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Blog.countDocuments(filter),
+      adminScope &&
+        Promise.all(
+          BLOG_STATUSES.map((status) =>
+            Blog.countDocuments({ $and: [{ deletedAt: null }, statusFilter(status), ...query.conditions] })
+          )
+        ),
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      blogs: await withImageMedia(blogs),
+      pagination: buildPagination(req.url, { page, limit, total }),
+      ...(statusCounts && {
+        statusCounts: Object.fromEntries(BLOG_STATUSES.map((status, i) => [status, statusCounts[i]])),
+      }),
+    });
   } catch (error) {
     console.error("GET Error:", error);
     return NextResponse.json({ success: false, message: "Error fetching blogs" }, { status: 500 });
@@ -17,19 +73,53 @@ export async function GET() {
 
 export async function POST(req) {
   try {
+    const { token, error } = await requirePermission(req, "blogs:write");
+    if (error) return error;
+
     await dbConnect();
     const body = await req.json();
 
-    const { title, content, image, category, writtenby } = body;
-    if (!title || !content || !image || !category || !writtenby) {
+    const { title, content, image, category } = body;
+    if (!title || !content || !image || !category || !body.author) {
       return NextResponse.json({ success: false, message: "All fields are required" }, { status: 400 });
     }
+    const credit = await authorCredit(body.author);
+    if (!credit) {
+      return NextResponse.json({ success: false, message: "Pick an existing author" }, { status: 400 });
+    }
+
+    const { meta, error: metaError } = parseBlogMeta(body);
+    if (metaError) {
+      return NextResponse.json({ success: false, message: metaError }, { status: 400 });
+    }
+
+    // Editors without publish rights can only save drafts
+    if (body.status && body.status !== "draft" && !can(roleOf(token), "blogs:publish")) {
+      return NextResponse.json({ success: false, message: "Forbidden" }, { status: 403 });
+    }
+
+    let publishState;
+    try {
+      publishState = resolvePublishState(body);
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
 
     // Generate slug from title
     const slug = slugify(title, { lower: true, strict: true });
+    // Slugs are unique across the trash too
+    const taken = await Blog.findOne({ slug }).select("deletedAt").lean();
+    if (taken) {
+      const message = taken.deletedAt
+        ? "A post in the trash has the same title. Restore or permanently delete it first"
+        : "Another post already has this title";
+      return NextResponse.json({ success: false, message }, { status: 409 });
+    }
 
     // Create new blog entry
-    const blog = await Blog.create({ title, slug, content, image, category, writtenby });
+    const blog = await Blog.create({ title, slug, content, image, category, ...credit, ...meta, ...publishState });
+    await BlogRevision.record(blog, { action: "create", author: token });
+    await recordAudit(req, { actor: token, action: "blog.create", targetType: "Blog", targetId: blog._id, after: blog });
 
     return NextResponse.json({ success: true, blog });
   } catch (error) {
@@ -0,0 +1,79 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Blog from "@/models/Blog";
+import { publishedBlogFilter } from "@/lib/blogStatus";
+import { buildPagination } from "@/lib/blogQuery";
+import { buildSnippet, highlight, parseSearchTerms } from "@/lib/blogSearch";
+import { escapeRegex } from "@/lib/escape";
+import { withImageMedia } from "@/lib/media";
+
+const MAX_RESULTS = 50;
+const RESULT_FIELDS = "title slug image imageAlt category writtenby date tags readingTime plainText";
+
+// GET /api/blogs/search?q=&category=&page=&limit=
+// Full-text search over published posts, ranked by Mongo text score.
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const q = (searchParams.get("q") || "").trim();
+    const category = (searchParams.get("category") || "").trim();
+    const page = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+    const limit = Math.min(MAX_RESULTS, Math.max(1, parseInt(searchParams.get("limit"), 10) || 12));
+
+    if (!q) {
+      return NextResponse.json({ success: false, message: "Search query is required" }, { status: 400 });
+    }
+    if (q.length > 200) {
+      return NextResponse.json({ success: false, message: "Search query is too long" }, { status: 400 });
+    }
+
+    await dbConnect();
+
+    const terms = parseSearchTerms(q);
+    const filter = { $text: { $search: q }, ...publishedBlogFilter() };
+    if (category) filter.category = new RegExp(`^${escapeRegex(category)}$`, "i");
+
+    const [docs, total] = await Promise.all([
+      Blog.find(filter, { score: { $meta: "textScore" } })
+        .select(RESULT_FIELDS)
+        .sort({ score: { $meta: "textScore" }, date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Blog.countDocuments(filter),
+    ]);
+
+    const results = (await withImageMedia(docs)).map(({ plainText, score, ...blog }) => ({
+      ...blog,
+      score,
+      highlightedTitle: highlight(blog.title, terms),
+      snippet: buildSnippet(plainText, terms),
+    }));
+
+    // When nothing matches, offer titles that share a word prefix with the query
+    let suggestions = [];
+    if (total === 0 && terms.length > 0) {
+      const prefixes = terms.map((term) => escapeRegex(term.slice(0, 4)));
+      const pattern = new RegExp(`\\b(${prefixes.join("|")})`, "i");
+      const similar = await Blog.find({
+        $and: [publishedBlogFilter(), { $or: [{ title: pattern }, { category: pattern }, { tags: pattern }] }],
+      })
+        .select("title slug")
+        .sort({ date: -1 })
+        .limit(3)
+        .lean();
+      suggestions = similar.map(({ title, slug }) => ({ title, slug }));
+    }
+
+    return NextResponse.json({
+      success: true,
+      query: q,
+      results,
+      suggestions,
+      pagination: buildPagination(req.url, { page, limit, total }),
+    });
+  } catch (error) {
+    console.error("Search Error:", error);
+    return NextResponse.json({ success: false, message: "Error searching blogs" }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { purgeExpiredTrash } from "@/lib/trash";
+import { recordAudit } from "@/lib/audit";
+
+// GET → purge trash older than the retention period. Meant for a scheduler
+// (e.g. Vercel Cron) calling with "Authorization: Bearer $CRON_SECRET".
+export async function GET(req) {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.get("authorization") !== `Bearer ${secret}`) {
+      return NextResponse.json({ success: false, message: "Unauthorized" }, { status: 401 });
+    }
+
+    await dbConnect();
+    const purged = await purgeExpiredTrash();
+
+    if (Object.values(purged).some((count) => count > 0)) {
+      await recordAudit(req, {
+        actor: null,
+        action: "trash.purge",
+        targetType: "Trash",
+        after: purged,
+      });
+    }
+
+    return NextResponse.json({ success: true, purged }, { status: 200 });
+  } catch (err) {
+    console.error("Error purging trash:", err);
+    return NextResponse.json({ success: false, message: "Error purging trash" }, { status: 500 });
+  }
+}
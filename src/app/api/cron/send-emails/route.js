@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { deliverOutbox } from "@/lib/outbox";
+
+// GET → send queued emails that are due, including retries. Meant for a
+// scheduler (e.g. Vercel Cron, every few minutes) calling with
+// "Authorization: Bearer $CRON_SECRET".
+export async function GET(req) {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.get("authorization") !== `Bearer ${secret}`) {
+      return NextResponse.json({ success: false, message: "Unauthorized" }, { status: 401 });
+    }
+
+    await dbConnect();
+    const delivered = await deliverOutbox();
+
+    return NextResponse.json({ success: true, delivered }, { status: 200 });
+  } catch (err) {
+    console.error("Error sending queued emails:", err);
+    return NextResponse.json({ success: false, message: "Error sending queued emails" }, { status: 500 });
+  }
+}
@@ -0,0 +1,93 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import EmailTemplate from "@/models/EmailTemplate";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { isValidTemplateKey } from "@/lib/emailTemplate";
+import { DEFAULT_EMAIL_TEMPLATES } from "@/lib/emailTemplateDefaults";
+import { parseTemplateDraft } from "@/lib/emailTemplates";
+
+function invalidKey() {
+  return NextResponse.json(
+    { success: false, message: 'Invalid key. Use lowercase words joined by dots, e.g. "contact_form.user"' },
+    { status: 400 }
+  );
+}
+
+// PUT → save a template, layout or partial: { subject, layout, html, description, sample }.
+// Built-in keys are overridden; other keys create a new template.
+export async function PUT(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    const { key } = await params;
+    if (!isValidTemplateKey(key)) return invalidKey();
+
+    await dbConnect();
+    const { draft, error: invalid } = await parseTemplateDraft(key, await req.json());
+    if (invalid) return NextResponse.json({ success: false, message: invalid }, { status: 400 });
+
+    // What was in use before: the saved version, else the built-in
+    const before = (await EmailTemplate.findOne({ key }).lean()) || DEFAULT_EMAIL_TEMPLATES[key] || null;
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          description: draft.description,
+          subject: draft.subject,
+          layout: draft.layout,
+          html: draft.html,
+          sample: draft.sample,
+          updatedBy: { id: token.id || token.sub || null, email: token.email || null },
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "email_template.update",
+      targetType: "EmailTemplate",
+      targetId: key,
+      before: before && { subject: before.subject || "", html: before.html },
+      after: { subject: template.subject, html: template.html },
+    });
+
+    return NextResponse.json({ success: true, template }, { status: 200 });
+  } catch (err) {
+    console.error("Error saving email template:", err);
+    return NextResponse.json({ success: false, message: "Error saving email template" }, { status: 500 });
+  }
+}
+
+// DELETE → drop the panel's version: built-ins go back to their defaults,
+// templates created in the panel are removed
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    const { key } = await params;
+    if (!isValidTemplateKey(key)) return invalidKey();
+
+    await dbConnect();
+    const deleted = await EmailTemplate.findOneAndDelete({ key }).lean();
+    if (!deleted) {
+      return NextResponse.json({ success: false, message: "No saved version of this template" }, { status: 404 });
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: DEFAULT_EMAIL_TEMPLATES[key] ? "email_template.reset" : "email_template.delete",
+      targetType: "EmailTemplate",
+      targetId: key,
+      before: { subject: deleted.subject, html: deleted.html },
+    });
+
+    return NextResponse.json({ success: true, message: "Template reset" }, { status: 200 });
+  } catch (err) {
+    console.error("Error resetting email template:", err);
+    return NextResponse.json({ success: false, message: "Error resetting email template" }, { status: 500 });
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { loadEmailTemplates, templateGlobals } from "@/lib/emailTemplates";
+
+// GET → every template, layout and partial, with the global variables the
+// panel needs to preview them
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const [templates, globals] = await Promise.all([loadEmailTemplates(), templateGlobals()]);
+
+    return NextResponse.json({ success: true, templates: Object.values(templates), globals }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching email templates:", err);
+    return NextResponse.json({ success: false, message: "Error fetching email templates" }, { status: 500 });
+  }
+}
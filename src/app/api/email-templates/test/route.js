@@ -0,0 +1,62 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { isValidTemplateKey, renderEmailTemplate, templateKind } from "@/lib/emailTemplate";
+import { parseTemplateDraft, templateGlobals } from "@/lib/emailTemplates";
+import { sendEmail } from "@/lib/sendFormEmail";
+import { recordAudit } from "@/lib/audit";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// POST → send a template, as drafted in the panel, with its sample data:
+// { key, subject, layout, html, sample, to? }. Goes to the signed-in admin
+// unless `to` is given, straight through the transports rather than the outbox.
+export async function POST(req) {
+  try {
+    const { token, error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    const { key, to, ...body } = await req.json();
+    if (!isValidTemplateKey(key) || templateKind(key) !== "template") {
+      return NextResponse.json({ success: false, message: "Pick a template to test" }, { status: 400 });
+    }
+    const recipient = to || token.email;
+    if (!EMAIL_PATTERN.test(recipient || "")) {
+      return NextResponse.json({ success: false, message: "Invalid recipient" }, { status: 400 });
+    }
+    const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+    if (!ADMIN_EMAIL) {
+      return NextResponse.json({ success: false, message: "ADMIN_EMAIL is not configured" }, { status: 500 });
+    }
+
+    await dbConnect();
+    const { draft, templates, error: invalid } = await parseTemplateDraft(key, body);
+    if (invalid) return NextResponse.json({ success: false, message: invalid }, { status: 400 });
+
+    const globals = await templateGlobals();
+    const email = renderEmailTemplate(templates, key, { ...globals, ...draft.sample });
+    await sendEmail({
+      to: [recipient],
+      subject: `[Test] ${email.subject}`,
+      html: email.html,
+      text: email.text,
+      fromEmail: ADMIN_EMAIL,
+      fromName: globals.brand.companyName,
+      replyTo: ADMIN_EMAIL,
+    });
+
+    // Tests can go to any address, so keep track of where they went
+    await recordAudit(req, {
+      actor: token,
+      action: "email_template.test",
+      targetType: "EmailTemplate",
+      targetId: key,
+      after: { to: recipient, subject: email.subject },
+    });
+
+    return NextResponse.json({ success: true, message: `Test email sent to ${recipient}` }, { status: 200 });
+  } catch (err) {
+    console.error("Error sending test email:", err);
+    return NextResponse.json({ success: false, message: "Error sending test email" }, { status: 500 });
+  }
+}
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { resendEmail } from "@/lib/outbox";
+
+// POST → queue a failed email again
+export async function POST(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    const email = mongoose.isValidObjectId(id) ? await resendEmail(id) : null;
+    if (!email) {
+      return NextResponse.json({ success: false, message: "Failed email not found" }, { status: 404 });
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: "email.resend",
+      targetType: "OutboxEmail",
+      targetId: id,
+      after: { kind: email.kind, to: email.message.to, subject: email.message.subject },
+    });
+
+    return NextResponse.json({ success: true, message: "Email queued again" }, { status: 200 });
+  } catch (err) {
+    console.error("Error resending email:", err);
+    return NextResponse.json({ success: false, message: "Error resending email" }, { status: 500 });
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import OutboxEmail from "@/models/OutboxEmail";
+import { requirePermission } from "@/lib/adminSession";
+
+const STATUSES = ["failed", "pending", "sending", "sent"];
+
+// GET → outbox emails with one status (?status=, default failed), most
+// recently touched first, plus a count per status
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "emails:manage");
+    if (error) return error;
+
+    const status = new URL(req.url).searchParams.get("status") || "failed";
+    if (!STATUSES.includes(status)) {
+      return NextResponse.json(
+        { success: false, message: `Invalid status. Must be one of: ${STATUSES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const emails = await OutboxEmail.find({ status })
+      .select("-message.html")
+      .sort({ updatedAt: -1 })
+      .limit(200)
+      .lean();
+    const grouped = await OutboxEmail.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+    const counts = Object.fromEntries(STATUSES.map((name) => [name, 0]));
+    for (const group of grouped) counts[group._id] = group.count;
+
+    return NextResponse.json({ success: true, emails, counts }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching emails:", err);
+    return NextResponse.json({ success: false, message: "Error fetching emails" }, { status: 500 });
+  }
+}
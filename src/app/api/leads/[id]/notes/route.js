@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { addLeadNote } from "@/lib/leads";
+
+// POST → add an internal note to the lead: { body }
+export async function POST(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { id } = await params;
+    const body = String((await req.json()).body || "").trim();
+    if (!body) return NextResponse.json({ success: false, message: "Note cannot be empty" }, { status: 400 });
+    if (body.length > 5000) {
+      return NextResponse.json({ success: false, message: "Note is too long" }, { status: 400 });
+    }
+
+    await dbConnect();
+    const note = await addLeadNote(id, body, token);
+    if (!note) return NextResponse.json({ success: false, message: "Lead not found" }, { status: 404 });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.note",
+      targetType: "Lead",
+      targetId: id,
+      after: { noteId: String(note._id) },
+    });
+
+    return NextResponse.json({ success: true, note }, { status: 201 });
+  } catch (err) {
+    console.error("Error adding lead note:", err);
+    return NextResponse.json({ success: false, message: "Error adding note" }, { status: 500 });
+  }
+}
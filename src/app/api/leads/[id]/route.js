@@ -0,0 +1,83 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Lead from "@/models/Lead";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { moveToTrash } from "@/lib/trash";
+import { findLead, parseLeadUpdate, updateLead } from "@/lib/leads";
+
+// GET → a single lead with its submissions, notes and stage history
+export async function GET(req, { params }) {
+  try {
+    const { error } = await requirePermission(req, "leads:read");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    const lead = await findLead(id);
+    if (!lead) return NextResponse.json({ success: false, message: "Lead not found" }, { status: 404 });
+
+    return NextResponse.json({ success: true, lead }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching lead:", err);
+    return NextResponse.json({ success: false, message: "Error fetching lead" }, { status: 500 });
+  }
+}
+
+// PATCH → update the pipeline: { stage?, assignedTo?, nextFollowUpAt? }
+export async function PATCH(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    const { changes, error: invalid } = await parseLeadUpdate(await req.json());
+    if (invalid) return NextResponse.json({ success: false, message: invalid }, { status: 400 });
+
+    const result = await updateLead(id, changes, token);
+    if (!result) return NextResponse.json({ success: false, message: "Lead not found" }, { status: 404 });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.update",
+      targetType: "Lead",
+      targetId: id,
+      before: result.before,
+      after: result.after,
+    });
+
+    const lead = await findLead(id);
+    return NextResponse.json({ success: true, lead }, { status: 200 });
+  } catch (err) {
+    console.error("Error updating lead:", err);
+    return NextResponse.json({ success: false, message: "Error updating lead" }, { status: 500 });
+  }
+}
+
+// DELETE → move the lead to the trash; see /api/trash
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:delete");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+
+    const trashed = await moveToTrash(Lead, id, token);
+    if (!trashed) return NextResponse.json({ success: false, message: "Lead not found" }, { status: 404 });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.trash",
+      targetType: "Lead",
+      targetId: id,
+      after: { deletedAt: trashed.deletedAt },
+    });
+
+    return NextResponse.json({ success: true }, { status: 200 });
+  } catch (err) {
+    console.error("Error deleting lead:", err);
+    return NextResponse.json({ success: false, message: "Error deleting lead" }, { status: 500 });
+  }
+}
@@ -0,0 +1,96 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Lead from "@/models/Lead";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { NOT_TRASHED } from "@/lib/trash";
+import { parseLeadExportQuery } from "@/lib/leadQuery";
+import { csvRow } from "@/lib/csv";
+import { xlsxWriter } from "@/lib/xlsx";
+
+const encoder = new TextEncoder();
+
+// Byte producers for each format: a header, one chunk per lead, a trailer
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    writer: () => ({
+      start: () => new Uint8Array(0),
+      row: (values) => encoder.encode(csvRow(values)),
+      end: () => new Uint8Array(0),
+    }),
+  },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    writer: () => xlsxWriter("Leads"),
+  },
+};
+
+// GET → filtered leads as CSV or XLSX with the chosen columns, streamed
+export async function GET(req) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:read");
+    if (error) return error;
+
+    let query;
+    try {
+      query = parseLeadExportQuery(new URL(req.url).searchParams);
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+    const { filter, format, columns } = query;
+
+    await dbConnect();
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.export",
+      targetType: "Lead",
+      after: { format, columns: columns.map((column) => column.key), filter },
+    });
+
+    const cursor = Lead.find({ ...NOT_TRASHED, ...filter })
+      .select("-notes -stageHistory")
+      .sort({ lastSubmittedAt: -1, _id: -1 })
+      .populate("assignedTo", "email")
+      .lean()
+      .cursor();
+    const writer = FORMATS[format].writer();
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(writer.start());
+        controller.enqueue(writer.row(columns.map((column) => column.label)));
+      },
+      async pull(controller) {
+        try {
+          const lead = await cursor.next();
+          if (!lead) {
+            controller.enqueue(writer.end());
+            controller.close();
+            return;
+          }
+          controller.enqueue(writer.row(columns.map((column) => column.value(lead))));
+        } catch (err) {
+          console.error("Error streaming lead export:", err);
+          controller.error(err);
+        }
+      },
+      cancel() {
+        cursor.close();
+      },
+    });
+
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        "Content-Type": FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (err) {
+    console.error("Error exporting leads:", err);
+    return NextResponse.json({ success: false, message: "Error exporting leads" }, { status: 500 });
+  }
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from "next/server";
+import { createFormToken } from "@/lib/formGuard";
+
+// GET → a signed render time for the public lead forms to send back with
+// their submission; see lib/formGuard.js
+export async function GET() {
+  return NextResponse.json({ token: createFormToken() }, { headers: { "Cache-Control": "no-store" } });
+}
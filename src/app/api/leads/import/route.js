@@ -0,0 +1,68 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { parseCsv } from "@/lib/csv";
+import { IMPORT_LEAD_SOURCES } from "@/lib/leadSources";
+import { MAX_IMPORT_ROWS, mappingProblem, planLeadImport, runLeadImport } from "@/lib/leadImport";
+
+// Rows echoed back in a dry-run preview
+const PREVIEW_ROWS = 200;
+
+function badRequest(message) {
+  return NextResponse.json({ success: false, message }, { status: 400 });
+}
+
+// POST → import leads from CSV: { csv, mapping, source, dryRun }.
+// mapping is { field: columnIndex | null }; a dry run only reports what would happen.
+export async function POST(req) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { csv, mapping, source, dryRun = true } = await req.json();
+    if (!IMPORT_LEAD_SOURCES.includes(source)) {
+      return badRequest(`Invalid source. Must be one of: ${IMPORT_LEAD_SOURCES.join(", ")}`);
+    }
+    if (typeof csv !== "string" || !csv.trim()) return badRequest("The CSV file is empty");
+
+    const [headers = [], ...rows] = parseCsv(csv);
+    if (rows.length === 0) return badRequest("The CSV file has no rows below the header");
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return badRequest(`Too many rows. Import at most ${MAX_IMPORT_ROWS} at a time`);
+    }
+    const problem = mappingProblem(mapping, headers);
+    if (problem) return badRequest(problem);
+
+    await dbConnect();
+    const plan = await planLeadImport(rows, mapping, source);
+
+    if (dryRun) {
+      const summary = { new: 0, merge: 0, duplicate: 0, invalid: 0 };
+      for (const entry of plan) summary[entry.status]++;
+      return NextResponse.json(
+        {
+          success: true,
+          dryRun: true,
+          summary,
+          rows: plan.slice(0, PREVIEW_ROWS).map(({ row, data, status, problems }) => ({ row, data, status, problems })),
+          total: plan.length,
+        },
+        { status: 200 }
+      );
+    }
+
+    const summary = await runLeadImport(plan, source);
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.import",
+      targetType: "Lead",
+      after: { source, rows: plan.length, ...summary },
+    });
+
+    return NextResponse.json({ success: true, dryRun: false, summary }, { status: 200 });
+  } catch (err) {
+    console.error("Error importing leads:", err);
+    return NextResponse.json({ success: false, message: "Error importing leads" }, { status: 500 });
+  }
+}
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import QuarantinedSubmission from "@/models/QuarantinedSubmission";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { fileFormSubmission } from "@/lib/leads";
+
+function notFound() {
+  return NextResponse.json({ success: false, message: "Submission not found" }, { status: 404 });
+}
+
+// POST → release: file the submission as if it had passed the checks, with
+// the same routing and form emails as POST /api/leads.
+export async function POST(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+    // Claim it first, so two admins releasing at once file it only once
+    const held = await QuarantinedSubmission.findOneAndDelete({ _id: id }).lean();
+    if (!held) return notFound();
+
+    let lead;
+    try {
+      ({ lead } = await fileFormSubmission(held.source, held.data, {
+        pagePath: held.pagePath,
+        submittedAt: held.createdAt,
+      }));
+    } catch (err) {
+      // Put it back untouched so the release can be retried
+      await QuarantinedSubmission.collection.insertOne(held);
+      throw err;
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.release_from_quarantine",
+      targetType: "Lead",
+      targetId: lead._id,
+      before: held,
+    });
+
+    return NextResponse.json({ success: true, lead: { _id: lead._id } }, { status: 200 });
+  } catch (err) {
+    console.error("Error releasing submission:", err);
+    return NextResponse.json({ success: false, message: "Error releasing submission" }, { status: 500 });
+  }
+}
+
+// DELETE → discard a quarantined submission
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:delete");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+    const held = await QuarantinedSubmission.findOneAndDelete({ _id: id }).lean();
+    if (!held) return notFound();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "lead.discard_from_quarantine",
+      targetType: "QuarantinedSubmission",
+      targetId: id,
+      before: held,
+    });
+
+    return NextResponse.json({ success: true, message: "Submission discarded" }, { status: 200 });
+  } catch (err) {
+    console.error("Error discarding submission:", err);
+    return NextResponse.json({ success: false, message: "Error discarding submission" }, { status: 500 });
+  }
+}
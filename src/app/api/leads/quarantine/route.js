@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import QuarantinedSubmission from "@/models/QuarantinedSubmission";
+import { requirePermission } from "@/lib/adminSession";
+
+// GET → submissions held back by the bot checks, newest first
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "leads:read");
+    if (error) return error;
+
+    await dbConnect();
+    const submissions = await QuarantinedSubmission.find().sort({ createdAt: -1 }).limit(500).lean();
+
+    return NextResponse.json({ success: true, submissions }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching quarantine:", err);
+    return NextResponse.json({ success: false, message: "Error fetching quarantine" }, { status: 500 });
+  }
+}
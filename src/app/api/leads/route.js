@@ -0,0 +1,107 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Lead from "@/models/Lead";
+import { requirePermission } from "@/lib/adminSession";
+import { NOT_TRASHED } from "@/lib/trash";
+import { fileFormSubmission } from "@/lib/leads";
+import { LEAD_SOURCES, PUBLIC_LEAD_SOURCES } from "@/lib/leadSources";
+import { LEAD_FORM_SCHEMAS, validateLeadForm } from "@/lib/leadFormSchema";
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from "@/lib/leadSpam";
+import { PAGE_PATH_FIELD } from "@/lib/leadRouting";
+import { quarantineSubmission, screenSubmission } from "@/lib/formGuard";
+
+// Submission history stays out of the listing; the detail view loads it
+const LIST_FIELDS = "-submissions -notes -stageHistory";
+
+// GET → leads, most recently active first. ?source= limits to one form.
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "leads:read");
+    if (error) return error;
+
+    const source = new URL(req.url).searchParams.get("source");
+    if (source && !LEAD_SOURCES.includes(source)) {
+      return NextResponse.json(
+        { success: false, message: `Invalid source. Must be one of: ${LEAD_SOURCES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const filter = source ? { ...NOT_TRASHED, sources: source } : NOT_TRASHED;
+    const leads = await Lead.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ lastSubmittedAt: -1 })
+      .populate("assignedTo", "email")
+      .lean();
+
+    // Submission counts without shipping the submissions themselves
+    const counts = await Lead.aggregate([
+      { $match: { _id: { $in: leads.map((lead) => lead._id) } } },
+      { $project: { submissionCount: { $size: { $ifNull: ["$submissions", []] } } } },
+    ]);
+    const countById = new Map(counts.map((doc) => [String(doc._id), doc.submissionCount]));
+
+    return NextResponse.json(
+      {
+        success: true,
+        leads: leads.map((lead) => ({ ...lead, submissionCount: countById.get(String(lead._id)) || 0 })),
+      },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching leads:", err);
+    return NextResponse.json({ success: false, message: "Error fetching leads" }, { status: 500 });
+  }
+}
+
+// POST → public form submission: { source, formToken, hp_field_x, pagePath, firstName, ... }.
+// Validated against the source's schema before anything is saved; a 400
+// carries per-field messages in `errors`. Submissions failing the bot checks
+// are quarantined for review instead of filed, and get the usual reply so
+// bots can't tell; only rate limits answer with a 429.
+export async function POST(req) {
+  try {
+    const {
+      source,
+      [HONEYPOT_FIELD]: honeypot,
+      [FORM_TOKEN_FIELD]: formToken,
+      [PAGE_PATH_FIELD]: pagePath,
+      ...data
+    } = await req.json();
+    if (!PUBLIC_LEAD_SOURCES.includes(source)) {
+      return NextResponse.json({ success: false, error: "Invalid form source" }, { status: 400 });
+    }
+
+    const { values, errors } = validateLeadForm(data, LEAD_FORM_SCHEMAS[source]);
+    if (Object.keys(errors).length > 0) {
+      return NextResponse.json(
+        { success: false, error: "Please correct the highlighted fields", errors },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const { reasons, retryAfter } = await screenSubmission(req, { values, honeypot, formToken });
+    if (reasons.length > 0) {
+      await quarantineSubmission(req, source, values, reasons, { pagePath });
+      if (retryAfter) {
+        return NextResponse.json(
+          { success: false, error: "Too many requests. Please try again later." },
+          { status: 429, headers: { "Retry-After": String(retryAfter) } }
+        );
+      }
+      return NextResponse.json({ success: true }, { status: 201 });
+    }
+
+    const { lead } = await fileFormSubmission(source, values, { pagePath });
+
+    return NextResponse.json({ success: true, lead: { _id: lead._id } }, { status: 201 });
+  } catch (error) {
+    console.error("Lead form error:", error);
+    return NextResponse.json(
+      { success: false, error: "Something went wrong. Please try again later." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import LeadRoutingRule from "@/models/LeadRoutingRule";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { isAssignable } from "@/lib/leads";
+import { parseRoutingRule } from "@/lib/leadRouting";
+
+function notFound() {
+  return NextResponse.json({ success: false, message: "Rule not found" }, { status: 404 });
+}
+
+// The parts of a rule worth keeping in the audit log
+function snapshot(rule) {
+  return {
+    name: rule.name,
+    enabled: rule.enabled,
+    match: rule.match,
+    conditions: rule.conditions,
+    notify: rule.notify,
+    assignTo: rule.assignTo ? String(rule.assignTo) : null,
+    tags: rule.tags,
+    stop: rule.stop,
+  };
+}
+
+// PUT → replace a rule's settings; its position is kept
+export async function PUT(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+
+    const { rule, error: invalid } = parseRoutingRule(await req.json());
+    if (invalid) return NextResponse.json({ success: false, message: invalid }, { status: 400 });
+
+    await dbConnect();
+    const before = await LeadRoutingRule.findById(id).lean();
+    if (!before) return notFound();
+    // Keeping an assignee who has since lost lead access is allowed; it is skipped when routing
+    if (rule.assignTo && rule.assignTo !== String(before.assignTo) && !(await isAssignable(rule.assignTo))) {
+      return NextResponse.json(
+        { success: false, message: "Leads can only be assigned to admins who can manage them" },
+        { status: 400 }
+      );
+    }
+
+    const updated = await LeadRoutingRule.findByIdAndUpdate(
+      id,
+      { $set: { ...rule, updatedBy: { id: token.id || token.sub || null, email: token.email || null } } },
+      { new: true }
+    )
+      .populate("assignTo", "email")
+      .lean();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "routing_rule.update",
+      targetType: "LeadRoutingRule",
+      targetId: id,
+      before: snapshot(before),
+      after: snapshot(rule),
+    });
+
+    return NextResponse.json({ success: true, rule: updated }, { status: 200 });
+  } catch (err) {
+    console.error("Error updating routing rule:", err);
+    return NextResponse.json({ success: false, message: "Error updating routing rule" }, { status: 500 });
+  }
+}
+
+// DELETE → remove a rule. Leads it already routed keep their record of it.
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { id } = await params;
+    if (!mongoose.isValidObjectId(id)) return notFound();
+
+    await dbConnect();
+    const deleted = await LeadRoutingRule.findByIdAndDelete(id).lean();
+    if (!deleted) return notFound();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "routing_rule.delete",
+      targetType: "LeadRoutingRule",
+      targetId: id,
+      before: snapshot(deleted),
+    });
+
+    return NextResponse.json({ success: true, message: "Rule deleted" }, { status: 200 });
+  } catch (err) {
+    console.error("Error deleting routing rule:", err);
+    return NextResponse.json({ success: false, message: "Error deleting routing rule" }, { status: 500 });
+  }
+}
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import LeadRoutingRule from "@/models/LeadRoutingRule";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { isAssignable } from "@/lib/leads";
+import { parseRoutingRule } from "@/lib/leadRouting";
+
+function badRequest(message) {
+  return NextResponse.json({ success: false, message }, { status: 400 });
+}
+
+// GET → routing rules in the order they run
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "leads:read");
+    if (error) return error;
+
+    await dbConnect();
+    const rules = await LeadRoutingRule.find()
+      .sort({ position: 1, createdAt: 1 })
+      .populate("assignTo", "email")
+      .lean();
+
+    return NextResponse.json({ success: true, rules }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching routing rules:", err);
+    return NextResponse.json({ success: false, message: "Error fetching routing rules" }, { status: 500 });
+  }
+}
+
+// POST → add a rule at the end: { name, match, conditions, notify, assignTo, tags, stop, enabled }
+export async function POST(req) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { rule, error: invalid } = parseRoutingRule(await req.json());
+    if (invalid) return badRequest(invalid);
+
+    await dbConnect();
+    if (rule.assignTo && !(await isAssignable(rule.assignTo))) {
+      return badRequest("Leads can only be assigned to admins who can manage them");
+    }
+
+    const last = await LeadRoutingRule.findOne().sort({ position: -1 }).select("position").lean();
+    const created = await LeadRoutingRule.create({
+      ...rule,
+      position: last ? last.position + 1 : 0,
+      updatedBy: { id: token.id || token.sub || null, email: token.email || null },
+    });
+
+    await recordAudit(req, {
+      actor: token,
+      action: "routing_rule.create",
+      targetType: "LeadRoutingRule",
+      targetId: created._id,
+      after: rule,
+    });
+
+    return NextResponse.json({ success: true, rule: created }, { status: 201 });
+  } catch (err) {
+    console.error("Error creating routing rule:", err);
+    return NextResponse.json({ success: false, message: "Error creating routing rule" }, { status: 500 });
+  }
+}
+
+// PUT → reorder: { order: [ruleId, ...] } lists every rule in its new order
+export async function PUT(req) {
+  try {
+    const { token, error } = await requirePermission(req, "leads:write");
+    if (error) return error;
+
+    const { order } = await req.json();
+    if (!Array.isArray(order) || !order.every((id) => mongoose.isValidObjectId(id))) {
+      return badRequest("order must be a list of rule ids");
+    }
+
+    await dbConnect();
+    const rules = await LeadRoutingRule.find().sort({ position: 1, createdAt: 1 }).select("_id").lean();
+    const current = rules.map((rule) => String(rule._id));
+    if (order.length !== current.length || new Set(order).size !== order.length || !order.every((id) => current.includes(id))) {
+      return badRequest("order must list every rule exactly once");
+    }
+
+    await LeadRoutingRule.bulkWrite(
+      order.map((id, position) => ({ updateOne: { filter: { _id: id }, update: { $set: { position } } } }))
+    );
+
+    await recordAudit(req, {
+      actor: token,
+      action: "routing_rule.reorder",
+      targetType: "LeadRoutingRule",
+      before: { order: current },
+      after: { order },
+    });
+
+    return NextResponse.json({ success: true, message: "Rules reordered" }, { status: 200 });
+  } catch (err) {
+    console.error("Error reordering routing rules:", err);
+    return NextResponse.json({ success: false, message: "Error reordering routing rules" }, { status: 500 });
+  }
+}
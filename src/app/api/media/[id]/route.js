@@ -0,0 +1,79 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { deleteMedia, updateMediaAlt } from "@/lib/media";
+
+const MAX_ALT_LENGTH = 300;
+
+function notFound() {
+  return NextResponse.json({ success: false, message: "File not found" }, { status: 404 });
+}
+
+// PATCH → { alt }: describe an image for screen readers and search engines
+export async function PATCH(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "media:upload");
+    if (error) return error;
+
+    const { alt } = await req.json();
+    if (typeof alt !== "string" || alt.trim().length > MAX_ALT_LENGTH) {
+      return NextResponse.json(
+        { success: false, message: `Alt text must be at most ${MAX_ALT_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    await dbConnect();
+    const { id } = await params;
+    const result = await updateMediaAlt(id, alt.trim());
+    if (!result) return notFound();
+
+    await recordAudit(req, {
+      actor: token,
+      action: "media.update",
+      targetType: "Media",
+      targetId: id,
+      before: { alt: result.before.alt },
+      after: { alt: result.media.alt },
+    });
+
+    return NextResponse.json({ success: true, media: result.media }, { status: 200 });
+  } catch (err) {
+    console.error("Error updating media:", err);
+    return NextResponse.json({ success: false, message: "Error updating media" }, { status: 500 });
+  }
+}
+
+// DELETE → remove a file from storage and the library. Files in use are kept.
+export async function DELETE(req, { params }) {
+  try {
+    const { token, error } = await requirePermission(req, "media:delete");
+    if (error) return error;
+
+    await dbConnect();
+    const { id } = await params;
+    const result = await deleteMedia(id);
+    if (!result) return notFound();
+    if (result.inUse) {
+      const labels = result.inUse.usage.map((use) => use.label || use.targetId);
+      return NextResponse.json(
+        { success: false, message: `This file is still used by: ${labels.join(", ")}` },
+        { status: 409 }
+      );
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: "media.delete",
+      targetType: "Media",
+      targetId: id,
+      before: { url: result.media.url, filename: result.media.filename, storage: result.media.storage },
+    });
+
+    return NextResponse.json({ success: true, message: "File deleted" }, { status: 200 });
+  } catch (err) {
+    console.error("Error deleting media:", err);
+    return NextResponse.json({ success: false, message: "Error deleting media" }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { parsePositiveInt } from "@/lib/blogQuery";
+import { listMedia } from "@/lib/media";
+
+// GET → the media library, newest first. ?q= searches names and alt text,
+// ?unused=1 shows only files nothing uses, ?page= pages through.
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "media:upload");
+    if (error) return error;
+
+    const params = new URL(req.url).searchParams;
+    let page;
+    try {
+      page = parsePositiveInt(params.get("page"), "page", 1);
+    } catch (err) {
+      return NextResponse.json({ success: false, message: err.message }, { status: 400 });
+    }
+
+    await dbConnect();
+    const result = await listMedia({ q: params.get("q") || "", unused: params.get("unused") === "1", page });
+
+    return NextResponse.json({ success: true, ...result }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching media:", err);
+    return NextResponse.json({ success: false, message: "Error fetching media" }, { status: 500 });
+  }
+}
@@ -0,0 +1,93 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import Setting from "@/models/Setting";
+import Admin from "@/models/Admin";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+
+// Settings the panel may change, with the type each value must have
+const EDITABLE_SETTINGS = {
+  "security.requireTwoFactor": "boolean",
+  "security.lockoutThreshold": "number",
+  "security.lockoutMinutes": "number",
+  "trash.retentionDays": "number",
+  "email.companyName": "string",
+  "email.themeColor": "string",
+};
+
+// GET → current values of the editable settings (owners only)
+export async function GET(req) {
+  try {
+    const { error } = await requirePermission(req, "settings:manage");
+    if (error) return error;
+
+    await dbConnect();
+    const stored = await Setting.find({ key: { $in: Object.keys(EDITABLE_SETTINGS) } }).lean();
+    const settings = Object.fromEntries(Object.keys(EDITABLE_SETTINGS).map((key) => [key, null]));
+    for (const setting of stored) settings[setting.key] = setting.value;
+
+    return NextResponse.json({ success: true, settings }, { status: 200 });
+  } catch (err) {
+    console.error("Error fetching settings:", err);
+    return NextResponse.json({ success: false, message: "Error fetching settings" }, { status: 500 });
+  }
+}
+
+// PUT → update one or more settings: { "security.requireTwoFactor": true }
+export async function PUT(req) {
+  try {
+    const { token, error } = await requirePermission(req, "settings:manage");
+    if (error) return error;
+
+    const updates = await req.json();
+    for (const [key, value] of Object.entries(updates)) {
+      if (!EDITABLE_SETTINGS[key]) {
+        return NextResponse.json({ success: false, message: `Unknown setting: ${key}` }, { status: 400 });
+      }
+      if (
+        typeof value !== EDITABLE_SETTINGS[key] ||
+        (EDITABLE_SETTINGS[key] === "number" && !(Number.isInteger(value) && value > 0))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `${key} must be a ${EDITABLE_SETTINGS[key] === "number" ? "positive whole number" : EDITABLE_SETTINGS[key]}`,
+          },
+          { status: 400 }
+        );
+      }
+    }
+
+    await dbConnect();
+
+    // Owners must be enrolled themselves before making 2FA mandatory
+    if (updates["security.requireTwoFactor"] === true) {
+      const admin = await Admin.findById(token.id).select("twoFactor.enabled").lean();
+      if (!admin?.twoFactor?.enabled) {
+        return NextResponse.json(
+          { success: false, message: "Enable two-factor authentication on your own account first" },
+          { status: 400 }
+        );
+      }
+    }
+
+    const settings = {};
+    for (const [key, value] of Object.entries(updates)) {
+      const before = await Setting.getValue(key);
+      settings[key] = await Setting.setValue(key, value);
+      await recordAudit(req, {
+        actor: token,
+        action: "setting.update",
+        targetType: "Setting",
+        targetId: key,
+        before: { value: before },
+        after: { value },
+      });
+    }
+
+    return NextResponse.json({ success: true, settings }, { status: 200 });
+  } catch (err) {
+    console.error("Error updating settings:", err);
+    return NextResponse.json({ success: false, message: "Error updating settings" }, { status: 500 });
+  }
+}
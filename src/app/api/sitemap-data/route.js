@@ -1,10 +1,15 @@
 
 import fs from 'fs';
 import path from 'path';
+import { fetchPublishedBlogs } from '@/lib/sitemap-utils';
+import { requirePermission } from '@/lib/adminSession';
 
 export async function GET(request) {
   const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
   
+  const { error } = await requirePermission(request, 'sitemap:read');
+  if (error) return error;
+  
   try {
     const allUrls = [];
     
@@ -58,26 +63,19 @@ export async function GET(request) {
     // Scan the app directory
     scanDirectory(appDirectory);
     
-    // Fetch blog posts from API
+    // Fetch published blog posts page by page from the API
     try {
-      const blogsRes = await fetch(`${baseUrl}/api/blogs`, { 
-        cache: 'no-store'
-      });
+      const blogs = await fetchPublishedBlogs(baseUrl);
       
-      if (blogsRes.ok) {
-        const data = await blogsRes.json();
-        const blogs = data.blogs || []; // Your API returns { blogs: [...] }
-        
-        blogs.forEach(blog => {
-          allUrls.push({
-            url: `${baseUrl}/blogs/${blog.slug}`, // Note: /blogs/ not /blog/
-            lastModified: new Date(blog.date).toISOString(),
-            changeFrequency: 'weekly',
-            priority: 0.7,
-            type: 'blog'
-          });
+      blogs.forEach(blog => {
+        allUrls.push({
+          url: `${baseUrl}/blogs/${blog.slug}`, // Note: /blogs/ not /blog/
+          lastModified: new Date(blog.date).toISOString(),
+          changeFrequency: 'weekly',
+          priority: 0.7,
+          type: 'blog'
         });
-      }
+      });
     } catch (blogError) {
       console.log('No blogs found or blog API not set up yet');
     }
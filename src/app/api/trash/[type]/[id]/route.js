@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { recordAudit } from "@/lib/audit";
+import { TRASH_TYPES, deleteForever, restoreFromTrash } from "@/lib/trash";
+
+function unknownType() {
+  return NextResponse.json(
+    { success: false, message: `Invalid type. Must be one of: ${Object.keys(TRASH_TYPES).join(", ")}` },
+    { status: 400 }
+  );
+}
+
+// POST → restore a trashed item
+export async function POST(req, { params }) {
+  try {
+    const { type, id } = await params;
+    const config = TRASH_TYPES[type];
+    if (!config) return unknownType();
+
+    const { token, error } = await requirePermission(req, config.permission);
+    if (error) return error;
+
+    await dbConnect();
+    const restored = await restoreFromTrash(config.model, id);
+    if (!restored) {
+      return NextResponse.json({ success: false, message: "Item not found in trash" }, { status: 404 });
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: `${config.targetType.toLowerCase()}.restore_from_trash`,
+      targetType: config.targetType,
+      targetId: id,
+    });
+
+    return NextResponse.json({ success: true, item: restored }, { status: 200 });
+  } catch (err) {
+    console.error("Error restoring from trash:", err);
+    return NextResponse.json({ success: false, message: "Error restoring item" }, { status: 500 });
+  }
+}
+
+// DELETE → permanently delete a trashed item
+export async function DELETE(req, { params }) {
+  try {
+    const { type, id } = await params;
+    const config = TRASH_TYPES[type];
+    if (!config) return unknownType();
+
+    const { token, error } = await requirePermission(req, config.permission);
+    if (error) return error;
+
+    await dbConnect();
+    const deleted = await deleteForever(type, id);
+    if (!deleted) {
+      return NextResponse.json({ success: false, message: "Item not found in trash" }, { status: 404 });
+    }
+
+    await recordAudit(req, {
+      actor: token,
+      action: `${config.targetType.toLowerCase()}.delete`,
+      targetType: config.targetType,
+      targetId: id,
+      before: deleted,
+    });
+
+    return NextResponse.json({ success: true, message: "Deleted permanently" }, { status: 200 });
+  } catch (err) {
+    console.error("Error deleting from trash:", err);
+    return NextResponse.json({ success: false, message: "Error deleting item" }, { status: 500 });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/lib/dbConnect";
+import { requirePermission } from "@/lib/adminSession";
+import { can, roleOf } from "@/lib/permissions";
+import { TRASH_TYPES, purgeExpiredTrash, trashRetentionDays } from "@/lib/trash";
+
+// Only what the trash view needs; blog content stays out of the listing
+const LIST_FIELDS = {
+  blogs: "title slug category writtenby deletedAt deletedBy",
+  leads: "firstName lastName email company deletedAt deletedBy",
+};
+
+// GET → trashed items of every type the admin may read, plus the retention period.
+// Anything past retention is purged first, so the view never shows it.
+export async function GET(req) {
+  try {
+    // Open to anyone who can read blogs or leads; each type is filtered below
+    let auth = await requirePermission(req, "blogs:read");
+    if (auth.error) auth = await requirePermission(req, "leads:read");
+    if (auth.error) return auth.error;
+
+    await dbConnect();
+    await purgeExpiredTrash();
+
+    const role = roleOf(auth.token);
+    const trash = {};
+    for (const [type, { model, readPermission }] of Object.entries(TRASH_TYPES)) {
+      if (!can(role, readPermission)) continue;
+      trash[type] = await model
+        .find({ deletedAt: { $ne: null } })
+        .select(LIST_FIELDS[type])
+        .sort({ deletedAt: -1 })
+        .lean();
+    }
+
+    return NextResponse.json(
+      { success: true, trash, retentionDays: await trashRetentionDays() },
+      { status: 200 }
+    );
+  } catch (err) {
+    console.error("Error fetching trash:", err);
+    return NextResponse.json({ success: false, message: "Error fetching trash" }, { status: 500 });
+  }
+}
@@ -1,76 +1,50 @@
-// ========================================
-// FILE 2: src/app/api/upload-url/route.js
-// ========================================
 import { NextResponse } from "next/server";
-import { writeFile, mkdir } from "fs/promises";
 import path from "path";
-import axios from "axios";
-
+import { requirePermission } from "@/lib/adminSession";
+import dbConnect from "@/lib/dbConnect";
+import { recordAudit } from "@/lib/audit";
+import { storeMedia } from "@/lib/media";
+import { ImageRejectedError } from "@/lib/imagePipeline";
+import { fetchRemoteImage, RemoteImageError } from "@/lib/remoteImage";
+
+// POST { imageUrl } → downloads a public image (lib/remoteImage.js) into the media library
 export async function POST(request) {
   try {
+    const { token, error } = await requirePermission(request, "media:upload");
+    if (error) return error;
+
     const { imageUrl } = await request.json();
 
-    if (!imageUrl) {
+    if (!imageUrl || typeof imageUrl !== "string") {
       return NextResponse.json({ error: "No image URL provided" }, { status: 400 });
     }
 
-    // Fetch image from URL
-    const response = await axios.get(imageUrl, { 
-      responseType: "arraybuffer",
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-    
-    const buffer = Buffer.from(response.data);
-
-    // Get content type from response headers
-    const contentType = response.headers['content-type'];
-    
-    // Determine file extension from content type or URL
-    let extension = 'jpg'; // default
-    if (contentType) {
-      if (contentType.includes('png')) extension = 'png';
-      else if (contentType.includes('jpeg') || contentType.includes('jpg')) extension = 'jpg';
-      else if (contentType.includes('gif')) extension = 'gif';
-      else if (contentType.includes('webp')) extension = 'webp';
-    } else {
-      // Try to extract from URL
-      const urlPath = new URL(imageUrl).pathname;
-      const urlExt = path.extname(urlPath).toLowerCase().replace('.', '');
-      if (urlExt && ['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(urlExt)) {
-        extension = urlExt;
-      }
-    }
-
-    // Generate filename with proper extension
-    const timestamp = Date.now();
-    const filename = `${timestamp}-url-image.${extension}`;
+    const { buffer, url } = await fetchRemoteImage(imageUrl.trim());
 
-    // Define upload directory
-    const uploadDir = path.join(process.cwd(), "public", "uploads", "blogs");
-    
-    // Create directory if it doesn't exist
-    try {
-      await mkdir(uploadDir, { recursive: true });
-    } catch (error) {
-      // Directory already exists
-    }
+    // Name it after the last part of the URL's path, e.g. "diagram.png"
+    const filename = path.basename(new URL(url).pathname) || "url-image";
 
-    // Save file
-    const filepath = path.join(uploadDir, filename);
-    await writeFile(filepath, buffer);
+    await dbConnect();
+    const media = await storeMedia(buffer, {
+      filename,
+      sourceUrl: imageUrl,
+      actor: token,
+    });
 
-    // Return relative URL path (what gets stored in DB)
-    const url = `/uploads/blogs/${filename}`;
+    await recordAudit(request, {
+      actor: token,
+      action: "media.upload",
+      targetType: "Media",
+      targetId: media._id,
+      after: { url: media.url, sourceUrl: imageUrl, size: media.size, storage: media.storage },
+    });
 
-    return NextResponse.json({ success: true, url });
+    return NextResponse.json({ success: true, url: media.url, media });
   } catch (error) {
+    if (error instanceof RemoteImageError || error instanceof ImageRejectedError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
     console.error("Upload error:", error);
-    console.error("Error details:", error.message);
-    return NextResponse.json({ 
-      error: "Failed to upload image from URL", 
-      details: error.message 
-    }, { status: 500 });
+    return NextResponse.json({ error: "Failed to upload image from URL" }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -1,44 +1,44 @@
 
 import { NextResponse } from "next/server";
-import { writeFile, mkdir } from "fs/promises";
-import path from "path";
+import { requirePermission } from "@/lib/adminSession";
+import dbConnect from "@/lib/dbConnect";
+import { recordAudit } from "@/lib/audit";
+import { storeMedia } from "@/lib/media";
+import { checkUploadSize, ImageRejectedError } from "@/lib/imagePipeline";
 
+// POST → multipart upload of one image ("file"); it joins the media library
 export async function POST(request) {
   try {
+    const { token, error } = await requirePermission(request, "media:upload");
+    if (error) return error;
+
     const data = await request.formData();
     const file = data.get("file");
 
     if (!file) {
       return NextResponse.json({ error: "No file provided" }, { status: 400 });
     }
+    checkUploadSize(file.size);
 
     const bytes = await file.arrayBuffer();
     const buffer = Buffer.from(bytes);
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const originalName = file.name.replace(/\s+/g, "-");
-    const filename = `${timestamp}-${originalName}`;
-
-    // Define upload directory
-    const uploadDir = path.join(process.cwd(), "public", "uploads", "blogs");
-    
-    // Create directory if it doesn't exist
-    try {
-      await mkdir(uploadDir, { recursive: true });
-    } catch (error) {
-      // Directory already exists
-    }
-
-    // Save file
-    const filepath = path.join(uploadDir, filename);
-    await writeFile(filepath, buffer);
+    await dbConnect();
+    const media = await storeMedia(buffer, { filename: file.name, actor: token });
 
-    // Return relative URL path (what gets stored in DB)
-    const url = `/uploads/blogs/${filename}`;
+    await recordAudit(request, {
+      actor: token,
+      action: "media.upload",
+      targetType: "Media",
+      targetId: media._id,
+      after: { url: media.url, name: file.name, size: media.size, storage: media.storage },
+    });
 
-    return NextResponse.json({ success: true, url });
+    return NextResponse.json({ success: true, url: media.url, media });
   } catch (error) {
+    if (error instanceof ImageRejectedError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
     console.error("Upload error:", error);
     return NextResponse.json({ error: "Failed to upload image" }, { status: 500 });
   }
@@ -1,9 +1,17 @@
 // src/app/blogs/[slug]/layout.js
 import React from "react";
 import Script from "next/script";
+import { blogDescription } from "@/lib/blogMeta";
+import { authorPersonSchema } from "@/lib/authors";
 
 const baseUrl = process.env.NEXT_PUBLIC_BASE_URL;
 
+// Posts not yet linked to an author profile only have the name
+function authorSchema(blog) {
+  if (!blog.author?.slug) return { "@type": "Person", name: blog.writtenby || "Robato Systems Pvt. Ltd." };
+  return authorPersonSchema(blog.author, baseUrl);
+}
+
 // ✅ Generate dynamic metadata for each blog post
 export async function generateMetadata({ params }) {
   const { slug } = await params; // ← MUST AWAIT in Next.js 15+
@@ -32,42 +40,50 @@ export async function generateMetadata({ params }) {
     }
 
     const blog = data.blog;
+    const title = blog.metaTitle || blog.title;
+    const description = blogDescription(blog);
+    const canonical = blog.canonicalUrl || `${baseUrl}/blogs/${slug}`;
 
     // Generate metadata
     return {
-      title: `${blog.title} | MachinoX Pro`,
-      description: blog.description || blog.title,
-      keywords: blog.category || "manufacturing, machine monitoring, IIoT",
-      authors: [{ name: blog.writtenby || "Robato Systems Pvt. Ltd." }],
+      title: `${title} | MachinoX Pro`,
+      description,
+      keywords: [blog.category, ...(blog.tags || [])].filter(Boolean).join(", ") || "manufacturing, machine monitoring, IIoT",
+      authors: [
+        blog.author?.slug
+          ? { name: blog.author.name, url: `${baseUrl}/blogs/author/${blog.author.slug}` }
+          : { name: blog.writtenby || "Robato Systems Pvt. Ltd." },
+      ],
       publisher: "Robato Systems Pvt. Ltd.",
       metadataBase: new URL(baseUrl),
       alternates: {
-        canonical: `${baseUrl}/blogs/${slug}`,
+        canonical,
       },
       openGraph: {
         type: "article",
         locale: "en_US",
-        url: `${baseUrl}/blogs/${slug}`,
+        url: canonical,
         siteName: "MachinoX Pro",
-        title: blog.title,
-        description: blog.description || blog.title,
+        title,
+        description,
         images: [
           {
             url: blog.image || `${baseUrl}/images/MachinoX%20Pro.png`,
             width: 1200,
             height: 630,
-            alt: blog.title,
+            alt: blog.imageAlt || blog.title,
           },
         ],
         publishedTime: blog.date,
         modifiedTime: blog.updatedAt || blog.date,
         authors: [blog.writtenby || "Robato Systems Pvt. Ltd."],
         section: blog.category || "Technology",
+        tags: blog.tags || [],
       },
       twitter: {
         card: "summary_large_image",
-        title: blog.title,
-        description: blog.description || blog.title,
+        title,
+        description,
         images: [blog.image || `${baseUrl}/images/MachinoX%20Pro.png`],
         site: "@robatosystems",
         creator: "@robatosystems",
@@ -126,17 +142,14 @@ export default async function BlogLayout({ children, params }) {
           "@id": `${baseUrl}/blogs/${slug}`,
         },
         headline: blog.title,
-        description: blog.description || blog.title,
+        description: blogDescription(blog),
         image: {
           "@type": "ImageObject",
           url: blog.image || `${baseUrl}/images/MachinoX%20Pro.png`,
           width: 1200,
           height: 630,
         },
-        author: {
-          "@type": "Person",
-          name: blog.writtenby || "Robato Systems Pvt. Ltd.",
-        },
+        author: authorSchema(blog),
         publisher: {
           "@type": "Organization",
           name: "Robato Systems Pvt. Ltd.",
@@ -150,6 +163,8 @@ export default async function BlogLayout({ children, params }) {
         datePublished: blog.date,
         dateModified: blog.updatedAt || blog.date,
         articleSection: blog.category || "Technology",
+        keywords: (blog.tags || []).join(", ") || undefined,
+        timeRequired: blog.readingTime ? `PT${blog.readingTime}M` : undefined,
       }
     : null;
 
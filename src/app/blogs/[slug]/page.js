@@ -4,6 +4,8 @@ import React, { useEffect, useState } from "react";
 import { useParams, useRouter } from "next/navigation";
 import axios from "axios";
 import Image from "next/image";
+import Link from "next/link";
+import MediaImage from "@/components/MediaImage";
 
 const BlogDetails = () => {
   const { slug } = useParams();
@@ -33,7 +35,9 @@ const BlogDetails = () => {
   useEffect(() => {
     const fetchRelatedBlogs = async () => {
       try {
-        const res = await axios.get("/api/blogs");
+        const res = await axios.get(
+          "/api/blogs?limit=8&sort=-date&fields=title,slug,image,imageAlt"
+        );
         const blogs = res.data.blogs || [];
 
         const related = blogs
@@ -57,10 +61,12 @@ const BlogDetails = () => {
       {/* ✅ Hero Image (Full Width, Small Height) */}
       {blog?.image && (
         <div className="relative w-full h-[250px] sm:h-[500px]">
-          <Image
+          <MediaImage
             src={blog.image}
-            alt={blog.title}
+            media={blog.imageMedia}
+            alt={blog.imageAlt || blog.title}
             fill
+            sizes="100vw"
             className="object-cover"
             priority
           />
@@ -74,9 +80,18 @@ const BlogDetails = () => {
         <div className="flex flex-col items-center px-4 sm:px-8 text-center">
           <p className="text-gray-700 text-sm sm:text-base">
             Written By:{" "}
-            <span className="font-semibold tracking-wide text-gray-900">
-              {blog.writtenby || "Unknown Author"}
-            </span>
+            {blog.author?.slug ? (
+              <Link
+                href={`/blogs/author/${blog.author.slug}`}
+                className="font-semibold tracking-wide text-gray-900 hover:text-blue-600"
+              >
+                {blog.author.name}
+              </Link>
+            ) : (
+              <span className="font-semibold tracking-wide text-gray-900">
+                {blog.writtenby || "Unknown Author"}
+              </span>
+            )}
           </p>
           <p className="text-gray-500 text-sm sm:text-base mt-1">
             {blog.category || "General"} /{" "}
@@ -85,7 +100,17 @@ const BlogDetails = () => {
               day: "2-digit",
               year: "numeric",
             })}
+            {blog.readingTime && ` / ${blog.readingTime} min read`}
           </p>
+          {blog.tags?.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-2 mt-3">
+              {blog.tags.map((tag) => (
+                <span key={tag} className="px-3 py-1 rounded-full bg-gray-100 text-gray-700 text-xs font-medium">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          )}
           <hr className="w-full border-gray-300 mt-6" />
         </div>
 
@@ -113,10 +138,12 @@ const BlogDetails = () => {
                   >
                     {related.image && (
                       <div className="relative w-full h-20 rounded-lg overflow-hidden">
-                        <Image
+                        <MediaImage
                           src={related.image}
-                          alt={related.title}
+                          media={related.imageMedia}
+                          alt={related.imageAlt || related.title}
                           fill
+                          sizes="(min-width: 768px) 25vw, 100vw"
                           className="object-cover group-hover:scale-105 transition-transform duration-300"
                         />
                       </div>
@@ -140,6 +167,32 @@ const BlogDetails = () => {
               className="prose prose-lg max-w-none text-gray-800 leading-relaxed"
               dangerouslySetInnerHTML={{ __html: blog.content }}
             />
+
+            {/* ✅ About the author */}
+            {blog.author?.slug && (
+              <div className="mt-12 flex gap-5 items-start border-t border-gray-200 pt-8">
+                {blog.author.avatar && (
+                  <Image
+                    src={blog.author.avatar}
+                    alt={blog.author.name}
+                    width={80}
+                    height={80}
+                    className="w-20 h-20 rounded-full object-cover flex-shrink-0"
+                  />
+                )}
+                <div>
+                  <p className="text-lg font-semibold text-gray-900">{blog.author.name}</p>
+                  {blog.author.jobTitle && <p className="text-sm text-gray-500">{blog.author.jobTitle}</p>}
+                  {blog.author.bio && <p className="text-gray-700 mt-2 whitespace-pre-line">{blog.author.bio}</p>}
+                  <Link
+                    href={`/blogs/author/${blog.author.slug}`}
+                    className="inline-block mt-3 text-sm font-semibold text-blue-600 hover:text-purple-600"
+                  >
+                    More posts by {blog.author.name} →
+                  </Link>
+                </div>
+              </div>
+            )}
           </section>
         </div>
       </div>
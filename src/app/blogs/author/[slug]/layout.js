@@ -0,0 +1,91 @@
+// src/app/blogs/author/[slug]/layout.js
+import React from "react";
+import Script from "next/script";
+import { authorPersonSchema } from "@/lib/authors";
+
+const baseUrl = process.env.NEXT_PUBLIC_BASE_URL;
+
+async function fetchAuthor(slug) {
+  const res = await fetch(`${baseUrl}/api/authors/${slug}`, { cache: "no-store" });
+  if (!res.ok) return null;
+  const data = await res.json();
+  return data.success ? data.author : null;
+}
+
+export async function generateMetadata({ params }) {
+  const { slug } = await params;
+
+  try {
+    const author = await fetchAuthor(slug);
+    if (!author) {
+      return {
+        title: "Author Not Found | MachinoX Pro",
+        description: "The requested author could not be found.",
+      };
+    }
+
+    const description = author.bio || `Articles by ${author.name} on the Robato Systems blog.`;
+    return {
+      title: `${author.name} | MachinoX Pro Blog`,
+      description,
+      metadataBase: new URL(baseUrl),
+      alternates: {
+        canonical: `${baseUrl}/blogs/author/${author.slug}`,
+      },
+      openGraph: {
+        type: "profile",
+        locale: "en_US",
+        url: `${baseUrl}/blogs/author/${author.slug}`,
+        siteName: "MachinoX Pro",
+        title: author.name,
+        description,
+        ...(author.avatar && { images: [{ url: author.avatar, alt: author.name }] }),
+      },
+      twitter: {
+        card: "summary",
+        title: author.name,
+        description,
+        site: "@robatosystems",
+      },
+    };
+  } catch (error) {
+    console.error("Error fetching author metadata:", error);
+    return {
+      title: "Blog | MachinoX Pro",
+      description: "Read our latest insights on machine monitoring and IIoT.",
+    };
+  }
+}
+
+export default async function AuthorLayout({ children, params }) {
+  const { slug } = await params;
+
+  let author = null;
+  try {
+    author = await fetchAuthor(slug);
+  } catch (error) {
+    console.error("Error fetching author for schema:", error);
+  }
+
+  const profileSchema = author
+    ? {
+        "@context": "https://schema.org",
+        "@type": "ProfilePage",
+        mainEntity: authorPersonSchema(author, baseUrl),
+      }
+    : null;
+
+  return (
+    <>
+      {profileSchema && (
+        <Script
+          id={`author-profile-schema-${slug}`}
+          type="application/ld+json"
+          strategy="afterInteractive"
+          dangerouslySetInnerHTML={{ __html: JSON.stringify(profileSchema) }}
+        />
+      )}
+      {children}
+    </>
+  );
+}
@@ -0,0 +1,168 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { useParams } from "next/navigation";
+import Link from "next/link";
+import Image from "next/image";
+import axios from "axios";
+import MediaImage from "@/components/MediaImage";
+import { AUTHOR_SOCIALS, AUTHOR_SOCIAL_LABELS } from "@/lib/authors";
+
+const PAGE_SIZE = 12;
+const LIST_FIELDS = "title,slug,image,imageAlt,category,date,excerpt,autoExcerpt,readingTime";
+
+const AuthorPage = () => {
+  const { slug } = useParams();
+  const [author, setAuthor] = useState(null);
+  const [blogs, setBlogs] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      try {
+        const res = await axios.get(`/api/authors/${slug}`);
+        setAuthor(res.data.author);
+      } catch (err) {
+        console.error("Error fetching author:", err);
+        setError(err.response?.status === 404 ? "Author not found" : "Failed to load author");
+        setLoading(false);
+      }
+    };
+    fetchAuthor();
+  }, [slug]);
+
+  useEffect(() => {
+    if (!author) return;
+    const fetchBlogs = async () => {
+      try {
+        const params = new URLSearchParams({
+          authorId: author._id,
+          page: String(page),
+          limit: String(PAGE_SIZE),
+          sort: "-date",
+          fields: LIST_FIELDS,
+        });
+        const res = await axios.get(`/api/blogs?${params}`);
+        setBlogs(res.data.blogs || []);
+        if (res.data.pagination) setPagination(res.data.pagination);
+      } catch (err) {
+        console.error("Error fetching author's blogs:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBlogs();
+  }, [author, page]);
+
+  if (loading) return <div className="text-center py-20 text-gray-500">Loading...</div>;
+  if (error) return <div className="text-center py-20 text-red-500">{error}</div>;
+
+  const socials = AUTHOR_SOCIALS.filter((network) => author.socials?.[network]);
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-8 py-16">
+      {/* ✅ Profile */}
+      <div className="flex flex-col sm:flex-row items-center sm:items-start gap-8 text-center sm:text-left">
+        {author.avatar && (
+          <Image
+            src={author.avatar}
+            alt={author.name}
+            width={144}
+            height={144}
+            className="w-36 h-36 rounded-full object-cover flex-shrink-0"
+            priority
+          />
+        )}
+        <div>
+          <h1 className="text-4xl font-extrabold text-gray-900">{author.name}</h1>
+          {author.jobTitle && <p className="text-lg text-gray-500 mt-1">{author.jobTitle}</p>}
+          {author.bio && <p className="text-gray-700 mt-4 max-w-3xl whitespace-pre-line">{author.bio}</p>}
+          {socials.length > 0 && (
+            <div className="flex flex-wrap justify-center sm:justify-start gap-3 mt-4">
+              {socials.map((network) => (
+                <a
+                  key={network}
+                  href={author.socials[network]}
+                  target="_blank"
+                  rel="noopener noreferrer me"
+                  className="px-3 py-1 rounded-full bg-gray-100 hover:bg-gray-200 text-sm font-medium text-gray-700 transition"
+                >
+                  {AUTHOR_SOCIAL_LABELS[network]}
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <hr className="border-gray-300 my-10" />
+
+      {/* ✅ Posts */}
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        Posts by {author.name} ({pagination.total})
+      </h2>
+      {blogs.length === 0 ? (
+        <p className="text-gray-500">No posts yet.</p>
+      ) : (
+        <div className="grid gap-8 sm:grid-cols-2 lg:grid-cols-3">
+          {blogs.map((blog) => (
+            <Link
+              key={blog._id}
+              href={`/blogs/${blog.slug}`}
+              className="group block border-2 border-gray-200 rounded-2xl overflow-hidden hover:border-blue-400 hover:shadow-xl transition-all duration-300"
+            >
+              <div className="relative w-full h-48 overflow-hidden bg-gray-200">
+                <MediaImage
+                  src={blog.image || "/placeholder-blog.jpg"}
+                  media={blog.imageMedia}
+                  alt={blog.imageAlt || blog.title}
+                  fill
+                  sizes="(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
+                  className="object-cover group-hover:scale-105 transition-transform duration-300"
+                />
+              </div>
+              <div className="p-5">
+                <p className="text-xs font-semibold text-blue-600 uppercase">{blog.category}</p>
+                <h3 className="text-lg font-bold text-gray-900 mt-1 group-hover:text-blue-600">{blog.title}</h3>
+                {(blog.excerpt || blog.autoExcerpt) && (
+                  <p className="text-sm text-gray-600 mt-2 line-clamp-3">{blog.excerpt || blog.autoExcerpt}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-3">
+                  {new Date(blog.date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
+                  {blog.readingTime && ` · ${blog.readingTime} min read`}
+                </p>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-10">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page === 1}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 font-semibold"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">
+            Page {page} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page === pagination.totalPages}
+            className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 font-semibold"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthorPage;
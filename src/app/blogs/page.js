@@ -2,56 +2,83 @@
 
 import React, { useEffect, useState } from "react";
 import Link from "next/link";
-import Image from "next/image";
+import MediaImage from "@/components/MediaImage";
 import axios from "axios";
 import { motion } from "framer-motion";
 
+const PAGE_SIZE = 12;
+const LIST_FIELDS = "title,slug,image,imageAlt,category,writtenby,date,excerpt,autoExcerpt,readingTime";
+
 const BlogsPage = () => {
   const [blogs, setBlogs] = useState([]);
-  const [filteredBlogs, setFilteredBlogs] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [totalArticles, setTotalArticles] = useState(0);
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
   const [selectedCategory, setSelectedCategory] = useState("All");
+  const [suggestions, setSuggestions] = useState([]);
 
   const categories = ["All", "Technology", "Lifestyle", "Business", "Health", "Travel", "Food", "Other"];
 
+  // Wait for typing to settle before hitting the API
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   useEffect(() => {
+    // A newer query or filter cancels the request still in flight, so a slow
+    // older response can't overwrite the current results
+    const controller = new AbortController();
     const fetchBlogs = async () => {
       try {
-        const res = await axios.get("/api/blogs");
-        const blogsData = res.data.blogs || [];
-        setBlogs(blogsData);
-        setFilteredBlogs(blogsData);
+        // Typed queries go to the full-text search endpoint, otherwise list by date
+        if (debouncedQuery) {
+          const params = new URLSearchParams({
+            q: debouncedQuery,
+            page: String(page),
+            limit: String(PAGE_SIZE),
+          });
+          if (selectedCategory !== "All") params.set("category", selectedCategory);
+          const res = await axios.get(`/api/blogs/search?${params}`, { signal: controller.signal });
+          setBlogs(res.data.results || []);
+          setSuggestions(res.data.suggestions || []);
+          if (res.data.pagination) setPagination(res.data.pagination);
+          return;
+        }
+
+        const params = new URLSearchParams({
+          page: String(page),
+          limit: String(PAGE_SIZE),
+          sort: "-date",
+          fields: LIST_FIELDS,
+        });
+        if (selectedCategory !== "All") params.set("category", selectedCategory);
+
+        const res = await axios.get(`/api/blogs?${params}`, { signal: controller.signal });
+        setBlogs(res.data.blogs || []);
+        setSuggestions([]);
+        if (res.data.pagination) {
+          setPagination(res.data.pagination);
+          if (selectedCategory === "All") {
+            setTotalArticles(res.data.pagination.total);
+          }
+        }
       } catch (error) {
+        if (axios.isCancel(error)) return;
         console.error("Error fetching blogs:", error);
       } finally {
         setLoading(false);
       }
     };
     fetchBlogs();
-  }, []);
-
-  useEffect(() => {
-    let filtered = blogs;
-
-    // Filter by category
-    if (selectedCategory !== "All") {
-      filtered = filtered.filter((blog) => blog.category === selectedCategory);
-    }
-
-    // Filter by search query
-    if (searchQuery) {
-      const lowerQuery = searchQuery.toLowerCase();
-      filtered = filtered.filter(
-        (blog) =>
-          blog.title.toLowerCase().includes(lowerQuery) ||
-          blog.category.toLowerCase().includes(lowerQuery) ||
-          blog.writtenby.toLowerCase().includes(lowerQuery)
-      );
-    }
-
-    setFilteredBlogs(filtered);
-  }, [searchQuery, selectedCategory, blogs]);
+    return () => controller.abort();
+  }, [page, debouncedQuery, selectedCategory]);
 
   if (loading) {
     return (
@@ -113,7 +140,7 @@ const BlogsPage = () => {
             className="flex justify-center gap-8 mt-10 flex-wrap"
           >
             <div className="text-center">
-              <div className="text-3xl font-bold text-blue-400">{blogs.length}+</div>
+              <div className="text-3xl font-bold text-blue-400">{totalArticles}+</div>
               <div className="text-sm text-gray-400 mt-1">Articles</div>
             </div>
             
@@ -150,7 +177,7 @@ const BlogsPage = () => {
             </svg>
             <input
               type="text"
-              placeholder="Search articles by title, category, or author..."
+              placeholder="Search articles by title, topic, or content..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="w-full pl-12 pr-4 py-4 rounded-xl border border-gray-500 bg-gray-900/70 text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all"
@@ -159,26 +186,49 @@ const BlogsPage = () => {
 
           {/* Results Count */}
           <div className="mt-4 text-center text-gray-300 text-sm font-medium">
-            Showing {filteredBlogs.length} of {blogs.length} articles
+            Showing {blogs.length} of {pagination.total} articles
           </div>
         </motion.div>
       </div>
 
       {/* Blog Grid Section */}
       <div className="max-w-7xl mx-auto px-4 pb-20">
-        {filteredBlogs.length === 0 ? (
+        {blogs.length === 0 ? (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             className="text-center py-20"
           >
             <div className="text-6xl mb-4">📝</div>
-            <h3 className="text-2xl font-bold text-gray-300 mb-2">No blogs found</h3>
-            <p className="text-gray-500">Try adjusting your search or filter criteria</p>
+            <h3 className="text-2xl font-bold text-gray-300 mb-2">
+              {debouncedQuery ? `No results for “${debouncedQuery}”` : "No blogs found"}
+            </h3>
+            {suggestions.length > 0 ? (
+              <div className="text-gray-400">
+                <p className="mb-3">Did you mean:</p>
+                <div className="flex flex-wrap justify-center gap-3">
+                  {suggestions.map((suggestion) => (
+                    <Link
+                      key={suggestion.slug}
+                      href={`/blogs/${suggestion.slug}`}
+                      className="px-4 py-2 rounded-full border border-gray-500 text-blue-400 hover:border-blue-400 transition"
+                    >
+                      {suggestion.title}
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-500">
+                {debouncedQuery
+                  ? "Try fewer or more general keywords, or check the spelling"
+                  : "Try adjusting your search or filter criteria"}
+              </p>
+            )}
           </motion.div>
         ) : (
           <div className="grid gap-8 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-            {filteredBlogs.map((blog, index) => (
+            {blogs.map((blog, index) => (
               <motion.div
                 key={blog._id}
                 initial={{ opacity: 0, y: 20 }}
@@ -192,10 +242,12 @@ const BlogsPage = () => {
                 >
                   {/* Image Container */}
                   <div className="relative w-full h-56 overflow-hidden bg-gray-200">
-                    <Image
+                    <MediaImage
                       src={blog.image || "/placeholder-blog.jpg"}
-                      alt={blog.title}
+                      media={blog.imageMedia}
+                      alt={blog.imageAlt || blog.title}
                       fill
+                      sizes="(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
                       className="object-cover group-hover:scale-110 group-hover:brightness-110 transition-all duration-500"
                     />
                     {/* Enhanced Gradient Overlay */}
@@ -214,9 +266,28 @@ const BlogsPage = () => {
                       {blog.category}
                     </div>
                     
-                    <h2 className="text-xl font-bold mb-3 text-[#444444]  group-hover:bg-clip-text group-hover:bg-gradient-to-r  transition-all duration-300">
-                      {blog.title}
-                    </h2>
+                    {blog.highlightedTitle ? (
+                      <h2
+                        className="text-xl font-bold mb-3 text-[#444444] transition-all duration-300"
+                        dangerouslySetInnerHTML={{ __html: blog.highlightedTitle }}
+                      />
+                    ) : (
+                      <h2 className="text-xl font-bold mb-3 text-[#444444]  group-hover:bg-clip-text group-hover:bg-gradient-to-r  transition-all duration-300">
+                        {blog.title}
+                      </h2>
+                    )}
+
+                    {/* Search snippet (already HTML-escaped by the API) */}
+                    {blog.snippet ? (
+                      <p
+                        className="text-sm text-gray-700 mb-3 [&_mark]:bg-yellow-200 [&_mark]:px-0.5 [&_mark]:rounded"
+                        dangerouslySetInnerHTML={{ __html: blog.snippet }}
+                      />
+                    ) : (
+                      (blog.excerpt || blog.autoExcerpt) && (
+                        <p className="text-sm text-gray-700 mb-3 line-clamp-3">{blog.excerpt || blog.autoExcerpt}</p>
+                      )
+                    )}
 
                     {/* Author and Date */}
                     <div className="flex items-center text-xs text-gray-600 mt-4 bg-gray-100 rounded-lg p-2.5 border border-gray-200">
@@ -255,6 +326,12 @@ const BlogsPage = () => {
                           })}
                         </span>
                       </div>
+                      {blog.readingTime && (
+                        <>
+                          <span className="mx-2 text-gray-400">•</span>
+                          <span className="text-gray-700">{blog.readingTime} min read</span>
+                        </>
+                      )}
                     </div>
 
                     {/* Read More Arrow */}
@@ -280,6 +357,29 @@ const BlogsPage = () => {
             ))}
           </div>
         )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-center gap-4 mt-12">
+            <button
+              onClick={() => setPage((p) => Math.max(1, p - 1))}
+              disabled={!pagination.prev}
+              className="px-5 py-2.5 rounded-xl border border-gray-500 bg-gray-800 text-gray-100 font-semibold hover:border-blue-400 transition disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              ← Previous
+            </button>
+            <span className="text-gray-300 text-sm font-medium">
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={!pagination.next}
+              className="px-5 py-2.5 rounded-xl border border-gray-500 bg-gray-800 text-gray-100 font-semibold hover:border-blue-400 transition disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Next →
+            </button>
+          </div>
+        )}
       </div>
 
       <style jsx>{`
@@ -1,8 +1,23 @@
 'use client'
 
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
+import { LEAD_FORM_SCHEMAS, validateLeadForm } from '@/lib/leadFormSchema';
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from '@/lib/leadSpam';
+import { PAGE_PATH_FIELD } from '@/lib/leadRouting';
+
+// The page of this site the visitor arrived from (e.g. an industry page),
+// for routing rules; the contact page itself when they came from elsewhere
+function referringPagePath() {
+  try {
+    const referrer = new URL(document.referrer);
+    if (referrer.origin === window.location.origin) return referrer.pathname;
+  } catch {
+    // No referrer
+  }
+  return window.location.pathname;
+}
 
 export default function ContactForm() {
   const [formData, setFormData] = useState({
@@ -17,22 +32,52 @@ export default function ContactForm() {
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [honeypot, setHoneypot] = useState('');
+  const [formToken, setFormToken] = useState('');
+
+  // Render token for the API's bot checks; renewed after each submission
+  const loadFormToken = async () => {
+    try {
+      const res = await fetch('/api/leads/form-token', { cache: 'no-store' });
+      const { token } = await res.json();
+      setFormToken(token);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  useEffect(() => {
+    loadFormToken();
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
       ...formData,
       [e.target.name]: e.target.value
     });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: null });
   };
 
   const handleSubmit = async () => {
+    // Same rules the API enforces, so problems show before a round trip
+    const { errors } = validateLeadForm(formData, LEAD_FORM_SCHEMAS.contact_form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
     setIsSubmitting(true);
 
     try {
-      const res = await fetch('/api/contact', {
+      const res = await fetch('/api/leads', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          ...formData,
+          source: 'contact_form',
+          [HONEYPOT_FIELD]: honeypot,
+          [FORM_TOKEN_FIELD]: formToken,
+          [PAGE_PATH_FIELD]: referringPagePath()
+        })
       });
 
       const result = await res.json();
@@ -48,6 +93,9 @@ export default function ContactForm() {
           jobTitle: '',
           message: ''
         });
+        loadFormToken();
+      } else if (result.errors) {
+        setFieldErrors(result.errors);
       } else {
         setSubmitStatus('error');
       }
@@ -333,6 +381,7 @@ export default function ContactForm() {
                       placeholder="John"
                       className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                     />
+                    <FieldError message={fieldErrors.firstName} />
                   </motion.div>
                   <motion.div variants={itemVariants}>
                     <label className="block text-sm font-semibold text-slate-200 mb-2">Last Name</label>
@@ -345,6 +394,7 @@ export default function ContactForm() {
                       placeholder="Doe"
                       className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                     />
+                    <FieldError message={fieldErrors.lastName} />
                   </motion.div>
                 </div>
 
@@ -360,6 +410,7 @@ export default function ContactForm() {
                     placeholder="john.doe@company.com"
                     className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                   />
+                  <FieldError message={fieldErrors.email} />
                 </motion.div>
 
                 {/* Phone */}
@@ -374,6 +425,7 @@ export default function ContactForm() {
                     placeholder="+61 400 000 000"
                     className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                   />
+                  <FieldError message={fieldErrors.phone} />
                 </motion.div>
 
                 {/* Company & Job Title */}
@@ -389,6 +441,7 @@ export default function ContactForm() {
                       placeholder="Your Company"
                       className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                     />
+                    <FieldError message={fieldErrors.company} />
                   </motion.div>
                   <motion.div variants={itemVariants}>
                     <label className="block text-sm font-semibold text-slate-200 mb-2">Job Title</label>
@@ -401,6 +454,7 @@ export default function ContactForm() {
                       placeholder="Operations Manager"
                       className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 hover:bg-white/10"
                     />
+                    <FieldError message={fieldErrors.jobTitle} />
                   </motion.div>
                 </div>
 
@@ -416,8 +470,21 @@ export default function ContactForm() {
                     placeholder="Tell us about your requirements and how MachinoX Pro can help transform your operations..."
                     className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition-all duration-200 resize-none hover:bg-white/10"
                   ></textarea>
+                  <FieldError message={fieldErrors.message} />
                 </motion.div>
 
+                {/* Hidden from people; bots that fill it in are quarantined */}
+                <input
+                  type="text"
+                  name={HONEYPOT_FIELD}
+                  value={honeypot}
+                  onChange={(e) => setHoneypot(e.target.value)}
+                  tabIndex={-1}
+                  autoComplete="off"
+                  aria-hidden="true"
+                  className="absolute -left-[9999px] w-px h-px opacity-0"
+                />
+
                 {/* Submit Button */}
                 <motion.button
                   onClick={handleSubmit}
@@ -451,4 +518,7 @@ export default function ContactForm() {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+const FieldError = ({ message }) =>
+  message ? <p className="mt-2 text-sm text-red-300">{message}</p> : null;
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { fetchPublishedBlogs } from '@/lib/sitemap-utils';
 
 export async function GET() {
   const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
@@ -52,32 +53,20 @@ export async function GET() {
     
     scanDirectory(appDirectory);
     
-    // Fetch blogs directly from API
+    // Fetch published blogs page by page from the API
     try {
-      const blogsRes = await fetch(`${baseUrl}/api/blogs`, { 
-        cache: 'no-store',
-        headers: {
-          'Content-Type': 'application/json',
-        }
-      });
+      const blogs = await fetchPublishedBlogs(baseUrl);
       
-      if (blogsRes.ok) {
-        const data = await blogsRes.json();
-        const blogs = data.blogs || [];
-        
-        console.log(`Found ${blogs.length} blogs for sitemap.xml`);
-        
-        blogs.forEach(blog => {
-          allUrls.push({
-            url: `${baseUrl}/blogs/${blog.slug}`,
-            lastModified: new Date(blog.date).toISOString(),
-            changeFrequency: 'weekly',
-            priority: 0.7
-          });
+      console.log(`Found ${blogs.length} blogs for sitemap.xml`);
+      
+      blogs.forEach(blog => {
+        allUrls.push({
+          url: `${baseUrl}/blogs/${blog.slug}`,
+          lastModified: new Date(blog.date).toISOString(),
+          changeFrequency: 'weekly',
+          priority: 0.7
         });
-      } else {
-        console.error('Failed to fetch blogs:', blogsRes.status);
-      }
+      });
     } catch (blogError) {
       console.error('Error fetching blogs for sitemap:', blogError);
     }
@@ -0,0 +1,177 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Activity, Download, Loader2, ChevronDown, ChevronUp } from "lucide-react";
+
+const ActivityLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [entities, setEntities] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [actor, setActor] = useState("");
+  const [entity, setEntity] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Shared by the list request and the CSV export link
+  const filterParams = new URLSearchParams(
+    Object.entries({ actor, entity, from, to }).filter(([, value]) => value)
+  ).toString();
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError("");
+        const res = await axios.get(`/api/audit?${filterParams}&page=${page}`);
+        setEntries(res.data.entries || []);
+        setEntities(res.data.entities || []);
+        setPagination(res.data.pagination);
+      } catch (err) {
+        console.error("Error fetching activity:", err);
+        setError(err.response?.data?.message || "Failed to load activity.");
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filterParams, page]);
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const inputClass =
+    "p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[200px]">
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Actor</label>
+          <input
+            type="text"
+            value={actor}
+            onChange={updateFilter(setActor)}
+            placeholder="Filter by email"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Entity</label>
+          <select value={entity} onChange={updateFilter(setEntity)} className={inputClass}>
+            <option value="">All</option>
+            {entities.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">From</label>
+          <input type="date" value={from} onChange={updateFilter(setFrom)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">To</label>
+          <input type="date" value={to} onChange={updateFilter(setTo)} className={inputClass} />
+        </div>
+        <a
+          href={`/api/audit/export?${filterParams}`}
+          className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition"
+        >
+          <Download size={18} />
+          Export CSV
+        </a>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+          <Loader2 size={24} className="animate-spin" />
+          <span className="font-semibold">Loading activity...</span>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-16 text-gray-500">
+          <Activity size={48} className="mx-auto mb-3 text-gray-300" />
+          No activity matches these filters.
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {entries.map((entry) => (
+            <div key={entry._id} className="border-2 border-gray-200 rounded-2xl">
+              <button
+                onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                className="w-full px-5 py-3 flex flex-wrap items-center justify-between gap-3 text-left text-sm"
+              >
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="font-mono text-xs font-semibold bg-purple-100 text-purple-800 px-2 py-1 rounded-lg">
+                    {entry.action}
+                  </span>
+                  <span className="text-gray-900 font-semibold">{entry.actor?.email || "System"}</span>
+                  <span className="text-gray-600">
+                    {entry.targetType}
+                    {entry.targetId ? ` · ${entry.targetId}` : ""}
+                  </span>
+                </div>
+                <div className="flex items-center gap-3 text-gray-500">
+                  <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                  {expanded === entry._id ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                </div>
+              </button>
+              {expanded === entry._id && (
+                <div className="border-t border-gray-200 px-5 py-4 space-y-3 text-xs">
+                  <p className="text-gray-600">
+                    IP {entry.ip || "unknown"} · {entry.userAgent || "unknown user agent"}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <pre className="bg-red-50 rounded-lg p-3 overflow-auto max-h-64 whitespace-pre-wrap break-words">
+                      {entry.before ? JSON.stringify(entry.before, null, 2) : "—"}
+                    </pre>
+                    <pre className="bg-green-50 rounded-lg p-3 overflow-auto max-h-64 whitespace-pre-wrap break-words">
+                      {entry.after ? JSON.stringify(entry.after, null, 2) : "—"}
+                    </pre>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-4 pt-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.prev}
+            className="px-4 py-2 rounded-xl border-2 border-gray-200 font-semibold disabled:opacity-40"
+          >
+            Prev
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} entries)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.next}
+            className="px-4 py-2 rounded-xl border-2 border-gray-200 font-semibold disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
@@ -0,0 +1,279 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Shield, ShieldCheck, Loader2, UserPlus, Copy, X, Mail } from "lucide-react";
+import { ROLES } from "@/lib/permissions";
+
+const roleDescriptions = {
+  owner: "Full access, including team management",
+  editor: "Write, publish and delete blogs; upload media",
+  sales: "View and manage contact and trial leads",
+  viewer: "Read-only access to blogs and leads",
+};
+
+const inviteStatusStyles = {
+  pending: "bg-yellow-100 text-yellow-800",
+  accepted: "bg-green-100 text-green-800",
+  revoked: "bg-gray-100 text-gray-600",
+  expired: "bg-red-100 text-red-700",
+};
+
+const AdminTeam = () => {
+  const [admins, setAdmins] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [inviteUrl, setInviteUrl] = useState("");
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchAdmins = async () => {
+      try {
+        const [adminsRes, invitesRes, settingsRes] = await Promise.all([
+          axios.get("/api/admins"),
+          axios.get("/api/admins/invites"),
+          axios.get("/api/settings"),
+        ]);
+        setAdmins(adminsRes.data.admins || []);
+        setInvitations(invitesRes.data.invitations || []);
+        setRequireTwoFactor(Boolean(settingsRes.data.settings?.["security.requireTwoFactor"]));
+      } catch (err) {
+        console.error("Error fetching admins:", err);
+        setError(err.response?.data?.message || "Failed to load team.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAdmins();
+  }, []);
+
+  const handleRoleChange = async (id, role) => {
+    try {
+      setError("");
+      const res = await axios.patch(`/api/admins/${id}`, { role });
+      setAdmins(prev => prev.map(admin => (admin._id === id ? res.data.admin : admin)));
+    } catch (err) {
+      console.error("Error updating role:", err);
+      setError(err.response?.data?.message || "Failed to update role.");
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      const res = await axios.post("/api/admins/invites", { email: inviteEmail, role: inviteRole });
+      setInvitations(prev => [res.data.invitation, ...prev.map(invite =>
+        invite.email === res.data.invitation.email && invite.status === "pending"
+          ? { ...invite, status: "revoked" }
+          : invite
+      )]);
+      setInviteUrl(res.data.inviteUrl);
+      setInviteEmail("");
+    } catch (err) {
+      console.error("Error creating invitation:", err);
+      setError(err.response?.data?.message || "Failed to create invitation.");
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!confirm("Revoke this invitation? The link will stop working.")) return;
+    try {
+      setError("");
+      await axios.delete(`/api/admins/invites/${id}`);
+      setInvitations(prev => prev.map(invite => (invite._id === id ? { ...invite, status: "revoked" } : invite)));
+    } catch (err) {
+      console.error("Error revoking invitation:", err);
+      setError(err.response?.data?.message || "Failed to revoke invitation.");
+    }
+  };
+
+  const handleRequireTwoFactor = async (value) => {
+    if (value && !confirm("Require two-factor authentication for every admin? Admins without it will have to set it up before using the dashboard.")) return;
+    try {
+      setError("");
+      const res = await axios.put("/api/settings", { "security.requireTwoFactor": value });
+      setRequireTwoFactor(Boolean(res.data.settings["security.requireTwoFactor"]));
+    } catch (err) {
+      console.error("Error updating 2FA requirement:", err);
+      setError(err.response?.data?.message || "Failed to update setting.");
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      alert("Invite link copied to clipboard!");
+    } catch {
+      alert("Copy failed. Please copy the link manually.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading team...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      {/* Security policy */}
+      <label className="border-2 border-gray-200 p-6 rounded-2xl flex items-center justify-between gap-4 cursor-pointer">
+        <div className="flex items-center gap-3">
+          <div className="bg-purple-100 p-2 rounded-lg">
+            <ShieldCheck size={20} className="text-purple-700" />
+          </div>
+          <div>
+            <p className="font-bold text-gray-900">Require two-factor authentication</p>
+            <p className="text-sm text-gray-600">Every admin must use an authenticator app to sign in</p>
+          </div>
+        </div>
+        <input
+          type="checkbox"
+          checked={requireTwoFactor}
+          onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+          className="w-5 h-5 accent-purple-700"
+        />
+      </label>
+
+      {/* Invite form */}
+      <form
+        onSubmit={handleInvite}
+        className="border-2 border-purple-200 p-6 rounded-2xl bg-purple-50 flex flex-wrap items-end gap-4"
+      >
+        <div className="flex-1 min-w-[220px]">
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Invite by email</label>
+          <input
+            type="email"
+            required
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            placeholder="teammate@example.com"
+            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white"
+          />
+        </div>
+        <select
+          value={inviteRole}
+          onChange={(e) => setInviteRole(e.target.value)}
+          className="p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white font-semibold capitalize"
+        >
+          {ROLES.map((role) => (
+            <option key={role} value={role}>
+              {role}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition"
+        >
+          <UserPlus size={18} />
+          Create Invite
+        </button>
+      </form>
+
+      {inviteUrl && (
+        <div className="border-2 border-green-200 bg-green-50 p-4 rounded-2xl">
+          <p className="text-sm font-semibold text-green-800 mb-2">
+            Share this one-time link with the invitee. It won&apos;t be shown again.
+          </p>
+          <div className="flex gap-2 items-center">
+            <code className="flex-1 text-xs bg-white border border-green-200 rounded-lg px-3 py-2 break-all">
+              {inviteUrl}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="bg-green-600 hover:bg-green-700 text-white p-2 rounded-lg transition"
+              title="Copy link"
+            >
+              <Copy size={18} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {invitations.length > 0 && (
+        <div className="border-2 border-gray-200 rounded-2xl p-6 space-y-3">
+          <h3 className="font-bold text-gray-900">Invitations</h3>
+          {invitations.map((invite) => (
+            <div key={invite._id} className="flex flex-wrap justify-between items-center gap-3 text-sm">
+              <div className="flex items-center gap-2">
+                <Mail size={16} className="text-purple-700" />
+                <span className="font-semibold text-gray-900">{invite.email}</span>
+                <span className="capitalize text-gray-600">({invite.role})</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="text-gray-500">
+                  {invite.status === "pending"
+                    ? `Expires ${new Date(invite.expiresAt).toLocaleString()}`
+                    : new Date(invite.createdAt).toLocaleDateString()}
+                </span>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${inviteStatusStyles[invite.status]}`}
+                >
+                  {invite.status}
+                </span>
+                {invite.status === "pending" && (
+                  <button
+                    onClick={() => handleRevoke(invite._id)}
+                    className="bg-red-100 hover:bg-red-200 text-red-700 p-1.5 rounded-lg transition"
+                    title="Revoke invitation"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {admins.map((admin) => (
+        <div
+          key={admin._id}
+          className="border-2 border-gray-200 p-6 rounded-2xl bg-gradient-to-r from-white to-purple-50 flex flex-wrap justify-between items-center gap-4"
+        >
+          <div className="flex items-center gap-3">
+            <div className="bg-purple-100 p-2 rounded-lg">
+              <Shield size={20} className="text-purple-700" />
+            </div>
+            <div>
+              <p className="font-bold text-lg text-gray-900 flex items-center gap-2">
+                {admin.email}
+                {admin.twoFactorEnabled && (
+                  <span className="text-xs font-semibold bg-green-100 text-green-800 px-2 py-0.5 rounded-full">2FA</span>
+                )}
+              </p>
+              <p className="text-sm text-gray-600">{roleDescriptions[admin.role]}</p>
+            </div>
+          </div>
+          <select
+            value={admin.role}
+            onChange={(e) => handleRoleChange(admin._id, e.target.value)}
+            className="p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white font-semibold capitalize"
+          >
+            {ROLES.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AdminTeam;
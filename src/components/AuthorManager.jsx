@@ -0,0 +1,328 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import Image from "next/image";
+import { Edit2, ExternalLink, Loader2, Plus, Save, Trash2, X } from "lucide-react";
+import MediaLibrary from "@/components/MediaLibrary";
+import { AUTHOR_SOCIALS, AUTHOR_SOCIAL_LABELS } from "@/lib/authors";
+
+const emptyDraft = {
+  name: "",
+  slug: "",
+  jobTitle: "",
+  bio: "",
+  avatar: "",
+  socials: Object.fromEntries(AUTHOR_SOCIALS.map((network) => [network, ""])),
+  adminEmail: "",
+};
+
+function draftOf(author) {
+  return {
+    name: author.name,
+    slug: author.slug,
+    jobTitle: author.jobTitle || "",
+    bio: author.bio || "",
+    avatar: author.avatar || "",
+    socials: { ...emptyDraft.socials, ...author.socials },
+    adminEmail: author.admin?.email || "",
+  };
+}
+
+/**
+ * The people blog posts are credited to: their public profile (shown on
+ * posts and at /blogs/author/<slug>) and, optionally, the admin account
+ * that writes as them.
+ */
+const AuthorManager = ({ canEdit }) => {
+  const [authors, setAuthors] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [pickingAvatar, setPickingAvatar] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchAuthors = async () => {
+      try {
+        const res = await axios.get("/api/authors");
+        setAuthors(res.data.authors || []);
+      } catch (err) {
+        console.error("Error fetching authors:", err);
+        setError(err.response?.data?.message || "Failed to load authors.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAuthors();
+  }, [reloadKey]);
+
+  const startEditing = (author) => {
+    setError("");
+    setPickingAvatar(false);
+    setEditing(author ? author._id : "new");
+    setDraft(author ? draftOf(author) : emptyDraft);
+  };
+
+  const updateDraft = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const updateSocial = (network) => (e) =>
+    setDraft((prev) => ({ ...prev, socials: { ...prev.socials, [network]: e.target.value } }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError("");
+      if (editing === "new") {
+        await axios.post("/api/authors", draft);
+      } else {
+        await axios.put(`/api/authors/${editing}`, draft);
+      }
+      setEditing(null);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error saving author:", err);
+      setError(err.response?.data?.message || "Failed to save author.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (author) => {
+    if (!confirm(`Delete the author "${author.name}"?`)) return;
+    try {
+      setError("");
+      await axios.delete(`/api/authors/${author._id}`);
+      setAuthors((prev) => prev.filter((item) => item._id !== author._id));
+    } catch (err) {
+      console.error("Error deleting author:", err);
+      setError(err.response?.data?.message || "Failed to delete author.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-8 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading authors...</span>
+      </div>
+    );
+  }
+
+  const inputClass =
+    "w-full p-2.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white text-sm";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <p className="text-sm text-gray-600">
+          Posts are credited to these authors. Renaming one updates every post that credits them.
+        </p>
+        {canEdit && editing === null && (
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-purple-950 hover:bg-purple-800 text-white px-4 py-2 rounded-xl font-semibold flex items-center gap-2 text-sm transition"
+          >
+            <Plus size={16} />
+            New Author
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold">{error}</div>
+      )}
+
+      {editing !== null && (
+        <form onSubmit={handleSave} className="bg-white border-2 border-purple-300 rounded-2xl p-5 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Name</label>
+              <input type="text" value={draft.name} onChange={updateDraft("name")} required maxLength={100} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Job title</label>
+              <input type="text" value={draft.jobTitle} onChange={updateDraft("jobTitle")} maxLength={100} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Profile URL</label>
+              <input
+                type="text"
+                value={draft.slug}
+                onChange={updateDraft("slug")}
+                placeholder="Made from the name"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Bio</label>
+            <textarea rows={4} value={draft.bio} onChange={updateDraft("bio")} maxLength={2000} className={inputClass} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Photo</label>
+            <div className="flex items-center gap-3">
+              {draft.avatar ? (
+                <Image
+                  src={draft.avatar}
+                  alt={draft.name || "Author photo"}
+                  width={64}
+                  height={64}
+                  className="w-16 h-16 rounded-full object-cover"
+                />
+              ) : (
+                <span className="w-16 h-16 rounded-full bg-gray-100" />
+              )}
+              <button
+                type="button"
+                onClick={() => setPickingAvatar((prev) => !prev)}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm font-semibold transition"
+              >
+                {pickingAvatar ? "Close Library" : "Choose from Media Library"}
+              </button>
+              {draft.avatar && (
+                <button
+                  type="button"
+                  onClick={() => setDraft((prev) => ({ ...prev, avatar: "" }))}
+                  className="text-sm font-semibold text-red-700 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+            {pickingAvatar && (
+              <div className="mt-3 border-2 border-gray-200 rounded-xl p-4">
+                <MediaLibrary
+                  onSelect={(media) => {
+                    setDraft((prev) => ({ ...prev, avatar: media.url }));
+                    setPickingAvatar(false);
+                  }}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {AUTHOR_SOCIALS.map((network) => (
+              <div key={network}>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">{AUTHOR_SOCIAL_LABELS[network]}</label>
+                <input
+                  type="url"
+                  value={draft.socials[network]}
+                  onChange={updateSocial(network)}
+                  placeholder="https://"
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Admin account</label>
+            <input
+              type="email"
+              value={draft.adminEmail}
+              onChange={updateDraft("adminEmail")}
+              placeholder="Email of the admin who writes as this author (optional)"
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">New posts by that admin are credited to this author by default.</p>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-xl font-semibold flex items-center gap-2 text-sm transition"
+            >
+              <X size={16} />
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-purple-950 hover:bg-purple-800 disabled:opacity-50 text-white px-4 py-2 rounded-xl font-semibold flex items-center gap-2 text-sm transition"
+            >
+              {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+              Save Author
+            </button>
+          </div>
+        </form>
+      )}
+
+      {authors.length === 0 ? (
+        <p className="text-sm text-gray-600">No authors yet. Add one to credit posts to them.</p>
+      ) : (
+        <div className="space-y-2">
+          {authors.map((author) => (
+            <div
+              key={author._id}
+              className="bg-white border-2 border-gray-200 rounded-2xl px-5 py-3 flex flex-wrap justify-between items-center gap-3"
+            >
+              <div className="flex items-center gap-3 min-w-0 flex-1">
+                {author.avatar ? (
+                  <Image
+                    src={author.avatar}
+                    alt={author.name}
+                    width={40}
+                    height={40}
+                    className="w-10 h-10 rounded-full object-cover"
+                  />
+                ) : (
+                  <span className="w-10 h-10 rounded-full bg-gray-100 flex-shrink-0" />
+                )}
+                <div className="min-w-0 text-sm">
+                  <p className="font-semibold text-gray-900">{author.name}</p>
+                  <p className="text-gray-600">
+                    {[
+                      author.jobTitle,
+                      `${author.postCount} post${author.postCount === 1 ? "" : "s"}`,
+                      author.admin?.email && `Linked to ${author.admin.email}`,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+              </div>
+              <div className="flex gap-1">
+                <a
+                  href={`/blogs/author/${author.slug}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition"
+                >
+                  <ExternalLink size={14} />
+                </a>
+                {canEdit && (
+                  <>
+                    <button
+                      onClick={() => startEditing(author)}
+                      className="bg-blue-100 hover:bg-blue-200 text-blue-800 p-2 rounded-lg transition"
+                    >
+                      <Edit2 size={14} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(author)}
+                      disabled={author.postCount > 0}
+                      title={author.postCount > 0 ? "Credit their posts to someone else first" : undefined}
+                      className="bg-red-100 hover:bg-red-200 disabled:opacity-40 text-red-700 p-2 rounded-lg transition"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthorManager;
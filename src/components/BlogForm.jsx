@@ -1,6 +1,6 @@
 "use client";
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import dynamic from "next/dynamic";
 import axios from "axios";
 import Image from "next/image";
@@ -14,43 +14,117 @@ import {
   CheckCircle,
   Loader2,
   X,
-  Sparkles
+  Sparkles,
+  Clock,
+  Save,
+  Images,
+  Search,
+  Tags
 } from "lucide-react";
+import MediaLibrary from "@/components/MediaLibrary";
+import BlogSeoPreview from "@/components/BlogSeoPreview";
+import { SEO_DESCRIPTION_LENGTH, SEO_TITLE_LENGTH, excerptOf, readingTimeOf } from "@/lib/blogMeta";
+
+const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || "";
 
 // Dynamically import Jodit Editor for SSR safety
 const JoditEditor = dynamic(() => import("jodit-react"), { ssr: false });
 
-const BlogForm = ({ onSubmit, existingData }) => {
+// Formats a date for a datetime-local input (local time, minute precision)
+const toLocalInputValue = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Text of the editor's HTML, for the excerpt and reading time previews
+const contentText = (html) =>
+  html && typeof DOMParser !== "undefined" ? new DOMParser().parseFromString(html, "text/html").body.textContent : "";
+
+// "12 / 60" that turns red past the length search engines show
+const LengthHint = ({ value, limit }) => (
+  <span className={`text-xs font-medium ${value.length > limit ? "text-red-600" : "text-gray-500"}`}>
+    {value.length} / {limit}
+  </span>
+);
+
+// `adminEmail` is the signed-in admin's; new posts start out credited to
+// the author linked to that account.
+const BlogForm = ({ onSubmit, existingData, canPublish = true, adminEmail }) => {
   const [title, setTitle] = useState("");
   const [category, setCategory] = useState("");
-  const [writtenby, setWrittenBy] = useState("");
+  const [author, setAuthor] = useState("");
+  const [authors, setAuthors] = useState([]);
   const [content, setContent] = useState("");
   const [image, setImage] = useState("");
   const [imageUrlInput, setImageUrlInput] = useState("");
   const [uploading, setUploading] = useState(false);
-  const [uploadMethod, setUploadMethod] = useState("file"); // "file" or "url"
+  const [uploadMethod, setUploadMethod] = useState("file"); // "file", "url" or "library"
+  const [status, setStatus] = useState("draft"); // "draft" | "scheduled" | "published"
+  const [publishAt, setPublishAt] = useState("");
+  const [tags, setTags] = useState("");
+  const [excerpt, setExcerpt] = useState("");
+  const [metaTitle, setMetaTitle] = useState("");
+  const [metaDescription, setMetaDescription] = useState("");
+  const [imageAlt, setImageAlt] = useState("");
+  const [canonicalUrl, setCanonicalUrl] = useState("");
+
+  const plainContent = useMemo(() => contentText(content), [content]);
 
   // Autofill fields in edit mode
   useEffect(() => {
     if (existingData) {
       setTitle(existingData.title || "");
       setCategory(existingData.category || "");
-      setWrittenBy(existingData.writtenby || "");
+      setAuthor(existingData.author || "");
       setContent(existingData.content || "");
       setImage(existingData.image || "");
       setImageUrlInput(existingData.image || "");
+      setStatus(existingData.status || "published");
+      setPublishAt(toLocalInputValue(existingData.publishAt));
+      setTags((existingData.tags || []).join(", "));
+      setExcerpt(existingData.excerpt || "");
+      setMetaTitle(existingData.metaTitle || "");
+      setMetaDescription(existingData.metaDescription || "");
+      setImageAlt(existingData.imageAlt || "");
+      setCanonicalUrl(existingData.canonicalUrl || "");
     } else {
       resetForm();
     }
   }, [existingData]);
 
+  useEffect(() => {
+    const fetchAuthors = async () => {
+      try {
+        const res = await axios.get("/api/authors");
+        setAuthors(res.data.authors || []);
+      } catch (err) {
+        console.error("Error fetching authors:", err);
+      }
+    };
+    fetchAuthors();
+  }, []);
+
+  // Until one is picked, a new post goes to the admin's own author profile
+  const linkedAuthor = authors.find((item) => adminEmail && item.admin?.email === adminEmail);
+  const selectedAuthor = author || (!existingData && linkedAuthor?._id) || "";
+
   const resetForm = () => {
     setTitle("");
     setCategory("");
-    setWrittenBy("");
+    setAuthor("");
     setContent("");
     setImage("");
     setImageUrlInput("");
+    setStatus("draft");
+    setPublishAt("");
+    setTags("");
+    setExcerpt("");
+    setMetaTitle("");
+    setMetaDescription("");
+    setImageAlt("");
+    setCanonicalUrl("");
   };
 
   // ✅ Upload local file to Cloudinary automatically
@@ -68,7 +142,7 @@ const BlogForm = ({ onSubmit, existingData }) => {
       setImageUrlInput(res.data.url);
     } catch (err) {
       console.error("File upload failed:", err);
-      alert("File upload failed. Please try again.");
+      alert(err.response?.data?.error || "File upload failed. Please try again.");
     } finally {
       setUploading(false);
     }
@@ -91,7 +165,7 @@ const BlogForm = ({ onSubmit, existingData }) => {
       setImageUrlInput(res.data.url);
     } catch (err) {
       console.error("Image URL upload failed:", err);
-      alert("Image URL upload failed. Please check the URL.");
+      alert(err.response?.data?.error || "Image URL upload failed. Please check the URL.");
     } finally {
       setUploading(false);
     }
@@ -104,6 +178,10 @@ const BlogForm = ({ onSubmit, existingData }) => {
       alert("Please add an image!");
       return;
     }
+    if (status === "scheduled" && !publishAt) {
+      alert("Please pick a publish date and time!");
+      return;
+    }
 
     const slug = title.toLowerCase().replace(/\s+/g, "-");
 
@@ -111,10 +189,17 @@ const BlogForm = ({ onSubmit, existingData }) => {
       title,
       slug,
       category,
-      writtenby,
+      author: selectedAuthor,
       content,
       image,
-      date: new Date(),
+      status,
+      publishAt: status === "scheduled" ? new Date(publishAt).toISOString() : null,
+      tags,
+      excerpt,
+      metaTitle,
+      metaDescription,
+      imageAlt,
+      canonicalUrl,
     };
 
     await onSubmit(blogData);
@@ -124,8 +209,12 @@ const BlogForm = ({ onSubmit, existingData }) => {
   const removeImage = () => {
     setImage("");
     setImageUrlInput("");
+    setImageAlt("");
   };
 
+  const inputClass =
+    "w-full p-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition bg-white hover:border-purple-300";
+
   return (
     <form
       onSubmit={handleSubmit}
@@ -171,17 +260,44 @@ const BlogForm = ({ onSubmit, existingData }) => {
             <User size={18} className="text-purple-600" />
             Written By
           </label>
-          <input
-            type="text"
-            placeholder="Author name"
-            value={writtenby}
-            onChange={(e) => setWrittenBy(e.target.value)}
+          <select
+            value={selectedAuthor}
+            onChange={(e) => setAuthor(e.target.value)}
             className="w-full p-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition bg-white hover:border-purple-300"
             required
-          />
+          >
+            <option value="">
+              {existingData?.writtenby && !existingData.author
+                ? `Pick the author for "${existingData.writtenby}"`
+                : "Select an author"}
+            </option>
+            {authors.map((item) => (
+              <option key={item._id} value={item._id}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+          {authors.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">Add authors in the Authors tab first.</p>
+          )}
         </div>
       </div>
 
+      {/* Tags */}
+      <div className="group">
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+          <Tags size={18} className="text-purple-600" />
+          Tags
+        </label>
+        <input
+          type="text"
+          placeholder="Comma-separated, e.g. IIoT, OEE, Predictive Maintenance"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
       {/* Image Upload Section */}
       <div className="bg-gradient-to-br from-purple-200 to-white p-6 rounded-2xl border-2 border-purple-100">
         <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-4">
@@ -215,6 +331,18 @@ const BlogForm = ({ onSubmit, existingData }) => {
             <Link2 size={18} />
             Image URL
           </button>
+          <button
+            type="button"
+            onClick={() => setUploadMethod("library")}
+            className={`flex-1 py-3 px-4 rounded-xl font-semibold flex items-center justify-center gap-2 transition ${
+              uploadMethod === "library"
+                ? "bg-purple-950 text-white shadow-lg"
+                : "bg-white text-gray-600 border-2 border-gray-200 hover:border-purple-300"
+            }`}
+          >
+            <Images size={18} />
+            Media Library
+          </button>
         </div>
 
         {/* File Upload */}
@@ -256,6 +384,19 @@ const BlogForm = ({ onSubmit, existingData }) => {
           </div>
         )}
 
+        {/* Reuse an image already in the library */}
+        {uploadMethod === "library" && (
+          <div className="mb-4 bg-white rounded-xl p-4 border-2 border-gray-200">
+            <MediaLibrary
+              onSelect={(media) => {
+                setImage(media.url);
+                setImageUrlInput(media.url);
+                if (media.alt) setImageAlt(media.alt);
+              }}
+            />
+          </div>
+        )}
+
         {/* Uploading Indicator */}
         {uploading && (
           <div className="flex items-center justify-center gap-2 py-4 text-purple-600">
@@ -288,6 +429,14 @@ const BlogForm = ({ onSubmit, existingData }) => {
               <CheckCircle size={18} />
               <span className="text-sm font-semibold">Image uploaded successfully!</span>
             </div>
+            <input
+              type="text"
+              placeholder="Alt text: describe the image for screen readers and search engines"
+              value={imageAlt}
+              onChange={(e) => setImageAlt(e.target.value)}
+              maxLength={300}
+              className={`${inputClass} mt-3`}
+            />
           </div>
         )}
       </div>
@@ -324,6 +473,118 @@ const BlogForm = ({ onSubmit, existingData }) => {
         </div>
       </div>
 
+      {/* Excerpt, SEO fields and how the post will look in search and when shared */}
+      <div className="bg-gradient-to-br from-purple-200 to-white p-6 rounded-2xl border-2 border-purple-100 space-y-4">
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          <Search size={18} className="text-purple-600" />
+          Search &amp; Sharing
+          {plainContent && (
+            <span className="ml-auto text-xs font-medium text-gray-500">
+              About {readingTimeOf(plainContent)} min read
+            </span>
+          )}
+        </label>
+        <div>
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-sm font-semibold text-gray-700">Excerpt</span>
+            <LengthHint value={excerpt} limit={SEO_DESCRIPTION_LENGTH} />
+          </div>
+          <textarea
+            rows={3}
+            placeholder={excerptOf(plainContent) || "A short summary for blog listings; left empty, it's taken from the content"}
+            value={excerpt}
+            onChange={(e) => setExcerpt(e.target.value)}
+            maxLength={500}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-sm font-semibold text-gray-700">Meta title</span>
+            <LengthHint value={metaTitle} limit={SEO_TITLE_LENGTH} />
+          </div>
+          <input
+            type="text"
+            placeholder={title || "Defaults to the blog title"}
+            value={metaTitle}
+            onChange={(e) => setMetaTitle(e.target.value)}
+            maxLength={120}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-sm font-semibold text-gray-700">Meta description</span>
+            <LengthHint value={metaDescription} limit={SEO_DESCRIPTION_LENGTH} />
+          </div>
+          <textarea
+            rows={2}
+            placeholder="Defaults to the excerpt"
+            value={metaDescription}
+            onChange={(e) => setMetaDescription(e.target.value)}
+            maxLength={320}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <span className="block text-sm font-semibold text-gray-700 mb-1">Canonical URL</span>
+          <input
+            type="url"
+            placeholder="Only when the post first appeared elsewhere, e.g. https://example.com/original-post"
+            value={canonicalUrl}
+            onChange={(e) => setCanonicalUrl(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <BlogSeoPreview
+          title={metaTitle || title}
+          description={metaDescription || excerpt || excerptOf(plainContent)}
+          url={canonicalUrl || `${baseUrl}/blogs/${existingData?.slug || title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}`}
+          image={image}
+          imageAlt={imageAlt}
+        />
+      </div>
+
+      {/* Publishing Status */}
+      <div className="bg-gradient-to-br from-purple-200 to-white p-6 rounded-2xl border-2 border-purple-100">
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-4">
+          <Clock size={18} className="text-purple-600" />
+          Publishing
+        </label>
+        <div className="flex gap-2 mb-4">
+          {[
+            { value: "draft", label: "Draft" },
+            { value: "scheduled", label: "Schedule" },
+            { value: "published", label: "Publish Now" },
+          ]
+            .filter((option) => canPublish || option.value === "draft" || option.value === status)
+            .map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setStatus(option.value)}
+                className={`flex-1 py-3 px-4 rounded-xl font-semibold transition ${
+                  status === option.value
+                    ? "bg-purple-950 text-white shadow-lg"
+                    : "bg-white text-gray-600 border-2 border-gray-200 hover:border-purple-300"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+        </div>
+        {status === "scheduled" && (
+          <input
+            type="datetime-local"
+            value={publishAt}
+            min={toLocalInputValue(new Date())}
+            onChange={(e) => setPublishAt(e.target.value)}
+            className="w-full p-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition bg-white hover:border-purple-300"
+            required
+          />
+        )}
+      </div>
+
       {/* Submit Button */}
       <div className="flex justify-end pt-4">
         <button
@@ -335,6 +596,16 @@ const BlogForm = ({ onSubmit, existingData }) => {
               <CheckCircle size={20} />
               Update Blog
             </>
+          ) : status === "draft" ? (
+            <>
+              <Save size={20} />
+              Save Draft
+            </>
+          ) : status === "scheduled" ? (
+            <>
+              <Clock size={20} />
+              Schedule Blog
+            </>
           ) : (
             <>
               <Sparkles size={20} className="group-hover:rotate-12 transition" />
@@ -0,0 +1,231 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { History, RotateCcw, X, Loader2, User, Calendar } from "lucide-react";
+
+const actionLabels = {
+  create: "Created",
+  update: "Edited",
+  status: "Status changed",
+  restore: "Restored",
+};
+
+// Renders one side of a side-by-side diff: "before" hides inserts, "after" hides deletes
+const DiffSide = ({ chunks, side }) => (
+  <div className="whitespace-pre-wrap break-words text-sm leading-relaxed font-mono">
+    {chunks.map((chunk, index) => {
+      if (chunk.type === "equal") return <span key={index}>{chunk.value}</span>;
+      if (side === "before" && chunk.type === "delete")
+        return <del key={index} className="bg-red-100 text-red-800 no-underline">{chunk.value}</del>;
+      if (side === "after" && chunk.type === "insert")
+        return <ins key={index} className="bg-green-100 text-green-800 no-underline">{chunk.value}</ins>;
+      return null;
+    })}
+  </div>
+);
+
+const BlogRevisions = ({ blog, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [mode, setMode] = useState("text");
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const res = await axios.get(`/api/blogs/${blog._id}/revisions`);
+        const list = res.data.revisions || [];
+        setRevisions(list);
+        // Default to comparing the two most recent revisions
+        setTo(list[0]?.number ?? null);
+        setFrom(list[1]?.number ?? list[0]?.number ?? null);
+      } catch (err) {
+        console.error("Error fetching revisions:", err);
+        setError(err.response?.data?.message || "Failed to load revisions.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRevisions();
+  }, [blog._id, reloadKey]);
+
+  useEffect(() => {
+    if (from === null || to === null) return;
+    const fetchDiff = async () => {
+      try {
+        const res = await axios.get(
+          `/api/blogs/${blog._id}/revisions/diff?from=${from}&to=${to}&mode=${mode}`
+        );
+        setDiff(res.data);
+      } catch (err) {
+        console.error("Error fetching diff:", err);
+        setError(err.response?.data?.message || "Failed to compare revisions.");
+      }
+    };
+    fetchDiff();
+  }, [blog._id, from, to, mode]);
+
+  const handleRestore = async (number) => {
+    if (!confirm(`Restore revision #${number}? The current version stays in history.`)) return;
+    try {
+      const res = await axios.post(`/api/blogs/${blog._id}/revisions/${number}/restore`);
+      onRestored?.(res.data.blog);
+      setReloadKey((key) => key + 1);
+      alert(`Revision #${number} restored successfully!`);
+    } catch (err) {
+      console.error("Error restoring revision:", err);
+      setError(err.response?.data?.message || "Failed to restore revision.");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex justify-center items-center p-4">
+      <div className="bg-white w-full max-w-7xl rounded-3xl shadow-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex justify-between items-center px-8 py-5 border-b border-gray-200">
+          <h2 className="text-2xl font-bold text-purple-950 flex items-center gap-3">
+            <History size={26} />
+            Revision History: {blog.title}
+          </h2>
+          <button
+            onClick={onClose}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-xl transition"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-b border-red-200 text-red-800 px-8 py-3 font-semibold">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+            <Loader2 size={24} className="animate-spin" />
+            <span className="font-semibold">Loading revisions...</span>
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-center text-gray-500 py-16">No revisions recorded for this blog yet.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-4 flex-1 overflow-hidden">
+            {/* Revision list */}
+            <div className="lg:col-span-1 border-r border-gray-200 overflow-y-auto p-4 space-y-3">
+              {revisions.map((revision) => (
+                <div
+                  key={revision._id}
+                  className="border-2 border-gray-200 rounded-2xl p-4 bg-gradient-to-r from-white to-purple-50"
+                >
+                  <div className="flex justify-between items-center mb-1">
+                    <span className="font-bold text-gray-900">#{revision.number}</span>
+                    <span className="text-xs font-semibold text-purple-800 bg-purple-100 px-2 py-0.5 rounded-full">
+                      {actionLabels[revision.action]}
+                      {revision.restoredFrom ? ` #${revision.restoredFrom}` : ""}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-600 flex items-center gap-1">
+                    <User size={12} />
+                    {revision.author?.email || "Unknown"}
+                  </p>
+                  <p className="text-xs text-gray-600 flex items-center gap-1 mb-3">
+                    <Calendar size={12} />
+                    {new Date(revision.createdAt).toLocaleString()}
+                  </p>
+                  <div className="flex gap-2 text-xs font-semibold">
+                    <button
+                      onClick={() => setFrom(revision.number)}
+                      className={`px-2.5 py-1 rounded-lg transition ${
+                        from === revision.number ? "bg-red-500 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      }`}
+                    >
+                      Before
+                    </button>
+                    <button
+                      onClick={() => setTo(revision.number)}
+                      className={`px-2.5 py-1 rounded-lg transition ${
+                        to === revision.number ? "bg-green-500 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      }`}
+                    >
+                      After
+                    </button>
+                    {revision.number !== revisions[0].number && (
+                      <button
+                        onClick={() => handleRestore(revision.number)}
+                        className="ml-auto px-2.5 py-1 rounded-lg bg-yellow-500 hover:bg-yellow-600 text-white flex items-center gap-1 transition"
+                      >
+                        <RotateCcw size={12} />
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Diff view */}
+            <div className="lg:col-span-3 overflow-y-auto p-6">
+              <div className="flex justify-between items-center mb-4">
+                <p className="font-semibold text-gray-700">
+                  Comparing #{from} → #{to}
+                </p>
+                <div className="flex gap-2">
+                  {["text", "html"].map((option) => (
+                    <button
+                      key={option}
+                      onClick={() => setMode(option)}
+                      className={`px-4 py-2 rounded-xl text-sm font-semibold transition ${
+                        mode === option
+                          ? "bg-purple-950 text-white shadow-lg"
+                          : "bg-white text-gray-600 border-2 border-gray-200 hover:border-purple-300"
+                      }`}
+                    >
+                      {option === "text" ? "Text" : "HTML"}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {diff && (
+                <>
+                  <div className="mb-6 space-y-2">
+                    {diff.fields
+                      .filter((field) => field.changed)
+                      .map((field) => (
+                        <div key={field.field} className="grid grid-cols-2 gap-4 text-sm">
+                          <div className="bg-red-50 rounded-lg px-3 py-2">
+                            <span className="font-semibold text-gray-700">{field.field}: </span>
+                            {field.before || <em className="text-gray-400">empty</em>}
+                          </div>
+                          <div className="bg-green-50 rounded-lg px-3 py-2">
+                            <span className="font-semibold text-gray-700">{field.field}: </span>
+                            {field.after || <em className="text-gray-400">empty</em>}
+                          </div>
+                        </div>
+                      ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="border-2 border-red-100 rounded-2xl p-4">
+                      <p className="text-xs font-bold text-red-700 uppercase mb-2">Before #{diff.from}</p>
+                      <DiffSide chunks={diff.content} side="before" />
+                    </div>
+                    <div className="border-2 border-green-100 rounded-2xl p-4">
+                      <p className="text-xs font-bold text-green-700 uppercase mb-2">After #{diff.to}</p>
+                      <DiffSide chunks={diff.content} side="after" />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlogRevisions;
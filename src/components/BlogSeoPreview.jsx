@@ -0,0 +1,54 @@
+"use client";
+
+import React from "react";
+import Image from "next/image";
+import { SEO_DESCRIPTION_LENGTH, SEO_TITLE_LENGTH } from "@/lib/blogMeta";
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+/**
+ * How a post will look as a search result and as a shared link, using the
+ * same fallbacks as blogs/[slug]/layout.js: meta title, else title; meta
+ * description, else excerpt, else the opening of the content.
+ */
+const BlogSeoPreview = ({ title, description, url, image, imageAlt }) => {
+  const displayTitle = `${title || "Post title"} | MachinoX Pro`;
+  const displayDescription = description || "Add a description or some content to see it here.";
+  let host = url;
+  try {
+    host = new URL(url).host;
+  } catch {
+    // Not absolute yet; show it as typed
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div className="bg-white rounded-xl border-2 border-gray-200 p-4">
+        <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-3">Search result</p>
+        <p className="text-sm text-gray-700 truncate">{url}</p>
+        <p className="text-xl text-[#1a0dab] leading-snug mt-1">{truncate(displayTitle, SEO_TITLE_LENGTH)}</p>
+        <p className="text-sm text-gray-600 mt-1">{truncate(displayDescription, SEO_DESCRIPTION_LENGTH)}</p>
+      </div>
+
+      <div className="bg-white rounded-xl border-2 border-gray-200 p-4">
+        <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-3">Shared link</p>
+        <div className="rounded-lg overflow-hidden border border-gray-200">
+          <div className="relative aspect-[1200/630] bg-gray-100">
+            {image ? (
+              <Image src={image} alt={imageAlt || title || "Cover image"} fill sizes="400px" className="object-cover" />
+            ) : (
+              <span className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">No cover image</span>
+            )}
+          </div>
+          <div className="p-3 bg-gray-50">
+            <p className="text-xs text-gray-500 uppercase">{host}</p>
+            <p className="font-semibold text-gray-900 line-clamp-2">{title || "Post title"}</p>
+            <p className="text-sm text-gray-600 line-clamp-2">{displayDescription}</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlogSeoPreview;
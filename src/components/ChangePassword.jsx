@@ -0,0 +1,114 @@
+"use client";
+
+import React, { useState } from "react";
+import axios from "axios";
+import { signIn, signOut } from "next-auth/react";
+import { KeyRound } from "lucide-react";
+import PasswordChecklist from "@/components/PasswordChecklist";
+import { passwordProblems } from "@/lib/passwordPolicy";
+
+const ChangePassword = ({ email }) => {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (newPassword !== confirmPassword) {
+      setError("New passwords do not match.");
+      return;
+    }
+    if (passwordProblems(newPassword, { email }).length > 0) {
+      setError("Please choose a stronger password.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await axios.post("/api/auth/change-password", { currentPassword, newPassword });
+
+      // The change signed out every session; sign this one back in with the new password
+      const res = await signIn("credentials", { redirect: false, email, password: newPassword });
+      if (res?.error) {
+        signOut({ callbackUrl: "/admin/auth" });
+        return;
+      }
+
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      alert("Password changed. You have been signed out on all other devices.");
+    } catch (err) {
+      console.error("Error changing password:", err);
+      setError(err.response?.data?.error || "Failed to change password.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-lg space-y-4">
+      <h3 className="text-xl font-bold text-purple-950 flex items-center gap-2">
+        <KeyRound size={22} />
+        Change Password
+      </h3>
+      <p className="text-sm text-gray-600">Signed in as {email}</p>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Current password</label>
+        <input
+          type="password"
+          required
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">New password</label>
+        <input
+          type="password"
+          required
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Confirm new password</label>
+        <input
+          type="password"
+          required
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
+      <PasswordChecklist password={newPassword} email={email} />
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold transition disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Update Password"}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePassword;
@@ -1,8 +1,11 @@
 'use client'
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { createPortal } from 'react-dom';
 import { useAppContext } from '@/context/useContext';
+import { COUNTRIES, LEAD_FORM_SCHEMAS, validateLeadForm } from '@/lib/leadFormSchema';
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from '@/lib/leadSpam';
+import { PAGE_PATH_FIELD } from '@/lib/leadRouting';
 
 const BookTrialForm = () => {
   const { demoOpen, setDemoOpen } = useAppContext();
@@ -18,21 +21,53 @@ const BookTrialForm = () => {
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [honeypot, setHoneypot] = useState('');
+  const [formToken, setFormToken] = useState('');
+
+  // A fresh render token each time the form opens; the API checks how long it took to fill in
+  const loadFormToken = async () => {
+    try {
+      const res = await fetch('/api/leads/form-token', { cache: 'no-store' });
+      const { token } = await res.json();
+      setFormToken(token);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  useEffect(() => {
+    if (demoOpen) loadFormToken();
+  }, [demoOpen]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData({ ...formData, [name]: value });
+    setFieldErrors({ ...fieldErrors, [name]: null });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Same rules the API enforces, so problems show before a round trip
+    const { errors } = validateLeadForm(formData, LEAD_FORM_SCHEMAS.demo_request);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
     setIsSubmitting(true);
 
     try {
-      const res = await fetch('/api/trial', {
+      const res = await fetch('/api/leads', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ ...formData, formType: 'trial' })
+        body: JSON.stringify({
+          ...formData,
+          source: 'demo_request',
+          [HONEYPOT_FIELD]: honeypot,
+          [FORM_TOKEN_FIELD]: formToken,
+          // The page the form was opened on, for routing rules
+          [PAGE_PATH_FIELD]: window.location.pathname
+        })
       });
 
       const result = await res.json();
@@ -49,6 +84,9 @@ const BookTrialForm = () => {
           phone: '',
           message: ''
         });
+        loadFormToken();
+      } else if (result.errors) {
+        setFieldErrors(result.errors);
       } else {
         setSubmitStatus('error');
       }
@@ -78,24 +116,50 @@ const BookTrialForm = () => {
 
               {/* All original inputs remain unchanged */}
               <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4">
-                <input type="text" name="firstName" value={formData.firstName} onChange={handleChange} placeholder="First Name" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
-                <input type="text" name="lastName" value={formData.lastName} onChange={handleChange} placeholder="Last Name" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
-                <select name="country" value={formData.country} onChange={handleChange} required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white">
-                  <option value="India">India</option>
-                  <option value="USA">USA</option>
-                  <option value="UK">UK</option>
-                  <option value="Canada">Canada</option>
-                </select>
-                <input type="text" name="jobTitle" value={formData.jobTitle} onChange={handleChange} placeholder="Specify your job title" className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                <div>
+                  <input type="text" name="firstName" value={formData.firstName} onChange={handleChange} placeholder="First Name" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.firstName} />
+                </div>
+                <div>
+                  <input type="text" name="lastName" value={formData.lastName} onChange={handleChange} placeholder="Last Name" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.lastName} />
+                </div>
+                <div>
+                  <select name="country" value={formData.country} onChange={handleChange} required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white">
+                    {COUNTRIES.map((country) => (
+                      <option key={country} value={country}>{country}</option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldErrors.country} />
+                </div>
+                <div>
+                  <input type="text" name="jobTitle" value={formData.jobTitle} onChange={handleChange} placeholder="Specify your job title" className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.jobTitle} />
+                </div>
               </div>
 
               <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
-                <input type="text" name="company" value={formData.company} onChange={handleChange} placeholder="Enter company name" className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
-                <input type="email" name="email" value={formData.email} onChange={handleChange} placeholder="e.g user@gmail.com" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
-                <input type="tel" name="phone" value={formData.phone} onChange={handleChange} placeholder="91 788711383" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                <div>
+                  <input type="text" name="company" value={formData.company} onChange={handleChange} placeholder="Enter company name" className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.company} />
+                </div>
+                <div>
+                  <input type="email" name="email" value={formData.email} onChange={handleChange} placeholder="e.g user@gmail.com" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.email} />
+                </div>
+                <div>
+                  <input type="tel" name="phone" value={formData.phone} onChange={handleChange} placeholder="91 788711383" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                  <FieldError message={fieldErrors.phone} />
+                </div>
               </div>
 
-              <textarea name="message" value={formData.message} onChange={handleChange} placeholder="Please type your message" rows="3" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"/>
+              <div>
+                <textarea name="message" value={formData.message} onChange={handleChange} placeholder="Please type your message" rows="3" required className="w-full border border-gray-300 px-3 py-1.5 rounded focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"/>
+                <FieldError message={fieldErrors.message} />
+              </div>
+
+              {/* Hidden from people; bots that fill it in are quarantined */}
+              <input type="text" name={HONEYPOT_FIELD} value={honeypot} onChange={(e) => setHoneypot(e.target.value)} tabIndex={-1} autoComplete="off" aria-hidden="true" className="absolute -left-[9999px] w-px h-px opacity-0"/>
 
               <div className="flex justify-center mt-2">
                 <button type="submit" disabled={isSubmitting} className="bg-[#430099] text-white px-10 py-2 rounded-full hover:bg-purple-800 transition font-semibold text-base uppercase tracking-wide">
@@ -114,4 +178,7 @@ const BookTrialForm = () => {
     : null;
 };
 
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-xs text-red-600">{message}</p> : null;
+
 export default BookTrialForm;
@@ -0,0 +1,166 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Loader2, RotateCcw, ChevronDown, ChevronUp, Send } from "lucide-react";
+
+const statusLabels = {
+  failed: "Failed",
+  pending: "Queued",
+  sending: "Sending",
+  sent: "Sent",
+};
+
+const statusStyles = {
+  failed: "bg-red-100 text-red-700",
+  pending: "bg-yellow-100 text-yellow-800",
+  sending: "bg-blue-100 text-blue-800",
+  sent: "bg-green-100 text-green-800",
+};
+
+/**
+ * Emails in the outbox by status. Failed ones (rejected by the provider or
+ * out of retries) can be queued again.
+ */
+const EmailOutbox = () => {
+  const [status, setStatus] = useState("failed");
+  const [emails, setEmails] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchEmails = async () => {
+      try {
+        setLoading(true);
+        const res = await axios.get(`/api/emails?status=${status}`);
+        setEmails(res.data.emails || []);
+        setCounts(res.data.counts || {});
+      } catch (err) {
+        console.error("Error fetching emails:", err);
+        setError(err.response?.data?.message || "Failed to load emails.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchEmails();
+  }, [status, reloadKey]);
+
+  const handleResend = async (id) => {
+    try {
+      setError("");
+      await axios.post(`/api/emails/${id}/resend`);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error resending email:", err);
+      setError(err.response?.data?.message || "Failed to resend email.");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold text-purple-950 flex items-center gap-2">
+        <Send size={22} />
+        Outbox
+      </h3>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.keys(statusLabels).map((option) => (
+          <button
+            key={option}
+            onClick={() => setStatus(option)}
+            className={`px-4 py-2 rounded-xl font-semibold text-sm transition ${
+              status === option ? "bg-purple-950 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {statusLabels[option]} ({counts[option] || 0})
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+          <Loader2 size={24} className="animate-spin" />
+          <span className="font-semibold">Loading emails...</span>
+        </div>
+      ) : emails.length === 0 ? (
+        <p className="text-center py-16 text-gray-500 text-lg font-medium">No {statusLabels[status].toLowerCase()} emails.</p>
+      ) : (
+        <div className="space-y-2">
+          {emails.map((email) => (
+            <div key={email._id} className="border-2 border-gray-200 rounded-2xl px-5 py-3">
+              <div className="flex flex-wrap justify-between items-start gap-3">
+                <div className="min-w-0 flex-1">
+                  <p className="font-semibold text-gray-900">{email.message.subject}</p>
+                  <p className="text-sm text-gray-600">
+                    To {email.message.to.join(", ")} · {email.kind} · {email.attempts} attempt
+                    {email.attempts === 1 ? "" : "s"}
+                  </p>
+                  {email.lastError && <p className="text-sm text-red-700 mt-1 break-words">{email.lastError}</p>}
+                  <p className="text-xs text-gray-500 mt-1">
+                    {email.status === "sent"
+                      ? `Sent ${new Date(email.sentAt).toLocaleString()}`
+                      : email.status === "pending"
+                        ? `Next attempt ${new Date(email.nextAttemptAt).toLocaleString()}`
+                        : `Updated ${new Date(email.updatedAt).toLocaleString()}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  {email.history?.length > 0 && (
+                    <button
+                      onClick={() => setExpanded(expanded === email._id ? null : email._id)}
+                      className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                    >
+                      {expanded === email._id ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                      Attempts
+                    </button>
+                  )}
+                  {email.status === "failed" && (
+                    <button
+                      onClick={() => handleResend(email._id)}
+                      className="bg-green-100 hover:bg-green-200 text-green-800 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                    >
+                      <RotateCcw size={14} />
+                      Resend
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {expanded === email._id && (
+                <ul className="mt-3 space-y-2 text-xs">
+                  {email.history.map((attempt, index) => (
+                    <li key={index} className="bg-gray-50 rounded-xl p-3">
+                      <p className="font-semibold text-gray-700">
+                        <span className={`px-2 py-0.5 rounded-full mr-2 ${statusStyles[attempt.ok ? "sent" : "failed"]}`}>
+                          {attempt.ok ? "Delivered" : attempt.status ? `Error ${attempt.status}` : "Error"}
+                        </span>
+                        {new Date(attempt.at).toLocaleString()}
+                      </p>
+                      {attempt.error && <p className="text-red-700 mt-1 break-words">{attempt.error}</p>}
+                      {attempt.response && (
+                        <pre className="mt-1 text-gray-600 whitespace-pre-wrap break-all">
+                          {JSON.stringify(attempt.response, null, 2)}
+                        </pre>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailOutbox;
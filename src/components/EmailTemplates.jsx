@@ -0,0 +1,384 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { FileCode, Loader2, Plus, RotateCcw, Save, Send } from "lucide-react";
+import { isValidTemplateKey, renderEmailTemplate, templateKind } from "@/lib/emailTemplate";
+
+const kindLabels = {
+  template: "Emails",
+  layout: "Layouts",
+  partial: "Partials",
+};
+
+function draftOf(template) {
+  return {
+    description: template.description || "",
+    subject: template.subject || "",
+    layout: template.layout || "",
+    html: template.html || "",
+    sample: template.sample ? JSON.stringify(template.sample, null, 2) : "{}",
+  };
+}
+
+// Renders the draft the way the server will, or explains why it can't
+function previewOf(templates, key, draft, globals) {
+  if (templateKind(key) !== "template") return { note: "Preview an email that uses this to see it in place." };
+  let sample;
+  try {
+    sample = JSON.parse(draft.sample || "{}");
+  } catch {
+    return { error: "Sample data is not valid JSON" };
+  }
+  const byKey = Object.fromEntries(templates.map((template) => [template.key, template]));
+  byKey[key] = { ...byKey[key], ...draft };
+  try {
+    return { email: renderEmailTemplate(byKey, key, { ...globals, ...sample }) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Edit email templates, layouts and partials with a live preview on sample
+ * data, and send a test. Built-ins can be reset to their defaults.
+ */
+const EmailTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [globals, setGlobals] = useState({ brand: {}, baseUrl: "" });
+  const [brand, setBrand] = useState({ companyName: "", themeColor: "" });
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const res = await axios.get("/api/email-templates");
+        setTemplates(res.data.templates || []);
+        setGlobals(res.data.globals);
+        setBrand(res.data.globals.brand);
+      } catch (err) {
+        console.error("Error fetching email templates:", err);
+        setError(err.response?.data?.message || "Failed to load email templates.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTemplates();
+  }, [reloadKey]);
+
+  const current = templates.find((template) => template.key === selected);
+  // After a reset the draft is dropped and the reloaded built-in shows instead
+  const activeDraft = draft || (current && draftOf(current));
+  const layouts = templates.filter((template) => template.kind === "layout");
+
+  const handleSelect = (template) => {
+    setSelected(template.key);
+    setDraft(draftOf(template));
+    setError("");
+  };
+
+  const handleNew = () => {
+    const key = prompt('Key for the new template, e.g. "webinar_signup.user" or "partial.footer"');
+    if (!key) return;
+    if (!isValidTemplateKey(key)) {
+      setError('Keys are lowercase words joined by dots, e.g. "webinar_signup.user".');
+      return;
+    }
+    if (templates.some((template) => template.key === key)) {
+      setError(`${key} already exists.`);
+      return;
+    }
+    const kind = templateKind(key);
+    const template = {
+      key,
+      kind,
+      builtIn: false,
+      customized: false,
+      html: "",
+      layout: kind === "template" ? "customer" : "",
+    };
+    setTemplates((prev) => [...prev, template]);
+    handleSelect(template);
+  };
+
+  const updateDraft = (field) => (e) => setDraft({ ...activeDraft, [field]: e.target.value });
+
+  const draftBody = () => ({
+    description: activeDraft.description,
+    subject: activeDraft.subject,
+    layout: activeDraft.layout,
+    html: activeDraft.html,
+    sample: current.kind === "template" ? JSON.parse(activeDraft.sample || "{}") : null,
+  });
+
+  const run = async (action) => {
+    try {
+      setWorking(true);
+      setError("");
+      await action();
+    } catch (err) {
+      console.error("Email template error:", err);
+      setError(err.response?.data?.message || err.message || "Something went wrong.");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      await axios.put(`/api/email-templates/${selected}`, draftBody());
+      setReloadKey((key) => key + 1);
+      alert("Template saved!");
+    });
+
+  const handleReset = () => {
+    const message = current.builtIn
+      ? "Discard your changes and go back to the built-in version?"
+      : "Delete this template?";
+    if (!confirm(message)) return;
+    run(async () => {
+      await axios.delete(`/api/email-templates/${selected}`);
+      if (!current.builtIn) setSelected(null);
+      setDraft(null);
+      setReloadKey((key) => key + 1);
+    });
+  };
+
+  const handleTest = () => {
+    const to = prompt("Send the test to:", "");
+    if (to === null) return;
+    run(async () => {
+      const res = await axios.post("/api/email-templates/test", { key: selected, to: to || undefined, ...draftBody() });
+      alert(res.data.message);
+    });
+  };
+
+  const handleSaveBrand = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axios.put("/api/settings", {
+        "email.companyName": brand.companyName.trim(),
+        "email.themeColor": brand.themeColor.trim(),
+      });
+      setReloadKey((key) => key + 1);
+      alert("Brand saved!");
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading email templates...</span>
+      </div>
+    );
+  }
+
+  const preview = current && activeDraft ? previewOf(templates, selected, activeDraft, globals) : null;
+
+  const inputClass =
+    "w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold text-purple-950 flex items-center gap-2">
+        <FileCode size={22} />
+        Email Templates
+      </h3>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSaveBrand}
+        className="border-2 border-gray-200 p-6 rounded-2xl flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Company name</label>
+          <input
+            type="text"
+            value={brand.companyName}
+            onChange={(e) => setBrand((prev) => ({ ...prev, companyName: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Theme color</label>
+          <input
+            type="text"
+            value={brand.themeColor}
+            onChange={(e) => setBrand((prev) => ({ ...prev, themeColor: e.target.value }))}
+            placeholder="#3c0366"
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={working}
+          className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold transition disabled:opacity-60"
+        >
+          Save Brand
+        </button>
+        <p className="text-sm text-gray-500">
+          Available in every template as <code>{"{{brand.companyName}}"}</code> and <code>{"{{brand.themeColor}}"}</code>.
+        </p>
+      </form>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="space-y-4">
+          {Object.entries(kindLabels).map(([kind, label]) => (
+            <div key={kind}>
+              <p className="text-xs font-bold uppercase tracking-wide text-gray-500 mb-2">{label}</p>
+              <div className="space-y-1">
+                {templates
+                  .filter((template) => template.kind === kind)
+                  .map((template) => (
+                    <button
+                      key={template.key}
+                      onClick={() => handleSelect(template)}
+                      className={`w-full text-left px-3 py-2 rounded-xl text-sm transition ${
+                        selected === template.key ? "bg-purple-900 text-white" : "bg-gray-100 text-gray-800 hover:bg-gray-200"
+                      }`}
+                    >
+                      <span className="font-semibold break-all">{template.key}</span>
+                      {template.customized && <span className="ml-2 text-xs opacity-75">edited</span>}
+                    </button>
+                  ))}
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={handleNew}
+            className="w-full bg-white border-2 border-dashed border-purple-300 hover:border-purple-500 px-3 py-2 rounded-xl font-semibold text-purple-900 flex items-center justify-center gap-2 text-sm transition"
+          >
+            <Plus size={16} />
+            New Template
+          </button>
+        </div>
+
+        <div className="lg:col-span-3">
+          {!current || !activeDraft ? (
+            <p className="text-gray-500 py-16 text-center">
+              Pick a template to edit. Values like <code>{"{{firstName}}"}</code> are escaped; use{" "}
+              <code>{"{{{content}}}"}</code> for trusted HTML, <code>{"{{#if company}}…{{/if}}"}</code> for optional
+              parts and <code>{"{{> signoff}}"}</code> for partials.
+            </p>
+          ) : (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Description</label>
+                <input type="text" value={activeDraft.description} onChange={updateDraft("description")} className={inputClass} />
+              </div>
+              {current.kind === "template" && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Subject</label>
+                    <input type="text" value={activeDraft.subject} onChange={updateDraft("subject")} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Layout</label>
+                    <select value={activeDraft.layout} onChange={updateDraft("layout")} className={inputClass}>
+                      <option value="">None</option>
+                      {layouts.map((layout) => (
+                        <option key={layout.key} value={layout.key.slice("layout.".length)}>
+                          {layout.key.slice("layout.".length)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">HTML</label>
+                <textarea
+                  value={activeDraft.html}
+                  onChange={updateDraft("html")}
+                  rows={14}
+                  spellCheck={false}
+                  className={`${inputClass} font-mono text-xs`}
+                />
+              </div>
+              {current.kind === "template" && (
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Sample data (JSON)</label>
+                  <textarea
+                    value={activeDraft.sample}
+                    onChange={updateDraft("sample")}
+                    rows={6}
+                    spellCheck={false}
+                    className={`${inputClass} font-mono text-xs`}
+                  />
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={handleSave}
+                  disabled={working}
+                  className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-60"
+                >
+                  <Save size={18} />
+                  Save
+                </button>
+                {current.kind === "template" && (
+                  <button
+                    onClick={handleTest}
+                    disabled={working || Boolean(preview?.error)}
+                    className="bg-white border-2 border-purple-300 hover:border-purple-500 text-purple-900 px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-60"
+                  >
+                    <Send size={18} />
+                    Send Test
+                  </button>
+                )}
+                {current.customized && (
+                  <button
+                    onClick={handleReset}
+                    disabled={working}
+                    className="bg-red-100 hover:bg-red-200 text-red-700 px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-60"
+                  >
+                    <RotateCcw size={18} />
+                    {current.builtIn ? "Reset to Default" : "Delete"}
+                  </button>
+                )}
+              </div>
+
+              {preview?.note && <p className="text-sm text-gray-500">{preview.note}</p>}
+              {preview?.error && (
+                <div className="bg-yellow-50 border-2 border-yellow-200 text-yellow-900 px-4 py-2 rounded-xl font-semibold text-sm">
+                  {preview.error}
+                </div>
+              )}
+              {preview?.email && (
+                <div className="space-y-3">
+                  <p className="text-sm">
+                    <span className="font-semibold text-gray-700">Subject:</span> {preview.email.subject}
+                  </p>
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.email.html}
+                    sandbox=""
+                    className="w-full h-[500px] bg-white border-2 border-gray-200 rounded-2xl"
+                  />
+                  <details className="border-2 border-gray-200 rounded-2xl p-4">
+                    <summary className="font-semibold text-gray-700 cursor-pointer">Plain-text version</summary>
+                    <pre className="mt-3 text-xs text-gray-700 whitespace-pre-wrap">{preview.email.text}</pre>
+                  </details>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplates;
@@ -0,0 +1,359 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { X, Loader2, Save, MessageSquare, ArrowRight, User, Calendar, Inbox, Route, Tag } from "lucide-react";
+import { LEAD_STAGES, LEAD_STAGE_LABELS, leadStageOf } from "@/lib/leadStages";
+import { LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+
+// Latest contact details shown at the top of the detail view
+const detailFields = [
+  ["email", "Email"],
+  ["phone", "Phone"],
+  ["company", "Company"],
+  ["jobTitle", "Job Title"],
+  ["country", "Country"],
+];
+
+// What the routing rules did with a submission, in one line
+function routingSummary(routing) {
+  if (routing.matched.length === 0) return "No routing rules matched";
+  return [
+    `Routed by ${routing.matched.map((rule) => rule.name).join(", ")}`,
+    routing.notify.length > 0 && `notified ${routing.notify.join(", ")}`,
+    routing.assignedTo && `assigned to ${routing.assignedTo.email || "a former admin"}`,
+    routing.tags.length > 0 && `tagged ${routing.tags.join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// <input type="date"> wants YYYY-MM-DD
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+/**
+ * Editable lead view: pipeline stage, assignee, follow-up date, internal
+ * notes, stage history and every form submission filed under the lead.
+ */
+const LeadDetail = ({ lead: initialLead, canEdit, onClose, onUpdated }) => {
+  const [lead, setLead] = useState(initialLead);
+  const [admins, setAdmins] = useState([]);
+  const [form, setForm] = useState({
+    stage: leadStageOf(initialLead),
+    assignedTo: initialLead.assignedTo?._id || initialLead.assignedTo || "",
+    nextFollowUpAt: toDateInput(initialLead.nextFollowUpAt),
+  });
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const endpoint = `/api/leads/${initialLead._id}`;
+
+  useEffect(() => {
+    const fetchLead = async () => {
+      try {
+        const [leadRes, adminsRes] = await Promise.all([
+          axios.get(endpoint),
+          canEdit ? axios.get("/api/admins/assignable") : null,
+        ]);
+        const loaded = leadRes.data.lead;
+        setLead(loaded);
+        setForm({
+          stage: leadStageOf(loaded),
+          assignedTo: loaded.assignedTo?._id || "",
+          nextFollowUpAt: toDateInput(loaded.nextFollowUpAt),
+        });
+        setAdmins(adminsRes?.data.admins || []);
+      } catch (err) {
+        console.error("Error fetching lead:", err);
+        setError(err.response?.data?.message || "Failed to load lead.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLead();
+  }, [endpoint, canEdit]);
+
+  const handleChange = (e) => setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError("");
+      const res = await axios.patch(endpoint, {
+        stage: form.stage,
+        assignedTo: form.assignedTo || null,
+        nextFollowUpAt: form.nextFollowUpAt || null,
+      });
+      setLead(res.data.lead);
+      onUpdated?.(res.data.lead);
+    } catch (err) {
+      console.error("Error updating lead:", err);
+      setError(err.response?.data?.message || "Failed to update lead.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      const res = await axios.post(`${endpoint}/notes`, { body: note });
+      setLead((prev) => ({ ...prev, notes: [...(prev.notes || []), res.data.note] }));
+      setNote("");
+    } catch (err) {
+      console.error("Error adding note:", err);
+      setError(err.response?.data?.message || "Failed to add note.");
+    }
+  };
+
+  const notes = [...(lead.notes || [])].reverse();
+  const history = [...(lead.stageHistory || [])].reverse();
+  const submissions = [...(lead.submissions || [])].reverse();
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex justify-center items-center p-4">
+      <div className="bg-white w-full max-w-4xl rounded-3xl shadow-2xl max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="flex justify-between items-center px-8 py-5 border-b border-gray-200">
+          <div>
+            <h2 className="text-2xl font-bold text-purple-950">
+              {lead.firstName} {lead.lastName}
+            </h2>
+            <p className="text-sm text-gray-600">
+              {(lead.sources || []).map((source) => LEAD_SOURCE_LABELS[source] || source).join(", ")} · First seen{" "}
+              {new Date(lead.createdAt).toLocaleString()}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-xl transition"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-b border-red-200 text-red-800 px-8 py-3 font-semibold">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+            <Loader2 size={24} className="animate-spin" />
+            <span className="font-semibold">Loading lead...</span>
+          </div>
+        ) : (
+          <div className="overflow-y-auto p-8 space-y-8">
+            {/* Contact details */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+              {detailFields
+                .filter(([field]) => lead[field])
+                .map(([field, label]) => (
+                  <p key={field}>
+                    <span className="font-semibold text-gray-700">{label}: </span>
+                    {lead[field]}
+                  </p>
+                ))}
+              {lead.tags?.length > 0 && (
+                <p className="flex flex-wrap items-center gap-1">
+                  <span className="font-semibold text-gray-700">Tags: </span>
+                  {lead.tags.map((tag) => (
+                    <span
+                      key={tag}
+                      className="flex items-center gap-1 bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full text-xs font-semibold"
+                    >
+                      <Tag size={12} />
+                      {tag}
+                    </span>
+                  ))}
+                </p>
+              )}
+            </div>
+
+            {/* Pipeline */}
+            <form onSubmit={handleSave} className="border-2 border-purple-200 bg-purple-50 p-6 rounded-2xl">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Stage</label>
+                  <select
+                    name="stage"
+                    value={form.stage}
+                    onChange={handleChange}
+                    disabled={!canEdit}
+                    className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white font-semibold"
+                  >
+                    {LEAD_STAGES.map((stage) => (
+                      <option key={stage} value={stage}>
+                        {LEAD_STAGE_LABELS[stage]}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Assigned to</label>
+                  <select
+                    name="assignedTo"
+                    value={form.assignedTo}
+                    onChange={handleChange}
+                    disabled={!canEdit}
+                    className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white"
+                  >
+                    <option value="">Unassigned</option>
+                    {/* Keep the current assignee visible even if they lost lead access */}
+                    {lead.assignedTo && !admins.some((admin) => admin._id === lead.assignedTo._id) && (
+                      <option value={lead.assignedTo._id}>{lead.assignedTo.email}</option>
+                    )}
+                    {admins.map((admin) => (
+                      <option key={admin._id} value={admin._id}>
+                        {admin.email}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Next follow-up</label>
+                  <input
+                    type="date"
+                    name="nextFollowUpAt"
+                    value={form.nextFollowUpAt}
+                    onChange={handleChange}
+                    disabled={!canEdit}
+                    className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white"
+                  />
+                </div>
+              </div>
+              {canEdit && (
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="mt-4 bg-purple-950 hover:bg-purple-800 disabled:opacity-60 text-white px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition"
+                >
+                  {saving ? <Loader2 size={18} className="animate-spin" /> : <Save size={18} />}
+                  Save Changes
+                </button>
+              )}
+            </form>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              {/* Notes */}
+              <div className="space-y-3">
+                <h3 className="font-bold text-gray-900 flex items-center gap-2">
+                  <MessageSquare size={18} />
+                  Internal Notes
+                </h3>
+                {canEdit && (
+                  <form onSubmit={handleAddNote} className="space-y-2">
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      required
+                      maxLength={5000}
+                      rows={3}
+                      placeholder="Add a note for the team..."
+                      className="w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                    <button
+                      type="submit"
+                      className="bg-purple-950 hover:bg-purple-800 text-white px-4 py-2 rounded-xl text-sm font-semibold transition"
+                    >
+                      Add Note
+                    </button>
+                  </form>
+                )}
+                {notes.length === 0 ? (
+                  <p className="text-sm text-gray-500">No notes yet.</p>
+                ) : (
+                  notes.map((entry) => (
+                    <div key={entry._id} className="border-2 border-gray-200 rounded-2xl p-4">
+                      <p className="text-sm text-gray-800 whitespace-pre-wrap">{entry.body}</p>
+                      <p className="text-xs text-gray-500 mt-2 flex items-center gap-3">
+                        <span className="flex items-center gap-1">
+                          <User size={12} />
+                          {entry.author?.email || "Unknown"}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <Calendar size={12} />
+                          {new Date(entry.createdAt).toLocaleString()}
+                        </span>
+                      </p>
+                    </div>
+                  ))
+                )}
+              </div>
+
+              {/* Stage history */}
+              <div className="space-y-3">
+                <h3 className="font-bold text-gray-900">Stage History</h3>
+                {history.length === 0 ? (
+                  <p className="text-sm text-gray-500">The stage hasn&apos;t changed yet.</p>
+                ) : (
+                  history.map((change, index) => (
+                    <div key={index} className="border-2 border-gray-200 rounded-2xl p-4 text-sm">
+                      <p className="font-semibold text-gray-900 flex items-center gap-2">
+                        {LEAD_STAGE_LABELS[change.from] || change.from}
+                        <ArrowRight size={14} />
+                        {LEAD_STAGE_LABELS[change.to] || change.to}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {change.changedBy?.email || "Unknown"} · {new Date(change.changedAt).toLocaleString()}
+                      </p>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            {/* Submission history */}
+            <div className="space-y-3">
+              <h3 className="font-bold text-gray-900 flex items-center gap-2">
+                <Inbox size={18} />
+                Submissions ({submissions.length})
+              </h3>
+              {submissions.map((submission) => (
+                <div key={submission._id} className="border-2 border-gray-200 rounded-2xl p-4 text-sm space-y-2">
+                  <div className="flex flex-wrap justify-between gap-2">
+                    <span className="font-semibold text-gray-900">
+                      {submission.firstName} {submission.lastName} · {submission.email}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      <span className="font-semibold text-purple-800 bg-purple-100 px-2 py-0.5 rounded-full mr-2">
+                        {LEAD_SOURCE_LABELS[submission.source] || submission.source}
+                      </span>
+                      {new Date(submission.submittedAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    {[
+                      submission.company,
+                      submission.jobTitle,
+                      submission.country,
+                      submission.phone,
+                      submission.pagePath && `Sent from ${submission.pagePath}`,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                  {submission.routing && (
+                    <p className="text-xs text-purple-800 flex items-center gap-1">
+                      <Route size={12} />
+                      {routingSummary(submission.routing)}
+                    </p>
+                  )}
+                  {submission.message && (
+                    <p className="bg-gray-50 p-3 rounded-xl border border-gray-200 text-gray-700 leading-relaxed whitespace-pre-wrap">
+                      {submission.message}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeadDetail;
@@ -0,0 +1,109 @@
+"use client";
+
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_FORMATS, LEAD_EXPORT_COLUMNS } from "@/lib/leadTransfer";
+import { LEAD_SOURCES, LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+import { LEAD_STAGES, LEAD_STAGE_LABELS } from "@/lib/leadStages";
+
+const LeadExport = () => {
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [format, setFormat] = useState("csv");
+  const [source, setSource] = useState("");
+  const [stage, setStage] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  // Columns keep the order of LEAD_EXPORT_COLUMNS however they were ticked
+  const toggleColumn = (key) =>
+    setColumns((prev) =>
+      prev.includes(key)
+        ? prev.filter((column) => column !== key)
+        : LEAD_EXPORT_COLUMNS.map((column) => column.key).filter((column) => column === key || prev.includes(column))
+    );
+
+  const exportParams = new URLSearchParams(
+    Object.entries({ format, columns: columns.join(","), source, stage, from, to }).filter(([, value]) => value)
+  ).toString();
+
+  const inputClass =
+    "w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <div className="border-2 border-purple-200 bg-purple-50 p-6 rounded-2xl space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Format</label>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+            {EXPORT_FORMATS.map((option) => (
+              <option key={option} value={option}>
+                {option.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Source</label>
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+            <option value="">All sources</option>
+            {LEAD_SOURCES.map((option) => (
+              <option key={option} value={option}>
+                {LEAD_SOURCE_LABELS[option]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Stage</label>
+          <select value={stage} onChange={(e) => setStage(e.target.value)} className={inputClass}>
+            <option value="">All stages</option>
+            {LEAD_STAGES.map((option) => (
+              <option key={option} value={option}>
+                {LEAD_STAGE_LABELS[option]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Submitted from</label>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Submitted to</label>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-semibold text-gray-700 mb-2">Columns</p>
+        <div className="flex flex-wrap gap-x-5 gap-y-2">
+          {LEAD_EXPORT_COLUMNS.map((column) => (
+            <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={columns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+                className="accent-purple-700"
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {columns.length === 0 ? (
+        <p className="text-sm font-semibold text-red-700">Pick at least one column.</p>
+      ) : (
+        <a
+          href={`/api/leads/export?${exportParams}`}
+          className="inline-flex bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold items-center gap-2 transition"
+        >
+          <Download size={18} />
+          Export {format.toUpperCase()}
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default LeadExport;
@@ -0,0 +1,221 @@
+"use client";
+
+import React, { useState } from "react";
+import axios from "axios";
+import { Upload, Eye, Loader2 } from "lucide-react";
+import { parseCsv } from "@/lib/csv";
+import { guessColumnMapping, LEAD_IMPORT_FIELDS } from "@/lib/leadTransfer";
+import { IMPORT_LEAD_SOURCES, LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+
+const statusStyles = {
+  new: "bg-green-100 text-green-800",
+  merge: "bg-blue-100 text-blue-800",
+  duplicate: "bg-yellow-100 text-yellow-800",
+  invalid: "bg-red-100 text-red-700",
+};
+
+const statusLabels = {
+  new: "New lead",
+  merge: "Merge",
+  duplicate: "Duplicate",
+  invalid: "Invalid",
+};
+
+/**
+ * CSV lead import: pick a file, map its columns, preview with a dry run,
+ * then import. Rows land in the pipeline like form submissions.
+ */
+const LeadImport = ({ onImported }) => {
+  const [csv, setCsv] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [source, setSource] = useState(IMPORT_LEAD_SOURCES[0]);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    const [headerRow = []] = parseCsv(text);
+    setCsv(text);
+    setFileName(file.name);
+    setHeaders(headerRow);
+    setMapping(guessColumnMapping(headerRow));
+    setPreview(null);
+    setError("");
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping((prev) => ({ ...prev, [field]: value === "" ? null : Number(value) }));
+    setPreview(null);
+  };
+
+  const submit = async (dryRun) => {
+    try {
+      setWorking(true);
+      setError("");
+      const res = await axios.post("/api/leads/import", { csv, mapping, source, dryRun });
+      return res.data;
+    } catch (err) {
+      console.error("Error importing leads:", err);
+      setError(err.response?.data?.message || "Failed to import leads.");
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    const result = await submit(true);
+    if (result) setPreview(result);
+  };
+
+  const handleImport = async () => {
+    const toImport = preview.summary.new + preview.summary.merge;
+    if (!confirm(`Import ${toImport} rows as ${LEAD_SOURCE_LABELS[source]} leads?`)) return;
+    const result = await submit(false);
+    if (!result) return;
+    const { summary } = result;
+    alert(
+      `Import complete: ${summary.new} new leads, ${summary.merge} merged, ` +
+        `${summary.duplicate} duplicates and ${summary.invalid} invalid rows skipped.`
+    );
+    setCsv("");
+    setFileName("");
+    setHeaders([]);
+    setPreview(null);
+    onImported?.();
+  };
+
+  const selectClass =
+    "w-full p-2.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white text-sm";
+
+  return (
+    <div className="border-2 border-purple-200 bg-purple-50 p-6 rounded-2xl space-y-4">
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold">{error}</div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="bg-white border-2 border-dashed border-purple-300 hover:border-purple-500 px-6 py-3 rounded-xl font-semibold text-purple-900 flex items-center gap-2 cursor-pointer transition">
+          <Upload size={18} />
+          {fileName || "Choose CSV file"}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Import as</label>
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={selectClass}>
+            {IMPORT_LEAD_SOURCES.map((option) => (
+              <option key={option} value={option}>
+                {LEAD_SOURCE_LABELS[option]}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {headers.length > 0 && (
+        <>
+          <div>
+            <p className="text-sm font-semibold text-gray-700 mb-2">Column mapping</p>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+              {LEAD_IMPORT_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">{field.label}</label>
+                  <select
+                    value={mapping[field.key] ?? ""}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    className={selectClass}
+                  >
+                    <option value="">Not imported</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={handlePreview}
+              disabled={working}
+              className="bg-white border-2 border-purple-300 hover:border-purple-500 text-purple-900 px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-60"
+            >
+              {working ? <Loader2 size={18} className="animate-spin" /> : <Eye size={18} />}
+              Preview
+            </button>
+            {preview && preview.summary.new + preview.summary.merge > 0 && (
+              <button
+                onClick={handleImport}
+                disabled={working}
+                className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-60"
+              >
+                <Upload size={18} />
+                Import {preview.summary.new + preview.summary.merge} Rows
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {preview && (
+        <div className="bg-white border-2 border-gray-200 rounded-2xl p-4 space-y-3">
+          <div className="flex flex-wrap gap-2 text-sm">
+            {Object.entries(preview.summary).map(([status, count]) => (
+              <span key={status} className={`px-3 py-1 rounded-full font-semibold ${statusStyles[status]}`}>
+                {statusLabels[status]}: {count}
+              </span>
+            ))}
+          </div>
+          {preview.total > preview.rows.length && (
+            <p className="text-xs text-gray-500">
+              Showing the first {preview.rows.length} of {preview.total} rows.
+            </p>
+          )}
+          <div className="overflow-x-auto max-h-96">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-3">Row</th>
+                  <th className="py-2 pr-3">Name</th>
+                  <th className="py-2 pr-3">Email</th>
+                  <th className="py-2 pr-3">Company</th>
+                  <th className="py-2 pr-3">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((entry) => (
+                  <tr key={entry.row} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-3 text-gray-500">{entry.row}</td>
+                    <td className="py-2 pr-3">
+                      {entry.data.firstName} {entry.data.lastName}
+                    </td>
+                    <td className="py-2 pr-3">{entry.data.email}</td>
+                    <td className="py-2 pr-3">{entry.data.company}</td>
+                    <td className="py-2 pr-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${statusStyles[entry.status]}`}>
+                        {statusLabels[entry.status]}
+                      </span>
+                      {entry.problems.length > 0 && (
+                        <p className="text-xs text-red-700 mt-1">{entry.problems.join("; ")}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadImport;
@@ -0,0 +1,132 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Trash2, CheckCircle, Loader2 } from "lucide-react";
+import { LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+import { SPAM_REASON_LABELS } from "@/lib/leadSpam";
+
+/**
+ * Form submissions the bot checks held back. Releasing one files it as a
+ * lead; discarding deletes it. Unreviewed submissions expire after 30 days.
+ */
+const LeadQuarantine = ({ canRelease, canDiscard, onReleased }) => {
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchQuarantine = async () => {
+      try {
+        const res = await axios.get("/api/leads/quarantine");
+        setSubmissions(res.data.submissions || []);
+      } catch (err) {
+        console.error("Error fetching quarantine:", err);
+        setError(err.response?.data?.message || "Failed to load quarantine.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchQuarantine();
+  }, []);
+
+  const removeFromList = (id) => setSubmissions((prev) => prev.filter((item) => item._id !== id));
+
+  const handleRelease = async (id) => {
+    try {
+      setError("");
+      await axios.post(`/api/leads/quarantine/${id}`);
+      removeFromList(id);
+      onReleased?.();
+    } catch (err) {
+      console.error("Error releasing submission:", err);
+      setError(err.response?.data?.message || "Failed to release submission.");
+    }
+  };
+
+  const handleDiscard = async (id) => {
+    if (!confirm("Discard this submission permanently?")) return;
+    try {
+      setError("");
+      await axios.delete(`/api/leads/quarantine/${id}`);
+      removeFromList(id);
+    } catch (err) {
+      console.error("Error discarding submission:", err);
+      setError(err.response?.data?.message || "Failed to discard submission.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-8 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading quarantine...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border-2 border-purple-200 bg-purple-50 p-6 rounded-2xl space-y-3">
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold">{error}</div>
+      )}
+      {submissions.length === 0 ? (
+        <p className="text-sm text-gray-600">No quarantined submissions.</p>
+      ) : (
+        submissions.map((item) => (
+          <div
+            key={item._id}
+            className="bg-white border-2 border-gray-200 rounded-2xl px-5 py-3 flex flex-wrap justify-between items-start gap-3"
+          >
+            <div className="min-w-0 flex-1">
+              <p className="font-semibold text-gray-900">
+                {`${item.data.firstName || ""} ${item.data.lastName || ""}`.trim() || item.data.email}
+              </p>
+              <p className="text-sm text-gray-600">
+                {[item.data.email, item.data.company, LEAD_SOURCE_LABELS[item.source] || item.source]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+              {item.data.message && (
+                <p className="text-sm text-gray-700 mt-1 line-clamp-3 break-words">{item.data.message}</p>
+              )}
+              <div className="flex flex-wrap gap-1 mt-2">
+                {item.reasons.map((reason) => (
+                  <span key={reason} className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                    {SPAM_REASON_LABELS[reason] || reason}
+                  </span>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {new Date(item.createdAt).toLocaleString()}
+                {item.ip ? ` · ${item.ip}` : ""}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {canRelease && (
+                <button
+                  onClick={() => handleRelease(item._id)}
+                  className="bg-green-100 hover:bg-green-200 text-green-800 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                >
+                  <CheckCircle size={14} />
+                  Release
+                </button>
+              )}
+              {canDiscard && (
+                <button
+                  onClick={() => handleDiscard(item._id)}
+                  className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                >
+                  <Trash2 size={14} />
+                  Discard
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default LeadQuarantine;
@@ -0,0 +1,435 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ArrowDown, ArrowUp, Edit2, Loader2, Plus, Save, Trash2, X } from "lucide-react";
+import { ROUTING_FIELDS, ROUTING_OPERATORS, evaluateRoutingRules } from "@/lib/leadRouting";
+import { LEAD_SOURCES, LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+
+const emptyCondition = { field: "country", operator: "is", values: "" };
+
+const emptyDraft = {
+  name: "",
+  enabled: true,
+  match: "all",
+  conditions: [emptyCondition],
+  notify: "",
+  assignTo: "",
+  tags: "",
+  stop: false,
+};
+
+const emptySample = { source: "contact_form", pagePath: "", country: "", company: "", jobTitle: "", email: "", message: "" };
+
+function draftOf(rule) {
+  return {
+    name: rule.name,
+    enabled: rule.enabled,
+    match: rule.match,
+    conditions: rule.conditions.map((condition) => ({ ...condition, values: condition.values.join(", ") })),
+    notify: rule.notify.join(", "),
+    assignTo: rule.assignTo?._id || "",
+    tags: rule.tags.join(", "),
+    stop: rule.stop,
+  };
+}
+
+// "Country is one of India, Nepal"
+function describeCondition(condition) {
+  const values =
+    condition.field === "source"
+      ? condition.values.map((value) => LEAD_SOURCE_LABELS[value] || value)
+      : condition.values;
+  return `${ROUTING_FIELDS[condition.field] || condition.field} ${ROUTING_OPERATORS[condition.operator] || condition.operator} ${values.join(", ")}`;
+}
+
+/**
+ * Routing rules for new form submissions: conditions on the submission and
+ * the page it came from, and what to do when they hold (notify, assign,
+ * tag). Rules run top to bottom; a sample submission shows which match.
+ */
+const LeadRouting = ({ canEdit }) => {
+  const [rules, setRules] = useState([]);
+  const [admins, setAdmins] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [sample, setSample] = useState(emptySample);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        const [rulesRes, adminsRes] = await Promise.all([
+          axios.get("/api/leads/routing"),
+          canEdit ? axios.get("/api/admins/assignable") : null,
+        ]);
+        setRules(rulesRes.data.rules || []);
+        setAdmins(adminsRes?.data.admins || []);
+      } catch (err) {
+        console.error("Error fetching routing rules:", err);
+        setError(err.response?.data?.message || "Failed to load routing rules.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRules();
+  }, [canEdit, reloadKey]);
+
+  const startEditing = (rule) => {
+    setError("");
+    setEditing(rule ? rule._id : "new");
+    setDraft(rule ? draftOf(rule) : emptyDraft);
+  };
+
+  const updateDraft = (field) => (e) =>
+    setDraft((prev) => ({ ...prev, [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const updateCondition = (index, field) => (e) =>
+    setDraft((prev) => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, [field]: e.target.value } : condition)),
+    }));
+
+  const addCondition = () => setDraft((prev) => ({ ...prev, conditions: [...prev.conditions, emptyCondition] }));
+
+  const removeCondition = (index) =>
+    setDraft((prev) => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError("");
+      const body = { ...draft, assignTo: draft.assignTo || null };
+      if (editing === "new") {
+        await axios.post("/api/leads/routing", body);
+      } else {
+        await axios.put(`/api/leads/routing/${editing}`, body);
+      }
+      setEditing(null);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error saving routing rule:", err);
+      setError(err.response?.data?.message || "Failed to save routing rule.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+    try {
+      setError("");
+      await axios.delete(`/api/leads/routing/${rule._id}`);
+      setRules((prev) => prev.filter((item) => item._id !== rule._id));
+    } catch (err) {
+      console.error("Error deleting routing rule:", err);
+      setError(err.response?.data?.message || "Failed to delete routing rule.");
+    }
+  };
+
+  const handleMove = async (index, offset) => {
+    const reordered = [...rules];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+    try {
+      setError("");
+      await axios.put("/api/leads/routing", { order: reordered.map((rule) => rule._id) });
+      setRules(reordered);
+    } catch (err) {
+      console.error("Error reordering routing rules:", err);
+      setError(err.response?.data?.message || "Failed to reorder routing rules.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-8 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading routing rules...</span>
+      </div>
+    );
+  }
+
+  // Runs the saved rules on the sample the same way the server does
+  const trial = evaluateRoutingRules(
+    rules.map((rule) => ({ ...rule, assignTo: rule.assignTo?._id || null })),
+    sample
+  );
+  const trialAssignee = rules.find((rule) => rule.assignTo?._id === trial.assignTo)?.assignTo?.email;
+
+  const inputClass =
+    "w-full p-2.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white text-sm";
+
+  return (
+    <div className="border-2 border-purple-200 bg-purple-50 p-6 rounded-2xl space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <p className="text-sm text-gray-600">
+          New form submissions run through these rules from the top. Every matching rule adds its recipients to the
+          notification email and its tags to the lead; the first with an owner assigns unowned leads.
+        </p>
+        {canEdit && editing === null && (
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-purple-950 hover:bg-purple-800 text-white px-4 py-2 rounded-xl font-semibold flex items-center gap-2 text-sm transition"
+          >
+            <Plus size={16} />
+            New Rule
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-2 rounded-xl font-semibold">{error}</div>
+      )}
+
+      {editing !== null && (
+        <form onSubmit={handleSave} className="bg-white border-2 border-purple-300 rounded-2xl p-5 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Name</label>
+              <input type="text" value={draft.name} onChange={updateDraft("name")} required maxLength={100} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Match</label>
+              <select value={draft.match} onChange={updateDraft("match")} className={inputClass}>
+                <option value="all">All conditions</option>
+                <option value="any">Any condition</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-sm font-semibold text-gray-700">Conditions</label>
+            {draft.conditions.map((condition, index) => (
+              <div key={index} className="flex flex-wrap md:flex-nowrap gap-2 items-center">
+                <select value={condition.field} onChange={updateCondition(index, "field")} className={`${inputClass} md:w-56`}>
+                  {Object.entries(ROUTING_FIELDS).map(([field, label]) => (
+                    <option key={field} value={field}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <select value={condition.operator} onChange={updateCondition(index, "operator")} className={`${inputClass} md:w-48`}>
+                  {Object.entries(ROUTING_OPERATORS).map(([operator, label]) => (
+                    <option key={operator} value={operator}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={condition.values}
+                  onChange={updateCondition(index, "values")}
+                  placeholder={
+                    condition.field === "source"
+                      ? LEAD_SOURCES.join(", ")
+                      : condition.field === "pagePath"
+                        ? "/automotive, /oil-gas"
+                        : "Comma-separated values"
+                  }
+                  className={inputClass}
+                />
+                {draft.conditions.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => removeCondition(index)}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 p-2 rounded-lg transition"
+                  >
+                    <X size={16} />
+                  </button>
+                )}
+              </div>
+            ))}
+            <button type="button" onClick={addCondition} className="text-sm font-semibold text-purple-900 hover:underline">
+              + Add condition
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Notify</label>
+              <input
+                type="text"
+                value={draft.notify}
+                onChange={updateDraft("notify")}
+                placeholder="rep@example.com, ..."
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Assign to</label>
+              <select value={draft.assignTo} onChange={updateDraft("assignTo")} className={inputClass}>
+                <option value="">Nobody</option>
+                {/* Keep the current assignee visible even if they lost lead access */}
+                {draft.assignTo && !admins.some((admin) => admin._id === draft.assignTo) && (
+                  <option value={draft.assignTo}>
+                    {rules.find((rule) => rule._id === editing)?.assignTo?.email || "Former admin"}
+                  </option>
+                )}
+                {admins.map((admin) => (
+                  <option key={admin._id} value={admin._id}>
+                    {admin.email}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Tags</label>
+              <input
+                type="text"
+                value={draft.tags}
+                onChange={updateDraft("tags")}
+                placeholder="emea, enterprise"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.enabled} onChange={updateDraft("enabled")} />
+              Enabled
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.stop} onChange={updateDraft("stop")} />
+              Skip the rules below when this one matches
+            </label>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-purple-950 hover:bg-purple-800 disabled:opacity-60 text-white px-5 py-2.5 rounded-xl font-semibold flex items-center gap-2 text-sm transition"
+            >
+              {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+              Save Rule
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-5 py-2.5 rounded-xl font-semibold text-sm transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No routing rules. Submissions only notify the addresses in ADMIN_EMAIL and CC_EMAILS.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {rules.map((rule, index) => (
+            <div
+              key={rule._id}
+              className={`bg-white border-2 rounded-2xl px-5 py-3 flex flex-wrap justify-between items-start gap-3 ${
+                trial.matched.some((match) => match.id === rule._id) ? "border-green-400" : "border-gray-200"
+              }`}
+            >
+              <div className="min-w-0 flex-1 text-sm">
+                <p className="font-semibold text-gray-900">
+                  {index + 1}. {rule.name}
+                  {!rule.enabled && <span className="ml-2 text-xs font-semibold text-gray-500">disabled</span>}
+                  {rule.stop && <span className="ml-2 text-xs font-semibold text-purple-700">stops here</span>}
+                </p>
+                <p className="text-gray-600">
+                  {rule.match === "any" ? "Any of: " : "All of: "}
+                  {rule.conditions.map(describeCondition).join("; ")}
+                </p>
+                <p className="text-gray-600">
+                  {[
+                    rule.notify.length > 0 && `Notify ${rule.notify.join(", ")}`,
+                    rule.assignTo && `Assign to ${rule.assignTo.email}`,
+                    rule.tags.length > 0 && `Tag ${rule.tags.join(", ")}`,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="bg-gray-100 hover:bg-gray-200 disabled:opacity-40 text-gray-700 p-2 rounded-lg transition"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === rules.length - 1}
+                    className="bg-gray-100 hover:bg-gray-200 disabled:opacity-40 text-gray-700 p-2 rounded-lg transition"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => startEditing(rule)}
+                    className="bg-blue-100 hover:bg-blue-200 text-blue-800 p-2 rounded-lg transition"
+                  >
+                    <Edit2 size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="bg-red-100 hover:bg-red-200 text-red-700 p-2 rounded-lg transition"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <div className="bg-white border-2 border-gray-200 rounded-2xl p-5 space-y-3">
+          <p className="font-semibold text-gray-900 text-sm">Try a submission</p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+            <select
+              value={sample.source}
+              onChange={(e) => setSample((prev) => ({ ...prev, source: e.target.value }))}
+              className={inputClass}
+            >
+              {LEAD_SOURCES.map((source) => (
+                <option key={source} value={source}>
+                  {LEAD_SOURCE_LABELS[source]}
+                </option>
+              ))}
+            </select>
+            {["pagePath", "country", "company", "jobTitle", "email", "message"].map((field) => (
+              <input
+                key={field}
+                type="text"
+                value={sample[field]}
+                onChange={(e) => setSample((prev) => ({ ...prev, [field]: e.target.value }))}
+                placeholder={field === "pagePath" ? "Page, e.g. /automotive" : field === "email" ? "Email" : ROUTING_FIELDS[field]}
+                className={inputClass}
+              />
+            ))}
+          </div>
+          <p className="text-sm text-gray-700">
+            {trial.matched.length === 0
+              ? "No rules match."
+              : [
+                  `Matches ${trial.matched.map((match) => match.name).join(", ")}`,
+                  trial.notify.length > 0 && `notifies ${trial.notify.join(", ")}`,
+                  trialAssignee && `assigns ${trialAssignee}`,
+                  trial.tags.length > 0 && `tags ${trial.tags.join(", ")}`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadRouting;
@@ -0,0 +1,190 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Lock, Unlock, AlertTriangle, Loader2 } from "lucide-react";
+
+const reasonLabels = {
+  unknown_account: "Unknown account",
+  bad_password: "Wrong password",
+  bad_code: "Wrong 2FA code",
+  throttled: "Blocked while locked",
+};
+
+const LoginSecurity = () => {
+  const [failedLogins, setFailedLogins] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [threshold, setThreshold] = useState("");
+  const [minutes, setMinutes] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchLoginActivity = async () => {
+      try {
+        const [lockoutsRes, settingsRes] = await Promise.all([
+          axios.get("/api/admins/lockouts"),
+          axios.get("/api/settings"),
+        ]);
+        setFailedLogins(lockoutsRes.data.failedLogins || []);
+        setLockouts(lockoutsRes.data.lockouts || []);
+        setThreshold(settingsRes.data.settings?.["security.lockoutThreshold"] ?? 5);
+        setMinutes(settingsRes.data.settings?.["security.lockoutMinutes"] ?? 15);
+      } catch (err) {
+        console.error("Error fetching login activity:", err);
+        setError(err.response?.data?.message || "Failed to load login activity.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLoginActivity();
+  }, []);
+
+  const handleUnlock = async (key) => {
+    if (!confirm(`Unlock ${key.replace(/^(account|ip):/, "")}?`)) return;
+    try {
+      setError("");
+      await axios.delete(`/api/admins/lockouts?key=${encodeURIComponent(key)}`);
+      setLockouts(prev => prev.filter(lockout => lockout.key !== key));
+    } catch (err) {
+      console.error("Error unlocking:", err);
+      setError(err.response?.data?.message || "Failed to unlock.");
+    }
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      await axios.put("/api/settings", {
+        "security.lockoutThreshold": Number(threshold),
+        "security.lockoutMinutes": Number(minutes),
+      });
+      alert("Lockout policy saved!");
+    } catch (err) {
+      console.error("Error saving lockout policy:", err);
+      setError(err.response?.data?.message || "Failed to save lockout policy.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-8 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading login activity...</span>
+      </div>
+    );
+  }
+
+  const inputClass =
+    "w-24 p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold text-purple-950 flex items-center gap-2">
+        <Lock size={22} />
+        Login Security
+      </h3>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSavePolicy}
+        className="border-2 border-gray-200 p-6 rounded-2xl flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Lock after failures</label>
+          <input
+            type="number"
+            min="1"
+            required
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Lock for (minutes)</label>
+          <input
+            type="number"
+            min="1"
+            required
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold transition"
+        >
+          Save Policy
+        </button>
+      </form>
+
+      {lockouts.length > 0 && (
+        <div className="border-2 border-red-200 bg-red-50 rounded-2xl p-6 space-y-3">
+          <h4 className="font-bold text-red-900">Currently locked</h4>
+          {lockouts.map((lockout) => (
+            <div key={lockout.key} className="flex flex-wrap justify-between items-center gap-3 text-sm">
+              <div>
+                <span className="font-semibold text-gray-900">{lockout.key.replace(/^(account|ip):/, "")}</span>
+                <span className="text-gray-600">
+                  {" "}
+                  ({lockout.kind === "ip" ? "IP address" : "account"}, {lockout.failures} failures) until{" "}
+                  {new Date(lockout.lockedUntil).toLocaleTimeString()}
+                </span>
+              </div>
+              <button
+                onClick={() => handleUnlock(lockout.key)}
+                className="bg-white hover:bg-red-100 text-red-700 border border-red-200 px-3 py-1.5 rounded-lg font-semibold flex items-center gap-1 transition"
+              >
+                <Unlock size={14} />
+                Unlock
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="border-2 border-gray-200 rounded-2xl p-6">
+        <h4 className="font-bold text-gray-900 mb-3 flex items-center gap-2">
+          <AlertTriangle size={18} className="text-yellow-600" />
+          Recent failed logins
+        </h4>
+        {failedLogins.length === 0 ? (
+          <p className="text-sm text-gray-500">No failed logins in the last 30 days.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 pr-4">When</th>
+                  <th className="py-2 pr-4">Email</th>
+                  <th className="py-2 pr-4">IP</th>
+                  <th className="py-2">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {failedLogins.map((attempt) => (
+                  <tr key={attempt._id} className="border-t border-gray-100">
+                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(attempt.createdAt).toLocaleString()}</td>
+                    <td className="py-2 pr-4">{attempt.email || "—"}</td>
+                    <td className="py-2 pr-4">{attempt.ip || "—"}</td>
+                    <td className="py-2">{reasonLabels[attempt.reason]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoginSecurity;
@@ -0,0 +1,45 @@
+"use client";
+
+import React from "react";
+import Image from "next/image";
+
+// Smallest copy at least `width` wide, else the largest there is
+function variantFor(variants, width) {
+  const sorted = [...variants].sort((a, b) => a.width - b.width);
+  return sorted.find((variant) => variant.width >= width) || sorted[sorted.length - 1];
+}
+
+const srcSetOf = (variants) => variants.map((variant) => `${variant.url} ${variant.width}w`).join(", ");
+
+/**
+ * next/image for a picture from the media library. `media` is the
+ * `imageMedia` the blog API attaches (lib/media.js): when it has resized
+ * copies, browsers pick from the AVIF or WebP ones that fit `sizes`, with
+ * the blur placeholder showing until it loads. Anything else falls back to
+ * a plain next/image.
+ */
+const MediaImage = ({ src, media, alt, sizes = "100vw", ...props }) => {
+  const avif = media?.variants?.filter((variant) => variant.format === "avif") || [];
+  const webp = media?.variants?.filter((variant) => variant.format === "webp") || [];
+  const placeholder = media?.blurDataURL ? { placeholder: "blur", blurDataURL: media.blurDataURL } : {};
+
+  if (webp.length === 0) {
+    return <Image src={src} alt={alt} sizes={sizes} {...placeholder} {...props} />;
+  }
+
+  return (
+    <picture>
+      {avif.length > 0 && <source type="image/avif" srcSet={srcSetOf(avif)} sizes={sizes} />}
+      <Image
+        src={src}
+        alt={alt}
+        loader={({ width }) => variantFor(webp, width).url}
+        sizes={sizes}
+        {...placeholder}
+        {...props}
+      />
+    </picture>
+  );
+};
+
+export default MediaImage;
@@ -0,0 +1,319 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import Image from "next/image";
+import { Check, Copy, Loader2, Save, Search, Trash2, Upload } from "lucide-react";
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Browse, search, upload and describe images in the media library. With
+ * `onSelect` it works as a picker (e.g. for a blog's cover image) and
+ * hands back the chosen file instead of showing management actions.
+ */
+const MediaLibrary = ({ onSelect, canDelete }) => {
+  const [media, setMedia] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [unused, setUnused] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [alt, setAlt] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchMedia = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams({ page: String(page) });
+        if (query) params.set("q", query);
+        if (unused) params.set("unused", "1");
+        const res = await axios.get(`/api/media?${params}`);
+        setMedia(res.data.media || []);
+        setTotal(res.data.total || 0);
+        setPages(res.data.pages || 1);
+      } catch (err) {
+        console.error("Error fetching media:", err);
+        setError(err.response?.data?.message || "Failed to load media.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMedia();
+  }, [page, query, unused, reloadKey]);
+
+  const runSearch = () => {
+    if (search.trim() === query) return;
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  const handleSelect = (item) => {
+    setSelected(item);
+    setAlt(item.alt || "");
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      setUploading(true);
+      setError("");
+      const res = await axios.post("/api/upload", formData);
+      handleSelect(res.data.media);
+      setPage(1);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("File upload failed:", err);
+      setError(err.response?.data?.error || "File upload failed.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSaveAlt = async () => {
+    try {
+      setError("");
+      const res = await axios.patch(`/api/media/${selected._id}`, { alt });
+      setSelected(res.data.media);
+      setMedia((prev) => prev.map((item) => (item._id === selected._id ? res.data.media : item)));
+    } catch (err) {
+      console.error("Error updating media:", err);
+      setError(err.response?.data?.message || "Failed to save alt text.");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete ${selected.filename} permanently?`)) return;
+    try {
+      setError("");
+      await axios.delete(`/api/media/${selected._id}`);
+      setSelected(null);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error deleting media:", err);
+      setError(err.response?.data?.message || "Failed to delete file.");
+    }
+  };
+
+  const inputClass =
+    "w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        {/* Not a <form>: the picker sits inside the blog form */}
+        <div className="relative flex-1 min-w-[200px]">
+          <Search size={18} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                runSearch();
+              }
+            }}
+            onBlur={runSearch}
+            placeholder="Search by file name or alt text..."
+            className={`${inputClass} pl-11`}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          <input
+            type="checkbox"
+            checked={unused}
+            onChange={(e) => {
+              setPage(1);
+              setUnused(e.target.checked);
+            }}
+          />
+          Unused only
+        </label>
+        <label className="bg-purple-950 hover:bg-purple-800 text-white px-5 py-3 rounded-xl font-semibold flex items-center gap-2 cursor-pointer transition">
+          {uploading ? <Loader2 size={18} className="animate-spin" /> : <Upload size={18} />}
+          Upload
+          <input type="file" accept="image/*" onChange={handleUpload} disabled={uploading} className="hidden" />
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-3">
+          {loading ? (
+            <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+              <Loader2 size={24} className="animate-spin" />
+              <span className="font-semibold">Loading media...</span>
+            </div>
+          ) : media.length === 0 ? (
+            <p className="text-center py-16 text-gray-500 text-lg font-medium">
+              {query || unused ? "No files match." : "No files yet. Uploaded images show up here."}
+            </p>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+              {media.map((item) => (
+                <button
+                  key={item._id}
+                  type="button"
+                  onClick={() => handleSelect(item)}
+                  title={item.filename}
+                  className={`relative aspect-square rounded-xl overflow-hidden border-4 bg-gray-100 transition ${
+                    selected?._id === item._id ? "border-purple-600" : "border-transparent hover:border-purple-200"
+                  }`}
+                >
+                  <Image src={item.url} alt={item.alt || item.filename} fill sizes="200px" className="object-cover" />
+                  {item.usage.length === 0 && (
+                    <span className="absolute bottom-1 left-1 bg-white/90 text-gray-700 text-xs font-semibold px-2 py-0.5 rounded-full">
+                      Unused
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-between items-center text-sm text-gray-600">
+            <span>
+              {total} file{total === 1 ? "" : "s"}
+            </span>
+            {pages > 1 && (
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => setPage((prev) => prev - 1)}
+                  disabled={page === 1}
+                  className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 font-semibold"
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {page} of {pages}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setPage((prev) => prev + 1)}
+                  disabled={page === pages}
+                  className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 font-semibold"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div>
+          {!selected ? (
+            <p className="text-gray-500 py-16 text-center">
+              {onSelect ? "Pick an image to use it." : "Pick an image to see its details."}
+            </p>
+          ) : (
+            <div className="border-2 border-gray-200 rounded-2xl p-4 space-y-3 text-sm">
+              <div className="relative aspect-video rounded-xl overflow-hidden bg-gray-100">
+                <Image src={selected.url} alt={selected.alt || selected.filename} fill sizes="400px" className="object-contain" />
+              </div>
+              <p className="font-semibold text-gray-900 break-all">{selected.filename}</p>
+              <p className="text-gray-600">
+                {[
+                  selected.width && selected.height && `${selected.width} × ${selected.height}`,
+                  formatSize(selected.size),
+                  selected.mimeType,
+                  selected.storage,
+                  selected.variants?.length > 0 &&
+                    `${new Set(selected.variants.map((variant) => variant.width)).size} responsive sizes`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+              <p className="text-xs text-gray-500">
+                {selected.uploadedBy?.email || "Unknown"} · {new Date(selected.createdAt).toLocaleString()}
+              </p>
+              <div>
+                <label className="block font-semibold text-gray-700 mb-1">Alt text</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={alt}
+                    onChange={(e) => setAlt(e.target.value)}
+                    maxLength={300}
+                    placeholder="What the image shows"
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={handleSaveAlt}
+                    disabled={alt === (selected.alt || "")}
+                    className="bg-purple-950 hover:bg-purple-800 disabled:opacity-40 text-white px-3 rounded-xl transition"
+                  >
+                    <Save size={16} />
+                  </button>
+                </div>
+              </div>
+              <div>
+                <p className="font-semibold text-gray-700 mb-1">Used in</p>
+                {selected.usage.length === 0 ? (
+                  <p className="text-gray-500">Nothing yet.</p>
+                ) : (
+                  <ul className="list-disc pl-5 text-gray-700">
+                    {selected.usage.map((use) => (
+                      <li key={`${use.targetType}-${use.targetId}`}>{use.label || `${use.targetType} ${use.targetId}`}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2 pt-1">
+                {onSelect ? (
+                  <button
+                    type="button"
+                    onClick={() => onSelect(selected)}
+                    className="bg-green-100 hover:bg-green-200 text-green-800 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 transition"
+                  >
+                    <Check size={14} />
+                    Use This Image
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard.writeText(new URL(selected.url, window.location.origin).href)}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 transition"
+                  >
+                    <Copy size={14} />
+                    Copy URL
+                  </button>
+                )}
+                {canDelete && !onSelect && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    disabled={selected.usage.length > 0}
+                    title={selected.usage.length > 0 ? "Remove it from every post first" : undefined}
+                    className="bg-red-100 hover:bg-red-200 disabled:opacity-40 text-red-700 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 transition"
+                  >
+                    <Trash2 size={14} />
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MediaLibrary;
@@ -0,0 +1,33 @@
+"use client";
+
+import React from "react";
+import { Check, X } from "lucide-react";
+import { passwordProblems } from "@/lib/passwordPolicy";
+
+// Live list of password rules the current input still breaks
+const PasswordChecklist = ({ password, email }) => {
+  if (!password) return null;
+  const problems = passwordProblems(password, { email });
+
+  if (problems.length === 0) {
+    return (
+      <p className="flex items-center gap-2 text-sm text-green-500">
+        <Check size={16} />
+        Strong password
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-1 text-sm text-red-400">
+      {problems.map((problem) => (
+        <li key={problem} className="flex items-center gap-2">
+          <X size={14} />
+          {problem}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PasswordChecklist;
@@ -2,7 +2,7 @@
 
 import React, { use, useEffect, useState } from "react";
 import Link from "next/link";
-import Image from "next/image";
+import MediaImage from "@/components/MediaImage";
 import axios from "axios";
 import { Swiper, SwiperSlide } from "swiper/react";
 import { Autoplay } from "swiper/modules";
@@ -19,7 +19,9 @@ const SwiperBlogs = () => {
     const fetchLatestBlogs = async () => {
       try {
         // ✅ Fetch 10 latest blogs sorted by date (descending)
-        const res = await axios.get("/api/blogs?limit=10&sort=-date");
+        const res = await axios.get(
+          "/api/blogs?limit=10&sort=-date&fields=title,slug,image,imageAlt,category,writtenby,date"
+        );
         setBlogs(res.data.blogs || []);
       } catch (error) {
         console.error("Error fetching latest blogs:", error);
@@ -89,10 +91,12 @@ const SwiperBlogs = () => {
               >
                 {/* ✅ Blog Image */}
                 <div className="relative w-full h-56 overflow-hidden bg-gray-200 flex-shrink-0">
-                  <Image
+                  <MediaImage
                     src={blog.image || "/placeholder-blog.jpg"}
-                    alt={blog.title}
+                    media={blog.imageMedia}
+                    alt={blog.imageAlt || blog.title}
                     fill
+                    sizes="(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 85vw"
                     className="object-cover group-hover:scale-110 group-hover:brightness-110 transition-all duration-500"
                   />
                   <div className="absolute inset-0 bg-gradient-to-t from-gray-900/60 via-transparent to-transparent opacity-70 group-hover:opacity-50 transition-opacity"></div>
@@ -0,0 +1,187 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Trash2, RotateCcw, Loader2, FileText, Inbox } from "lucide-react";
+import { can } from "@/lib/permissions";
+
+const sections = [
+  {
+    type: "blogs",
+    label: "Blogs",
+    icon: <FileText size={18} />,
+    permission: "blogs:delete",
+    describe: (item) => ({ title: item.title, detail: `${item.category} · by ${item.writtenby}` }),
+  },
+  {
+    type: "leads",
+    label: "Leads",
+    icon: <Inbox size={18} />,
+    permission: "leads:delete",
+    describe: (item) => ({
+      title: `${item.firstName || ""} ${item.lastName || ""}`.trim() || item.email,
+      detail: [item.email, item.company].filter(Boolean).join(" · "),
+    }),
+  },
+];
+
+const TrashBin = ({ role, canEditRetention, onRestored }) => {
+  const [trash, setTrash] = useState({});
+  const [retentionDays, setRetentionDays] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const res = await axios.get("/api/trash");
+        setTrash(res.data.trash || {});
+        setRetentionDays(res.data.retentionDays);
+      } catch (err) {
+        console.error("Error fetching trash:", err);
+        setError(err.response?.data?.message || "Failed to load trash.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTrash();
+  }, []);
+
+  const removeFromList = (type, id) =>
+    setTrash(prev => ({ ...prev, [type]: prev[type].filter(item => item._id !== id) }));
+
+  const handleRestore = async (type, id) => {
+    try {
+      setError("");
+      await axios.post(`/api/trash/${type}/${id}`);
+      removeFromList(type, id);
+      onRestored?.();
+    } catch (err) {
+      console.error("Error restoring item:", err);
+      setError(err.response?.data?.message || "Failed to restore item.");
+    }
+  };
+
+  const handleDeleteForever = async (type, id) => {
+    if (!confirm("Delete this item permanently? This cannot be undone.")) return;
+    try {
+      setError("");
+      await axios.delete(`/api/trash/${type}/${id}`);
+      removeFromList(type, id);
+    } catch (err) {
+      console.error("Error deleting item:", err);
+      setError(err.response?.data?.message || "Failed to delete item.");
+    }
+  };
+
+  const handleSaveRetention = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      await axios.put("/api/settings", { "trash.retentionDays": Number(retentionDays) });
+      alert("Retention period saved!");
+    } catch (err) {
+      console.error("Error saving retention:", err);
+      setError(err.response?.data?.message || "Failed to save retention period.");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-16 text-purple-600">
+        <Loader2 size={24} className="animate-spin" />
+        <span className="font-semibold">Loading trash...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <p className="text-gray-600">
+          Items in the trash are deleted permanently after {retentionDays} days.
+        </p>
+        {canEditRetention && (
+          <form onSubmit={handleSaveRetention} className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              required
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(e.target.value)}
+              className="w-24 p-2 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <span className="text-sm text-gray-600">days</span>
+            <button
+              type="submit"
+              className="bg-purple-950 hover:bg-purple-800 text-white px-4 py-2 rounded-xl font-semibold transition"
+            >
+              Save
+            </button>
+          </form>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-6 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      {sections
+        .filter((section) => trash[section.type])
+        .map((section) => (
+          <div key={section.type}>
+            <h3 className="font-bold text-gray-900 mb-3 flex items-center gap-2">
+              {section.icon}
+              {section.label} ({trash[section.type].length})
+            </h3>
+            {trash[section.type].length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing here.</p>
+            ) : (
+              <div className="space-y-2">
+                {trash[section.type].map((item) => {
+                  const { title, detail } = section.describe(item);
+                  return (
+                    <div
+                      key={item._id}
+                      className="border-2 border-gray-200 rounded-2xl px-5 py-3 flex flex-wrap justify-between items-center gap-3"
+                    >
+                      <div>
+                        <p className="font-semibold text-gray-900">{title}</p>
+                        <p className="text-sm text-gray-600">{detail}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Trashed {new Date(item.deletedAt).toLocaleString()}
+                          {item.deletedBy?.email ? ` by ${item.deletedBy.email}` : ""}
+                        </p>
+                      </div>
+                      {can(role, section.permission) && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleRestore(section.type, item._id)}
+                            className="bg-green-100 hover:bg-green-200 text-green-800 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                          >
+                            <RotateCcw size={14} />
+                            Restore
+                          </button>
+                          <button
+                            onClick={() => handleDeleteForever(section.type, item._id)}
+                            className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-2 rounded-lg font-semibold flex items-center gap-1 text-sm transition"
+                          >
+                            <Trash2 size={14} />
+                            Delete Forever
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default TrashBin;
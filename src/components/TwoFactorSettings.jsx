@@ -0,0 +1,249 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import Image from "next/image";
+import { ShieldCheck, ShieldOff, Loader2, Copy, RefreshCw } from "lucide-react";
+
+const TwoFactorSettings = ({ onEnabled }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get("/api/auth/2fa")
+      .then((res) => setStatus(res.data))
+      .catch((err) => {
+        console.error("Error fetching 2FA status:", err);
+        setError("Failed to load two-factor status.");
+      });
+  }, []);
+
+  // Wraps each action with the busy flag, error reporting and code reset
+  const run = async (action, fallbackMessage) => {
+    try {
+      setBusy(true);
+      setError("");
+      await action();
+      setCode("");
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(err.response?.data?.error || fallbackMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    run(async () => {
+      const res = await axios.post("/api/auth/2fa/setup");
+      setSetup(res.data);
+    }, "Failed to start two-factor setup.");
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await axios.post("/api/auth/2fa/enable", { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setSetup(null);
+      setStatus((prev) => ({ ...prev, enabled: true, recoveryCodesRemaining: res.data.recoveryCodes.length }));
+      onEnabled?.();
+    }, "Failed to enable two-factor authentication.");
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await axios.post("/api/auth/2fa/recovery-codes", { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setStatus((prev) => ({ ...prev, recoveryCodesRemaining: res.data.recoveryCodes.length }));
+    }, "Failed to regenerate recovery codes.");
+  };
+
+  const handleDisable = () => {
+    if (!confirm("Turn off two-factor authentication for your account?")) return;
+    run(async () => {
+      await axios.post("/api/auth/2fa/disable", { password, code });
+      setPassword("");
+      setRecoveryCodes([]);
+      setStatus((prev) => ({ ...prev, enabled: false, recoveryCodesRemaining: 0 }));
+    }, "Failed to disable two-factor authentication.");
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      alert("Recovery codes copied to clipboard!");
+    } catch {
+      alert("Copy failed. Please copy the codes manually.");
+    }
+  };
+
+  const inputClass =
+    "w-full p-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white";
+
+  if (!status) {
+    return error ? (
+      <p className="text-red-700 font-semibold">{error}</p>
+    ) : (
+      <div className="flex items-center gap-2 text-purple-600">
+        <Loader2 size={20} className="animate-spin" />
+        <span className="font-semibold">Loading two-factor status...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-lg space-y-4">
+      <h3 className="text-xl font-bold text-purple-950 flex items-center gap-2">
+        {status.enabled ? <ShieldCheck size={22} /> : <ShieldOff size={22} />}
+        Two-Factor Authentication
+      </h3>
+      <p className="text-sm text-gray-600">
+        {status.enabled
+          ? `Enabled. ${status.recoveryCodesRemaining} recovery code(s) left.`
+          : "Add a one-time code from an authenticator app to every login."}
+        {status.required && " Required for all admins on this site."}
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-800 px-4 py-3 rounded-2xl font-semibold">
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="border-2 border-yellow-200 bg-yellow-50 p-4 rounded-2xl">
+          <p className="text-sm font-semibold text-yellow-900 mb-3">
+            Save these recovery codes somewhere safe. Each works once if you lose your device, and
+            they won&apos;t be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode} className="bg-white border border-yellow-200 rounded-lg px-3 py-1 text-center">
+                {recoveryCode}
+              </span>
+            ))}
+          </div>
+          <button
+            onClick={handleCopyCodes}
+            className="text-sm font-semibold text-yellow-900 flex items-center gap-1 hover:underline"
+          >
+            <Copy size={14} />
+            Copy codes
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={busy}
+          className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold transition disabled:opacity-50"
+        >
+          Set Up Two-Factor Authentication
+        </button>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <Image
+            src={setup.qrCode}
+            alt="Two-factor QR code"
+            width={208}
+            height={208}
+            unoptimized
+            className="border-2 border-gray-200 rounded-xl"
+          />
+          <div className="text-xs text-gray-600 space-y-1">
+            <p>
+              Can&apos;t scan? Enter this key manually:{" "}
+              <code className="bg-gray-100 px-2 py-0.5 rounded break-all">{setup.secret}</code>
+            </p>
+            <p className="break-all">
+              <a href={setup.otpauthUri} className="text-purple-700 hover:underline">
+                Open in authenticator app
+              </a>
+            </p>
+          </div>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={`${inputClass} tracking-widest`}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-purple-950 hover:bg-purple-800 text-white px-6 py-3 rounded-xl font-semibold transition disabled:opacity-50"
+          >
+            Verify and Enable
+          </button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Authentication code</label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={`${inputClass} tracking-widest`}
+            />
+          </div>
+          {!status.required && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                Password (only needed to turn 2FA off)
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-purple-100 hover:bg-purple-200 text-purple-700 px-6 py-3 rounded-xl font-semibold flex items-center gap-2 transition disabled:opacity-50"
+            >
+              <RefreshCw size={18} />
+              New Recovery Codes
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={handleDisable}
+                disabled={busy || !password || !code}
+                className="bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-xl font-semibold transition disabled:opacity-50"
+              >
+                Turn Off
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,79 @@
+import { escapeHtml } from "@/lib/escape";
+import { queueEmail } from "@/lib/outbox";
+import { templateGlobals } from "@/lib/emailTemplates";
+
+// Uses the same brand settings as the editable templates (lib/emailTemplates.js)
+function accountEmailHtml({ brand, heading, paragraphs, action }) {
+  const themeColor = escapeHtml(brand.themeColor);
+  const body = paragraphs
+    .map((text) => `<p style="margin:0 0 20px 0;">${text}</p>`)
+    .join("");
+  const button = action
+    ? `<p style="margin:30px 0; text-align:center;">
+        <a href="${escapeHtml(action.url)}" style="background:${themeColor}; color:#ffffff; padding:14px 28px; border-radius:6px; text-decoration:none; font-weight:600;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="margin:0; font-size:13px; color:#888; word-break:break-all;">${escapeHtml(action.url)}</p>`
+    : "";
+
+  return `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color:#333; background:#f4f4f4; padding:40px 20px;">
+      <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+        <div style="background:${themeColor}; padding:30px; text-align:center;">
+          <h1 style="margin:0; font-size:28px; color:#ffffff; font-weight:600;">${escapeHtml(brand.companyName)}</h1>
+        </div>
+        <div style="padding:40px 30px; line-height:1.8; font-size:15px; color:#444;">
+          <h2 style="margin:0 0 20px 0; color:${themeColor};">${escapeHtml(heading)}</h2>
+          ${body}
+          ${button}
+        </div>
+      </div>
+    </div>`;
+}
+
+/**
+ * Queues an account notice to an admin from the verified ADMIN_EMAIL sender.
+ * `subject` is given the company name from the brand settings.
+ */
+export async function sendAccountEmail({ to, subject, heading, paragraphs, action }) {
+  const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+  if (!ADMIN_EMAIL) {
+    throw new Error("ADMIN_EMAIL environment variable is not set");
+  }
+
+  const { brand } = await templateGlobals();
+  return queueEmail("account", {
+    to: [to],
+    subject: subject(brand.companyName),
+    html: accountEmailHtml({ brand, heading, paragraphs, action }),
+    fromEmail: ADMIN_EMAIL,
+    fromName: brand.companyName,
+    replyTo: ADMIN_EMAIL,
+  });
+}
+
+export async function sendPasswordResetEmail({ to, resetUrl, expiresInMinutes }) {
+  return sendAccountEmail({
+    to,
+    subject: (companyName) => `Reset your ${companyName} admin password`,
+    heading: "Password reset requested",
+    paragraphs: [
+      "Someone asked to reset the password for your admin account. If that was you, use the button below to choose a new password.",
+      `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`,
+    ],
+    action: { label: "Reset Password", url: resetUrl },
+  });
+}
+
+export async function sendLockoutEmail({ to, minutes, ip }) {
+  return sendAccountEmail({
+    to,
+    subject: (companyName) => `Your ${companyName} admin account was locked`,
+    heading: "Account temporarily locked",
+    paragraphs: [
+      `We locked your admin account for ${minutes} minutes after several failed login attempts${
+        ip ? ` from IP address ${escapeHtml(ip)}` : ""
+      }.`,
+      "If this was you, wait and try again, or reset your password from the login page. If it wasn't, reset your password and tell a site owner.",
+    ],
+  });
+}
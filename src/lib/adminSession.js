@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import { can, roleOf } from "@/lib/permissions";
+import { isTwoFactorRequired } from "@/lib/twoFactor";
+
+/**
+ * The token's admin, as long as they still exist and haven't changed their
+ * password since the token was issued; otherwise null. Their role is read
+ * here too, so a role change applies to sessions that are already open.
+ */
+export async function currentAdminFor(token) {
+  if (!token?.id) return null;
+  await dbConnect();
+  const admin = await Admin.findById(token.id).select("role sessionVersion twoFactor.enabled").lean();
+  if (!admin || (admin.sessionVersion || 0) !== (token.sv || 0)) return null;
+  return admin;
+}
+
+/**
+ * True when the owner requires 2FA and this admin hasn't enrolled yet.
+ */
+export async function needsTwoFactorSetup(admin) {
+  return !admin.twoFactor?.enabled && (await isTwoFactorRequired());
+}
+
+/**
+ * Returns the decoded next-auth JWT of the signed-in admin, or null when
+ * there is none or it has been revoked.
+ */
+export async function getAdminToken(req) {
+  try {
+    const token = await getToken({ req, secret: process.env.NEXTAUTH_SECRET });
+    const admin = token && (await currentAdminFor(token));
+    if (!admin) return null;
+    // Authorize against the stored role, not the one the token was issued with
+    return { ...token, role: admin.role, twoFactorSetupRequired: await needsTwoFactorSetup(admin) };
+  } catch (error) {
+    console.error("Error reading admin session:", error);
+    return null;
+  }
+}
+
+/**
+ * Route guard: resolves to { token } when the signed-in admin holds the
+ * permission, or { error } with a ready-to-return 401/403 response. Admins
+ * who still have to enroll in required 2FA are refused everything.
+ *
+ *   const { token, error } = await requirePermission(req, "blogs:write");
+ *   if (error) return error;
+ */
+export async function requirePermission(req, permission) {
+  const token = await getAdminToken(req);
+  if (!token) {
+    return {
+      error: NextResponse.json({ success: false, message: "Unauthorized" }, { status: 401 }),
+    };
+  }
+  if (token.twoFactorSetupRequired) {
+    return {
+      error: NextResponse.json(
+        { success: false, message: "Set up two-factor authentication to continue" },
+        { status: 403 }
+      ),
+    };
+  }
+  if (!can(roleOf(token), permission)) {
+    return {
+      error: NextResponse.json({ success: false, message: "Forbidden" }, { status: 403 }),
+    };
+  }
+  return { token };
+}
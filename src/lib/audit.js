@@ -0,0 +1,63 @@
+import AuditLog from "@/models/AuditLog";
+
+/**
+ * Reads a request header from a Request (route handlers) or the plain
+ * header object next-auth passes to authorize().
+ */
+export function requestHeader(req, name) {
+  if (!req?.headers) return null;
+  if (typeof req.headers.get === "function") return req.headers.get(name);
+  return req.headers[name] || null;
+}
+
+/**
+ * Client IP as reported by the hosting proxy. Login throttling and form
+ * rate limits key on it, so it must not come from anything the client sets.
+ *
+ * Each proxy appends the address it was connected from to X-Forwarded-For,
+ * and the client can put anything to the left of that. With
+ * TRUSTED_PROXY_COUNT set to the number of proxies in front of the app,
+ * the client IP is the entry that many places from the right. Otherwise
+ * the x-real-ip header the platform sets (Vercel does; nginx needs
+ * `proxy_set_header X-Real-IP $remote_addr`) is used, falling back to the
+ * rightmost X-Forwarded-For entry, as added by a single proxy.
+ */
+export function clientIp(req) {
+  const hops = (requestHeader(req, "x-forwarded-for") || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  const proxies = Number.parseInt(process.env.TRUSTED_PROXY_COUNT, 10);
+  if (proxies > 0) return hops[Math.max(hops.length - proxies, 0)] || null;
+  return requestHeader(req, "x-real-ip") || hops[hops.length - 1] || null;
+}
+
+// Mongoose documents and plain objects both become plain JSON snapshots
+function toSnapshot(value) {
+  if (!value) return null;
+  const plain = typeof value.toObject === "function" ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * Appends an audit entry. Failures are logged, never thrown, so auditing
+ * can't break the action being audited.
+ *
+ *   await recordAudit(req, { actor: token, action: "blog.delete", targetType: "Blog", targetId, before });
+ */
+export async function recordAudit(req, { actor, action, targetType, targetId = null, before = null, after = null }) {
+  try {
+    await AuditLog.create({
+      actor: { id: actor?.id || actor?.sub || null, email: actor?.email || null },
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      ip: req ? clientIp(req) : null,
+      userAgent: requestHeader(req, "user-agent"),
+    });
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
+}
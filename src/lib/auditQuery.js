@@ -0,0 +1,46 @@
+// Query-string parsing for the audit log viewer and its CSV export.
+import { endOfDay, parseDate, parsePositiveInt } from "@/lib/blogQuery";
+import { escapeRegex } from "@/lib/escape";
+
+export const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+/**
+ * Turns ?actor=&entity=&action=&targetId=&from=&to=&page=&limit= into
+ * { filter, page, limit }. Throws with a user-facing message on invalid input.
+ */
+export function parseAuditQuery(searchParams) {
+  const page = parsePositiveInt(searchParams.get("page"), "page", 1);
+  const limit = Math.min(
+    parsePositiveInt(searchParams.get("limit"), "limit", AUDIT_PAGE_SIZE),
+    MAX_AUDIT_PAGE_SIZE
+  );
+
+  const filter = {};
+
+  const actor = searchParams.get("actor");
+  if (actor && actor.trim()) {
+    filter["actor.email"] = new RegExp(escapeRegex(actor.trim()), "i");
+  }
+
+  const entity = searchParams.get("entity");
+  if (entity) filter.targetType = entity;
+
+  const targetId = searchParams.get("targetId");
+  if (targetId) filter.targetId = targetId;
+
+  const action = searchParams.get("action");
+  if (action) filter.action = new RegExp(`^${escapeRegex(action)}`);
+
+  const fromValue = searchParams.get("from");
+  const toValue = searchParams.get("to");
+  const from = parseDate(fromValue, "from");
+  const to = parseDate(toValue, "to");
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = endOfDay(toValue, to);
+  }
+
+  return { filter, page, limit };
+}
@@ -0,0 +1,97 @@
+import CredentialsProvider from "next-auth/providers/credentials";
+import dbConnect from "@/lib/dbConnect";
+import Admin from "@/models/Admin";
+import bcrypt from "bcrypt";
+import { roleOf } from "@/lib/permissions";
+import { currentAdminFor, needsTwoFactorSetup } from "@/lib/adminSession";
+import { consumeSecondFactor } from "@/lib/twoFactor";
+import { clearLoginFailures, loginBlockedReason, recordLoginFailure } from "@/lib/loginThrottle";
+import { clientIp } from "@/lib/audit";
+
+// Returned as the signIn() error so the login page can ask for a code
+export const TWO_FACTOR_REQUIRED = "TWO_FACTOR_REQUIRED";
+
+export const authOptions = {
+  providers: [
+    CredentialsProvider({
+      name: "Credentials",
+      credentials: {
+        email: { label: "Email", type: "text" },
+        password: { label: "Password", type: "password" },
+        code: { label: "Authentication code", type: "text" },
+      },
+      async authorize(credentials, req) {
+        await dbConnect();
+        const email = String(credentials.email || "").trim().toLowerCase();
+
+        // Locked accounts and IPs still in backoff aren't even checked
+        const blocked = await loginBlockedReason({ email, ip: clientIp(req) });
+        if (blocked) {
+          await recordLoginFailure(req, { email, reason: "throttled" });
+          throw new Error(blocked);
+        }
+
+        const admin = await Admin.findOne({ email });
+        if (!admin) {
+          await recordLoginFailure(req, { email, reason: "unknown_account" });
+          throw new Error("Invalid email or password");
+        }
+
+        const isValid = await bcrypt.compare(credentials.password, admin.password);
+        if (!isValid) {
+          await recordLoginFailure(req, { email, reason: "bad_password", admin });
+          throw new Error("Invalid email or password");
+        }
+
+        // Second step: a TOTP or recovery code once the password checks out
+        if (admin.twoFactor?.enabled) {
+          if (!credentials.code) throw new Error(TWO_FACTOR_REQUIRED);
+          if (!(await consumeSecondFactor(admin, credentials.code))) {
+            await recordLoginFailure(req, { email, reason: "bad_code", admin });
+            throw new Error("Invalid authentication code");
+          }
+        }
+
+        await clearLoginFailures(email);
+
+        return {
+          id: admin._id.toString(),
+          email: admin.email,
+          role: roleOf(admin),
+          sessionVersion: admin.sessionVersion || 0,
+        };
+      },
+    }),
+  ],
+  callbacks: {
+    // Carry the admin's id and role in the JWT so route guards can check them
+    async jwt({ token, user }) {
+      if (user) {
+        token.id = user.id;
+        token.role = user.role;
+        token.sv = user.sessionVersion;
+        return token;
+      }
+      // A password change bumps sessionVersion; throwing here makes next-auth
+      // clear the session cookie
+      const admin = await currentAdminFor(token);
+      if (!admin) {
+        throw new Error("Session has been revoked");
+      }
+      token.role = admin.role;
+      token.twoFactorSetupRequired = await needsTwoFactorSetup(admin);
+      return token;
+    },
+    async session({ session, token }) {
+      if (session.user) {
+        session.user.id = token.id;
+        session.user.role = roleOf(token);
+        session.user.twoFactorSetupRequired = Boolean(token.twoFactorSetupRequired);
+      }
+      return session;
+    },
+  },
+  session: { strategy: "jwt" },
+  secret: process.env.NEXTAUTH_SECRET,
+  pages: { signIn: "/admin/login" },
+};
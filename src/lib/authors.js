@@ -0,0 +1,89 @@
+import slugify from "slugify";
+
+// Author profiles: validation of what the panel sends, and the helpers the
+// migration from free-text `writtenby` names shares with the API.
+
+export const AUTHOR_SOCIALS = ["website", "linkedin", "twitter", "github"];
+
+export const AUTHOR_SOCIAL_LABELS = {
+  website: "Website",
+  linkedin: "LinkedIn",
+  twitter: "X / Twitter",
+  github: "GitHub",
+};
+
+const MAX_LENGTHS = { name: 100, jobTitle: 100, bio: 2000, avatar: 2000 };
+
+/**
+ * "Jane  Doe " → "Jane Doe": how a name is compared and stored.
+ */
+export function normalizeAuthorName(name) {
+  return String(name || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * URL slug for an author name, e.g. "Jane Doe" → "jane-doe".
+ */
+export function authorSlug(name) {
+  return slugify(normalizeAuthorName(name), { lower: true, strict: true }) || "author";
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates an author create/update body. Returns { author } with name,
+ * slug, jobTitle, bio, avatar, socials and adminEmail (the account to link,
+ * "" for none), or { error }. The slug comes from the body when given,
+ * else from the name.
+ */
+export function parseAuthor(body) {
+  const name = normalizeAuthorName(body.name);
+  if (!name) return { error: "Name is required" };
+
+  const author = { name };
+  for (const field of ["jobTitle", "bio", "avatar"]) {
+    author[field] = String(body[field] ?? "").trim();
+  }
+  for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+    if (author[field].length > max) return { error: `${field} must be at most ${max} characters` };
+  }
+  if (author.avatar && !author.avatar.startsWith("/") && !isHttpUrl(author.avatar)) {
+    return { error: "Avatar must be an image URL" };
+  }
+
+  author.slug = body.slug ? authorSlug(body.slug) : authorSlug(name);
+
+  author.socials = {};
+  for (const network of AUTHOR_SOCIALS) {
+    const url = String(body.socials?.[network] ?? "").trim();
+    if (url && !isHttpUrl(url)) return { error: `${AUTHOR_SOCIAL_LABELS[network]} must be a full http(s) URL` };
+    author.socials[network] = url;
+  }
+
+  author.adminEmail = String(body.adminEmail ?? "").trim().toLowerCase();
+  return { author };
+}
+
+/**
+ * schema.org Person for an author's public profile, with absolute URLs
+ * under `baseUrl`.
+ */
+export function authorPersonSchema(author, baseUrl) {
+  const sameAs = AUTHOR_SOCIALS.map((network) => author.socials?.[network]).filter(Boolean);
+  return {
+    "@type": "Person",
+    name: author.name,
+    url: `${baseUrl}/blogs/author/${author.slug}`,
+    ...(author.jobTitle && { jobTitle: author.jobTitle }),
+    ...(author.bio && { description: author.bio }),
+    ...(author.avatar && { image: new URL(author.avatar, baseUrl).href }),
+    ...(sameAs.length > 0 && { sameAs }),
+  };
+}
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import Admin from "@/models/Admin";
+import Author from "@/models/Author";
+import Blog from "@/models/Blog";
+import Media from "@/models/Media";
+
+// Fields of an author shown with a post and on their profile page
+export const PUBLIC_AUTHOR_FIELDS = "name slug jobTitle bio avatar socials";
+
+/**
+ * The Blog fields that credit a post to an author: { author, writtenby }.
+ * Returns null when `authorId` isn't an existing author.
+ */
+export async function authorCredit(authorId) {
+  if (!mongoose.isValidObjectId(authorId)) return null;
+  const author = await Author.findById(authorId).select("name").lean();
+  return author ? { author: author._id, writtenby: author.name } : null;
+}
+
+/**
+ * Keeps Blog.writtenby in step after an author is renamed, trashed posts
+ * included.
+ */
+export async function renameAuthorCredits(authorId, name) {
+  await Blog.updateMany({ author: authorId, writtenby: { $ne: name } }, { $set: { writtenby: name } });
+}
+
+/**
+ * The admin account with `email`, for linking to an author. Returns
+ * { admin: id or null } or { error } when no account has that email or it
+ * is already linked to another author.
+ */
+export async function linkableAdmin(email, authorId = null) {
+  if (!email) return { admin: null };
+  const admin = await Admin.findOne({ email }).select("_id").lean();
+  if (!admin) return { error: "No admin account has that email" };
+  const linked = await Author.findOne({ admin: admin._id, _id: { $ne: authorId } }).select("name").lean();
+  if (linked) return { error: `That account is already linked to ${linked.name}` };
+  return { admin: admin._id };
+}
+
+/**
+ * Whether `url` is an image in the media library; avatars must be, so
+ * next/image can serve them and the library knows they're in use.
+ */
+export async function isLibraryImage(url) {
+  return Boolean(await Media.exists({ url }));
+}
+
+/**
+ * An author by id or slug, with only the public profile fields.
+ */
+export async function findPublicAuthor(idOrSlug) {
+  const slug = String(idOrSlug);
+  const filter = mongoose.isValidObjectId(slug) ? { $or: [{ _id: slug }, { slug }] } : { slug };
+  return Author.findOne(filter).select(PUBLIC_AUTHOR_FIELDS).lean();
+}
@@ -0,0 +1,103 @@
+// Editorial and SEO fields on blog posts: validation of what the form
+// sends, plus the excerpt and reading time derived from the content.
+
+const WORDS_PER_MINUTE = 200;
+
+// Lengths search engines show before truncating; the form warns past them
+export const SEO_TITLE_LENGTH = 60;
+export const SEO_DESCRIPTION_LENGTH = 160;
+
+export const MAX_TAGS = 20;
+const MAX_LENGTHS = {
+  excerpt: 500,
+  metaTitle: 120,
+  metaDescription: 320,
+  imageAlt: 300,
+  canonicalUrl: 2000,
+};
+
+export const BLOG_META_FIELDS = ["excerpt", "metaTitle", "metaDescription", "tags", "imageAlt", "canonicalUrl"];
+
+/**
+ * Whole minutes it takes to read `text`, at least 1.
+ */
+export function readingTimeOf(text) {
+  const words = String(text || "").split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+/**
+ * The opening of `text` cut at a word boundary, with an ellipsis when it
+ * was shortened.
+ */
+export function excerptOf(text, maxLength = SEO_DESCRIPTION_LENGTH) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxLength) return clean;
+  const cut = clean.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, "")}…`;
+}
+
+/**
+ * What describes a post in search results and link previews: its meta
+ * description, else its excerpt, else the excerpt made from its content.
+ */
+export function blogDescription(blog) {
+  return blog.metaDescription || blog.excerpt || blog.autoExcerpt || blog.title || "";
+}
+
+/**
+ * "Industry 4.0, IIoT ,iiot" or an array → ["Industry 4.0", "IIoT"]; the
+ * first spelling of a tag wins.
+ */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const seen = new Set();
+  const tags = [];
+  for (const raw of list) {
+    const tag = String(raw).replace(/\s+/g, " ").trim().slice(0, 50);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Validates the metadata fields present in a create/update body. Returns
+ * { meta } with just those fields, cleaned up, or { error }.
+ */
+export function parseBlogMeta(body) {
+  const meta = {};
+  for (const field of BLOG_META_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (field === "tags") {
+      const tags = normalizeTags(body.tags);
+      if (tags.length > MAX_TAGS) return { error: `A post can have at most ${MAX_TAGS} tags` };
+      meta.tags = tags;
+      continue;
+    }
+
+    const value = String(body[field] ?? "").replace(/\s+/g, " ").trim();
+    if (value.length > MAX_LENGTHS[field]) {
+      return { error: `${field} must be at most ${MAX_LENGTHS[field]} characters` };
+    }
+    meta[field] = value;
+  }
+
+  if (meta.canonicalUrl) {
+    let url;
+    try {
+      url = new URL(meta.canonicalUrl);
+    } catch {
+      return { error: "canonicalUrl must be an absolute URL" };
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return { error: "canonicalUrl must be an http(s) URL" };
+    }
+    meta.canonicalUrl = url.href;
+  }
+
+  return { meta };
+}
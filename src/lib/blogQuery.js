@@ -0,0 +1,186 @@
+import { escapeRegex } from "@/lib/escape";
+
+// Query-string parsing for GET /api/blogs: paging, sorting, filtering and projection.
+
+export const DEFAULT_PAGE_SIZE = 12;
+export const MAX_PAGE_SIZE = 100;
+
+const SORTABLE_FIELDS = ["date", "createdAt", "updatedAt", "publishAt", "title", "category"];
+const PROJECTABLE_FIELDS = [
+  "title",
+  "slug",
+  "content",
+  "image",
+  "category",
+  "writtenby",
+  "author",
+  "tags",
+  "excerpt",
+  "autoExcerpt",
+  "readingTime",
+  "imageAlt",
+  "date",
+  "status",
+  "publishAt",
+  "createdAt",
+  "updatedAt",
+];
+
+export function parsePositiveInt(value, name, fallback) {
+  if (value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}. Must be a positive integer`);
+  }
+  return number;
+}
+
+export function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date`);
+  }
+  return date;
+}
+
+/**
+ * A bare "YYYY-MM-DD" upper bound should include that whole day.
+ */
+export function endOfDay(value, date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return date;
+  return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+}
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses "-date,title" into a Mongo sort object. Unknown fields are rejected.
+ */
+export function parseSort(value) {
+  const fields = splitList(value);
+  if (fields.length === 0) return { createdAt: -1 };
+
+  const sort = {};
+  for (const field of fields) {
+    const direction = field.startsWith("-") ? -1 : 1;
+    const name = field.replace(/^[-+]/, "");
+    if (!SORTABLE_FIELDS.includes(name)) {
+      throw new Error(`Invalid sort field: ${name}`);
+    }
+    sort[name] = direction;
+  }
+  // Tie-break on _id so paging is stable
+  sort._id = -1;
+  return sort;
+}
+
+/**
+ * Parses "title,slug,image" (inclusion) or "-content" (exclusion) into a projection.
+ */
+export function parseFields(value) {
+  const fields = splitList(value);
+  if (fields.length === 0) return null;
+
+  const excluding = fields.every((field) => field.startsWith("-"));
+  if (!excluding && fields.some((field) => field.startsWith("-"))) {
+    throw new Error("Cannot mix included and excluded fields");
+  }
+
+  const projection = {};
+  for (const field of fields) {
+    const name = field.replace(/^-/, "");
+    if (!PROJECTABLE_FIELDS.includes(name)) {
+      throw new Error(`Invalid field: ${name}`);
+    }
+    projection[name] = excluding ? 0 : 1;
+  }
+  // Links need the slug even when callers forget to ask for it
+  if (!excluding) projection.slug = 1;
+  return projection;
+}
+
+/**
+ * Turns URL search params into { conditions, sort, projection, page, limit },
+ * where conditions are Mongo filters to be AND-ed with the visibility filter.
+ * Throws with a user-facing message on invalid input.
+ */
+export function parseBlogListQuery(searchParams) {
+  const page = parsePositiveInt(searchParams.get("page"), "page", 1);
+  const limit = Math.min(
+    parsePositiveInt(searchParams.get("limit"), "limit", DEFAULT_PAGE_SIZE),
+    MAX_PAGE_SIZE
+  );
+
+  const conditions = [];
+
+  const categories = splitList(searchParams.get("category"));
+  if (categories.length > 0) {
+    conditions.push({
+      category: { $in: categories.map((c) => new RegExp(`^${escapeRegex(c)}$`, "i")) },
+    });
+  }
+
+  const author = searchParams.get("author");
+  if (author) {
+    conditions.push({ writtenby: new RegExp(`^${escapeRegex(author.trim())}$`, "i") });
+  }
+
+  const authorId = searchParams.get("authorId");
+  if (authorId) {
+    if (!/^[a-f0-9]{24}$/i.test(authorId)) throw new Error("Invalid authorId");
+    conditions.push({ author: authorId });
+  }
+
+  const from = parseDate(searchParams.get("from"), "from");
+  const toValue = searchParams.get("to");
+  const to = parseDate(toValue, "to");
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = endOfDay(toValue, to);
+    conditions.push({ date: range });
+  }
+
+  const q = searchParams.get("q");
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), "i");
+    conditions.push({ $or: [{ title: pattern }, { category: pattern }, { writtenby: pattern }] });
+  }
+
+  return {
+    conditions,
+    sort: parseSort(searchParams.get("sort")),
+    projection: parseFields(searchParams.get("fields")),
+    page,
+    limit,
+  };
+}
+
+/**
+ * Builds pagination metadata with next/prev links that keep the other query params.
+ */
+export function buildPagination(url, { page, limit, total }) {
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  const linkTo = (target) => {
+    const link = new URL(url);
+    link.searchParams.set("page", String(target));
+    link.searchParams.set("limit", String(limit));
+    return `${link.pathname}${link.search}`;
+  };
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    next: page < totalPages ? linkTo(page + 1) : null,
+    prev: page > 1 ? linkTo(Math.min(page - 1, totalPages)) : null,
+  };
+}
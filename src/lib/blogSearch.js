@@ -0,0 +1,72 @@
+import { escapeHtml, escapeRegex } from "@/lib/escape";
+
+// Helpers for GET /api/blogs/search: query terms, highlighting and snippets.
+
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Splits a search query into lower-cased terms, dropping quotes and negations.
+ */
+export function parseSearchTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/["]/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/[^\p{L}\p{N}'-]/gu, ""))
+    .filter((term) => term.length > 1);
+}
+
+function termsPattern(terms) {
+  if (terms.length === 0) return null;
+  // Match word prefixes so "monitor" also highlights "monitoring"
+  return new RegExp(`\\b(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu");
+}
+
+/**
+ * Escapes text for HTML and wraps matching terms in <mark>.
+ */
+export function highlight(text, terms) {
+  const pattern = termsPattern(terms);
+  if (!pattern) return escapeHtml(text);
+
+  let html = "";
+  let last = 0;
+  for (const match of String(text || "").matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(String(text || "").slice(last));
+}
+
+/**
+ * Returns a highlighted excerpt of text centred on the first matching term,
+ * or the start of the text when nothing matches.
+ */
+export function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const source = String(text || "");
+  const pattern = termsPattern(terms);
+  const match = pattern ? pattern.exec(source) : null;
+
+  let start = 0;
+  let end = Math.min(source.length, radius * 2);
+  if (match) {
+    start = Math.max(0, match.index - radius);
+    end = Math.min(source.length, match.index + match[0].length + radius);
+  }
+
+  // Avoid cutting words in half at either edge
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    if (space !== -1 && space < match.index) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? "… " : "";
+  const suffix = end < source.length ? " …" : "";
+  return `${prefix}${highlight(source.slice(start, end), terms)}${suffix}`;
+}
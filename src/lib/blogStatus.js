@@ -0,0 +1,67 @@
+// Publishing workflow for blog posts: draft → scheduled → published.
+
+export const BLOG_STATUSES = ["draft", "scheduled", "published"];
+
+/**
+ * Mongo filter matching posts that are visible on the public site:
+ * published or scheduled posts whose publish time has passed, and which
+ * aren't in the trash. Posts created before the workflow existed have no
+ * status (missing, or null once a revision of them is restored) and stay
+ * public, as in isBlogPublic.
+ */
+export function publishedBlogFilter(now = new Date()) {
+  return {
+    deletedAt: null,
+    $or: [
+      { status: { $in: ["published", "scheduled"] }, publishAt: { $lte: now } },
+      { status: null },
+    ],
+  };
+}
+
+/**
+ * Effective status of a blog document, defaulting legacy posts to published.
+ */
+export function blogStatusOf(blog) {
+  return blog?.status || "published";
+}
+
+/**
+ * Whether a single blog document is publicly visible right now.
+ */
+export function isBlogPublic(blog, now = new Date()) {
+  if (!blog || blog.deletedAt) return false;
+  if (!blog.status) return true;
+  if (blog.status === "draft") return false;
+  return Boolean(blog.publishAt) && new Date(blog.publishAt) <= now;
+}
+
+/**
+ * Normalises a requested status/publishAt pair into the fields to store.
+ * Throws with a user-facing message when the combination is invalid.
+ */
+export function resolvePublishState({ status, publishAt }, now = new Date()) {
+  if (!status) status = "draft";
+
+  if (!BLOG_STATUSES.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${BLOG_STATUSES.join(", ")}`);
+  }
+
+  if (status === "draft") {
+    return { status, publishAt: null };
+  }
+
+  if (status === "published") {
+    return { status, publishAt: now, date: now };
+  }
+
+  const when = publishAt ? new Date(publishAt) : null;
+  if (!when || isNaN(when.getTime())) {
+    throw new Error("A valid publishAt date is required to schedule a blog");
+  }
+  if (when <= now) {
+    throw new Error("Scheduled publish time must be in the future");
+  }
+
+  return { status, publishAt: when, date: when };
+}
@@ -0,0 +1,84 @@
+// CSV helpers for exports and imports.
+
+// Cells starting with these could run as formulas when opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// ...except plain numbers such as phone numbers ("+91 98765 43210", "-12.5"),
+// which can't call anything even if a spreadsheet evaluates them
+const NUMBER_LIKE = /^[+-]?[\d\s().-]*\d[\d\s().-]*$/;
+
+/**
+ * Formats one value as a CSV cell: dates as ISO strings, objects as JSON,
+ * quoted when needed and defused against formula injection.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  if (FORMULA_PREFIX.test(text) && !NUMBER_LIKE.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * Undoes csvCell's formula guard on an imported cell, so a file exported
+ * from here imports back unchanged.
+ */
+export function stripFormulaGuard(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * One CSV line (with trailing CRLF) from a list of values.
+ */
+export function csvRow(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line
+ * ends) into an array of rows, each an array of strings. Blank lines are
+ * skipped and a leading byte-order mark is ignored.
+ */
+export function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+}
@@ -0,0 +1,171 @@
+import { escapeHtml } from "@/lib/escape";
+
+// A small Mustache-style template language for emails. Pure, so the panel
+// can check a draft with the same rules the server renders it with.
+//
+//   {{firstName}}             value, HTML-escaped (dotted paths: {{brand.companyName}})
+//   {{{content}}}             value, unescaped
+//   {{#if company}}…{{else}}…{{/if}}   also {{#unless …}}…{{/unless}}
+//   {{> signoff}}             the partial stored as "partial.signoff"
+//
+// Templates name a layout ("layout.<name>"), which places them with {{{content}}}.
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|else|\/if|\/unless|>)?\s*([\w.]*)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 10;
+
+const KINDS = ["layout", "partial"];
+
+/**
+ * "layout", "partial" or "template", from the key's prefix.
+ */
+export function templateKind(key) {
+  const prefix = String(key).split(".")[0];
+  return KINDS.includes(prefix) ? prefix : "template";
+}
+
+export function isValidTemplateKey(key) {
+  return typeof key === "string" && /^[a-z0-9_]+(\.[a-z0-9_]+)+$/.test(key);
+}
+
+// Source → tree of text, value, partial and if nodes
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  const current = () => stack[stack.length - 1];
+  const push = (node) => (current().inElse ? current().otherwise : current().children).push(node);
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) push({ type: "text", value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const [, rawPath, keyword, path] = match;
+    if (rawPath) {
+      push({ type: "value", path: rawPath, raw: true });
+    } else if (!keyword) {
+      if (!path) throw new TemplateError("Empty {{ }} tag");
+      push({ type: "value", path, raw: false });
+    } else if (keyword === ">") {
+      if (!path) throw new TemplateError("{{> }} needs a partial name");
+      push({ type: "partial", name: path });
+    } else if (keyword === "#if" || keyword === "#unless") {
+      if (!path) throw new TemplateError(`{{${keyword}}} needs a variable`);
+      const node = { type: "if", path, negate: keyword === "#unless", children: [], otherwise: [], inElse: false };
+      push(node);
+      stack.push(node);
+    } else if (keyword === "else") {
+      if (stack.length === 1 || current().inElse) throw new TemplateError("{{else}} outside an {{#if}}");
+      current().inElse = true;
+    } else {
+      const expected = current().negate ? "/unless" : "/if";
+      if (stack.length === 1 || keyword !== expected) throw new TemplateError(`Unexpected {{${keyword}}}`);
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${current().negate ? "unless" : "if"} ${current().path}}}`);
+  if (last < source.length) push({ type: "text", value: source.slice(last) });
+  return root.children;
+}
+
+function lookup(variables, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value) && String(value).trim() !== "";
+}
+
+function renderNodes(nodes, variables, options, depth) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "value") {
+      const value = lookup(variables, node.path);
+      if (value == null) continue;
+      output += node.raw || !options.escape ? String(value) : escapeHtml(value);
+    } else if (node.type === "partial") {
+      const partial = options.partials[node.name];
+      if (partial === undefined) throw new TemplateError(`Unknown partial: ${node.name}`);
+      if (depth >= MAX_PARTIAL_DEPTH) throw new TemplateError(`Partials nested too deeply at ${node.name}`);
+      output += renderNodes(parse(partial), variables, options, depth + 1);
+    } else {
+      const show = truthy(lookup(variables, node.path)) !== node.negate;
+      output += renderNodes(show ? node.children : node.otherwise, variables, options, depth);
+    }
+  }
+  return output;
+}
+
+/**
+ * Renders a template source with variables. `partials` maps names (without
+ * the "partial." prefix) to sources. Pass escape: false for plain-text
+ * output such as subjects. Throws TemplateError for malformed templates.
+ */
+export function renderTemplate(source, variables = {}, { partials = {}, escape = true } = {}) {
+  return renderNodes(parse(String(source || "")), variables, { partials, escape }, 0);
+}
+
+const TEXT_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', nbsp: " ", "#039": "'", "#39": "'" };
+
+/**
+ * Plain-text alternative of an HTML email: blocks become lines, links keep
+ * their address, everything else is stripped.
+ */
+export function emailText(html) {
+  return String(html || "")
+    .replace(/<(style|script|head)\b[\s\S]*?<\/\1>/gi, "")
+    // Source whitespace means nothing in HTML; line breaks come from the tags
+    .replace(/\s+/g, " ")
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "").trim();
+      return text && text !== href ? `${text} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr|table|blockquote)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#?\w+);/g, (entity, name) => TEXT_ENTITIES[name.toLowerCase()] ?? entity)
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Renders the template `key` from a { key: { subject, layout, html } } map
+ * that also holds its layout and partials. Returns { subject, html, text }.
+ */
+export function renderEmailTemplate(templates, key, variables = {}) {
+  const template = templates[key];
+  if (!template || templateKind(key) !== "template") throw new TemplateError(`No email template named ${key}`);
+
+  const partials = {};
+  for (const [name, entry] of Object.entries(templates)) {
+    if (templateKind(name) === "partial") partials[name.slice("partial.".length)] = entry.html;
+  }
+
+  const content = renderTemplate(template.html, variables, { partials });
+  let html = content;
+  if (template.layout) {
+    const layout = templates[`layout.${template.layout}`];
+    if (!layout) throw new TemplateError(`Unknown layout: ${template.layout}`);
+    html = renderTemplate(layout.html, { ...variables, content }, { partials });
+  }
+
+  return {
+    subject: renderTemplate(template.subject, variables, { partials, escape: false }).replace(/\s+/g, " ").trim(),
+    html,
+    text: emailText(html),
+  };
+}
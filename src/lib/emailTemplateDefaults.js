@@ -0,0 +1,145 @@
+// Built-in email templates, layouts and partials (see lib/emailTemplate.js
+// for the syntax). The panel can override any of them; deleting the
+// override brings the built-in back. Lead form emails are looked up as
+// "<lead source>.user" and "<lead source>.admin", so a new form only needs
+// its two templates.
+
+// Variables every email gets; the brand values come from settings
+export const DEFAULT_BRAND = {
+  companyName: "Robato Systems",
+  themeColor: "#3c0366",
+};
+
+const SAMPLE_SUBMISSION = {
+  firstName: "Priya",
+  lastName: "Sharma",
+  email: "priya.sharma@example.com",
+  phone: "+91 98765 43210",
+  company: "Sharma Precision Tools",
+  jobTitle: "Operations Manager",
+  country: "India",
+  message: "We run 40 CNC machines across two plants and would like to see how MachinoX Pro tracks downtime.",
+  formLabel: "Contact Form",
+};
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  "layout.customer": {
+    description: "Branded frame for emails to prospects",
+    html: `<div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color:#333; background:#f4f4f4; padding:40px 20px;">
+  <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+    <div style="background:{{brand.themeColor}}; padding:40px 30px; text-align:center;">
+      <h1 style="margin:0; font-size:32px; color:#ffffff; font-weight:600; letter-spacing:-0.5px;">{{brand.companyName}}</h1>
+    </div>
+    <div style="padding:40px 30px; line-height:1.8; font-size:15px; color:#444;">
+      {{{content}}}
+      {{> signoff}}
+    </div>
+  </div>
+</div>`,
+  },
+
+  "layout.internal": {
+    description: "Plain frame for notifications to the team",
+    html: `<div style="font-family: Helvetica, Arial, sans-serif; color:#333; background:#f7f7f7; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:#fff; border-radius:12px; overflow:hidden; box-shadow:0 4px 12px rgba(0,0,0,0.05);">
+    <div style="background:{{brand.themeColor}}; color:#fff; padding:20px; text-align:center;">
+      <h1 style="margin:0; font-size:28px;">{{brand.companyName}}</h1>
+    </div>
+    <div style="padding:25px; line-height:1.6; font-size:16px;">
+      {{{content}}}
+    </div>
+  </div>
+</div>`,
+  },
+
+  "partial.signoff": {
+    description: "Closing line of customer emails",
+    html: `<p style="margin:30px 0 0 0; padding-top:20px; border-top:1px solid #e0e0e0; color:#666; font-size:14px; line-height:1.6;">
+  Best regards,<br/>
+  <strong>{{brand.companyName}} Team</strong>
+</p>`,
+  },
+
+  "partial.website_button": {
+    description: "Link back to the website",
+    html: `<div style="text-align:center; margin:35px 0;">
+  <a href="{{baseUrl}}" style="background:{{brand.themeColor}}; color:#ffffff; text-decoration:none; padding:14px 32px; border-radius:4px; font-weight:600; font-size:15px; display:inline-block;">🌐 Visit Our Website</a>
+</div>`,
+  },
+
+  "partial.submission_details": {
+    description: "Every field of a form submission",
+    html: `<ul style="list-style:none; padding:0; margin-top:15px;">
+  <li><strong>First Name:</strong> {{firstName}}</li>
+  <li><strong>Last Name:</strong> {{lastName}}</li>
+  <li><strong>Email:</strong> {{email}}</li>
+  <li><strong>Phone:</strong> {{phone}}</li>
+  <li><strong>Company:</strong> {{#if company}}{{company}}{{else}}N/A{{/if}}</li>
+  <li><strong>Job Title:</strong> {{#if jobTitle}}{{jobTitle}}{{else}}N/A{{/if}}</li>
+  {{#if country}}<li><strong>Country:</strong> {{country}}</li>{{/if}}
+  <li style="margin-top:12px; padding:10px; background:#f0f0f0; border-radius:6px;"><strong>Message:</strong><br/>{{message}}</li>
+</ul>`,
+  },
+
+  "contact_form.user": {
+    description: "Acknowledgement sent to someone who used the contact form",
+    subject: "Thank you for contacting us",
+    layout: "customer",
+    sample: SAMPLE_SUBMISSION,
+    html: `<p style="margin:0 0 20px 0;">Dear {{firstName}} {{lastName}},</p>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">📧</span> Thank you for contacting <strong>{{brand.companyName}}</strong>. We have received your inquiry and appreciate you taking the time to reach out to us.
+</p>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">⏱️</span> Our team is currently reviewing your message and will respond within 24-48 business hours. We are committed to providing you with the information and assistance you need.
+</p>
+<div style="background:#f8f8f8; border-left:4px solid {{brand.themeColor}}; padding:15px 20px; margin:25px 0; border-radius:4px;">
+  <p style="margin:0; font-size:14px; color:#666;"><strong>📋 Reference Information:</strong></p>
+  <p style="margin:5px 0 0 0; font-size:14px; color:#666;">Name: {{firstName}} {{lastName}}<br/>Email: {{email}}</p>
+</div>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">💬</span> If you have any urgent concerns or additional information to share, please feel free to reply to this email directly.
+</p>
+{{> website_button}}`,
+  },
+
+  "contact_form.admin": {
+    description: "Notification to the team about a contact form submission",
+    subject: "New Contact Form Submission: {{firstName}} {{lastName}}",
+    layout: "internal",
+    sample: SAMPLE_SUBMISSION,
+    html: `<h2 style="color:{{brand.themeColor}}; border-bottom:2px solid {{brand.themeColor}}; padding-bottom:5px;">New Contact Form Submission</h2>
+{{> submission_details}}`,
+  },
+
+  "demo_request.user": {
+    description: "Acknowledgement sent to someone who booked a demo",
+    subject: "Thank you for booking a demo",
+    layout: "customer",
+    sample: { ...SAMPLE_SUBMISSION, formLabel: "Demo Request" },
+    html: `<p style="margin:0 0 20px 0;">Dear {{firstName}} {{lastName}},</p>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">📧</span> Thank you for your interest in <strong>{{brand.companyName}}</strong> and for requesting a product demonstration. We are excited to show you how our solutions can benefit your organization.
+</p>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">⏱️</span> Our team will contact you within the next 24 business hours to schedule a convenient time for your personalized demo session.
+</p>
+<div style="background:#f8f8f8; border-left:4px solid {{brand.themeColor}}; padding:15px 20px; margin:25px 0; border-radius:4px;">
+  <p style="margin:0; font-size:14px; color:#666;"><strong>📋 Reference Information:</strong></p>
+  <p style="margin:5px 0 0 0; font-size:14px; color:#666;">Name: {{firstName}} {{lastName}}<br/>Email: {{email}}<br/>Company: {{#if company}}{{company}}{{else}}N/A{{/if}}</p>
+</div>
+<p style="margin:0 0 20px 0;">
+  <span style="font-size:18px;">💬</span> In the meantime, feel free to explore our resources or reach out if you have any questions.
+</p>
+{{> website_button}}`,
+  },
+
+  "demo_request.admin": {
+    description: "Notification to the team about a demo request",
+    subject: "New Trial Form Submission: {{firstName}} {{lastName}}",
+    layout: "internal",
+    sample: { ...SAMPLE_SUBMISSION, formLabel: "Demo Request" },
+    html: `<h2 style="color:{{brand.themeColor}}; border-bottom:2px solid {{brand.themeColor}}; padding-bottom:5px;">New Trial Form Submission</h2>
+{{> submission_details}}`,
+  },
+};
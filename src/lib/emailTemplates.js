@@ -0,0 +1,120 @@
+import EmailTemplate from "@/models/EmailTemplate";
+import Setting from "@/models/Setting";
+import { DEFAULT_BRAND, DEFAULT_EMAIL_TEMPLATES } from "@/lib/emailTemplateDefaults";
+import { TemplateError, renderEmailTemplate, renderTemplate, templateKind } from "@/lib/emailTemplate";
+
+/**
+ * Every template, layout and partial: the built-ins with panel overrides
+ * applied, plus templates created in the panel. Keyed by template key.
+ */
+export async function loadEmailTemplates() {
+  const templates = {};
+  for (const [key, template] of Object.entries(DEFAULT_EMAIL_TEMPLATES)) {
+    templates[key] = { subject: "", layout: "", sample: null, ...template, key, builtIn: true, customized: false };
+  }
+
+  const overrides = await EmailTemplate.find().lean();
+  for (const override of overrides) {
+    const builtIn = DEFAULT_EMAIL_TEMPLATES[override.key];
+    templates[override.key] = {
+      key: override.key,
+      description: override.description || builtIn?.description || "",
+      subject: override.subject,
+      layout: override.layout,
+      html: override.html,
+      sample: override.sample || builtIn?.sample || null,
+      builtIn: Boolean(builtIn),
+      customized: true,
+      updatedAt: override.updatedAt,
+      updatedBy: override.updatedBy,
+    };
+  }
+
+  for (const template of Object.values(templates)) template.kind = templateKind(template.key);
+  return templates;
+}
+
+/**
+ * Variables every email can use: { brand: { companyName, themeColor }, baseUrl }.
+ */
+export async function templateGlobals() {
+  const [companyName, themeColor] = await Promise.all([
+    Setting.getValue("email.companyName"),
+    Setting.getValue("email.themeColor"),
+  ]);
+  return {
+    brand: {
+      companyName: companyName || DEFAULT_BRAND.companyName,
+      themeColor: themeColor || DEFAULT_BRAND.themeColor,
+    },
+    baseUrl: process.env.NEXT_PUBLIC_BASE_URL || "",
+  };
+}
+
+/**
+ * Renders a stored template with the global variables. Returns
+ * { subject, html, text }; throws TemplateError when it can't.
+ */
+export async function renderEmail(key, variables, templates = null) {
+  const [loaded, globals] = await Promise.all([templates || loadEmailTemplates(), templateGlobals()]);
+  return renderEmailTemplate(loaded, key, { ...globals, ...variables });
+}
+
+const MAX_TEMPLATE_LENGTH = 100000;
+
+function partialsOf(templates) {
+  return Object.fromEntries(
+    Object.values(templates)
+      .filter((template) => template.kind === "partial")
+      .map((template) => [template.key.slice("partial.".length), template.html])
+  );
+}
+
+/**
+ * Checks a panel edit to `key`: { subject, layout, html, description, sample }.
+ * Returns { draft, templates } with the draft applied to the loaded
+ * templates, or { error } when it is incomplete or doesn't render with its
+ * sample data.
+ */
+export async function parseTemplateDraft(key, body) {
+  const kind = templateKind(key);
+  const { subject = "", layout = "", html, description = "", sample = null } = body || {};
+  if (typeof html !== "string" || !html.trim()) return { error: "HTML is required" };
+  if (html.length > MAX_TEMPLATE_LENGTH) return { error: "Template is too long" };
+  if (typeof subject !== "string" || typeof layout !== "string" || typeof description !== "string") {
+    return { error: "Invalid template" };
+  }
+  if (kind === "template" && !subject.trim()) return { error: "Subject is required" };
+  if (sample !== null && (typeof sample !== "object" || Array.isArray(sample))) {
+    return { error: "Sample data must be an object" };
+  }
+
+  const templates = await loadEmailTemplates();
+  if (layout && templates[`layout.${layout}`]?.kind !== "layout") return { error: `Unknown layout: ${layout}` };
+
+  const draft = {
+    ...templates[key],
+    key,
+    kind,
+    subject: kind === "template" ? subject : "",
+    layout: kind === "template" ? layout : "",
+    html,
+    description,
+    sample: sample || templates[key]?.sample || null,
+  };
+  const withDraft = { ...templates, [key]: draft };
+
+  try {
+    const globals = await templateGlobals();
+    if (kind === "template") {
+      renderEmailTemplate(withDraft, key, { ...globals, ...draft.sample });
+    } else {
+      renderTemplate(html, { ...globals, content: "" }, { partials: partialsOf(withDraft) });
+    }
+  } catch (error) {
+    if (error instanceof TemplateError) return { error: error.message };
+    throw error;
+  }
+
+  return { draft, templates: withDraft };
+}
@@ -0,0 +1,20 @@
+// Escaping for text put into HTML and into regular expressions. Pure, so
+// client components and email templates can share it.
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;" };
+
+/**
+ * Escapes text for HTML element content and quoted attributes. null and
+ * undefined become "".
+ */
+export function escapeHtml(value) {
+  if (value == null) return "";
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escapes text to match literally inside a RegExp.
+ */
+export function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
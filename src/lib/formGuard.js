@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import QuarantinedSubmission from "@/models/QuarantinedSubmission";
+import { rateLimit } from "@/lib/rateLimit";
+import { clientIp, requestHeader } from "@/lib/audit";
+import { normalizeEmail } from "@/lib/leadIdentity";
+import { contentReasons } from "@/lib/leadSpam";
+import { normalizePagePath } from "@/lib/leadRouting";
+
+// Form tokens are the render time signed with NEXTAUTH_SECRET. A form sent
+// back sooner than a person could fill it in, or long after, is suspect.
+const MIN_FILL_MS = 3 * 1000;
+const MAX_TOKEN_AGE_MS = 24 * 60 * 60 * 1000;
+
+const IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const EMAIL_LIMIT = { limit: 3, windowMs: 60 * 60 * 1000 };
+// Past this, a flood from one IP is dropped rather than quarantined
+const QUARANTINE_LIMIT = { limit: 50, windowMs: 60 * 60 * 1000 };
+const QUARANTINE_DAYS = 30;
+
+function sign(issuedAt) {
+  return crypto
+    .createHmac("sha256", process.env.NEXTAUTH_SECRET || "")
+    .update(`lead-form.${issuedAt}`)
+    .digest("base64url");
+}
+
+export function createFormToken(now = Date.now()) {
+  return `${now}.${sign(now)}`;
+}
+
+/**
+ * Spam reason for a form token (see SPAM_REASON_LABELS), or null when it
+ * is genuine and the form took a plausible time to fill in.
+ */
+export function formTokenProblem(token, now = Date.now()) {
+  if (!token || typeof token !== "string") return "missing_token";
+  const [issuedAt, signature] = token.split(".");
+  if (!process.env.NEXTAUTH_SECRET || !/^\d+$/.test(issuedAt || "") || !signature) return "invalid_token";
+
+  const expected = Buffer.from(sign(Number(issuedAt)));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return "invalid_token";
+  }
+
+  const age = now - Number(issuedAt);
+  if (age < MIN_FILL_MS) return "too_fast";
+  if (age > MAX_TOKEN_AGE_MS) return "expired_token";
+  return null;
+}
+
+/**
+ * Runs the bot checks on a validated submission and counts it against the
+ * per-IP and per-email limits. Returns { reasons, retryAfter }: reasons is
+ * empty for a clean submission; retryAfter is set when a limit was hit.
+ */
+export async function screenSubmission(req, { values, honeypot, formToken }) {
+  const reasons = [];
+  if (honeypot) reasons.push("honeypot");
+  const tokenProblem = formTokenProblem(formToken);
+  if (tokenProblem) reasons.push(tokenProblem);
+  reasons.push(...contentReasons(values));
+
+  let retryAfter = null;
+  const ipLimit = await rateLimit(`lead-form:ip:${clientIp(req) || "unknown"}`, IP_LIMIT);
+  if (!ipLimit.allowed) {
+    reasons.push("ip_rate_limit");
+    retryAfter = ipLimit.retryAfter;
+  }
+  const emailLimit = await rateLimit(`lead-form:email:${normalizeEmail(values.email)}`, EMAIL_LIMIT);
+  if (!emailLimit.allowed) {
+    reasons.push("email_rate_limit");
+    retryAfter = Math.max(retryAfter || 0, emailLimit.retryAfter);
+  }
+
+  return { reasons, retryAfter };
+}
+
+/**
+ * Holds a rejected submission for review in the panel, with the page it
+ * was sent from so a release can file it like any other.
+ */
+export async function quarantineSubmission(req, source, values, reasons, { pagePath = null } = {}) {
+  const ip = clientIp(req);
+  const limit = await rateLimit(`lead-quarantine:${ip || "unknown"}`, QUARANTINE_LIMIT);
+  if (!limit.allowed) return null;
+
+  return QuarantinedSubmission.create({
+    source,
+    data: values,
+    reasons,
+    pagePath: normalizePagePath(pagePath),
+    ip,
+    userAgent: requestHeader(req, "user-agent"),
+    expiresAt: new Date(Date.now() + QUARANTINE_DAYS * 24 * 60 * 60 * 1000),
+  });
+}
@@ -0,0 +1,29 @@
+import sanitizeHtml from "sanitize-html";
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#039;": "'",
+  "&#39;": "'",
+  "&nbsp;": " ",
+};
+
+/**
+ * Converts rich-text HTML (e.g. Jodit output) into plain, single-spaced text.
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+
+  // Keep words in separate blocks apart once the tags are gone
+  const spaced = String(html).replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/td|\/blockquote)\b[^>]*>/gi, "$& ");
+
+  const text = sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} });
+
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&[a-z#0-9]+;/gi, (entity) => ENTITIES[entity] ?? entity)
+    .replace(/\s+/g, " ")
+    .trim();
+}
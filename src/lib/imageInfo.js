@@ -0,0 +1,85 @@
+// Reads an image's format and pixel size from its first bytes, without
+// decoding it. Pure and dependency-free, so scripts can import it too.
+
+const FORMATS = {
+  png: { mimeType: "image/png", extension: "png" },
+  jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+  gif: { mimeType: "image/gif", extension: "gif" },
+  webp: { mimeType: "image/webp", extension: "webp" },
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+function pngSize(buffer) {
+  if (buffer.length < 24) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function gifSize(buffer) {
+  if (buffer.length < 10) return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function webpSize(buffer) {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 ") {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L") {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Walks the JPEG segments to the first start-of-frame marker
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Padding between segments
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Format of an image buffer from its magic bytes, with its dimensions when
+ * the header has them: { format, mimeType, extension, width, height }.
+ * Returns null for anything that isn't a PNG, JPEG, GIF or WebP.
+ */
+export function imageInfo(buffer) {
+  let format = null;
+  let size = null;
+  if (startsWith(buffer, [0x89, ...ascii("PNG"), 0x0d, 0x0a, 0x1a, 0x0a])) {
+    format = "png";
+    size = pngSize(buffer);
+  } else if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    format = "jpeg";
+    size = jpegSize(buffer);
+  } else if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) {
+    format = "gif";
+    size = gifSize(buffer);
+  } else if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) {
+    format = "webp";
+    size = webpSize(buffer);
+  }
+  if (!format) return null;
+
+  return { format, ...FORMATS[format], width: size?.width || null, height: size?.height || null };
+}
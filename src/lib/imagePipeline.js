@@ -0,0 +1,112 @@
+import sharp from "sharp";
+import { imageInfo } from "./imageInfo.js";
+
+// Turns an uploaded image into what the library stores: the original
+// re-encoded without its metadata (EXIF, GPS, camera details), resized
+// copies in AVIF and WebP for next/image's srcset, and a tiny blurred
+// preview to show while they load.
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Decompression bombs: a small file can still claim billions of pixels
+const MAX_INPUT_PIXELS = 50_000_000;
+
+export const VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+export const VARIANT_FORMATS = ["avif", "webp"];
+
+const ENCODERS = {
+  jpeg: (image) => image.jpeg({ quality: 88, mozjpeg: true }),
+  png: (image) => image.png({ compressionLevel: 9 }),
+  webp: (image) => image.webp({ quality: 85 }),
+  gif: (image) => image.gif(),
+  avif: (image) => image.avif({ quality: 55, effort: 3 }),
+};
+
+const VARIANT_QUALITY = { avif: { quality: 50, effort: 3 }, webp: { quality: 75 } };
+
+/**
+ * An upload the pipeline won't take; `status` is the HTTP status to answer with.
+ */
+export class ImageRejectedError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageRejectedError";
+    this.status = status;
+  }
+}
+
+/**
+ * Rejects uploads over MAX_UPLOAD_BYTES; routes call it with the declared
+ * size before reading a file in.
+ */
+export function checkUploadSize(bytes) {
+  if (bytes > MAX_UPLOAD_BYTES) {
+    throw new ImageRejectedError(`Images must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`, 413);
+  }
+}
+
+// Smallest first; an image narrower than every width gets one copy at its own size
+function variantWidths(width) {
+  const widths = VARIANT_WIDTHS.filter((candidate) => candidate < width);
+  return widths.length < VARIANT_WIDTHS.length ? [...widths, width] : widths;
+}
+
+/**
+ * Checks and processes an uploaded image. The type comes from the file's
+ * magic bytes, never its name or Content-Type. Returns { original,
+ * variants, blurDataURL }: the cleaned original as { buffer, format,
+ * mimeType, extension, width, height }, and resized copies as { buffer,
+ * format, mimeType, width, height }. Animated GIFs keep their frames and
+ * get no resized copies. Throws ImageRejectedError for unusable uploads.
+ */
+export async function processImage(buffer) {
+  checkUploadSize(buffer.length);
+  const info = imageInfo(buffer);
+  if (!info) throw new ImageRejectedError("Only PNG, JPEG, GIF and WebP images are allowed");
+
+  const input = (options = {}) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, ...options });
+  let metadata;
+  try {
+    metadata = await input().metadata();
+  } catch {
+    throw new ImageRejectedError("The image is damaged or could not be read");
+  }
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw new ImageRejectedError("The image has too many pixels; resize it before uploading");
+  }
+  const animated = (metadata.pages || 1) > 1;
+
+  let original;
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const image = animated ? input({ animated: true }) : input().rotate();
+    const { data, info: output } = await ENCODERS[info.format](image).toBuffer({ resolveWithObject: true });
+    original = {
+      buffer: data,
+      format: info.format,
+      mimeType: info.mimeType,
+      extension: info.extension,
+      width: output.width,
+      height: animated ? output.pageHeight || output.height : output.height,
+    };
+  } catch {
+    throw new ImageRejectedError("The image is damaged or could not be read");
+  }
+
+  const oriented = () => sharp(original.buffer);
+  const variants = [];
+  if (!animated) {
+    for (const width of variantWidths(original.width)) {
+      for (const format of VARIANT_FORMATS) {
+        const { data, info: output } = await oriented()
+          .resize({ width })
+          .toFormat(format, VARIANT_QUALITY[format])
+          .toBuffer({ resolveWithObject: true });
+        variants.push({ buffer: data, format, mimeType: `image/${format}`, width: output.width, height: output.height });
+      }
+    }
+  }
+
+  const blur = await oriented().resize(16, 16, { fit: "inside" }).webp({ quality: 40 }).toBuffer();
+
+  return { original, variants, blurDataURL: `data:image/webp;base64,${blur.toString("base64")}` };
+}
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+import Invitation from "@/models/Invitation";
+
+// How long an invite link stays valid (ADMIN_INVITE_TTL_HOURS, default 72h)
+export function inviteTtlMs() {
+  const hours = Number(process.env.ADMIN_INVITE_TTL_HOURS) || 72;
+  return hours * 60 * 60 * 1000;
+}
+
+export function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Generates a random invite token; only its hash is ever persisted.
+ */
+export function createInviteToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+export function inviteStatusOf(invitation, now = new Date()) {
+  if (invitation.acceptedAt) return "accepted";
+  if (invitation.revokedAt) return "revoked";
+  if (invitation.expiresAt <= now) return "expired";
+  return "pending";
+}
+
+/**
+ * Returns the pending invitation for a raw token, or null when the token is
+ * unknown, already used, revoked or expired.
+ */
+export async function findPendingInvitation(token, now = new Date()) {
+  if (!token || typeof token !== "string") return null;
+  return Invitation.findOne({
+    tokenHash: hashInviteToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+}
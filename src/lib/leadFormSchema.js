@@ -0,0 +1,128 @@
+// Declarative validation for lead forms, shared by POST /api/leads, CSV
+// imports and the public forms (for inline errors), so every layer reports
+// the same messages. Pure: no server-only imports.
+
+export const COUNTRIES = [
+  "India",
+  "USA",
+  "UK",
+  "Canada",
+  "Australia",
+  "New Zealand",
+  "Germany",
+  "France",
+  "Italy",
+  "Spain",
+  "Netherlands",
+  "Sweden",
+  "Poland",
+  "Czech Republic",
+  "Turkey",
+  "United Arab Emirates",
+  "Saudi Arabia",
+  "South Africa",
+  "Singapore",
+  "Malaysia",
+  "Thailand",
+  "Indonesia",
+  "Vietnam",
+  "Philippines",
+  "Japan",
+  "South Korea",
+  "China",
+  "Bangladesh",
+  "Sri Lanka",
+  "Nepal",
+  "Mexico",
+  "Brazil",
+  "Other",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with optional +, spaces, dots, dashes and parentheses
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+
+const FORMATS = {
+  email: {
+    test: (value) => EMAIL_PATTERN.test(value),
+    message: "Enter a valid email address",
+  },
+  phone: {
+    test: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      return PHONE_PATTERN.test(value) && digits >= 6 && digits <= 15;
+    },
+    message: "Enter a valid phone number",
+  },
+};
+
+// Every field a lead form may send. Anything else is rejected.
+const BASE_FIELDS = {
+  firstName: { label: "First name", required: true, maxLength: 100 },
+  lastName: { label: "Last name", required: true, maxLength: 100 },
+  email: { label: "Email", required: true, maxLength: 254, format: "email" },
+  phone: { label: "Phone number", required: true, maxLength: 30, format: "phone" },
+  company: { label: "Company name", maxLength: 200 },
+  jobTitle: { label: "Job title", maxLength: 150 },
+  country: { label: "Country", oneOf: COUNTRIES },
+  message: { label: "Message", required: true, maxLength: 5000 },
+};
+
+function withRules(overrides) {
+  const fields = { ...BASE_FIELDS };
+  for (const [field, rules] of Object.entries(overrides)) {
+    fields[field] = { ...fields[field], ...rules };
+  }
+  return fields;
+}
+
+// Rules per lead source (lib/leadSources.js)
+export const LEAD_FORM_SCHEMAS = {
+  contact_form: withRules({ company: { required: true }, jobTitle: { required: true } }),
+  demo_request: withRules({ country: { required: true } }),
+  trade_show: BASE_FIELDS,
+  csv_import: BASE_FIELDS,
+};
+
+/**
+ * First problem with one field's value, or null.
+ */
+export function validateField(rules, value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  if (!text) return rules.required ? `${rules.label} is required` : null;
+  if (rules.maxLength && text.length > rules.maxLength) {
+    return `${rules.label} must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.format && !FORMATS[rules.format].test(text)) return FORMATS[rules.format].message;
+  if (rules.oneOf && !rules.oneOf.includes(text)) return `Choose a ${rules.label.toLowerCase()} from the list`;
+  return null;
+}
+
+/**
+ * Checks form data against a schema. Returns { values, errors }: the
+ * trimmed, non-empty known fields, and a { field: message } map that is
+ * empty when the data is valid. Unknown fields are errors, not ignored.
+ */
+export function validateLeadForm(data, schema) {
+  const values = {};
+  const errors = {};
+
+  for (const field of Object.keys(data || {})) {
+    if (!schema[field]) errors[field] = `Unexpected field: ${field}`;
+  }
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = data?.[field];
+    if (value !== undefined && value !== null && typeof value !== "string" && typeof value !== "number") {
+      errors[field] = `${rules.label} is invalid`;
+      continue;
+    }
+    const problem = validateField(rules, value);
+    if (problem) {
+      errors[field] = problem;
+    } else if (value !== undefined && value !== null && String(value).trim()) {
+      values[field] = String(value).trim();
+    }
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,89 @@
+// How submissions are matched to an existing lead. Dependency-free so
+// scripts/migrate-leads.mjs can share it with the app.
+
+// Personal mailbox providers: a shared domain here says nothing about the company
+export const FREE_EMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "yahoo.co.in",
+  "yahoo.co.uk",
+  "hotmail.com",
+  "outlook.com",
+  "live.com",
+  "msn.com",
+  "icloud.com",
+  "me.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "mail.com",
+  "yandex.com",
+  "zoho.com",
+  "rediffmail.com",
+  "qq.com",
+  "163.com",
+]);
+
+// Throwaway inbox services; lead forms quarantine submissions from these
+export const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  "mailinator.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "sharklasers.com",
+  "grr.la",
+  "10minutemail.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "tempail.com",
+  "tempr.email",
+  "throwawaymail.com",
+  "yopmail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "getnada.com",
+  "dispostable.com",
+  "maildrop.cc",
+  "mailnesia.com",
+  "mailcatch.com",
+  "fakeinbox.com",
+  "mintemail.com",
+  "mohmal.com",
+  "moakt.com",
+  "emailondeck.com",
+  "spamgourmet.com",
+  "discard.email",
+  "burnermail.io",
+  "33mail.com",
+]);
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * Company domain of an email address, or null for personal mailboxes.
+ */
+export function companyDomainOf(email) {
+  const domain = normalizeEmail(email).split("@")[1];
+  if (!domain || FREE_EMAIL_DOMAINS.has(domain)) return null;
+  return domain;
+}
+
+export function isDisposableEmail(email) {
+  const domain = normalizeEmail(email).split("@")[1];
+  return Boolean(domain) && DISPOSABLE_EMAIL_DOMAINS.has(domain);
+}
+
+/**
+ * Filters that find the lead a submission from this address belongs to,
+ * strongest first: the same address, then the same company domain.
+ */
+export function leadMatchFilters(email) {
+  const filters = [{ emails: normalizeEmail(email) }];
+  const domain = companyDomainOf(email);
+  if (domain) filters.push({ companyDomain: domain });
+  return filters;
+}
@@ -0,0 +1,162 @@
+import Lead from "@/models/Lead";
+import { NOT_TRASHED } from "@/lib/trash";
+import { applySubmission } from "@/lib/leads";
+import { stripFormulaGuard } from "@/lib/csv";
+import { companyDomainOf, normalizeEmail } from "@/lib/leadIdentity";
+import { LEAD_IMPORT_FIELDS } from "@/lib/leadTransfer";
+import { LEAD_FORM_SCHEMAS, validateLeadForm } from "@/lib/leadFormSchema";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Rows are filed in chunks: one query loads the leads a chunk could join and
+// one bulk write saves what it changed
+const IMPORT_CHUNK_SIZE = 250;
+
+/**
+ * Checks a { field: columnIndex | null } mapping against the header row.
+ * Returns an error message, or null when it is usable.
+ */
+export function mappingProblem(mapping, headers) {
+  if (!mapping || typeof mapping !== "object") return "Missing column mapping";
+  for (const [field, index] of Object.entries(mapping)) {
+    if (!LEAD_IMPORT_FIELDS.some((known) => known.key === field)) return `Unknown field: ${field}`;
+    if (index !== null && (!Number.isInteger(index) || index < 0 || index >= headers.length)) {
+      return `Invalid column for ${field}`;
+    }
+  }
+  if (!Number.isInteger(mapping.email)) return "Map a column to Email";
+  return null;
+}
+
+function rowData(row, mapping) {
+  const data = {};
+  for (const [field, index] of Object.entries(mapping)) {
+    if (index === null) continue;
+    const value = stripFormulaGuard((row[index] || "").trim());
+    if (value) data[field] = value;
+  }
+  return data;
+}
+
+/**
+ * Works out what importing each row would do, without writing anything.
+ * Each entry is { row, data, submittedAt, status, problems, leadId }, where
+ * status is one of:
+ *   new       – creates a lead
+ *   merge     – joins an existing lead (same email or company domain)
+ *   duplicate – repeats an earlier row, or a submission the lead already has
+ *   invalid   – fails the source's form rules (lib/leadFormSchema.js); see problems
+ * Row numbers count the header as row 1, as spreadsheets do.
+ */
+export async function planLeadImport(rows, mapping, source) {
+  const parsed = rows.map((row, index) => {
+    const { submittedAt: dateValue, ...raw } = rowData(row, mapping);
+    const { values, errors } = validateLeadForm(raw, LEAD_FORM_SCHEMAS[source]);
+    const problems = Object.values(errors);
+    const submittedAt = dateValue ? new Date(dateValue) : null;
+    if (submittedAt && isNaN(submittedAt.getTime())) problems.push(`Invalid date: ${dateValue}`);
+    // Invalid rows keep what was in the file so the preview can show it
+    return { row: index + 2, data: problems.length > 0 ? raw : values, submittedAt, problems };
+  });
+
+  // Load every live lead these rows could match in one query
+  const valid = parsed.filter((entry) => entry.problems.length === 0);
+  const emails = [...new Set(valid.map((entry) => normalizeEmail(entry.data.email)))];
+  const domains = [...new Set(emails.map(companyDomainOf).filter(Boolean))];
+  const existing = await Lead.find({
+    ...NOT_TRASHED,
+    $or: [{ emails: { $in: emails } }, { companyDomain: { $in: domains } }],
+  })
+    .select("emails companyDomain lastSubmittedAt submissions.email submissions.message")
+    .sort({ lastSubmittedAt: 1 })
+    .lean();
+
+  // Later (more recent) leads win, matching recordSubmission
+  const byEmail = new Map();
+  const byDomain = new Map();
+  for (const lead of existing) {
+    for (const email of lead.emails || []) byEmail.set(email, lead);
+    if (lead.companyDomain) byDomain.set(lead.companyDomain, lead);
+  }
+
+  const seenEmails = new Set();
+  const seenDomains = new Set();
+  return parsed.map((entry) => {
+    if (entry.problems.length > 0) return { ...entry, status: "invalid", leadId: null };
+
+    const email = normalizeEmail(entry.data.email);
+    const domain = companyDomainOf(email);
+    const lead = byEmail.get(email) || (domain && byDomain.get(domain)) || null;
+    const message = entry.data.message || "";
+    const alreadySubmitted = lead?.submissions?.some(
+      (submission) => normalizeEmail(submission.email) === email && (submission.message || "") === message
+    );
+
+    let status;
+    if (seenEmails.has(email)) status = "duplicate";
+    else if (alreadySubmitted) status = "duplicate";
+    else if (lead || (domain && seenDomains.has(domain))) status = "merge";
+    else status = "new";
+
+    seenEmails.add(email);
+    if (domain) seenDomains.add(domain);
+    return { ...entry, status, leadId: lead?._id || null };
+  });
+}
+
+/**
+ * Files every new and merge row from a plan under the given source, matching
+ * leads the way recordSubmission does (same email, then same company
+ * domain, most recent first), including leads created earlier in the import.
+ * Returns counts per status.
+ */
+export async function runLeadImport(plan, source) {
+  const counts = { new: 0, merge: 0, duplicate: 0, invalid: 0 };
+  for (const entry of plan) counts[entry.status]++;
+  const entries = plan.filter((entry) => entry.status === "new" || entry.status === "merge");
+
+  // Every lead loaded or created so far, by id and by what it matches on
+  const leads = new Map();
+  const byEmail = new Map();
+  const byDomain = new Map();
+  const index = (lead) => {
+    const newer = (current) => !current || lead.lastSubmittedAt >= current.lastSubmittedAt;
+    for (const email of lead.emails) {
+      if (newer(byEmail.get(email))) byEmail.set(email, lead);
+    }
+    if (lead.companyDomain && newer(byDomain.get(lead.companyDomain))) byDomain.set(lead.companyDomain, lead);
+  };
+
+  for (let start = 0; start < entries.length; start += IMPORT_CHUNK_SIZE) {
+    const chunk = entries.slice(start, start + IMPORT_CHUNK_SIZE);
+    const emails = [...new Set(chunk.map((entry) => normalizeEmail(entry.data.email)))];
+    const domains = [...new Set(emails.map(companyDomainOf).filter(Boolean))];
+    const found = await Lead.find({
+      ...NOT_TRASHED,
+      $or: [{ emails: { $in: emails } }, { companyDomain: { $in: domains } }],
+    });
+    for (const lead of found) {
+      // One already in memory may have changes this copy lacks
+      if (leads.has(String(lead._id))) continue;
+      leads.set(String(lead._id), lead);
+      index(lead);
+    }
+
+    const changed = new Set();
+    for (const entry of chunk) {
+      const email = normalizeEmail(entry.data.email);
+      const domain = companyDomainOf(email);
+      const submittedAt = entry.submittedAt || new Date();
+      let lead = byEmail.get(email) || (domain && byDomain.get(domain)) || null;
+      if (!lead) {
+        lead = new Lead({ createdAt: submittedAt, lastSubmittedAt: submittedAt });
+        leads.set(String(lead._id), lead);
+      }
+      applySubmission(lead, source, entry.data, { submittedAt });
+      index(lead);
+      changed.add(lead);
+    }
+    await Lead.bulkSave([...changed]);
+  }
+  return counts;
+}
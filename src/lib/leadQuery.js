@@ -0,0 +1,56 @@
+// Query-string parsing for lead exports.
+import { endOfDay, parseDate } from "@/lib/blogQuery";
+import { LEAD_SOURCES } from "@/lib/leadSources";
+import { LEAD_STAGES } from "@/lib/leadStages";
+import { DEFAULT_EXPORT_COLUMNS, EXPORT_FORMATS, LEAD_EXPORT_COLUMNS } from "@/lib/leadTransfer";
+
+/**
+ * Turns ?format=&columns=&source=&stage=&from=&to= into
+ * { filter, format, columns }. The date range matches leads with a
+ * submission inside it. Throws with a user-facing message on invalid input.
+ */
+export function parseLeadExportQuery(searchParams) {
+  const format = searchParams.get("format") || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  const keys = (searchParams.get("columns") || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknown = keys.filter((key) => !LEAD_EXPORT_COLUMNS.some((column) => column.key === key));
+  if (unknown.length > 0) throw new Error(`Unknown columns: ${unknown.join(", ")}`);
+  // Keep the order the admin picked them in
+  const columns = (keys.length > 0 ? keys : DEFAULT_EXPORT_COLUMNS).map((key) =>
+    LEAD_EXPORT_COLUMNS.find((column) => column.key === key)
+  );
+
+  const filter = {};
+
+  const source = searchParams.get("source");
+  if (source) {
+    if (!LEAD_SOURCES.includes(source)) throw new Error("Invalid source");
+    filter.sources = source;
+  }
+
+  const stage = searchParams.get("stage");
+  if (stage) {
+    if (!LEAD_STAGES.includes(stage)) throw new Error("Invalid stage");
+    // Leads from before the pipeline have no stage and count as new
+    filter.stage = stage === "new" ? { $in: ["new", null] } : stage;
+  }
+
+  const fromValue = searchParams.get("from");
+  const toValue = searchParams.get("to");
+  const from = parseDate(fromValue, "from");
+  const to = parseDate(toValue, "to");
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = endOfDay(toValue, to);
+    filter.submissions = { $elemMatch: { submittedAt: range } };
+  }
+
+  return { filter, format, columns };
+}
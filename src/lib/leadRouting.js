@@ -0,0 +1,197 @@
+// Rules that route new form submissions: who gets notified, who owns the
+// lead and how it is tagged. Pure, so the panel's rule editor and the
+// public POST /api/leads share the same checks and matching.
+//
+// A rule matches when all (or any) of its conditions hold. Rules run in
+// order; every matching rule adds its recipients and tags, the first one
+// with an assignee assigns the lead, and a rule marked "stop" ends the run.
+
+import { LEAD_SOURCES } from "@/lib/leadSources";
+
+// Submission fields a condition can test. "text" searches the free-text
+// fields together, for keywords like "enterprise" or "500+ employees".
+export const ROUTING_FIELDS = {
+  source: "Form",
+  pagePath: "Page",
+  country: "Country",
+  company: "Company",
+  jobTitle: "Job title",
+  emailDomain: "Email domain",
+  message: "Message",
+  text: "Company, job title or message",
+};
+
+export const ROUTING_OPERATORS = {
+  is: "is one of",
+  is_not: "is not one of",
+  contains: "contains any of",
+  not_contains: "contains none of",
+  starts_with: "starts with any of",
+};
+
+// Body field the public forms send the current page in
+export const PAGE_PATH_FIELD = "pagePath";
+
+export const MAX_ROUTING_CONDITIONS = 10;
+const MAX_VALUES = 50;
+const MAX_RECIPIENTS = 10;
+const MAX_TAGS = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+
+/**
+ * The path of a page a form was sent from ("/oil-gas"), or null when the
+ * value isn't a plain site path. Query strings and fragments are dropped.
+ */
+export function normalizePagePath(value) {
+  if (typeof value !== "string") return null;
+  const path = value.split(/[?#]/)[0].trim().toLowerCase();
+  if (!/^\/[a-z0-9/_.-]*$/.test(path) || path.startsWith("//") || path.length > 200) return null;
+  return path.length > 1 ? path.replace(/\/+$/, "") : path;
+}
+
+// Splits "India, Nepal" or ["India", "Nepal"] into trimmed, non-empty values
+function listOf(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Validates a rule body from the panel. Returns { rule } with the cleaned
+ * fields, or { error } with a message for a 400. The assignee is only
+ * checked for shape here; the server checks it can work leads.
+ */
+export function parseRoutingRule(body) {
+  const name = String(body?.name ?? "").trim();
+  if (!name) return { error: "Name is required" };
+  if (name.length > 100) return { error: "Name must be at most 100 characters" };
+
+  const match = body.match === "any" ? "any" : "all";
+  if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+    return { error: "Add at least one condition" };
+  }
+  if (body.conditions.length > MAX_ROUTING_CONDITIONS) {
+    return { error: `A rule can have at most ${MAX_ROUTING_CONDITIONS} conditions` };
+  }
+
+  const conditions = [];
+  for (const condition of body.conditions) {
+    const { field, operator } = condition || {};
+    if (!ROUTING_FIELDS[field]) return { error: `Unknown field: ${field}` };
+    if (!ROUTING_OPERATORS[operator]) return { error: `Unknown operator: ${operator}` };
+    let values = listOf(condition.values);
+    if (values.length === 0) return { error: `${ROUTING_FIELDS[field]}: enter at least one value` };
+    if (values.length > MAX_VALUES) return { error: `${ROUTING_FIELDS[field]}: at most ${MAX_VALUES} values` };
+    if (field === "source") {
+      const unknown = values.find((value) => !LEAD_SOURCES.includes(value));
+      if (unknown) return { error: `Unknown form: ${unknown}` };
+    }
+    if (field === "pagePath") {
+      const paths = values.map(normalizePagePath);
+      const bad = values.find((_, index) => !paths[index]);
+      if (bad) return { error: `Pages must be site paths like /automotive, not ${bad}` };
+      values = [...new Set(paths)];
+    }
+    conditions.push({ field, operator, values });
+  }
+
+  const notify = listOf(body.notify).map((email) => email.toLowerCase());
+  const badEmail = notify.find((email) => !EMAIL_PATTERN.test(email));
+  if (badEmail) return { error: `Invalid email address: ${badEmail}` };
+  if (notify.length > MAX_RECIPIENTS) return { error: `At most ${MAX_RECIPIENTS} recipients per rule` };
+
+  const tags = listOf(body.tags).map((tag) => tag.toLowerCase());
+  const badTag = tags.find((tag) => !TAG_PATTERN.test(tag));
+  if (badTag) return { error: `Tags are up to 40 letters, digits, spaces, - or _: ${badTag}` };
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags per rule` };
+
+  const assignTo = body.assignTo ? String(body.assignTo) : null;
+  if (notify.length === 0 && tags.length === 0 && !assignTo) {
+    return { error: "Choose at least one action: notify, assign or tag" };
+  }
+
+  return {
+    rule: {
+      name,
+      enabled: body.enabled !== false,
+      match,
+      conditions,
+      notify,
+      assignTo,
+      tags,
+      stop: Boolean(body.stop),
+    },
+  };
+}
+
+// The value(s) a condition field reads from a submission
+function fieldValues(submission, field) {
+  if (field === "text") {
+    return ["company", "jobTitle", "message"].map((key) => submission[key]).filter(Boolean);
+  }
+  if (field === "emailDomain") {
+    const domain = String(submission.email || "").split("@")[1];
+    return domain ? [domain] : [];
+  }
+  if (field === "pagePath") {
+    const path = normalizePagePath(submission.pagePath);
+    return path ? [path] : [];
+  }
+  return submission[field] ? [submission[field]] : [];
+}
+
+/**
+ * Whether one condition holds for a submission. Comparisons ignore case;
+ * a missing field never "is" or "contains" anything.
+ */
+export function conditionMatches(condition, submission) {
+  const actual = fieldValues(submission, condition.field).map((value) => String(value).trim().toLowerCase());
+  const wanted = condition.values.map((value) => String(value).trim().toLowerCase());
+
+  switch (condition.operator) {
+    case "is":
+      return actual.some((value) => wanted.includes(value));
+    case "is_not":
+      return !actual.some((value) => wanted.includes(value));
+    case "contains":
+      return actual.some((value) => wanted.some((keyword) => value.includes(keyword)));
+    case "not_contains":
+      return !actual.some((value) => wanted.some((keyword) => value.includes(keyword)));
+    case "starts_with":
+      return actual.some((value) => wanted.some((prefix) => value.startsWith(prefix)));
+    default:
+      return false;
+  }
+}
+
+export function ruleMatches(rule, submission) {
+  const test = (condition) => conditionMatches(condition, submission);
+  return rule.match === "any" ? rule.conditions.some(test) : rule.conditions.every(test);
+}
+
+/**
+ * Runs rules, in order, against a submission ({ source, pagePath,
+ * country, ... }). Disabled rules are skipped. Returns { matched, notify,
+ * assignTo, tags }: the matching rules as { id, name }, the recipients and
+ * tags they add up to, and the first assignee among them (or null).
+ */
+export function evaluateRoutingRules(rules, submission) {
+  const result = { matched: [], notify: [], assignTo: null, tags: [] };
+
+  for (const rule of rules) {
+    if (rule.enabled === false || !ruleMatches(rule, submission)) continue;
+
+    result.matched.push({ id: rule._id ? String(rule._id) : null, name: rule.name });
+    for (const email of rule.notify || []) {
+      if (!result.notify.includes(email)) result.notify.push(email);
+    }
+    for (const tag of rule.tags || []) {
+      if (!result.tags.includes(tag)) result.tags.push(tag);
+    }
+    if (!result.assignTo && rule.assignTo) result.assignTo = String(rule.assignTo);
+    if (rule.stop) break;
+  }
+
+  return result;
+}
@@ -0,0 +1,17 @@
+// Where a lead submission came from. Pure, so the public forms and the
+// panel can import it too. Add new forms here.
+
+export const LEAD_SOURCES = ["contact_form", "demo_request", "trade_show", "csv_import"];
+
+export const LEAD_SOURCE_LABELS = {
+  contact_form: "Contact Form",
+  demo_request: "Demo Request",
+  trade_show: "Trade Show",
+  csv_import: "CSV Import",
+};
+
+// Sources the public POST /api/leads accepts; the rest come in through the panel
+export const PUBLIC_LEAD_SOURCES = ["contact_form", "demo_request"];
+
+// Sources an admin can file a CSV import under
+export const IMPORT_LEAD_SOURCES = ["trade_show", "csv_import"];
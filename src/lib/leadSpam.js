@@ -0,0 +1,42 @@
+// Bot checks for the public lead forms. Pure: the forms take the field
+// names from here and the panel the reason labels; the server-side checks
+// live in lib/formGuard.js.
+import { isDisposableEmail } from "@/lib/leadIdentity";
+
+// Hidden input that people never see and bots tend to fill in. Named so
+// that browsers don't recognise it and autofill it for real visitors.
+export const HONEYPOT_FIELD = "hp_field_x";
+// Signed render time from GET /api/leads/form-token
+export const FORM_TOKEN_FIELD = "formToken";
+
+// More links than this in one submission reads as spam
+export const MAX_LINKS = 2;
+
+export const SPAM_REASON_LABELS = {
+  honeypot: "Hidden field filled in",
+  missing_token: "No form token",
+  invalid_token: "Forged form token",
+  too_fast: "Submitted too quickly",
+  expired_token: "Form left open too long",
+  ip_rate_limit: "Too many from this IP",
+  email_rate_limit: "Too many from this email",
+  too_many_links: "Too many links",
+  disposable_email: "Disposable email address",
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+export function countLinks(text) {
+  return (String(text || "").match(LINK_PATTERN) || []).length;
+}
+
+/**
+ * Spam reasons found in validated form values, from SPAM_REASON_LABELS.
+ */
+export function contentReasons(values) {
+  const reasons = [];
+  const links = Object.values(values).reduce((total, value) => total + countLinks(value), 0);
+  if (links > MAX_LINKS) reasons.push("too_many_links");
+  if (isDisposableEmail(values.email)) reasons.push("disposable_email");
+  return reasons;
+}
@@ -0,0 +1,19 @@
+// Sales pipeline stages for leads. Pure, so the panel can import it too.
+
+export const LEAD_STAGES = ["new", "contacted", "qualified", "demo_scheduled", "won", "lost"];
+
+export const LEAD_STAGE_LABELS = {
+  new: "New",
+  contacted: "Contacted",
+  qualified: "Qualified",
+  demo_scheduled: "Demo Scheduled",
+  won: "Won",
+  lost: "Lost",
+};
+
+/**
+ * Stage of a lead, treating submissions from before the pipeline as new.
+ */
+export function leadStageOf(lead) {
+  return lead?.stage || "new";
+}
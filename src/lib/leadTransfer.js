@@ -0,0 +1,71 @@
+// Columns for lead exports and fields for CSV imports. Pure, so the panel
+// builds its pickers from the same lists the API uses.
+import { LEAD_STAGE_LABELS, leadStageOf } from "@/lib/leadStages";
+import { LEAD_SOURCE_LABELS } from "@/lib/leadSources";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+export const LEAD_EXPORT_COLUMNS = [
+  { key: "firstName", label: "First Name", value: (lead) => lead.firstName },
+  { key: "lastName", label: "Last Name", value: (lead) => lead.lastName },
+  { key: "email", label: "Email", value: (lead) => lead.email },
+  { key: "phone", label: "Phone", value: (lead) => lead.phone },
+  { key: "company", label: "Company", value: (lead) => lead.company },
+  { key: "jobTitle", label: "Job Title", value: (lead) => lead.jobTitle },
+  { key: "country", label: "Country", value: (lead) => lead.country },
+  { key: "message", label: "Latest Message", value: (lead) => lead.message },
+  {
+    key: "sources",
+    label: "Sources",
+    value: (lead) => (lead.sources || []).map((source) => LEAD_SOURCE_LABELS[source] || source).join(", "),
+  },
+  { key: "stage", label: "Stage", value: (lead) => LEAD_STAGE_LABELS[leadStageOf(lead)] },
+  { key: "assignedTo", label: "Assigned To", value: (lead) => lead.assignedTo?.email },
+  { key: "nextFollowUpAt", label: "Next Follow-up", value: (lead) => lead.nextFollowUpAt },
+  { key: "submissionCount", label: "Submissions", value: (lead) => (lead.submissions || []).length },
+  { key: "createdAt", label: "First Seen", value: (lead) => lead.createdAt },
+  { key: "lastSubmittedAt", label: "Last Submission", value: (lead) => lead.lastSubmittedAt },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "company",
+  "country",
+  "sources",
+  "stage",
+  "assignedTo",
+  "lastSubmittedAt",
+];
+
+// Lead fields a CSV column can map to, with header spellings recognised automatically
+export const LEAD_IMPORT_FIELDS = [
+  { key: "firstName", label: "First Name", aliases: ["first", "firstname", "givenname", "forename"] },
+  { key: "lastName", label: "Last Name", aliases: ["last", "lastname", "surname", "familyname"] },
+  { key: "email", label: "Email", aliases: ["email", "emailaddress", "mail", "workemail"] },
+  { key: "phone", label: "Phone", aliases: ["phone", "phonenumber", "mobile", "telephone", "tel"] },
+  { key: "company", label: "Company", aliases: ["company", "companyname", "organisation", "organization"] },
+  { key: "jobTitle", label: "Job Title", aliases: ["jobtitle", "title", "position", "role"] },
+  { key: "country", label: "Country", aliases: ["country", "countryname"] },
+  { key: "message", label: "Message", aliases: ["message", "notes", "comments", "comment", "interest"] },
+  { key: "submittedAt", label: "Date", aliases: ["date", "submittedat", "submitted", "createdat", "timestamp"] },
+];
+
+const normalizeHeader = (header) => String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Proposes a mapping of import field → CSV column index from the header
+ * row. Fields without a recognisable column map to null.
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const field of LEAD_IMPORT_FIELDS) {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header) => candidates.includes(header));
+    mapping[field.key] = index === -1 ? null : index;
+  }
+  return mapping;
+}
@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import Admin from "@/models/Admin";
+import Lead, { SUBMISSION_FIELDS } from "@/models/Lead";
+import LeadRoutingRule from "@/models/LeadRoutingRule";
+import { can, roleOf } from "@/lib/permissions";
+import { LEAD_STAGES, leadStageOf } from "@/lib/leadStages";
+import { parseDate } from "@/lib/blogQuery";
+import { NOT_TRASHED } from "@/lib/trash";
+import { companyDomainOf, leadMatchFilters, normalizeEmail } from "@/lib/leadIdentity";
+import { evaluateRoutingRules, normalizePagePath } from "@/lib/leadRouting";
+import { formEmails } from "@/lib/sendFormEmail";
+import { queueEmails } from "@/lib/outbox";
+
+// Pipeline fields an admin may change through PATCH /api/leads/[id]
+const PIPELINE_FIELDS = ["stage", "assignedTo", "nextFollowUpAt"];
+
+function actorOf(token) {
+  return { id: token?.id || token?.sub || null, email: token?.email || null };
+}
+
+/**
+ * Admins who can work leads, i.e. may be assigned one.
+ */
+export async function assignableAdmins() {
+  const admins = await Admin.find().select("email role").sort({ email: 1 }).lean();
+  return admins
+    .filter((admin) => can(roleOf(admin), "leads:write"))
+    .map((admin) => ({ _id: admin._id, email: admin.email }));
+}
+
+/**
+ * Whether an admin id names an admin who can work leads.
+ */
+export async function isAssignable(adminId) {
+  if (!mongoose.isValidObjectId(adminId)) return false;
+  const admin = await Admin.findById(adminId).select("role").lean();
+  return Boolean(admin) && can(roleOf(admin), "leads:write");
+}
+
+/**
+ * Validates a pipeline update body. Returns { changes } holding only the
+ * fields that were sent, or { error } with a message for a 400.
+ */
+export async function parseLeadUpdate(body) {
+  const changes = {};
+
+  if (body.stage !== undefined) {
+    if (!LEAD_STAGES.includes(body.stage)) {
+      return { error: `Invalid stage. Must be one of: ${LEAD_STAGES.join(", ")}` };
+    }
+    changes.stage = body.stage;
+  }
+
+  if (body.assignedTo !== undefined) {
+    if (body.assignedTo) {
+      if (!mongoose.isValidObjectId(body.assignedTo)) return { error: "Invalid assignee" };
+      if (!(await isAssignable(body.assignedTo))) {
+        return { error: "Leads can only be assigned to admins who can manage them" };
+      }
+    }
+    changes.assignedTo = body.assignedTo || null;
+  }
+
+  if (body.nextFollowUpAt !== undefined) {
+    try {
+      changes.nextFollowUpAt = parseDate(body.nextFollowUpAt, "follow-up");
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return { changes };
+}
+
+function pipelineState(lead) {
+  return {
+    stage: leadStageOf(lead),
+    assignedTo: lead.assignedTo ? String(lead.assignedTo) : null,
+    nextFollowUpAt: lead.nextFollowUpAt || null,
+  };
+}
+
+/**
+ * Applies pipeline changes to a lead, appending to its stage history when
+ * the stage moves. Returns { lead, before, after } with the pipeline state
+ * on either side, or null when the lead doesn't exist or is trashed.
+ */
+export async function updateLead(id, changes, token) {
+  const lead = await Lead.findOne({ _id: id, ...NOT_TRASHED });
+  if (!lead) return null;
+
+  const before = pipelineState(lead);
+  for (const field of PIPELINE_FIELDS) {
+    if (changes[field] !== undefined) lead[field] = changes[field];
+  }
+  if (changes.stage && changes.stage !== before.stage) {
+    lead.stageHistory.push({ from: before.stage, to: changes.stage, changedBy: actorOf(token) });
+  }
+  await lead.save();
+
+  return { lead, before, after: pipelineState(lead) };
+}
+
+/**
+ * Appends an internal note to a lead. Returns the saved note, or null when
+ * the lead doesn't exist or is trashed.
+ */
+export async function addLeadNote(id, body, token) {
+  const lead = await Lead.findOne({ _id: id, ...NOT_TRASHED });
+  if (!lead) return null;
+
+  lead.notes.push({ body, author: actorOf(token) });
+  await lead.save();
+  return lead.notes[lead.notes.length - 1];
+}
+
+/**
+ * Loads a lead for the detail view, with the emails of its assignee and of
+ * anyone the routing rules assigned it to.
+ */
+export async function findLead(id) {
+  return Lead.findOne({ _id: id, ...NOT_TRASHED })
+    .populate("assignedTo", "email")
+    .populate("submissions.routing.assignedTo", "email")
+    .lean();
+}
+
+/**
+ * Adds a submission to `lead`, a loaded or new (unsaved) Lead document,
+ * without saving it. The lead's contact fields take the submission's
+ * non-empty values unless it predates the lead's latest one.
+ * `submittedAt` backdates imported submissions; `pagePath` is the site page
+ * a public form was sent from. Returns the added submission.
+ */
+export function applySubmission(lead, source, data, { submittedAt = new Date(), pagePath = null } = {}) {
+  const submission = { source, submittedAt, pagePath: normalizePagePath(pagePath) };
+  for (const field of SUBMISSION_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null) submission[field] = String(data[field]).trim();
+  }
+
+  if (submittedAt >= lead.lastSubmittedAt) {
+    for (const field of SUBMISSION_FIELDS) {
+      if (submission[field]) lead[field] = submission[field];
+    }
+    lead.lastSubmittedAt = submittedAt;
+  }
+  if (submittedAt < lead.createdAt) lead.createdAt = submittedAt;
+  lead.emails.addToSet(normalizeEmail(submission.email));
+  lead.sources.addToSet(source);
+  lead.companyDomain = lead.companyDomain || companyDomainOf(submission.email);
+  lead.submissions.push(submission);
+  return lead.submissions[lead.submissions.length - 1];
+}
+
+/**
+ * Files a form submission under the lead it belongs to (same email, then
+ * same company domain), creating one if there is none; see applySubmission.
+ * Returns { lead, submission, merged }.
+ */
+export async function recordSubmission(source, data, { submittedAt = new Date(), pagePath = null } = {}) {
+  let lead = null;
+  for (const filter of leadMatchFilters(data.email)) {
+    lead = await Lead.findOne({ ...filter, ...NOT_TRASHED }).sort({ lastSubmittedAt: -1 });
+    if (lead) break;
+  }
+  const merged = Boolean(lead);
+  if (!lead) lead = new Lead({ createdAt: submittedAt, lastSubmittedAt: submittedAt });
+
+  const submission = applySubmission(lead, source, data, { submittedAt, pagePath });
+  await lead.save();
+
+  return { lead, submission, merged };
+}
+
+/**
+ * Runs the routing rules (lib/leadRouting.js) for a submission just filed
+ * under `lead`: tags the lead, assigns it if nobody owns it yet and records
+ * the outcome on the submission. Returns the evaluation, whose `notify`
+ * recipients the caller adds to the notification email.
+ */
+export async function routeSubmission(lead, submission) {
+  const rules = await LeadRoutingRule.find({ enabled: true }).sort({ position: 1, createdAt: 1 }).lean();
+  const result = evaluateRoutingRules(rules, submission.toObject());
+
+  // The rule's assignee may have lost lead access since it was saved
+  let assignedTo = null;
+  if (result.assignTo && !lead.assignedTo && (await isAssignable(result.assignTo))) {
+    assignedTo = result.assignTo;
+  }
+
+  if (assignedTo) lead.assignedTo = assignedTo;
+  for (const tag of result.tags) lead.tags.addToSet(tag);
+  submission.routing = { matched: result.matched, notify: result.notify, assignedTo, tags: result.tags };
+  await lead.save();
+
+  return result;
+}
+
+/**
+ * Everything that happens to a public form submission that is let in,
+ * straight from the form or released from quarantine: it is filed under
+ * its lead, run through the routing rules, and the form emails (welcome to
+ * the sender, details to admins and the rules' recipients) are queued.
+ * The submission is saved either way, so neither routing nor a mail
+ * problem throws. Returns { lead, submission }.
+ */
+export async function fileFormSubmission(source, values, { pagePath = null, submittedAt = new Date() } = {}) {
+  // Files the submission under an existing lead when it is the same person or company
+  const { lead, submission } = await recordSubmission(source, values, { pagePath, submittedAt });
+
+  // Routing rules tag and assign the lead and pick extra recipients
+  let notify = [];
+  try {
+    ({ notify } = await routeSubmission(lead, submission));
+  } catch (routingError) {
+    console.error("Lead routing error:", routingError);
+  }
+
+  // Sent through the outbox, after the response
+  try {
+    await queueEmails("lead_form", await formEmails({ formData: values, source, notify }));
+  } catch (emailError) {
+    console.error("Lead form email error:", emailError);
+  }
+
+  return { lead, submission };
+}
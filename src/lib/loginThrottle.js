@@ -0,0 +1,137 @@
+import LoginThrottle from "@/models/LoginThrottle";
+import LoginAttempt from "@/models/LoginAttempt";
+import Setting from "@/models/Setting";
+import { sendLockoutEmail } from "@/lib/accountEmails";
+import { clientIp, recordAudit, requestHeader } from "@/lib/audit";
+
+export const DEFAULT_LOCKOUT_THRESHOLD = 5;
+export const DEFAULT_LOCKOUT_MINUTES = 15;
+// One IP may fail this many times the account threshold before it is locked
+const IP_THRESHOLD_MULTIPLIER = 4;
+const MAX_BACKOFF_MS = 30 * 1000;
+const THROTTLE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || "").trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+/**
+ * Delay before the next attempt after `failures` consecutive failures:
+ * 1s, 2s, 4s, ... capped at 30s.
+ */
+export function backoffMs(failures) {
+  return Math.min(1000 * 2 ** Math.max(0, failures - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Lockout threshold and duration, as configured by an owner in the panel.
+ */
+export async function lockoutPolicy() {
+  const [threshold, minutes] = await Promise.all([
+    Setting.getValue("security.lockoutThreshold", DEFAULT_LOCKOUT_THRESHOLD),
+    Setting.getValue("security.lockoutMinutes", DEFAULT_LOCKOUT_MINUTES),
+  ]);
+  return { threshold, lockMs: minutes * 60 * 1000 };
+}
+
+function waitMessage(until, now) {
+  const seconds = Math.ceil((until.getTime() - now.getTime()) / 1000);
+  if (seconds <= 60) return `Too many failed attempts. Try again in ${seconds} seconds.`;
+  return `Too many failed attempts. Try again in ${Math.ceil(seconds / 60)} minutes.`;
+}
+
+/**
+ * Returns an error message when the account or IP may not try to log in
+ * right now (locked or still backing off), otherwise null.
+ */
+export async function loginBlockedReason({ email, ip }, now = new Date()) {
+  const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+  let until = null;
+  for (const throttle of throttles) {
+    for (const date of [throttle.lockedUntil, throttle.nextAttemptAt]) {
+      if (date && date > now && (!until || date > until)) until = date;
+    }
+  }
+  return until ? waitMessage(until, now) : null;
+}
+
+async function bumpFailures(key, kind, threshold, lockMs, now) {
+  // Failures from before an expired lock start over
+  await LoginThrottle.updateOne(
+    { key, lockedUntil: { $lte: now } },
+    { $set: { failures: 0, lockedUntil: null } }
+  );
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { kind, lastFailureAt: now, expiresAt: new Date(now.getTime() + THROTTLE_TTL_MS) },
+    },
+    { upsert: true, new: true }
+  );
+
+  const locked = throttle.failures >= threshold;
+  await LoginThrottle.updateOne(
+    { _id: throttle._id },
+    {
+      $set: locked
+        ? { lockedUntil: new Date(now.getTime() + lockMs), nextAttemptAt: null }
+        : { nextAttemptAt: new Date(now.getTime() + backoffMs(throttle.failures)) },
+    }
+  );
+
+  return { failures: throttle.failures, newlyLocked: throttle.failures === threshold };
+}
+
+/**
+ * Records a failed login against both the account and the client IP, and
+ * emails the account owner the moment their account gets locked.
+ */
+export async function recordLoginFailure(req, { email, reason, admin = null }, now = new Date()) {
+  const { threshold, lockMs } = await lockoutPolicy();
+  const ip = clientIp(req);
+
+  await LoginAttempt.create({
+    email: email ? String(email).trim().toLowerCase() : null,
+    ip,
+    userAgent: requestHeader(req, "user-agent"),
+    reason,
+  });
+
+  if (reason === "throttled") return;
+
+  const [account] = await Promise.all([
+    bumpFailures(accountKey(email), "account", threshold, lockMs, now),
+    bumpFailures(ipKey(ip), "ip", threshold * IP_THRESHOLD_MULTIPLIER, lockMs, now),
+  ]);
+
+  if (account.newlyLocked && admin) {
+    await recordAudit(req, {
+      actor: null,
+      action: "auth.lockout",
+      targetType: "Admin",
+      targetId: admin._id,
+      after: { email: admin.email, failures: account.failures, ip },
+    });
+    try {
+      await sendLockoutEmail({ to: admin.email, minutes: Math.round(lockMs / 60000), ip });
+    } catch (error) {
+      console.error("Lockout Email Error:", error);
+    }
+  }
+}
+
+/**
+ * Clears the account's failure count after a successful login.
+ */
+export async function clearLoginFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Lifts a lockout by hand. `key` is a throttle key such as "account:a@b.com".
+ */
+export async function unlockThrottle(key) {
+  const result = await LoginThrottle.deleteOne({ key });
+  return result.deletedCount === 1;
+}
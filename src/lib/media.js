@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
+import Media from "@/models/Media";
+import { processImage } from "@/lib/imagePipeline";
+import { configuredStorage, storageFor } from "@/lib/mediaStorage";
+import { escapeRegex } from "@/lib/escape";
+
+export const MEDIA_PAGE_SIZE = 48;
+
+function actorOf(token) {
+  return { id: token?.id || token?.sub || null, email: token?.email || null };
+}
+
+// "My Diagram (1).PNG" → "my-diagram-1"
+function baseName(filename) {
+  const name = path
+    .basename(String(filename || ""), path.extname(String(filename || "")))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return name || "image";
+}
+
+/**
+ * Checks an uploaded image, processes it (lib/imagePipeline.js) and stores
+ * the cleaned original with its resized copies in the configured backend
+ * (lib/mediaStorage.js), then adds it to the library. `filename` is the
+ * name it was uploaded as; `sourceUrl` the page it was fetched from, if
+ * any. Returns the Media document; throws ImageRejectedError for uploads
+ * that aren't usable images.
+ */
+export async function storeMedia(buffer, { filename, sourceUrl = null, actor }) {
+  const { original, variants, blurDataURL } = await processImage(buffer);
+
+  const storageName = configuredStorage();
+  const storage = storageFor(storageName);
+  const base = `blogs/${Date.now()}-${crypto.randomBytes(3).toString("hex")}-${baseName(filename)}`;
+  const storedKeys = [];
+  const put = async (key, file) => {
+    const stored = await storage.put(key, file.buffer, { contentType: file.mimeType });
+    storedKeys.push(stored.key);
+    return stored;
+  };
+
+  try {
+    const stored = await put(`${base}.${original.extension}`, original);
+    const storedVariants = [];
+    for (const variant of variants) {
+      // The format is in the stem too: Cloudinary drops the extension, and
+      // the AVIF and WebP copies of a width must not share a public id
+      const { key, url } = await put(`${base}-${variant.width}w-${variant.format}.${variant.format}`, variant);
+      storedVariants.push({
+        format: variant.format,
+        width: variant.width,
+        height: variant.height,
+        size: variant.buffer.length,
+        key,
+        url,
+      });
+    }
+
+    return await Media.create({
+      storage: storageName,
+      key: stored.key,
+      url: stored.url,
+      filename: String(filename || path.basename(stored.key)).slice(0, 255),
+      mimeType: original.mimeType,
+      size: original.buffer.length,
+      width: original.width,
+      height: original.height,
+      variants: storedVariants,
+      blurDataURL,
+      sourceUrl,
+      uploadedBy: actorOf(actor),
+    });
+  } catch (error) {
+    // Don't leave files nothing points at
+    await removeKeys(storage, storedKeys);
+    throw error;
+  }
+}
+
+async function removeKeys(storage, keys) {
+  for (const key of keys) {
+    await storage.remove(key).catch((removeError) => console.error("Error removing orphaned media:", removeError));
+  }
+}
+
+/**
+ * A page of the library, newest first. `q` searches file names and alt
+ * text; `unused` limits it to files no document shows.
+ */
+export async function listMedia({ q = "", unused = false, page = 1 } = {}) {
+  const filter = {};
+  if (q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), "i");
+    filter.$or = [{ filename: pattern }, { alt: pattern }];
+  }
+  if (unused) filter.usage = { $size: 0 };
+
+  const [media, total] = await Promise.all([
+    Media.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * MEDIA_PAGE_SIZE)
+      .limit(MEDIA_PAGE_SIZE)
+      .lean(),
+    Media.countDocuments(filter),
+  ]);
+  return { media, total, page, pages: Math.max(1, Math.ceil(total / MEDIA_PAGE_SIZE)) };
+}
+
+/**
+ * Sets a file's alt text. Returns { before, media }, or null when it doesn't exist.
+ */
+export async function updateMediaAlt(id, alt) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const before = await Media.findById(id).lean();
+  if (!before) return null;
+  const media = await Media.findByIdAndUpdate(id, { alt }, { new: true }).lean();
+  return { before, media };
+}
+
+/**
+ * Deletes a file from its storage and the library, unless something still
+ * uses it. Returns { media } when deleted, { inUse } with the file when it
+ * is used, or null when it doesn't exist.
+ */
+export async function deleteMedia(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  // Only while unused, in one step, so a post saved meanwhile can't lose its image
+  const media = await Media.findOneAndDelete({ _id: id, usage: { $size: 0 } }).lean();
+  if (!media) {
+    const existing = await Media.findById(id).lean();
+    return existing ? { inUse: existing } : null;
+  }
+
+  const storage = storageFor(media.storage);
+  await storage.remove(media.key);
+  await removeKeys(storage, (media.variants || []).map((variant) => variant.key));
+  return { media };
+}
+
+/**
+ * Adds `imageMedia` to each blog whose cover image is in the library: its
+ * size, blur placeholder and resized copies, which the blog pages hand to
+ * next/image. Takes documents or plain objects; returns plain objects.
+ */
+export async function withImageMedia(blogs) {
+  const plain = blogs.map((blog) => (typeof blog.toObject === "function" ? blog.toObject() : blog));
+  const urls = [...new Set(plain.map((blog) => blog.image).filter(Boolean))];
+  if (urls.length === 0) return plain;
+
+  const media = await Media.find({ url: { $in: urls } })
+    .select("url width height blurDataURL variants.format variants.width variants.height variants.url")
+    .lean();
+  const byUrl = new Map(media.map(({ url, _id, ...image }) => [url, image]));
+  return plain.map((blog) => (byUrl.has(blog.image) ? { ...blog, imageMedia: byUrl.get(blog.image) } : blog));
+}
@@ -0,0 +1,135 @@
+import fs from "fs/promises";
+import path from "path";
+import { DeleteObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+import streamifier from "streamifier";
+import cloudinary from "@/utils/cloudinary";
+
+// Where uploaded media lives. Every backend stores a buffer under a key
+// such as "blogs/1762952473932-diagram.png" and hands back its public URL:
+//
+//   put(key, buffer, { contentType }) → { key, url }   (the key it really used)
+//   remove(key)
+//
+// MEDIA_STORAGE picks one for new uploads: "local" (default) writes under
+// MEDIA_LOCAL_DIR (public/uploads), "s3" any S3-compatible bucket (MinIO
+// included, via S3_ENDPOINT), "cloudinary" the account in utils/cloudinary.js.
+// Each Media document remembers its backend, so switching keeps old files working.
+
+// Files never change once stored; new uploads get new keys
+const CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+function requireEnv(storage, name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${storage} storage: ${name} environment variable is not set`);
+  return value;
+}
+
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+// Keys come from lib/media.js, but never let one climb out of the directory
+function localPath(key) {
+  const root = path.resolve(process.env.MEDIA_LOCAL_DIR || path.join(process.cwd(), "public", "uploads"));
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) throw new Error(`local storage: invalid key ${key}`);
+  return file;
+}
+
+const local = {
+  async put(key, buffer) {
+    const file = localPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer, { flag: "wx" });
+    return { key, url: `${trimSlash(process.env.MEDIA_LOCAL_URL || "/uploads")}/${key}` };
+  },
+  async remove(key) {
+    try {
+      await fs.unlink(localPath(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+let s3Client = null;
+
+function s3() {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stores only do path-style URLs
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: {
+        accessKeyId: requireEnv("s3", "S3_ACCESS_KEY_ID"),
+        secretAccessKey: requireEnv("s3", "S3_SECRET_ACCESS_KEY"),
+      },
+    });
+  }
+  return s3Client;
+}
+
+// S3_PUBLIC_URL points at a CDN or public bucket; otherwise the bucket's own address
+function s3Url(bucket, key) {
+  if (process.env.S3_PUBLIC_URL) return `${trimSlash(process.env.S3_PUBLIC_URL)}/${key}`;
+  if (process.env.S3_ENDPOINT) return `${trimSlash(process.env.S3_ENDPOINT)}/${bucket}/${key}`;
+  return `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`;
+}
+
+const s3Storage = {
+  async put(key, buffer, { contentType } = {}) {
+    const bucket = requireEnv("s3", "S3_BUCKET");
+    await s3().send(
+      new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType, CacheControl: CACHE_CONTROL })
+    );
+    return { key, url: s3Url(bucket, key) };
+  },
+  async remove(key) {
+    await s3().send(new DeleteObjectCommand({ Bucket: requireEnv("s3", "S3_BUCKET"), Key: key }));
+  },
+};
+
+const cloudinaryStorage = {
+  // Cloudinary names assets by public id (no extension) and picks the format
+  // itself, so keys that differ only in extension would collide
+  async put(key, buffer) {
+    requireEnv("cloudinary", "CLOUDINARY_CLOUD_NAME");
+    const publicId = key.replace(/\.[^./]+$/, "");
+    const result = await new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream(
+        { public_id: publicId, resource_type: "image", overwrite: false },
+        (error, response) => (error ? reject(error) : resolve(response))
+      );
+      streamifier.createReadStream(buffer).pipe(upload);
+    });
+    return { key: result.public_id, url: result.secure_url };
+  },
+  async remove(key) {
+    await cloudinary.uploader.destroy(key, { resource_type: "image", invalidate: true });
+  },
+};
+
+export const MEDIA_STORAGES = {
+  local,
+  s3: s3Storage,
+  cloudinary: cloudinaryStorage,
+};
+
+/**
+ * Name of the backend new uploads go to (MEDIA_STORAGE).
+ */
+export function configuredStorage() {
+  const name = (process.env.MEDIA_STORAGE || "local").trim().toLowerCase();
+  if (!MEDIA_STORAGES[name]) {
+    throw new Error(`Unknown MEDIA_STORAGE "${name}". Use ${Object.keys(MEDIA_STORAGES).join(", ")}`);
+  }
+  return name;
+}
+
+/**
+ * The backend a stored file lives in, by the name saved on its Media document.
+ */
+export function storageFor(name) {
+  const storage = MEDIA_STORAGES[name];
+  if (!storage) throw new Error(`Unknown media storage "${name}"`);
+  return storage;
+}
@@ -0,0 +1,43 @@
+import Media from "@/models/Media";
+
+// Keeps Media.usage in step with the documents that show each file, so the
+// library can say where an image is used and refuse to delete it while it is.
+
+const IMG_SRC_PATTERN = /<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+
+/**
+ * Every image URL a blog post shows: its cover and the images in its body.
+ */
+export function blogMediaUrls(blog) {
+  const urls = new Set();
+  if (blog.image) urls.add(blog.image);
+  for (const [, src] of String(blog.content || "").matchAll(IMG_SRC_PATTERN)) urls.add(src);
+  return [...urls];
+}
+
+/**
+ * Records that `targetType`/`targetId` uses exactly the media at `urls`,
+ * dropping it from files it no longer shows. URLs that aren't in the
+ * library are ignored.
+ */
+export async function syncMediaUsage(targetType, targetId, label, urls) {
+  const id = String(targetId);
+  await Media.updateMany(
+    { usage: { $elemMatch: { targetType, targetId: id } } },
+    { $pull: { usage: { targetType, targetId: id } } }
+  );
+  if (urls.length > 0) {
+    await Media.updateMany({ url: { $in: urls } }, { $push: { usage: { targetType, targetId: id, label } } });
+  }
+}
+
+/**
+ * Forgets every use by documents that were deleted for good.
+ */
+export async function releaseMediaUsage(targetType, targetIds) {
+  const ids = targetIds.map(String);
+  await Media.updateMany(
+    { usage: { $elemMatch: { targetType, targetId: { $in: ids } } } },
+    { $pull: { usage: { targetType, targetId: { $in: ids } } } }
+  );
+}
@@ -0,0 +1,129 @@
+import { after } from "next/server";
+import OutboxEmail from "@/models/OutboxEmail";
+import { sendEmail } from "@/lib/sendFormEmail";
+
+// Retries wait 1, 2, 4 … minutes, capped at an hour; after MAX_ATTEMPTS the
+// email is marked failed and waits for someone to resend it from the panel.
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+export const MAX_ATTEMPTS = 8;
+// How long a worker may hold an email before another can retake it
+const CLAIM_MS = 5 * 60 * 1000;
+const SENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function retryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * Stores emails for delivery and returns the outbox documents. Delivery is
+ * attempted once the current response has gone out; the send-emails cron
+ * route picks up whatever that misses.
+ *
+ *   await queueEmails("lead_form", [{ to, subject, html, fromEmail, fromName, replyTo }]);
+ */
+export async function queueEmails(kind, messages) {
+  const queued = await OutboxEmail.insertMany(messages.map((message) => ({ kind, message })));
+  scheduleDelivery();
+  return queued;
+}
+
+export async function queueEmail(kind, message) {
+  const [queued] = await queueEmails(kind, [message]);
+  return queued;
+}
+
+// after() only works inside a request; scripts and tests rely on the cron route
+function scheduleDelivery() {
+  try {
+    after(() => deliverOutbox().catch((error) => console.error("Outbox delivery error:", error)));
+  } catch {
+    // Outside a request scope
+  }
+}
+
+async function claimNext(now) {
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", claimedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: "sending", claimedUntil: new Date(now.getTime() + CLAIM_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(email) {
+  const now = new Date();
+  try {
+    const response = await sendEmail(email.toObject().message);
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: now,
+          claimedUntil: null,
+          lastError: null,
+          expiresAt: new Date(now.getTime() + SENT_RETENTION_MS),
+        },
+        $push: { history: { at: now, ok: true, response } },
+      }
+    );
+    return "sent";
+  } catch (error) {
+    // Transports flag errors retrying can't fix, like a rejected recipient
+    const failed = Boolean(error.permanent) || email.attempts >= MAX_ATTEMPTS;
+    await OutboxEmail.updateOne(
+      { _id: email._id },
+      {
+        $set: {
+          status: failed ? "failed" : "pending",
+          nextAttemptAt: new Date(now.getTime() + retryDelayMs(email.attempts)),
+          claimedUntil: null,
+          lastError: error.message,
+        },
+        $push: {
+          history: {
+            at: now,
+            ok: false,
+            status: error.status ?? null,
+            response: error.response ?? null,
+            error: error.message,
+          },
+        },
+      }
+    );
+    return failed ? "failed" : "retrying";
+  }
+}
+
+/**
+ * Sends due emails one at a time, up to `limit`. Returns counts of
+ * { sent, retrying, failed }.
+ */
+export async function deliverOutbox({ limit = 50 } = {}) {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const email = await claimNext(new Date());
+    if (!email) break;
+    counts[await deliver(email)]++;
+  }
+  return counts;
+}
+
+/**
+ * Puts a failed email back in the queue with a fresh set of attempts.
+ * Returns the updated email, or null when there is no failed email by that id.
+ */
+export async function resendEmail(id) {
+  const email = await OutboxEmail.findOneAndUpdate(
+    { _id: id, status: "failed" },
+    { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+    { new: true }
+  );
+  if (email) scheduleDelivery();
+  return email;
+}
@@ -0,0 +1,47 @@
+// Password strength rules for admin accounts, shared by the API and the forms.
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+const COMMON_PASSWORDS = [
+  "password",
+  "password123",
+  "qwerty",
+  "letmein",
+  "welcome",
+  "admin",
+  "administrator",
+  "123456",
+  "12345678",
+  "iloveyou",
+  "robato",
+  "machinox",
+];
+
+/**
+ * Returns the list of rules the password breaks (empty when it is acceptable).
+ */
+export function passwordProblems(password, { email } = {}) {
+  const value = String(password || "");
+  const problems = [];
+
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    problems.push(`Must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (value.length > 128) problems.push("Must be at most 128 characters");
+  if (!/[a-z]/.test(value)) problems.push("Must contain a lowercase letter");
+  if (!/[A-Z]/.test(value)) problems.push("Must contain an uppercase letter");
+  if (!/[0-9]/.test(value)) problems.push("Must contain a number");
+  if (!/[^A-Za-z0-9]/.test(value)) problems.push("Must contain a symbol");
+
+  const lower = value.toLowerCase();
+  if (COMMON_PASSWORDS.some((common) => lower.includes(common))) {
+    problems.push("Must not contain a common word such as \"password\"");
+  }
+
+  const localPart = String(email || "").split("@")[0].toLowerCase();
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    problems.push("Must not contain your email name");
+  }
+
+  return problems;
+}
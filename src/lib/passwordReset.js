@@ -0,0 +1,64 @@
+import crypto from "crypto";
+
+// Reset links are signed with NEXTAUTH_SECRET and carry the admin's session
+// version, so changing the password (by any route) invalidates every link.
+
+/**
+ * Origin that reset links point at: NEXTAUTH_URL, else NEXT_PUBLIC_BASE_URL.
+ * Never the request's Host header, which whoever asks for a reset controls.
+ * null when neither is set.
+ */
+export function resetLinkOrigin() {
+  const configured = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_BASE_URL;
+  return configured ? configured.replace(/\/+$/, "") : null;
+}
+
+export function resetTtlMs() {
+  const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+  return minutes * 60 * 1000;
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", process.env.NEXTAUTH_SECRET || "")
+    .update(`password-reset.${payload}`)
+    .digest("base64url");
+}
+
+/**
+ * Creates a reset token for the admin, valid for resetTtlMs().
+ */
+export function createResetToken(admin, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: admin._id.toString(),
+      sv: admin.sessionVersion || 0,
+      exp: now + resetTtlMs(),
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Returns { sub, sv, exp } for a genuine, unexpired token, otherwise null.
+ * Callers must still compare sv with the admin's current sessionVersion.
+ */
+export function verifyResetToken(token, now = Date.now()) {
+  if (!process.env.NEXTAUTH_SECRET || typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (typeof data.exp !== "number" || data.exp <= now) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,29 @@
+// Admin roles and what each one may do. Shared by API route guards, the
+// proxy and the admin panel (to hide tabs and actions), so keep it pure.
+
+export const ROLES = ["owner", "editor", "sales", "viewer"];
+
+export const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  editor: ["blogs:read", "blogs:write", "blogs:publish", "blogs:delete", "authors:write", "media:upload", "media:delete", "sitemap:read"],
+  sales: ["leads:read", "leads:write", "leads:delete"],
+  viewer: ["blogs:read", "leads:read", "sitemap:read"],
+};
+
+/**
+ * Role of an admin document or JWT. Accounts created before roles existed
+ * had full access, so they are treated as owners. Returns null when there
+ * is no admin at all.
+ */
+export function roleOf(admin) {
+  if (!admin) return null;
+  return admin.role || "owner";
+}
+
+/**
+ * Whether the given role grants a permission such as "blogs:write".
+ */
+export function can(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
@@ -0,0 +1,29 @@
+import RateLimit from "@/models/RateLimit";
+
+/**
+ * Counts a hit against `key` in a fixed window stored in Mongo and reports
+ * whether it is still within `limit`. The counter document expires with
+ * its window.
+ *
+ *   const { allowed, retryAfter } = await rateLimit(`signup:${ip}`, { limit: 5, windowMs: 3600000 });
+ */
+export async function rateLimit(key, { limit, windowMs }) {
+  const now = new Date();
+
+  // Start a fresh window once the previous one has passed
+  await RateLimit.updateOne(
+    { key, resetAt: { $lte: now } },
+    { $set: { count: 0, resetAt: new Date(now.getTime() + windowMs) } }
+  );
+  const entry = await RateLimit.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + windowMs) } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    allowed: entry.count <= limit,
+    remaining: Math.max(0, limit - entry.count),
+    retryAfter: Math.max(1, Math.ceil((entry.resetAt.getTime() - now.getTime()) / 1000)),
+  };
+}
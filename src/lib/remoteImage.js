@@ -0,0 +1,206 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+// Relative imports so scripts/verify-remote-image.mjs can load this under plain node
+import { imageInfo } from "./imageInfo.js";
+import { MAX_UPLOAD_BYTES } from "./imagePipeline.js";
+
+// Fetches an image from a URL an admin pasted into the blog form, without
+// letting that URL reach the server's own network: only http(s), only
+// public addresses (checked on the address actually connected to, so DNS
+// rebinding can't slip past, and again on every redirect), a byte cap
+// enforced while streaming, and an overall time limit.
+
+const MAX_REDIRECTS = 3;
+const TIMEOUT_MS = 10_000;
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, incl. cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64],
+  ["2001::", 32], // Teredo, which embeds an IPv4 address
+  ["2001:db8::", 32],
+  ["2002::", 16], // 6to4, likewise
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * A remote image we won't import. `message` is safe to show the caller;
+ * `status` is the HTTP status to answer with.
+ */
+export class RemoteImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RemoteImageError";
+    this.status = status;
+  }
+}
+
+/**
+ * Whether an IP address is on the public internet. IPv4-mapped IPv6
+ * addresses (::ffff:10.0.0.1) are judged by the IPv4 address they carry.
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED.check(address, "ipv4");
+  if (family !== 6) return false;
+
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPublicAddress(mapped[1]);
+  if (/^::ffff:/i.test(address)) return false;
+  return !BLOCKED.check(address, "ipv6");
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new RemoteImageError("Enter a valid image URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new RemoteImageError("Only http:// and https:// URLs can be imported");
+  }
+  if (url.username || url.password) {
+    throw new RemoteImageError("URLs with credentials can't be imported");
+  }
+  return url;
+}
+
+// dns.lookup that refuses hostnames resolving to any non-public address
+function guardedLookup(allowAddress) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (addresses.length === 0 || addresses.some(({ address }) => !allowAddress(address))) {
+        return callback(new RemoteImageError("That address can't be imported from"));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function request(url, { allowAddress, signal }) {
+  // IP literals never go through lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !allowAddress(host)) {
+    return Promise.reject(new RemoteImageError("That address can't be imported from"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(
+      url,
+      {
+        lookup: guardedLookup(allowAddress),
+        signal,
+        headers: { "User-Agent": "Mozilla/5.0 (compatible; MachinoxImageImport/1.0)", Accept: "image/*" },
+      },
+      resolve
+    );
+    req.on("error", reject);
+  });
+}
+
+function readBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    response.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.destroy();
+        reject(new RemoteImageError(`Images must be at most ${maxBytes / (1024 * 1024)} MB`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", reject);
+    // A dropped connection doesn't always emit "error"
+    response.on("close", () => {
+      if (!response.complete) reject(new Error("Connection closed before the image was received"));
+    });
+  });
+}
+
+/**
+ * Downloads the image at `imageUrl`, following up to MAX_REDIRECTS
+ * redirects. Resolves to { buffer, url } with the URL it finally came
+ * from. Throws RemoteImageError for anything that isn't a public image
+ * within the size and time limits; other failures are mapped to a generic
+ * RemoteImageError so nothing about the server's network leaks back.
+ * `allowAddress` exists for local stand-ins and defaults to isPublicAddress.
+ */
+export async function fetchRemoteImage(
+  imageUrl,
+  { allowAddress = isPublicAddress, maxBytes = MAX_UPLOAD_BYTES, timeoutMs = TIMEOUT_MS } = {}
+) {
+  let url = parseUrl(imageUrl);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await request(url, { allowAddress, signal: controller.signal });
+
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) throw new RemoteImageError("The URL redirects too many times", 502);
+        url = parseUrl(new URL(response.headers.location, url));
+        continue;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw new RemoteImageError(`The server answered with status ${response.statusCode}`, 502);
+      }
+
+      const contentType = String(response.headers["content-type"] || "");
+      if (!/^image\//i.test(contentType)) {
+        response.resume();
+        throw new RemoteImageError("The URL didn't return an image");
+      }
+      if (Number(response.headers["content-length"]) > maxBytes) {
+        response.destroy();
+        throw new RemoteImageError(`Images must be at most ${maxBytes / (1024 * 1024)} MB`, 413);
+      }
+
+      const buffer = await readBody(response, maxBytes);
+      if (!imageInfo(buffer)) throw new RemoteImageError("The URL didn't return a PNG, JPEG, GIF or WebP image");
+      return { buffer, url: url.href };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) throw new RemoteImageError("The image took too long to download", 504);
+    if (error instanceof RemoteImageError) throw error;
+    console.error("Remote image fetch failed:", error);
+    throw new RemoteImageError("Couldn't fetch the image", 502);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -47,24 +47,33 @@ export async function getAllStaticPages() {
   return pages;
 }
 
+// Pages through the public blog API (published posts only) following its next links
+export async function fetchPublishedBlogs(baseUrl) {
+  const blogs = [];
+  let next = '/api/blogs?limit=100&sort=-date&fields=slug,date,createdAt,updatedAt';
+
+  while (next) {
+    const res = await fetch(`${baseUrl}${next}`, { cache: 'no-store' });
+    if (!res.ok) {
+      throw new Error(`Blog API returned ${res.status}`);
+    }
+    const data = await res.json();
+    blogs.push(...(data.blogs || []));
+    next = data.pagination?.next || null;
+  }
+
+  return blogs;
+}
+
 // Automatically get all blog posts from your API/database
 export async function getAllBlogPosts() {
   const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'https://yourwebsite.com';
   
   try {
-    // Fetch from your blog API endpoint
-    const res = await fetch(`${baseUrl}/api/blogs`, { 
-      cache: 'no-store'
-    });
-    
-    if (!res.ok) {
-      return [];
-    }
-    
-    const blogs = await res.json();
+    const blogs = await fetchPublishedBlogs(baseUrl);
     
     return blogs.map((blog) => ({
-      url: `${baseUrl}/blog/${blog.slug}`,
+      url: `${baseUrl}/blogs/${blog.slug}`,
       lastModified: new Date(blog.updatedAt || blog.createdAt).toISOString(),
       changeFrequency: 'weekly',
       priority: 0.7,
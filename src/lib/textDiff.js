@@ -0,0 +1,132 @@
+// Token-level diff (Myers' O(ND) algorithm) used to compare blog revisions.
+
+// Past this many edits the trace kept for the backtrack (O(D²)) gets too
+// big, e.g. when a post's whole content was pasted over; such changes are
+// shown as one block replaced by another. 2000 keeps it to about 16 MB.
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Splits plain text into words and the whitespace between them.
+ */
+export function tokenizeText(text) {
+  return String(text || "").split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Splits HTML into tags, words and whitespace so markup changes show up on their own.
+ */
+export function tokenizeHtml(html) {
+  return String(html || "").split(/(<[^>]+>|\s+)/).filter(Boolean);
+}
+
+function mergeChunks(ops) {
+  const chunks = [];
+  for (const op of ops) {
+    if (!op.value) continue;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      chunks.push({ ...op });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Diffs two token arrays and returns merged chunks of
+ * { type: "equal" | "insert" | "delete", value }.
+ */
+export function diffTokens(a, b) {
+  // Common prefix and suffix don't need the full algorithm
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const edits = myers(middleA, middleB) || [
+    { type: "delete", value: middleA.join("") },
+    { type: "insert", value: middleB.join("") },
+  ];
+
+  return mergeChunks([
+    { type: "equal", value: a.slice(0, start).join("") },
+    ...edits,
+    { type: "equal", value: a.slice(endA).join("") },
+  ]);
+}
+
+// Edit script from a to b, or null when it needs more than MAX_EDIT_DISTANCE edits
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] keeps only the diagonals -(d+1)..(d+1) so memory stays O(D²)
+  const trace = [];
+
+  let found = n === 0 && m === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const at = (k) => prev[k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", value: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: "insert", value: b[y - 1] });
+      } else {
+        ops.push({ type: "delete", value: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
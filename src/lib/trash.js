@@ -0,0 +1,83 @@
+import Blog from "@/models/Blog";
+import BlogRevision from "@/models/BlogRevision";
+import Lead from "@/models/Lead";
+import Setting from "@/models/Setting";
+import { releaseMediaUsage } from "@/lib/mediaUsage";
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// What can be trashed, keyed by the segment used in /api/trash/[type]/[id]
+export const TRASH_TYPES = {
+  blogs: { model: Blog, targetType: "Blog", readPermission: "blogs:read", permission: "blogs:delete" },
+  leads: { model: Lead, targetType: "Lead", readPermission: "leads:read", permission: "leads:delete" },
+};
+
+// Matches documents outside the trash, including ones saved before it existed
+export const NOT_TRASHED = { deletedAt: null };
+
+/**
+ * Moves a document to the trash, stamping who did it. Returns the updated
+ * document, or null when it doesn't exist or is already trashed.
+ */
+export async function moveToTrash(model, id, actor) {
+  return model.findOneAndUpdate(
+    { _id: id, ...NOT_TRASHED },
+    {
+      $set: {
+        deletedAt: new Date(),
+        deletedBy: { id: actor?.id || actor?.sub || null, email: actor?.email || null },
+      },
+    },
+    { new: true }
+  );
+}
+
+export async function restoreFromTrash(model, id) {
+  return model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: { id: null, email: null } } },
+    { new: true }
+  );
+}
+
+/**
+ * Deletes a trashed document for good (blog revisions go with their blog,
+ * and the media library stops counting it as a use).
+ */
+export async function deleteForever(type, id) {
+  const { model } = TRASH_TYPES[type];
+  const deleted = await model.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+  if (deleted && type === "blogs") {
+    await BlogRevision.deleteMany({ blog: deleted._id });
+    await releaseMediaUsage("Blog", [deleted._id]);
+  }
+  return deleted;
+}
+
+export async function trashRetentionDays() {
+  return Setting.getValue("trash.retentionDays", DEFAULT_TRASH_RETENTION_DAYS);
+}
+
+/**
+ * Permanently removes everything trashed longer ago than the retention
+ * period. Returns the number of documents purged per type.
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const days = await trashRetentionDays();
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const purged = {};
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } }).select("_id").lean();
+    const ids = expired.map((doc) => doc._id);
+    if (ids.length > 0) {
+      await model.deleteMany({ _id: { $in: ids } });
+      if (type === "blogs") {
+        await BlogRevision.deleteMany({ blog: { $in: ids } });
+        await releaseMediaUsage("Blog", ids);
+      }
+    }
+    purged[type] = ids.length;
+  }
+  return purged;
+}
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import Admin from "@/models/Admin";
+import Setting from "@/models/Setting";
+import { base32Decode, verifyTotp } from "@/lib/totp";
+
+export const TOTP_ISSUER = "Robato Systems Admin";
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are stored AES-256-GCM encrypted with a key derived from NEXTAUTH_SECRET
+function encryptionKey() {
+  return crypto.createHash("sha256").update(`totp.${process.env.NEXTAUTH_SECRET || ""}`).digest();
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".");
+}
+
+export function decryptSecret(encrypted) {
+  const [iv, tag, data] = String(encrypted).split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * New one-time recovery codes: { codes } to show once, { hashes } to store.
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Checks a TOTP code against an encrypted secret; returns the time step or null.
+ */
+export function verifyEncryptedTotp(encryptedSecret, code) {
+  return verifyTotp(base32Decode(decryptSecret(encryptedSecret)), code);
+}
+
+/**
+ * Checks a login code for an admin with 2FA enabled. Accepts a current TOTP
+ * code (each time step only once) or an unused recovery code, which is
+ * consumed. Returns true when the code was accepted.
+ */
+export async function consumeSecondFactor(admin, code) {
+  const value = String(code || "").trim();
+  if (!value || !admin.twoFactor?.enabled) return false;
+
+  const step = verifyEncryptedTotp(admin.twoFactor.secret, value);
+  if (step !== null) {
+    const updated = await Admin.updateOne(
+      {
+        _id: admin._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return updated.modifiedCount === 1;
+  }
+
+  const updated = await Admin.updateOne(
+    { _id: admin._id, "twoFactor.recoveryCodes": hashRecoveryCode(value) },
+    { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(value) } }
+  );
+  return updated.modifiedCount === 1;
+}
+
+/**
+ * Whether the owner has made 2FA mandatory for every admin.
+ */
+export async function isTwoFactorRequired() {
+  return Boolean(await Setting.getValue("security.requireTwoFactor", false));
+}
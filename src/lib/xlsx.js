@@ -0,0 +1,243 @@
+// Minimal streaming XLSX writer: one worksheet of inline-string and number
+// cells, packed into an uncompressed ZIP as rows arrive, so exports never
+// hold the whole sheet in memory.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function xmlEscape(text) {
+  return String(text)
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A1-style column letters for a zero-based index
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  // Excel's per-cell limit
+  text = text.slice(0, 32767);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+// DOS date/time fields for the ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function bytesOf(fields) {
+  const size = fields.reduce((total, [width]) => total + width, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  for (const [width, value] of fields) {
+    if (width === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += width;
+  }
+  return new Uint8Array(view.buffer);
+}
+
+function concat(chunks) {
+  const out = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Returns a writer whose start(), row(values) and end() each return the
+ * next bytes of the .xlsx file; emit them in that order.
+ *
+ *   const xlsx = xlsxWriter("Leads");
+ *   controller.enqueue(xlsx.start());
+ *   controller.enqueue(xlsx.row(["Email", "Company"]));
+ *   controller.enqueue(xlsx.end());
+ */
+export function xlsxWriter(sheetName = "Sheet1") {
+  const stamp = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let current = null;
+  let rowCount = 0;
+
+  // Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+  const FLAGS = 0x0808;
+
+  const openEntry = (name) => {
+    const nameBytes = encoder.encode(name);
+    current = { nameBytes, offset, crc: 0, size: 0 };
+    const header = concat([
+      bytesOf([
+        [4, 0x04034b50],
+        [2, 20],
+        [2, FLAGS],
+        [2, 0],
+        [2, stamp.time],
+        [2, stamp.date],
+        [4, 0],
+        [4, 0],
+        [4, 0],
+        [2, nameBytes.length],
+        [2, 0],
+      ]),
+      nameBytes,
+    ]);
+    offset += header.length;
+    return header;
+  };
+
+  const writeData = (text) => {
+    const bytes = encoder.encode(text);
+    current.crc = crc32(bytes, current.crc);
+    current.size += bytes.length;
+    offset += bytes.length;
+    return bytes;
+  };
+
+  const closeEntry = () => {
+    const descriptor = bytesOf([
+      [4, 0x08074b50],
+      [4, current.crc],
+      [4, current.size],
+      [4, current.size],
+    ]);
+    offset += descriptor.length;
+    entries.push(current);
+    current = null;
+    return descriptor;
+  };
+
+  const wholeEntry = (name, text) => concat([openEntry(name), writeData(text), closeEntry()]);
+
+  const centralDirectory = () => {
+    const start = offset;
+    const records = entries.map((entry) =>
+      concat([
+        bytesOf([
+          [4, 0x02014b50],
+          [2, 20],
+          [2, 20],
+          [2, FLAGS],
+          [2, 0],
+          [2, stamp.time],
+          [2, stamp.date],
+          [4, entry.crc],
+          [4, entry.size],
+          [4, entry.size],
+          [2, entry.nameBytes.length],
+          [2, 0],
+          [2, 0],
+          [2, 0],
+          [2, 0],
+          [4, 0],
+          [4, entry.offset],
+        ]),
+        entry.nameBytes,
+      ])
+    );
+    const size = records.reduce((total, record) => total + record.length, 0);
+    const end = bytesOf([
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, entries.length],
+      [2, entries.length],
+      [4, size],
+      [4, start],
+      [2, 0],
+    ]);
+    return concat([...records, end]);
+  };
+
+  const safeSheetName = xmlEscape(String(sheetName).replace(/[[\]:*?/\\]/g, "").slice(0, 31) || "Sheet1");
+
+  return {
+    start() {
+      return concat([
+        wholeEntry(
+          "[Content_Types].xml",
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            "</Types>"
+        ),
+        wholeEntry(
+          "_rels/.rels",
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            "</Relationships>"
+        ),
+        wholeEntry(
+          "xl/workbook.xml",
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+            "</workbook>"
+        ),
+        wholeEntry(
+          "xl/_rels/workbook.xml.rels",
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            "</Relationships>"
+        ),
+        openEntry("xl/worksheets/sheet1.xml"),
+        writeData(
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+        ),
+      ]);
+    },
+
+    row(values) {
+      rowCount++;
+      const cells = values.map((value, index) => cellXml(value, `${columnName(index)}${rowCount}`)).join("");
+      return writeData(`<row r="${rowCount}">${cells}</row>`);
+    },
+
+    end() {
+      return concat([writeData("</sheetData></worksheet>"), closeEntry(), centralDirectory()]);
+    },
+  };
+}
@@ -1,8 +1,25 @@
 import mongoose from "mongoose";
 
 const AdminSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
+  // Stored lowercased; mongoose applies the same to queries on it
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   password: { type: String, required: true },
+  // Unset on accounts created before roles existed; see roleOf in lib/permissions.js
+  role: { type: String, enum: ["owner", "editor", "sales", "viewer"] },
+  // Bumped on every password change; JWTs carrying an older value are rejected
+  sessionVersion: { type: Number, default: 0 },
+  passwordChangedAt: { type: Date, default: null },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Encrypted base32 TOTP secret; see lib/twoFactor.js
+    secret: { type: String, default: null },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: { type: String, default: null },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], default: [] },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: { type: Number, default: null },
+  },
 });
 
 export default mongoose.models.Admin || mongoose.model("Admin", AdminSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: String, default: null },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ "actor.email": 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Audit entries are append-only
+function rejectMutation() {
+  throw new Error("Audit log entries are immutable");
+}
+AuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectMutation
+);
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+export default mongoose.models.AuditLog || mongoose.model("AuditLog", AuditLogSchema);
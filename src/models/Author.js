@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// People blog posts are credited to; see lib/authors.js. Blog.writtenby
+// keeps a copy of the name for listings and search.
+const AuthorSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    slug: { type: String, required: true, unique: true },
+    jobTitle: { type: String, default: "" },
+    bio: { type: String, default: "" },
+    avatar: { type: String, default: "" },
+    socials: {
+      website: { type: String, default: "" },
+      linkedin: { type: String, default: "" },
+      twitter: { type: String, default: "" },
+      github: { type: String, default: "" },
+    },
+    // The admin account that writes as this author, if any; new posts by
+    // that admin start out credited to them
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  { timestamps: true }
+);
+
+AuthorSchema.index({ admin: 1 }, { unique: true, partialFilterExpression: { admin: { $type: "objectId" } } });
+
+export default mongoose.models.Author || mongoose.model("Author", AuthorSchema);
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { htmlToText } from "@/lib/htmlText";
+import { excerptOf, readingTimeOf } from "@/lib/blogMeta";
+import { blogMediaUrls, syncMediaUsage } from "@/lib/mediaUsage";
 
 const BlogSchema = new mongoose.Schema(
   {
@@ -7,11 +10,80 @@ const BlogSchema = new mongoose.Schema(
     content: { type: String, required: true },
     image: { type: String, required: true },
     category: { type: String, required: true },
+    // The credited author's name, copied from `author` (lib/blogAuthors.js)
     writtenby: { type: String, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "Author", default: null },
+    tags: { type: [String], default: [] },
+    // Editorial and SEO fields; see lib/blogMeta.js
+    excerpt: { type: String, default: "" },
+    metaTitle: { type: String, default: "" },
+    metaDescription: { type: String, default: "" },
+    imageAlt: { type: String, default: "" },
+    // Where search engines should index the post, when not at /blogs/<slug>
+    canonicalUrl: { type: String, default: "" },
+    // Tag-stripped copy of content, kept in sync for full-text search
+    plainText: { type: String, default: "", select: false },
+    // Derived from content on every save
+    autoExcerpt: { type: String, default: "" },
+    readingTime: { type: Number, default: 1 },
     date: { type: Date, default: Date.now },
+    // Left unset on posts created before the publishing workflow; those are
+    // treated as published (see lib/blogStatus.js).
+    status: { type: String, enum: ["draft", "scheduled", "published"] },
+    publishAt: { type: Date, default: null },
+    // Set when moved to the trash; see lib/trash.js
+    deletedAt: { type: Date, default: null },
+    deletedBy: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
   },
   { timestamps: true }
 );
 
+BlogSchema.index({ status: 1, publishAt: -1 });
+BlogSchema.index({ deletedAt: 1 });
+BlogSchema.index({ author: 1, date: -1 });
+BlogSchema.index(
+  { title: "text", tags: "text", category: "text", plainText: "text" },
+  { name: "BlogTextIndex", weights: { title: 10, tags: 5, category: 3, plainText: 1 } }
+);
+
+function contentDerivedFields(content) {
+  const plainText = htmlToText(content);
+  return { plainText, autoExcerpt: excerptOf(plainText), readingTime: readingTimeOf(plainText) };
+}
+
+BlogSchema.pre("save", function () {
+  if (this.isModified("content")) {
+    this.set(contentDerivedFields(this.content));
+  }
+});
+
+BlogSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate();
+  const content = update?.content ?? update?.$set?.content;
+  if (content !== undefined) {
+    this.set(contentDerivedFields(content));
+  }
+});
+
+// Every write path (create, edit, status change, revision restore) ends in
+// one of these, so the media library always knows which posts use a file
+async function syncBlogMedia(blog) {
+  if (!blog) return;
+  try {
+    await syncMediaUsage("Blog", blog._id, blog.title, blogMediaUrls(blog));
+  } catch (error) {
+    console.error("Error syncing blog media usage:", error);
+  }
+}
+
+BlogSchema.post("save", syncBlogMedia);
+BlogSchema.post("findOneAndUpdate", async function (doc) {
+  // Without { new: true } the hook gets the post as it was before the update
+  if (doc) await syncBlogMedia(await this.model.findById(doc._id).select("title image content").lean());
+});
+
 // Prevent model overwrite issues in Next.js
 export default mongoose.models.Blog || mongoose.model("Blog", BlogSchema);
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+
+// Fields copied from a Blog into every revision snapshot
+export const REVISION_FIELDS = [
+  "title",
+  "slug",
+  "content",
+  "image",
+  "category",
+  "writtenby",
+  "author",
+  "tags",
+  "excerpt",
+  "metaTitle",
+  "metaDescription",
+  "imageAlt",
+  "canonicalUrl",
+  "date",
+  "status",
+  "publishAt",
+];
+
+const BlogRevisionSchema = new mongoose.Schema(
+  {
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: "Blog", required: true, immutable: true },
+    number: { type: Number, required: true, immutable: true },
+    action: {
+      type: String,
+      enum: ["create", "update", "status", "restore"],
+      required: true,
+      immutable: true,
+    },
+    restoredFrom: { type: Number, default: null, immutable: true },
+    author: {
+      id: { type: String, immutable: true },
+      email: { type: String, immutable: true },
+    },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+BlogRevisionSchema.index({ blog: 1, number: -1 }, { unique: true });
+
+// Revisions are append-only
+function rejectMutation() {
+  throw new Error("Blog revisions are immutable");
+}
+BlogRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectMutation);
+BlogRevisionSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+// Attempts at taking the next revision number before giving up
+const RECORD_ATTEMPTS = 5;
+
+function snapshotOf(blog) {
+  const source = typeof blog.toObject === "function" ? blog.toObject() : blog;
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = source[field] ?? null;
+  }
+  return snapshot;
+}
+
+/**
+ * Appends a revision holding the blog's current field set. Two saves of the
+ * same post can read the same latest number; the unique (blog, number) index
+ * rejects the second, which then retries with the number after.
+ */
+BlogRevisionSchema.statics.record = async function (blog, { action, author, restoredFrom = null }) {
+  const snapshot = snapshotOf(blog);
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ blog: blog._id }).sort({ number: -1 }).select("number");
+    try {
+      return await this.create({
+        blog: blog._id,
+        number: (latest?.number || 0) + 1,
+        action,
+        restoredFrom,
+        author: { id: author?.sub || author?.id || null, email: author?.email || null },
+        snapshot,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Posts written before revisions existed get their current state recorded
+ * once, so the first edit doesn't lose it.
+ */
+BlogRevisionSchema.statics.recordBaseline = async function (blog) {
+  if (await this.exists({ blog: blog._id })) return null;
+  try {
+    return await this.create({
+      blog: blog._id,
+      number: 1,
+      action: "create",
+      author: { id: null, email: null },
+      snapshot: snapshotOf(blog),
+    });
+  } catch (error) {
+    // Another save recorded it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+export default mongoose.models.BlogRevision || mongoose.model("BlogRevision", BlogRevisionSchema);
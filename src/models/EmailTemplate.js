@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Panel edits to email templates, layouts and partials. Keys match the
+// built-ins in lib/emailTemplateDefaults.js, which these override, or name
+// new templates.
+const EmailTemplateSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    description: { type: String, default: "" },
+    subject: { type: String, default: "" },
+    layout: { type: String, default: "" },
+    html: { type: String, required: true },
+    sample: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedBy: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.EmailTemplate || mongoose.model("EmailTemplate", EmailTemplateSchema);
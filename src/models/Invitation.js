@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ["owner", "editor", "sales", "viewer"], required: true },
+    // Only the SHA-256 of the token is stored; the raw token is shown once
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+InvitationSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.models.Invitation || mongoose.model("Invitation", InvitationSchema);
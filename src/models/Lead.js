@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import leadPipeline from "@/models/leadPipeline";
+import { LEAD_SOURCES } from "@/lib/leadSources";
+
+// Fields a public form may submit; everything else in the body is ignored
+export const SUBMISSION_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "company",
+  "jobTitle",
+  "country",
+  "message",
+];
+
+// What the routing rules did with a submission; see lib/leadRouting.js
+const RoutingResultSchema = new mongoose.Schema(
+  {
+    matched: [
+      {
+        _id: false,
+        id: { type: String, default: null },
+        name: { type: String },
+      },
+    ],
+    notify: [{ type: String }],
+    // Set only when the rules assigned the lead; an existing owner is kept
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    tags: [{ type: String }],
+    evaluatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const SubmissionSchema = new mongoose.Schema({
+  source: { type: String, enum: LEAD_SOURCES, required: true },
+  firstName: { type: String },
+  lastName: { type: String },
+  email: { type: String, required: true },
+  phone: { type: String },
+  company: { type: String },
+  jobTitle: { type: String },
+  country: { type: String },
+  message: { type: String },
+  // Site page the form was sent from, e.g. "/oil-gas"
+  pagePath: { type: String, default: null },
+  submittedAt: { type: Date, default: Date.now },
+  routing: { type: RoutingResultSchema, default: null },
+  // Contact/Trial document this was migrated from; see scripts/migrate-leads.mjs
+  legacyId: { type: String, default: null },
+});
+
+// One person or company, built up from every form they submitted.
+// Top-level contact fields mirror the latest submission.
+const LeadSchema = new mongoose.Schema({
+  firstName: { type: String },
+  lastName: { type: String },
+  email: { type: String, required: true },
+  phone: { type: String },
+  company: { type: String },
+  jobTitle: { type: String },
+  country: { type: String },
+  message: { type: String },
+  // Every address seen, lowercased, and the shared company domain; see lib/leadIdentity.js
+  emails: { type: [String], default: [] },
+  companyDomain: { type: String, default: null },
+  sources: { type: [String], default: [] },
+  submissions: { type: [SubmissionSchema], default: [] },
+  lastSubmittedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  // Set when moved to the trash; see lib/trash.js
+  deletedAt: { type: Date, default: null },
+  deletedBy: {
+    id: { type: String, default: null },
+    email: { type: String, default: null },
+  },
+});
+
+LeadSchema.plugin(leadPipeline);
+LeadSchema.index({ emails: 1 });
+LeadSchema.index({ companyDomain: 1 });
+LeadSchema.index({ deletedAt: 1, lastSubmittedAt: -1 });
+LeadSchema.index({ "submissions.legacyId": 1 }, { sparse: true });
+
+export default mongoose.models.Lead || mongoose.model("Lead", LeadSchema);
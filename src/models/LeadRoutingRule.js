@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const ConditionSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    operator: { type: String, required: true },
+    values: [{ type: String }],
+  },
+  { _id: false }
+);
+
+// Routing rules for new form submissions, run in `position` order;
+// see lib/leadRouting.js for how they match and combine.
+const LeadRoutingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+    position: { type: Number, default: 0 },
+    match: { type: String, enum: ["all", "any"], default: "all" },
+    conditions: { type: [ConditionSchema], default: [] },
+    notify: [{ type: String }],
+    assignTo: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    tags: [{ type: String }],
+    // Later rules are skipped once this one matches
+    stop: { type: Boolean, default: false },
+    updatedBy: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+LeadRoutingRuleSchema.index({ position: 1 });
+
+export default mongoose.models.LeadRoutingRule || mongoose.model("LeadRoutingRule", LeadRoutingRuleSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Log of failed admin logins shown in the panel; entries expire after 30 days
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    email: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    reason: {
+      type: String,
+      enum: ["unknown_account", "bad_password", "bad_code", "throttled"],
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+LoginAttemptSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.models.LoginAttempt || mongoose.model("LoginAttempt", LoginAttemptSchema);
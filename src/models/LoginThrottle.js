@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Failed-login counters per account ("account:<email>") and per client IP
+// ("ip:<address>"). Kept in Mongo so every serverless instance sees them.
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ["account", "ip"], required: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    // Exponential backoff: no attempts accepted before this time
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    // Counters are forgotten a day after the last failure
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+LoginThrottleSchema.index({ lockedUntil: -1 });
+
+export default mongoose.models.LoginThrottle || mongoose.model("LoginThrottle", LoginThrottleSchema);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Where a file is used, kept in sync by lib/mediaUsage.js
+const UsageSchema = new mongoose.Schema(
+  {
+    targetType: { type: String, required: true },
+    targetId: { type: String, required: true },
+    label: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// Resized copies made by lib/imagePipeline.js, stored next to the original
+const VariantSchema = new mongoose.Schema(
+  {
+    format: { type: String, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    size: { type: Number, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// Uploaded images, wherever they are stored (lib/mediaStorage.js)
+const MediaSchema = new mongoose.Schema(
+  {
+    storage: { type: String, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true, unique: true },
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    alt: { type: String, default: "" },
+    variants: { type: [VariantSchema], default: [] },
+    // Tiny blurred preview (a data: URL) shown while the image loads
+    blurDataURL: { type: String, default: null },
+    // Page the image was fetched from by /api/upload-url
+    sourceUrl: { type: String, default: null },
+    uploadedBy: {
+      id: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+    usage: { type: [UsageSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+MediaSchema.index({ createdAt: -1 });
+MediaSchema.index({ "usage.targetType": 1, "usage.targetId": 1 });
+
+export default mongoose.models.Media || mongoose.model("Media", MediaSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One provider call: what happened on a delivery attempt
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, required: true },
+    status: { type: Number, default: null },
+    response: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Emails waiting to go out, or that went out, through lib/outbox.js.
+// Sent ones expire after 30 days; failed ones stay until resent.
+const OutboxEmailSchema = new mongoose.Schema(
+  {
+    kind: { type: String, required: true },
+    message: {
+      to: [{ type: String }],
+      cc: [{ type: String }],
+      subject: { type: String, required: true },
+      html: { type: String, required: true },
+      text: { type: String, default: null },
+      fromEmail: { type: String, required: true },
+      fromName: { type: String, default: null },
+      replyTo: { type: String, default: null },
+    },
+    status: { type: String, enum: ["pending", "sending", "sent", "failed"], default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // Set while a worker holds the email, so an abandoned claim can be retaken
+    claimedUntil: { type: Date, default: null },
+    history: [AttemptSchema],
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxEmailSchema.index({ status: 1, updatedAt: -1 });
+OutboxEmailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.OutboxEmail || mongoose.model("OutboxEmail", OutboxEmailSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Lead form submissions held back by the bot checks (lib/formGuard.js)
+// until an admin releases or discards them. Unreviewed ones expire.
+const QuarantinedSubmissionSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  reasons: [{ type: String }],
+  // The site page the form was sent from, kept for routing on release
+  pagePath: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+QuarantinedSubmissionSchema.index({ createdAt: -1 });
+QuarantinedSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.QuarantinedSubmission ||
+  mongoose.model("QuarantinedSubmission", QuarantinedSubmissionSchema);
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// Fixed-window request counters for lib/rateLimit.js
+const RateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RateLimit || mongoose.model("RateLimit", RateLimitSchema);
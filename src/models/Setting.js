@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Site-wide settings managed from the admin panel, one document per key
+const SettingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true }
+);
+
+SettingSchema.statics.getValue = async function (key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+SettingSchema.statics.setValue = async function (key, value) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value } },
+    { upsert: true, new: true }
+  );
+  return setting.value;
+};
+
+export default mongoose.models.Setting || mongoose.model("Setting", SettingSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { LEAD_STAGES } from "@/lib/leadStages";
+
+const actorSchema = {
+  id: { type: String, default: null },
+  email: { type: String, default: null },
+};
+
+const NoteSchema = new mongoose.Schema(
+  {
+    body: { type: String, required: true, maxlength: 5000 },
+    author: actorSchema,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const StageChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    changedBy: actorSchema,
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose plugin adding sales pipeline fields to a lead schema
+ * (Lead): stage, owner, tags, notes, follow-up date and stage history.
+ */
+export default function leadPipeline(schema) {
+  schema.add({
+    stage: { type: String, enum: LEAD_STAGES, default: "new" },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    nextFollowUpAt: { type: Date, default: null },
+    tags: { type: [String], default: [] },
+    notes: { type: [NoteSchema], default: [] },
+    stageHistory: { type: [StageChangeSchema], default: [] },
+  });
+  schema.index({ stage: 1, nextFollowUpAt: 1 });
+  schema.index({ assignedTo: 1 });
+  schema.index({ tags: 1 });
+}
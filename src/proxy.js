@@ -1,5 +1,6 @@
 import { NextResponse, NextRequest } from "next/server";
 import { getToken } from "next-auth/jwt";
+import { can, roleOf } from "@/lib/permissions";
 
 export async function proxy(request) {
   const token = await getToken({ req: request, secret: process.env.NEXTAUTH_SECRET });
@@ -15,6 +16,13 @@ export async function proxy(request) {
     return NextResponse.redirect(loginUrl);
   }
 
+  // ✅ Send admins whose role can't view the sitemap back to the panel
+  if (pathname.startsWith("/admin/sitemap") && token && !can(roleOf(token), "sitemap:read")) {
+    const panelUrl = request.nextUrl.clone();
+    panelUrl.pathname = "/admin/panel";
+    return NextResponse.redirect(panelUrl);
+  }
+
   // ✅ Redirect logged-in admins away from /admin/auth → /admin/panel
   if (pathname.startsWith("/admin/auth") && token) {
     const panelUrl = request.nextUrl.clone();